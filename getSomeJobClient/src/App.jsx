@@ -2,12 +2,14 @@
 import { Outlet } from 'react-router-dom'
 import './App.css'
 import Navbar from './components/Navbar'
+import SecurityAlerts from './components/SecurityAlerts'
 import { AuthProvider } from './context/AuthContext'
 
 function App() {
   return (
     <AuthProvider>
       <Navbar/>
+      <SecurityAlerts/>
       <Outlet/>
     </AuthProvider>
   )
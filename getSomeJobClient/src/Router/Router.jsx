@@ -11,6 +11,14 @@ import JobDetails from "../assets/Pages/JobDetails";
 import Signup from "../components/Signup";
 import ResetPassword from "../components/ResetPassword";
 import SecurityDashboard from "../components/SecurityDashboard";
+import CompanyTeam from "../assets/Pages/CompanyTeam";
+import CompanyInvite from "../assets/Pages/CompanyInvite";
+import SavedJobs from "../assets/Pages/SavedJobs";
+import JobApplicants from "../assets/Pages/JobApplicants";
+import ApplicationMessages from "../assets/Pages/ApplicationMessages";
+import Notifications from "../assets/Pages/Notifications";
+import ImportJobs from "../assets/Pages/ImportJobs";
+import { apiService } from "../services/api";
 
 const router = createBrowserRouter([
     {
@@ -27,6 +35,18 @@ const router = createBrowserRouter([
           path: "/my-job",
           element: <MyJobs/>
         },
+        {
+          path: "/import-jobs",
+          element: <ImportJobs/>
+        },
+        {
+          path: "/my-job/:id/applicants",
+          element: <JobApplicants/>
+        },
+        {
+          path: "/applications/:id/messages",
+          element: <ApplicationMessages/>
+        },
         {
           path: "/salary",
           element: <SalaryPage/>
@@ -34,7 +54,7 @@ const router = createBrowserRouter([
         {
           path: "/edit-job/:id",
           element: <UpdateJob/>,
-          loader: ({params}) => fetch(`http://localhost:5001/all-jobs/${params.id}`)
+          loader: ({params}) => apiService.getJobById(params.id)
         },
         {
           path: "/job/:id",
@@ -55,6 +75,22 @@ const router = createBrowserRouter([
         {
           path: "/security-dashboard",
           element: <SecurityDashboard/>
+        },
+        {
+          path: "/company",
+          element: <CompanyTeam/>
+        },
+        {
+          path: "/company/invite/:token",
+          element: <CompanyInvite/>
+        },
+        {
+          path: "/saved",
+          element: <SavedJobs/>
+        },
+        {
+          path: "/notifications",
+          element: <Notifications/>
         }
       ],
     }
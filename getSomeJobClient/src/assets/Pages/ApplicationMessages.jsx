@@ -0,0 +1,247 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import { FiLock, FiPaperclip, FiSend } from 'react-icons/fi';
+import PageHeader from '../../components/PageHeader';
+import { useAuth } from '../../context/AuthContext';
+import { apiService } from '../../services/api';
+
+const MAX_ATTACHMENTS = 3;
+
+// The conversation between a candidate and the employer team about one
+// application; the team also keeps internal notes here
+const ApplicationMessages = () => {
+    const { id } = useParams();
+    const { isAuthenticated, subscribe } = useAuth();
+    const navigate = useNavigate();
+    const [application, setApplication] = useState(null);
+    const [messages, setMessages] = useState([]);
+    const [canViewInternal, setCanViewInternal] = useState(false);
+    const [internal, setInternal] = useState(false);
+    const [body, setBody] = useState('');
+    const [files, setFiles] = useState([]);
+    const [isSending, setIsSending] = useState(false);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const fetchMessages = useCallback(() => {
+        setIsLoading(true);
+        apiService.getMessages(id, { internal }).then((response) => {
+            if (response.success) {
+                setApplication(response.application);
+                setMessages(response.messages);
+                setCanViewInternal(response.canViewInternal);
+                setError(null);
+                if (!internal) {
+                    apiService.markMessagesRead(id).catch((error) => console.error('Error marking messages read:', error));
+                }
+            } else {
+                setError(response.message);
+            }
+        }).catch(() => {
+            setError('Failed to fetch messages. Please try again later.');
+        }).finally(() => setIsLoading(false));
+    }, [id, internal]);
+
+    useEffect(() => {
+        if (!isAuthenticated) {
+            setIsLoading(false);
+            return;
+        }
+        fetchMessages();
+    }, [fetchMessages, isAuthenticated]);
+
+    // Live updates: new messages in the open tab and read receipts for ours
+    useEffect(() => {
+        const unsubscribers = [
+            subscribe('message:new', (message) => {
+                if (message.applicationId !== id || message.visibility !== (internal ? 'internal' : 'thread')) return;
+                setMessages((current) => current.some((entry) => entry._id === message._id) ? current : [...current, message]);
+                if (!internal && !message.mine) {
+                    apiService.markMessagesRead(id).catch((error) => console.error('Error marking messages read:', error));
+                }
+            }),
+            subscribe('message:read', (receipt) => {
+                if (receipt.applicationId !== id) return;
+                setMessages((current) => current.map((message) => message.mine && !message.seenAt && message.sender.side !== receipt.side
+                    ? { ...message, seenAt: receipt.readAt }
+                    : message));
+            }),
+        ];
+        return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }, [id, internal, subscribe]);
+
+    const handleFiles = (event) => {
+        const chosen = Array.from(event.target.files);
+        if (chosen.length > MAX_ATTACHMENTS) {
+            Swal.fire({ icon: 'error', title: 'Oops...', text: `Attach at most ${MAX_ATTACHMENTS} files` });
+            event.target.value = '';
+            return;
+        }
+        setFiles(chosen);
+    };
+
+    const handleSend = async (event) => {
+        event.preventDefault();
+        if (!body.trim()) return;
+
+        setIsSending(true);
+        try {
+            const result = await apiService.sendMessage(id, { body, files, internal });
+            if (result.success) {
+                setMessages((current) => current.some((entry) => entry._id === result.message._id) ? current : [...current, result.message]);
+                setBody('');
+                setFiles([]);
+                event.target.reset();
+            } else {
+                Swal.fire({ icon: 'error', title: 'Oops...', text: result.message || result.errors?.[0]?.msg });
+            }
+        } catch (error) {
+            Swal.fire({ icon: 'error', title: 'Oops...', text: error.message });
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    const handleDownload = async (message, attachment) => {
+        try {
+            const blob = await apiService.downloadMessageAttachment(id, message._id, attachment._id);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.originalName;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            Swal.fire({ icon: 'error', title: 'Oops...', text: error.message });
+        }
+    };
+
+    if (!isAuthenticated) {
+        return (
+            <div className="min-h-screen flex items-center justify-center">
+                <div className="text-center">
+                    <h2 className="text-2xl font-bold text-red-600 mb-4">Please Login</h2>
+                    <p className="text-gray-600 mb-4">Login to read and answer your messages</p>
+                    <button
+                        onClick={() => navigate('/login')}
+                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded"
+                    >
+                        Go to Login
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    const closed = !internal && application?.withdrawn;
+
+    return (
+        <div className="max-w-screen-2xl container mx-auto xl:px-24 px-4">
+            <PageHeader title={application ? `Messages: ${application.jobTitle}` : "Messages"} path="Messages" />
+
+            <div className="py-8 max-w-3xl mx-auto space-y-4">
+                {application && (
+                    <Link
+                        to={canViewInternal ? `/my-job/${application.jobId}/applicants` : `/job/${application.jobId}`}
+                        className="text-blue hover:underline text-sm"
+                    >
+                        &larr; {canViewInternal ? 'Back to applicants' : 'Back to the job'}
+                    </Link>
+                )}
+
+                {canViewInternal && (
+                    <div className="flex gap-4 border-b text-sm">
+                        <button
+                            onClick={() => setInternal(false)}
+                            className={`pb-2 ${!internal ? 'border-b-2 border-blue text-blue font-semibold' : 'text-primary/70'}`}
+                        >
+                            Conversation with {application?.applicantName}
+                        </button>
+                        <button
+                            onClick={() => setInternal(true)}
+                            className={`pb-2 flex items-center gap-1 ${internal ? 'border-b-2 border-blue text-blue font-semibold' : 'text-primary/70'}`}
+                        >
+                            <FiLock /> Internal notes
+                        </button>
+                    </div>
+                )}
+
+                {internal && (
+                    <p className="text-sm text-primary/70">Only your team can see these notes. The candidate is never notified.</p>
+                )}
+
+                {isLoading ? (
+                    <div className="flex items-center justify-center py-8">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+                        <span className="ml-2 text-gray-600">Loading messages...</span>
+                    </div>
+                ) : error ? (
+                    <p className="text-center text-red-600">{error}</p>
+                ) : messages.length === 0 ? (
+                    <p className="text-center text-gray-600 py-8">{internal ? 'No notes yet.' : 'No messages yet. Say hello!'}</p>
+                ) : (
+                    <ul className="space-y-3">
+                        {messages.map((message) => (
+                            <li key={message._id} className={`flex ${message.mine ? 'justify-end' : 'justify-start'}`}>
+                                <div className={`max-w-[80%] rounded-lg p-3 ${internal ? 'bg-yellow-50' : message.mine ? 'bg-blue-50' : 'bg-gray-100'}`}>
+                                    <p className="text-xs text-primary/70 mb-1">
+                                        {message.mine ? 'You' : message.sender.name} &middot; {new Date(message.createdAt).toLocaleString()}
+                                    </p>
+                                    <p className="whitespace-pre-line">{message.body}</p>
+                                    {message.attachments.map((attachment) => (
+                                        <button
+                                            key={attachment._id}
+                                            onClick={() => handleDownload(message, attachment)}
+                                            className="mt-2 flex items-center gap-1 text-sm text-blue hover:underline"
+                                        >
+                                            <FiPaperclip /> {attachment.originalName}
+                                        </button>
+                                    ))}
+                                    {message.mine && !internal && (
+                                        <p className="text-xs text-primary/50 mt-1 text-right">
+                                            {message.seenAt ? `Seen ${new Date(message.seenAt).toLocaleString()}` : 'Sent'}
+                                        </p>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {closed ? (
+                    <p className="text-center text-sm text-primary/70">This application was withdrawn, so the conversation is closed.</p>
+                ) : application && (
+                    <form onSubmit={handleSend} className="card space-y-2">
+                        <textarea
+                            value={body}
+                            onChange={(event) => setBody(event.target.value)}
+                            rows={3}
+                            maxLength={5000}
+                            placeholder={internal ? 'Add a note for your team' : 'Write a message'}
+                            className="w-full border rounded p-2"
+                        />
+                        <div className="flex justify-between items-center gap-4">
+                            <input
+                                type="file"
+                                multiple
+                                accept=".pdf,.docx,.png,.jpg,.jpeg"
+                                onChange={handleFiles}
+                                className="text-sm"
+                            />
+                            <button
+                                type="submit"
+                                disabled={isSending || !body.trim()}
+                                className="bg-blue text-white py-2 px-4 rounded-sm flex items-center gap-2 disabled:opacity-50"
+                            >
+                                <FiSend /> {isSending ? 'Sending...' : internal ? 'Add note' : 'Send'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default ApplicationMessages
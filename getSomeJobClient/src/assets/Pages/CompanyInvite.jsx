@@ -0,0 +1,52 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { apiService } from '../../services/api';
+
+// Landing page for the link in a team invitation email
+const CompanyInvite = () => {
+    const { token } = useParams();
+    const { isAuthenticated, loading } = useAuth();
+    const [status, setStatus] = useState("pending");
+    const [message, setMessage] = useState("");
+
+    useEffect(() => {
+        if (loading || !isAuthenticated) return;
+
+        apiService.acceptCompanyInvite(token).then((result) => {
+            setStatus(result.success ? "accepted" : "failed");
+            setMessage(result.message || "Failed to accept invitation");
+        }).catch((error) => {
+            setStatus("failed");
+            setMessage(error.message);
+        });
+    }, [token, isAuthenticated, loading]);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center">
+            <div className="text-center">
+                {!isAuthenticated && !loading ? (
+                    <>
+                        <h2 className="text-2xl font-bold mb-4">Team Invitation</h2>
+                        <p className="text-gray-600 mb-4">Log in with the employer account this invitation was sent to, then open the link again.</p>
+                        <Link to="/login" className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded">Go to Login</Link>
+                    </>
+                ) : status === "pending" ? (
+                    <p className="text-gray-600">Accepting invitation...</p>
+                ) : (
+                    <>
+                        <h2 className={`text-2xl font-bold mb-4 ${status === "accepted" ? "text-green-600" : "text-red-600"}`}>
+                            {status === "accepted" ? "Welcome to the team" : "Invitation not accepted"}
+                        </h2>
+                        <p className="text-gray-600 mb-4">{message}</p>
+                        {status === "accepted" && (
+                            <Link to="/company" className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded">View Company</Link>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default CompanyInvite
@@ -0,0 +1,261 @@
+import React, { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import { useAuth } from '../../context/AuthContext';
+import { apiService } from '../../services/api';
+
+const TEAM_ROLES = ["owner", "admin", "recruiter"];
+const EMPTY_PROFILE = { name: "", logo: "", website: "", description: "" };
+
+// Show server errors from either an errors array or a message
+const showResult = (result, successText) => {
+    if (result.success) {
+        Swal.fire({ icon: 'success', title: successText, timer: 1500, showConfirmButton: false });
+        return true;
+    }
+    const text = result.errors ? result.errors.map((err) => err.msg).join('\n') : result.message;
+    Swal.fire({ icon: 'error', title: 'Something went wrong', text });
+    return false;
+};
+
+const CompanyTeam = () => {
+    const { user, isAuthenticated } = useAuth();
+    const navigate = useNavigate();
+    const [company, setCompany] = useState(null);
+    const [myRole, setMyRole] = useState(null);
+    const [invites, setInvites] = useState([]);
+    const [profile, setProfile] = useState(EMPTY_PROFILE);
+    const [inviteEmail, setInviteEmail] = useState("");
+    const [inviteRole, setInviteRole] = useState("recruiter");
+    const [isLoading, setIsLoading] = useState(true);
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        if (!isAuthenticated) {
+            setIsLoading(false);
+            return;
+        }
+        setIsLoading(true);
+        apiService.getMyCompany().then((data) => {
+            if (data.success) {
+                setCompany(data.company);
+                setMyRole(data.role);
+                setInvites(data.invites || []);
+                setProfile({ ...EMPTY_PROFILE, ...data.company });
+            } else {
+                setCompany(null);
+            }
+        }).catch((error) => {
+            console.error('Error fetching company:', error);
+        }).finally(() => setIsLoading(false));
+    }, [isAuthenticated, reloadKey]);
+
+    const reload = () => setReloadKey(reloadKey + 1);
+    const isManager = myRole === "owner" || myRole === "admin";
+
+    const handleProfileChange = (event) => {
+        setProfile({ ...profile, [event.target.name]: event.target.value });
+    };
+
+    const handleProfileSubmit = async (event) => {
+        event.preventDefault();
+        const { name, logo, website, description } = profile;
+        const data = { name, logo, website, description };
+        const result = company ? await apiService.updateCompany(data) : await apiService.createCompany(data);
+        if (showResult(result, company ? 'Company updated' : 'Company created')) {
+            reload();
+        }
+    };
+
+    const handleInvite = async (event) => {
+        event.preventDefault();
+        const result = await apiService.inviteTeamMember(inviteEmail, inviteRole);
+        if (showResult(result, 'Invitation sent')) {
+            setInviteEmail("");
+            reload();
+        }
+    };
+
+    const handleRevoke = async (inviteId) => {
+        if (showResult(await apiService.revokeInvite(inviteId), 'Invitation revoked')) {
+            reload();
+        }
+    };
+
+    const handleRoleChange = async (member, role) => {
+        if (role === "owner") {
+            const confirm = await Swal.fire({
+                icon: 'warning',
+                title: `Make ${member.name || member.email} the owner?`,
+                text: 'You will become an admin of the company.',
+                showCancelButton: true
+            });
+            if (!confirm.isConfirmed) return;
+        }
+        if (showResult(await apiService.updateTeamMember(member.userId, role), 'Team member updated')) {
+            reload();
+        }
+    };
+
+    const handleRemove = async (member) => {
+        const isSelf = member.email === user?.email;
+        const confirm = await Swal.fire({
+            icon: 'warning',
+            title: isSelf ? 'Leave this company?' : `Remove ${member.name || member.email}?`,
+            text: 'Their job postings stay with the company.',
+            showCancelButton: true
+        });
+        if (!confirm.isConfirmed) return;
+
+        if (showResult(await apiService.removeTeamMember(member.userId), isSelf ? 'You left the company' : 'Team member removed')) {
+            reload();
+        }
+    };
+
+    if (!isAuthenticated || user?.role !== 'employer') {
+        return (
+            <div className="min-h-screen flex items-center justify-center">
+                <div className="text-center">
+                    <h2 className="text-2xl font-bold text-red-600 mb-4">Employers Only</h2>
+                    <p className="text-gray-600 mb-4">Please login with an employer account to manage your company</p>
+                    <button
+                        onClick={() => navigate('/login')}
+                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded"
+                    >
+                        Go to Login
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center justify-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+                <span className="ml-2 text-gray-600">Loading company...</span>
+            </div>
+        );
+    }
+
+    return (
+        <div className='max-w-screen-2xl container mx-auto xl:px-24 px-4'>
+            <div className="bg-[#FAFAFA] py-10 px-4 lg:px-16 space-y-8">
+                {/* Company profile */}
+                <form onSubmit={handleProfileSubmit} className="space-y-5">
+                    <h2 className="text-2xl font-bold">{company ? "Company Profile" : "Create Your Company"}</h2>
+                    {!company && (
+                        <p className="text-gray-600">Create a company to share job postings and applications with your team.</p>
+                    )}
+                    <div className="create-job-flex">
+                        <div className="lg:w-1/2 w-full">
+                            <label className='block mb-2 text-lg'>Company Name</label>
+                            <input name="name" value={profile.name} onChange={handleProfileChange} disabled={company && !isManager} className='create-job-input' required />
+                        </div>
+                        <div className="lg:w-1/2 w-full">
+                            <label className='block mb-2 text-lg'>Website</label>
+                            <input type="url" name="website" value={profile.website || ""} onChange={handleProfileChange} disabled={company && !isManager} className='create-job-input' />
+                        </div>
+                    </div>
+                    <div className="w-full">
+                        <label className='block mb-2 text-lg'>Logo URL</label>
+                        <input type="url" name="logo" value={profile.logo || ""} onChange={handleProfileChange} disabled={company && !isManager} className='create-job-input' />
+                    </div>
+                    <div className="w-full">
+                        <label className='block mb-2 text-lg'>Description</label>
+                        <textarea
+                            name="description"
+                            rows={4}
+                            value={profile.description || ""}
+                            onChange={handleProfileChange}
+                            disabled={company && !isManager}
+                            className='w-full pl-3 py-1.5 focus:outline-none'
+                            style={{ resize: 'none' }}
+                        />
+                    </div>
+                    {(!company || isManager) && (
+                        <input type="submit" value={company ? "Save Profile" : "Create Company"} className='block bg-blue text-white font-semibold px-8 py-2 rounded-sm cursor-pointer' />
+                    )}
+                </form>
+
+                {company && (
+                    <>
+                        {/* Team */}
+                        <div>
+                            <h3 className="text-xl font-bold mb-4">Team</h3>
+                            <table className="w-full bg-white text-sm">
+                                <thead>
+                                    <tr className="text-left uppercase text-xs text-gray-500">
+                                        <th className="p-3">Name</th>
+                                        <th className="p-3">Email</th>
+                                        <th className="p-3">Role</th>
+                                        <th className="p-3"></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {company.members.map((member) => (
+                                        <tr key={member.userId} className="border-t">
+                                            <td className="p-3">{member.name}</td>
+                                            <td className="p-3">{member.email}</td>
+                                            <td className="p-3">
+                                                {myRole === "owner" && member.email !== user.email ? (
+                                                    <select value={member.role} onChange={(e) => handleRoleChange(member, e.target.value)} className="border px-2 py-1">
+                                                        {TEAM_ROLES.map((role) => <option key={role} value={role}>{role}</option>)}
+                                                    </select>
+                                                ) : (
+                                                    <span className="capitalize">{member.role}</span>
+                                                )}
+                                            </td>
+                                            <td className="p-3 text-right">
+                                                {member.role !== "owner" && (isManager || member.email === user.email) && (
+                                                    <button onClick={() => handleRemove(member)} className="text-red-600 hover:underline">
+                                                        {member.email === user.email ? "Leave" : "Remove"}
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {/* Invitations */}
+                        {isManager && (
+                            <div>
+                                <h3 className="text-xl font-bold mb-4">Invite a Colleague</h3>
+                                <form onSubmit={handleInvite} className="flex flex-wrap gap-4 mb-4">
+                                    <input
+                                        type="email"
+                                        placeholder="colleague@company.com"
+                                        value={inviteEmail}
+                                        onChange={(e) => setInviteEmail(e.target.value)}
+                                        className="create-job-input flex-1"
+                                        required
+                                    />
+                                    <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} className="create-job-input w-40">
+                                        <option value="recruiter">Recruiter</option>
+                                        <option value="admin">Admin</option>
+                                    </select>
+                                    <button type="submit" className="bg-blue text-white font-semibold px-8 py-2 rounded-sm">Send Invite</button>
+                                </form>
+
+                                {invites.length > 0 && (
+                                    <ul className="bg-white divide-y text-sm">
+                                        {invites.map((invite) => (
+                                            <li key={invite._id} className="flex justify-between items-center p-3">
+                                                <span>{invite.email} <span className="text-gray-500">({invite.role}, expires {new Date(invite.expiresAt).toLocaleDateString()})</span></span>
+                                                <button onClick={() => handleRevoke(invite._id)} className="text-red-600 hover:underline">Revoke</button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default CompanyTeam
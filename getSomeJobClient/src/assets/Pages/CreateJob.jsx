@@ -9,6 +9,7 @@ const CreateJob = () => {
     const [selectedOption, setSelectedOption] = useState(null);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState(null);
+    const [fieldErrors, setFieldErrors] = useState({});
     const { user, isAuthenticated } = useAuth();
     const navigate = useNavigate();
     
@@ -28,13 +29,23 @@ const CreateJob = () => {
         try {
             setIsSubmitting(true);
             setError(null);
+            setFieldErrors({});
             
-            data.skills = selectedOption;
-            data.postedBy = user.email;
+            data.skills = (selectedOption || []).map((option) => option.value);
+            // The job stays open until the end of the chosen day in the employer's time zone
+            if (data.expiresAt) {
+                data.expiresAt = new Date(`${data.expiresAt}T23:59:59.999`).toISOString();
+            }
             
             // Try new API first, fallback to legacy API
             try {
                 const result = await apiService.createJob(data);
+                if (result.errors) {
+                    // Per-field validation errors from the job schema
+                    setFieldErrors(Object.fromEntries(result.errors.map((err) => [err.path, err.msg])));
+                    setError('Please fix the following fields:');
+                    return;
+                }
                 if (result.message) {
                     alert("Job Posted Successfully");
                     reset();
@@ -116,6 +127,13 @@ const CreateJob = () => {
                 {error && (
                     <div className="mb-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded">
                         {error}
+                        {Object.keys(fieldErrors).length > 0 && (
+                            <ul className="list-disc pl-5 mt-2 text-sm">
+                                {Object.entries(fieldErrors).map(([field, message]) => (
+                                    <li key={field}>{message}</li>
+                                ))}
+                            </ul>
+                        )}
                     </div>
                 )}
                 
@@ -150,21 +168,25 @@ const CreateJob = () => {
                         <div className="lg:w-1/2 w-full">
                             <label className='block mb-2 text-lg'>Minimum Salary</label>
                             <input 
-                                type="text" 
-                                placeholder='Ex: 3LPA' 
+                                type="number" 
+                                min="0"
+                                placeholder='Ex: 90000' 
                                 {...register("minPrice")} 
                                 className='create-job-input'
                             />
+                            {fieldErrors.minPrice && <span className="text-red-500 text-sm">{fieldErrors.minPrice}</span>}
                         </div>
                         <div className="lg:w-1/2 w-full">
                             <label className='block mb-2 text-lg'>Maximum Salary</label>
                             <input 
-                                type="text" 
-                                placeholder='Ex: 20LPA' 
+                                type="number" 
+                                min="0"
+                                placeholder='Ex: 120000' 
                                 {...register("maxPrice", { required: true })} 
                                 className='create-job-input'
                             />
                             {errors.maxPrice && <span className="text-red-500 text-sm">Maximum salary is required</span>}
+                            {fieldErrors.maxPrice && <span className="text-red-500 text-sm">{fieldErrors.maxPrice}</span>}
                         </div>
                     </div>
 
@@ -209,7 +231,7 @@ const CreateJob = () => {
                                 <option value="">Choose Experience Type</option>
                                 <option value="Fresher/No Experience">Fresher</option>
                                 <option value="Internship">Internship</option>
-                                <option value="Remote Work">Experienced</option>
+                                <option value="Experienced">Experienced</option>
                             </select>
                             {errors.experienceLevel && <span className="text-red-500 text-sm">Experience level is required</span>}
                         </div>
@@ -264,7 +286,27 @@ const CreateJob = () => {
                         {errors.description && <span className="text-red-500 text-sm">Job description is required</span>}
                     </div>
 
-                    <input 
+                    {/* 8th Row */}
+                    <div className="create-job-flex">
+                        <div className="lg:w-1/2 w-full">
+                            <label className='block mb-2 text-lg'>Visibility</label>
+                            <select {...register("status")} className='create-job-input'>
+                                <option value="published">Publish now</option>
+                                <option value="draft">Save as draft</option>
+                            </select>
+                        </div>
+                        <div className="lg:w-1/2 w-full">
+                            <label className='block mb-2 text-lg'>Expires On</label>
+                            <input
+                                type="date"
+                                {...register("expiresAt")}
+                                className='create-job-input'
+                            />
+                            <span className="text-gray-500 text-sm">Closes at the end of that day in your time zone; defaults to 30 days after publishing</span>
+                        </div>
+                    </div>
+
+                    <input
                         type="submit" 
                         value={isSubmitting ? "Posting Job..." : "Post Job"}
                         disabled={isSubmitting}
@@ -1,128 +1,180 @@
 import { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import Banner from "../../components/Banner"
 import Card from "../../components/Card";
 import Jobs from "./Jobs";
 import Sidebar from "../../sidebar/Sidebar";
 import Newsletter from "../../components/Newsletter";
+import RecommendedJobs from "../../components/RecommendedJobs";
 import { apiService } from "../../services/api";
+import { useAuth } from "../../context/AuthContext";
+
+// Filters understood by GET /api/jobs, mirrored in the URL query string
+const FILTER_KEYS = ["search", "location", "type", "experience", "salaryPeriod", "salaryMin", "salaryMax", "postedWithin"];
+const itemsPerPage = 6;
+
+// Read the active filters from the URL, dropping empty values
+const readFilters = (searchParams) => {
+  const filters = {};
+  FILTER_KEYS.forEach((key) => {
+    const value = searchParams.get(key);
+    if (value) {
+      filters[key] = value;
+    }
+  });
+  return filters;
+};
 
 const Home = () => {
-  const [selectedCategory, setSelectedCategory] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [facets, setFacets] = useState({});
   const [jobs, setJobs] = useState([]);
+  const [total, setTotal] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [filterError, setFilterError] = useState(null);
   const [totalPages, setTotalPages] = useState(1);
-  const itemsPerPage = 6;
+  const [reloadKey, setReloadKey] = useState(0);
+  const [savedIds, setSavedIds] = useState([]);
+  const { user } = useAuth();
+  const isJobseeker = user?.role === "jobseeker";
 
+  const queryString = searchParams.toString();
+  const filters = readFilters(searchParams);
+  const currentPage = Math.max(parseInt(searchParams.get("page")) || 1, 1);
+
+  // Jobs for the current filters and page
   useEffect(() => {
-    fetchJobs();
-  }, [currentPage]);
-
-  const fetchJobs = async () => {
-    try {
-      setIsLoading(true);
-      setError(null);
-      
-      // Try new API first, fallback to legacy API
+    const params = new URLSearchParams(queryString);
+    const fetchJobs = async () => {
       try {
-        const response = await apiService.getJobs({
-          page: currentPage,
-          limit: itemsPerPage
-        });
-        
+        setIsLoading(true);
+        setError(null);
+
+        setFilterError(null);
+
+        // Try new API first, fallback to legacy API when it cannot be reached
+        let response;
+        try {
+          response = await apiService.getJobs({
+            ...readFilters(params),
+            page: params.get("page") || 1,
+            limit: itemsPerPage
+          });
+        } catch (error) {
+          // Fallback to legacy API (unfiltered)
+          const legacyJobs = await apiService.getAllJobs();
+          const page = Math.max(parseInt(params.get("page")) || 1, 1);
+          setJobs(legacyJobs.slice((page - 1) * itemsPerPage, page * itemsPerPage));
+          setTotal(legacyJobs.length);
+          setTotalPages(Math.ceil(legacyJobs.length / itemsPerPage));
+          return;
+        }
+
         if (response.jobs) {
           setJobs(response.jobs);
+          setTotal(response.total || 0);
           setTotalPages(response.totalPages || 1);
+        } else if (response.errors) {
+          // A filter in the URL the API rejects, e.g. from a mistyped or outdated link
+          setJobs([]);
+          setTotal(0);
+          setTotalPages(1);
+          setFilterError(response.errors[0].msg);
         } else {
-          // Fallback to legacy API
-          const legacyJobs = await apiService.getAllJobs();
-          setJobs(legacyJobs);
-          setTotalPages(Math.ceil(legacyJobs.length / itemsPerPage));
+          throw new Error(response.message || 'Unexpected response');
+        }
+      } catch (error) {
+        setError('Failed to fetch jobs. Please try again later.');
+        console.error('Error fetching jobs:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchJobs();
+  }, [queryString, reloadKey]);
+
+  // Sidebar option counts for the current filters
+  useEffect(() => {
+    const params = new URLSearchParams(queryString);
+    const fetchFacets = async () => {
+      try {
+        const response = await apiService.getJobFacets(readFilters(params));
+        if (response.success) {
+          setFacets(response);
         }
       } catch (error) {
-        // Fallback to legacy API
-        const legacyJobs = await apiService.getAllJobs();
-        setJobs(legacyJobs);
-        setTotalPages(Math.ceil(legacyJobs.length / itemsPerPage));
+        console.error('Error fetching job filters:', error);
       }
-    } catch (error) {
-      setError('Failed to fetch jobs. Please try again later.');
-      console.error('Error fetching jobs:', error);
-    } finally {
-      setIsLoading(false);
+    };
+
+    fetchFacets();
+  }, [queryString]);
+
+  // Saved jobs, for the bookmark toggles on each card
+  useEffect(() => {
+    if (!isJobseeker) {
+      setSavedIds([]);
+      return;
     }
-  };
+    apiService.getSavedJobIds().then((response) => {
+      if (response.success) {
+        setSavedIds(response.jobIds);
+      }
+    }).catch((error) => console.error('Error fetching saved jobs:', error));
+  }, [isJobseeker]);
 
-  const [query, setQuery] = useState("");
-  const handleInputChange = (event) => {
-    setQuery(event.target.value)
+  const handleSavedChange = (jobId, saved) => {
+    setSavedIds(saved ? [...savedIds, jobId] : savedIds.filter((id) => id !== jobId));
   }
 
-  // FILTER JOBS BY TITLE
-  const filteredItems = jobs.filter((job) => job.jobTitle.toLowerCase().indexOf(query.toLowerCase()) !== -1)
-
-  // Radio Filtering
-  const handleChange = (event) => {
-    setSelectedCategory(event.target.value)
+  // Merge a filter change into the URL. Any filter change goes back to page 1.
+  const updateFilters = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === "") {
+        next.delete(key);
+      } else {
+        next.set(key, value);
+      }
+    });
+    if (!("page" in changes)) {
+      next.delete("page");
+    }
+    setSearchParams(next);
   }
 
-  // Button based Filtering
-  const handleClick = (event) => {
-    setSelectedCategory(event.target.value)
+  const clearFilters = () => {
+    setSearchParams(new URLSearchParams());
   }
 
-  //Calculate the index range
-  const calculatePageRange = () => {
-    const startIndex = (currentPage -1) * itemsPerPage;
-    const endIndex = startIndex + itemsPerPage;
-    return {startIndex, endIndex};
+  const handleSearch = ({search, location}) => {
+    updateFilters({search, location});
   }
 
   // Function for the next page
   const nextPage = () => {
     if (currentPage < totalPages){
-      setCurrentPage(currentPage + 1);
+      updateFilters({page: currentPage + 1});
     }
   }
 
   // Function for the previous page
   const prevPage = () => {
     if(currentPage > 1){
-      setCurrentPage(currentPage - 1)
-    }
-  }
-
-  //Main Function
-  const filteredData = (jobs, selected, query) => {
-    let filteredJobs = jobs;
-
-    //Filtering Input Items
-    if(query){
-      filteredJobs = filteredItems;
-    }
-
-    //Category Filtering
-    if(selected) {
-      filteredJobs = filteredJobs.filter(({jobLocation, maxPrice, experienceLevel, salaryType, employmentType, postingDate,
-      }) =>
-        jobLocation.toLowerCase() === selected.toLowerCase() ||
-        parseInt(maxPrice) <= parseInt(selected) ||
-        postingDate >= selected ||
-        salaryType.toLowerCase() === selected.toLowerCase() ||
-        experienceLevel.toLowerCase() === selected.toLowerCase() ||
-        employmentType.toLowerCase() === selected.toLowerCase()
-      );
+      updateFilters({page: currentPage - 1});
     }
-
-    // Slice the data based on current page
-    const {startIndex, endIndex} = calculatePageRange();
-    filteredJobs = filteredJobs.slice(startIndex, endIndex)
-
-    return filteredJobs.map((data, i) => <Card key={i} data={data}/>)
   }
 
-  const result = filteredData(jobs, selectedCategory, query);
+  const result = jobs.map((data) => (
+    <Card
+      key={data._id}
+      data={data}
+      saved={savedIds.includes(data._id)}
+      onSavedChange={isJobseeker ? handleSavedChange : undefined}
+    />
+  ));
 
   if (error) {
     return (
@@ -130,8 +182,8 @@ const Home = () => {
         <div className="text-center">
           <h2 className="text-2xl font-bold text-red-600 mb-4">Error</h2>
           <p className="text-gray-600 mb-4">{error}</p>
-          <button 
-            onClick={fetchJobs}
+          <button
+            onClick={() => setReloadKey(reloadKey + 1)}
             className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded"
           >
             Try Again
@@ -143,24 +195,44 @@ const Home = () => {
 
   return (
     <div>
-      <Banner query={query} handleInputChange={handleInputChange} />
-    
+      <Banner
+        key={`${filters.search || ""}|${filters.location || ""}`}
+        search={filters.search}
+        location={filters.location}
+        onSearch={handleSearch}
+      />
+
+      {isJobseeker && <RecommendedJobs key={user.email}/>}
+
       {/* Main Content */}
       <div className="bg-[#FAFAFA] md:grid grid-cols-4 gap-8 lg:px-24 px-4 py-12">
         {/* Left Side */}
         <div className="bg-white p-4 rounded">
-          <Sidebar handleChange={handleChange} handleClick={handleClick}/>
+          <Sidebar
+            filters={filters}
+            onFilterChange={updateFilters}
+            onClearFilters={clearFilters}
+            facets={facets}
+          />
         </div>
 
         {/* Jobs Cards */}
-        <div className="col-span-2 bg-white p-4 rounded-sm"> 
+        <div className="col-span-2 bg-white p-4 rounded-sm">
           {isLoading ? (
             <div className="flex items-center justify-center py-8">
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
               <span className="ml-2 text-gray-600">Loading jobs...</span>
             </div>
+          ) : filterError ? (
+            <div className="text-center py-8">
+              <h3 className="text-lg font-bold mb-2">Invalid Filter</h3>
+              <p className="text-gray-600 mb-4">{filterError}</p>
+              <button onClick={clearFilters} className="bg-blue text-white font-semibold px-4 py-2 rounded-sm">
+                Clear Filters
+              </button>
+            </div>
           ) : result.length > 0 ? (
-            <Jobs result={result}/>
+            <Jobs result={result} total={total}/>
           ) : (
             <div className="text-center py-8">
               <h3 className="text-lg font-bold mb-2">No Jobs Found</h3>
@@ -171,9 +243,9 @@ const Home = () => {
           {/* PAGINATION */}
           {result.length > 0 && !isLoading && (
             <div className="flex justify-center mt-4 space-x-8">
-              <button 
-                onClick={prevPage} 
-                disabled={currentPage === 1} 
+              <button
+                onClick={prevPage}
+                disabled={currentPage === 1}
                 className="hover:underline font-bold disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 Previous
@@ -181,9 +253,9 @@ const Home = () => {
               <span className="mx-2">
                 Page {currentPage} of {totalPages}
               </span>
-              <button 
-                onClick={nextPage} 
-                disabled={currentPage === totalPages} 
+              <button
+                onClick={nextPage}
+                disabled={currentPage >= totalPages}
                 className="hover:underline font-bold disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 Next
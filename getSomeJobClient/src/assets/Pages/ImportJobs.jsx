@@ -0,0 +1,176 @@
+import React, { useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import { FiCheckCircle, FiUpload, FiXCircle } from 'react-icons/fi';
+import PageHeader from '../../components/PageHeader';
+import { useAuth } from '../../context/AuthContext';
+import { apiService } from '../../services/api';
+
+const CSV_COLUMNS = 'jobTitle, companyName, companyLogo, minPrice, maxPrice, salaryType, jobLocation, postingDate, experienceLevel, employmentType, description, skills, expiresAt, status';
+
+// Upload a CSV or JSON file of jobs, check every row, then import the valid ones
+const ImportJobs = () => {
+    const { user, isAuthenticated } = useAuth();
+    const navigate = useNavigate();
+    const [file, setFile] = useState(null);
+    const [preview, setPreview] = useState(null);
+    const [isChecking, setIsChecking] = useState(false);
+    const [isImporting, setIsImporting] = useState(false);
+
+    const handleFile = (event) => {
+        setFile(event.target.files[0] || null);
+        setPreview(null);
+    };
+
+    const handlePreview = async (event) => {
+        event.preventDefault();
+        if (!file) return;
+
+        setIsChecking(true);
+        try {
+            const result = await apiService.importJobs(file, { dryRun: true });
+            if (result.success) {
+                setPreview(result);
+            } else {
+                Swal.fire({ icon: 'error', title: 'Oops...', text: result.message || result.errors?.[0]?.msg });
+            }
+        } catch (error) {
+            Swal.fire({ icon: 'error', title: 'Oops...', text: error.message });
+        } finally {
+            setIsChecking(false);
+        }
+    };
+
+    const handleImport = async () => {
+        const { summary } = preview;
+        if (summary.invalid > 0) {
+            const confirm = await Swal.fire({
+                icon: 'warning',
+                title: 'Skip invalid rows?',
+                text: `${summary.invalid} of ${summary.total} rows have errors and will not be imported.`,
+                showCancelButton: true,
+                confirmButtonText: `Import ${summary.valid} jobs`,
+            });
+            if (!confirm.isConfirmed) return;
+        }
+
+        setIsImporting(true);
+        try {
+            const result = await apiService.importJobs(file, { dryRun: false });
+            if (result.success) {
+                await Swal.fire({ icon: 'success', title: `Imported ${result.summary.inserted} jobs` });
+                navigate('/my-job');
+            } else {
+                Swal.fire({ icon: 'error', title: 'Oops...', text: result.message || result.errors?.[0]?.msg });
+            }
+        } catch (error) {
+            Swal.fire({ icon: 'error', title: 'Oops...', text: error.message });
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
+    if (!isAuthenticated || user?.role !== 'employer') {
+        return (
+            <div className="min-h-screen flex items-center justify-center">
+                <div className="text-center">
+                    <h2 className="text-2xl font-bold text-red-600 mb-4">Employers Only</h2>
+                    <p className="text-gray-600 mb-4">Please login with an employer account to import jobs</p>
+                    <button
+                        onClick={() => navigate('/login')}
+                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded"
+                    >
+                        Go to Login
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-screen-2xl container mx-auto xl:px-24 px-4">
+            <PageHeader title="Import Jobs" path="Import Jobs" />
+
+            <div className="py-8 space-y-6">
+                <Link to="/my-job" className="text-blue hover:underline text-sm">&larr; Back to my jobs</Link>
+
+                <form onSubmit={handlePreview} className="card space-y-3">
+                    <p className="text-sm text-primary/70">
+                        Upload a JSON array of jobs (like <code>jobs.json</code>) or a CSV file with a header row.
+                        CSV columns: <code>{CSV_COLUMNS}</code>. Separate skills with semicolons.
+                        Rows are checked with the same rules as a single posting; nothing is saved until you import.
+                    </p>
+                    <div className="flex flex-wrap items-center gap-4">
+                        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="text-sm" />
+                        <button
+                            type="submit"
+                            disabled={!file || isChecking}
+                            className="bg-blue text-white py-2 px-4 rounded-sm flex items-center gap-2 disabled:opacity-50"
+                        >
+                            <FiUpload /> {isChecking ? 'Checking...' : 'Preview'}
+                        </button>
+                    </div>
+                </form>
+
+                {preview && (
+                    <section className="space-y-4">
+                        <div className="flex flex-wrap justify-between items-center gap-4">
+                            <p>
+                                <strong>{preview.summary.total}</strong> rows: <span className="text-green-700">{preview.summary.valid} valid</span>,{' '}
+                                <span className="text-red-600">{preview.summary.invalid} with errors</span>
+                            </p>
+                            <button
+                                onClick={handleImport}
+                                disabled={isImporting || preview.summary.valid === 0}
+                                className="bg-green-600 text-white py-2 px-4 rounded-sm disabled:opacity-50"
+                            >
+                                {isImporting ? 'Importing...' : `Import ${preview.summary.valid} valid jobs`}
+                            </button>
+                        </div>
+
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm border-collapse">
+                                <thead>
+                                    <tr className="text-left bg-gray-50">
+                                        <th className="p-2 border">Row</th>
+                                        <th className="p-2 border">Status</th>
+                                        <th className="p-2 border">Job</th>
+                                        <th className="p-2 border">Errors</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {preview.rows.map((row) => (
+                                        <tr key={row.row} className={row.valid ? '' : 'bg-red-50'}>
+                                            <td className="p-2 border">{row.row}</td>
+                                            <td className="p-2 border">
+                                                {row.valid
+                                                    ? <span className="flex items-center gap-1 text-green-700"><FiCheckCircle /> Valid</span>
+                                                    : <span className="flex items-center gap-1 text-red-600"><FiXCircle /> Invalid</span>}
+                                            </td>
+                                            <td className="p-2 border">
+                                                {row.valid
+                                                    ? `${row.job.jobTitle} at ${row.job.companyName}, ${row.job.jobLocation} (${row.job.status})`
+                                                    : '—'}
+                                            </td>
+                                            <td className="p-2 border">
+                                                {row.valid ? null : (
+                                                    <ul className="list-disc list-inside text-red-600">
+                                                        {row.errors.map((error, index) => (
+                                                            <li key={index}>{error.path ? `${error.path}: ` : ''}{error.msg}</li>
+                                                        ))}
+                                                    </ul>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </section>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default ImportJobs
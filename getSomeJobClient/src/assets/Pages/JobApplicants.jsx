@@ -0,0 +1,289 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useParams } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import { FiBriefcase, FiMapPin } from 'react-icons/fi';
+import PageHeader from '../../components/PageHeader';
+import InterviewScheduler from '../../components/InterviewScheduler';
+import ApplicantExport from '../../components/ApplicantExport';
+import { useAuth } from '../../context/AuthContext';
+import { apiService } from '../../services/api';
+
+// Badge colour for a match score
+const scoreBadge = (score) => {
+    if (score === null) return "bg-gray-200 text-gray-700";
+    if (score >= 75) return "bg-green-100 text-green-700";
+    if (score >= 50) return "bg-yellow-100 text-yellow-700";
+    return "bg-red-100 text-red-700";
+};
+
+const formatFit = (score) => score === null ? "Unknown" : `${Math.round(score * 100)}%`;
+
+const JobApplicants = () => {
+    const { id } = useParams();
+    const { user, subscribe } = useAuth();
+    const [job, setJob] = useState(null);
+    const [applications, setApplications] = useState([]);
+    const [pipeline, setPipeline] = useState(null);
+    // Latest interview per application id
+    const [interviews, setInterviews] = useState({});
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (user?.role !== 'employer') {
+            setIsLoading(false);
+            return;
+        }
+        Promise.all([
+            apiService.getJob(id),
+            apiService.getJobApplications(id),
+            apiService.getJobPipeline(id),
+            apiService.getInterviews({ jobId: id }),
+        ])
+            .then(([jobData, applicationData, pipelineData, interviewData]) => {
+                setJob(jobData);
+                setPipeline(pipelineData.pipeline || null);
+                // Newest first, so the first one seen per application is its latest
+                const latest = {};
+                (interviewData.interviews || []).forEach((interview) => {
+                    latest[interview.applicationId] = latest[interview.applicationId] || interview;
+                });
+                setInterviews(latest);
+                if (Array.isArray(applicationData)) {
+                    setApplications(applicationData);
+                } else {
+                    setError(applicationData.message);
+                }
+            })
+            .catch(() => setError('Failed to fetch applicants. Please try again later.'))
+            .finally(() => setIsLoading(false));
+    }, [id, user?.role]);
+
+    // Live updates: new applicants, moves by teammates and candidate messages
+    useEffect(() => {
+        const unsubscribers = [
+            subscribe('application:new', (event) => {
+                if (event.jobId !== id) return;
+                apiService.getJobApplications(id).then((applicationData) => {
+                    if (Array.isArray(applicationData)) setApplications(applicationData);
+                }).catch((error) => console.error('Error fetching applicants:', error));
+            }),
+            subscribe('application:status', (event) => {
+                if (event.jobId !== id) return;
+                setApplications((current) => current.map((entry) => entry._id === event.applicationId
+                    ? {
+                        ...entry,
+                        status: event.status,
+                        statusHistory: event.statusHistory || entry.statusHistory,
+                        withdrawalReason: event.withdrawalReason || entry.withdrawalReason,
+                    }
+                    : entry));
+            }),
+            subscribe('message:new', (message) => {
+                if (message.visibility !== 'thread' || message.sender.side !== 'candidate') return;
+                setApplications((current) => current.map((entry) => entry._id === message.applicationId
+                    ? { ...entry, unreadMessages: (entry.unreadMessages || 0) + 1 }
+                    : entry));
+            }),
+        ];
+        return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }, [id, subscribe]);
+
+    const handleDownload = async (application) => {
+        try {
+            const blob = await apiService.downloadResume(application.resumeId);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${application.resumeName || 'resume'}.${blob.type === 'application/pdf' ? 'pdf' : 'docx'}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            Swal.fire({ icon: 'error', title: 'Oops...', text: error.message });
+        }
+    };
+
+    const stageLabel = (key) => key === 'withdrawn'
+        ? 'Withdrawn'
+        : pipeline?.stages.find((stage) => stage.key === key)?.label || key;
+
+    const isInterviewStage = (key) => {
+        const stage = pipeline?.stages.find((entry) => entry.key === key);
+        return !!stage && (stage.interview === true || (stage.interview === undefined && stage.key === 'interview'));
+    };
+
+    // Stages the application can move to next; unknown (older) statuses may go anywhere
+    const nextStages = (status) => {
+        if (!pipeline || status === 'withdrawn') return [];
+        if (!pipeline.stages.some((stage) => stage.key === status)) {
+            return pipeline.stages.filter((stage) => stage.key !== status);
+        }
+        return (pipeline.transitions[status] || []).map((key) => pipeline.stages.find((stage) => stage.key === key));
+    };
+
+    const handleMove = async (application, stage) => {
+        const { value: note, isConfirmed } = await Swal.fire({
+            title: `Move to ${stage.label}?`,
+            text: stage.candidateVisible ? 'The candidate will be notified.' : 'This stage is not shown to the candidate.',
+            input: 'textarea',
+            inputPlaceholder: 'Optional note for your team',
+            showCancelButton: true,
+            confirmButtonText: 'Move',
+        });
+        if (!isConfirmed) return;
+
+        try {
+            const result = await apiService.updateApplicationStatus(application._id, stage.key, note || undefined);
+            if (result.application) {
+                setApplications(applications.map((entry) => entry._id === application._id
+                    ? { ...entry, status: result.application.status, statusHistory: result.application.statusHistory }
+                    : entry));
+            } else {
+                Swal.fire({ icon: 'error', title: 'Oops...', text: result.message });
+            }
+        } catch (error) {
+            Swal.fire({ icon: 'error', title: 'Oops...', text: error.message });
+        }
+    };
+
+    if (user?.role !== 'employer') {
+        return (
+            <div className="min-h-screen flex items-center justify-center">
+                <div className="text-center">
+                    <h2 className="text-2xl font-bold text-red-600 mb-4">Employers Only</h2>
+                    <p className="text-gray-600">Please login with an employer account to see applicants</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-screen-2xl container mx-auto xl:px-24 px-4">
+            <PageHeader title={job?.jobTitle ? `Applicants: ${job.jobTitle}` : "Applicants"} path="Applicants" />
+
+            <div className="py-8 space-y-4">
+                <Link to="/my-job" className="text-blue hover:underline text-sm">&larr; Back to my jobs</Link>
+
+                {applications.length > 0 && (
+                    <ApplicantExport jobId={id} stages={pipeline?.stages || []} />
+                )}
+
+                {isLoading ? (
+                    <div className="flex items-center justify-center py-8">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+                        <span className="ml-2 text-gray-600">Loading applicants...</span>
+                    </div>
+                ) : error ? (
+                    <p className="text-center text-red-600">{error}</p>
+                ) : applications.length === 0 ? (
+                    <div className="text-center py-8">
+                        <h3 className="text-lg font-bold mb-2">No Applicants Yet</h3>
+                        <p className="text-gray-600">Applications for this job will show up here, best match first.</p>
+                    </div>
+                ) : (
+                    applications.map((application) => {
+                        const { match } = application;
+                        return (
+                            <div key={application._id} className="card">
+                                <div className="flex justify-between items-start gap-4">
+                                    <div>
+                                        <h3 className="text-lg font-semibold">{application.applicantName}</h3>
+                                        <p className="text-primary/70 text-sm">{application.applicantEmail}</p>
+                                        <p className="text-primary/70 text-sm">
+                                            Applied {new Date(application.appliedAt).toLocaleDateString()} &middot; <span className="font-semibold">{stageLabel(application.status)}</span>
+                                        </p>
+                                    </div>
+                                    <span className={`px-3 py-1 rounded-full font-semibold text-sm ${scoreBadge(match.score)}`}>
+                                        {match.score === null ? "No score" : `${match.score}% match`}
+                                    </span>
+                                </div>
+
+                                {/* Why the applicant scored what they did */}
+                                <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                                    <div>
+                                        <p className="font-semibold mb-1">Skills &middot; {formatFit(match.skills.score)}</p>
+                                        <div className="flex flex-wrap gap-1">
+                                            {match.skills.matched.map((skill) => (
+                                                <span key={skill} className="px-2 py-0.5 rounded-full bg-green-100 text-green-700 text-xs">{skill}</span>
+                                            ))}
+                                            {match.skills.missing.map((skill) => (
+                                                <span key={skill} className="px-2 py-0.5 rounded-full bg-red-100 text-red-700 text-xs line-through">{skill}</span>
+                                            ))}
+                                        </div>
+                                    </div>
+                                    <div>
+                                        <p className="font-semibold mb-1">Experience &middot; {formatFit(match.experience.score)}</p>
+                                        <p className="flex items-center gap-2 text-primary/70">
+                                            <FiBriefcase /> {match.experience.years ?? "?"} years for {match.experience.required}
+                                        </p>
+                                    </div>
+                                    <div>
+                                        <p className="font-semibold mb-1">Location &middot; {formatFit(match.location.score)}</p>
+                                        <p className="flex items-center gap-2 text-primary/70">
+                                            <FiMapPin /> {match.location.candidate || "Unknown"} for {match.location.job || "any location"}
+                                        </p>
+                                    </div>
+                                </div>
+
+                                {/* Pipeline: next stages and the timeline so far */}
+                                <div className="mt-4 flex flex-wrap gap-2 text-sm">
+                                    {nextStages(application.status).map((stage) => (
+                                        <button
+                                            key={stage.key}
+                                            onClick={() => handleMove(application, stage)}
+                                            className="border border-blue text-blue py-1 px-3 rounded-sm"
+                                        >
+                                            {stage.label}
+                                        </button>
+                                    ))}
+                                </div>
+                                {(isInterviewStage(application.status) || ['proposed', 'scheduled'].includes(interviews[application._id]?.status)) && (
+                                    <InterviewScheduler
+                                        application={application}
+                                        interview={interviews[application._id]}
+                                        onChange={(interview) => setInterviews({ ...interviews, [application._id]: interview })}
+                                    />
+                                )}
+                                {application.withdrawalReason && (
+                                    <p className="mt-3 text-sm text-red-700">
+                                        Withdrawn by the candidate: <span className="italic">{application.withdrawalReason}</span>
+                                    </p>
+                                )}
+                                {(application.statusHistory || []).length > 0 && (
+                                    <ol className="mt-3 border-l pl-4 space-y-1 text-xs text-primary/70">
+                                        {application.statusHistory.map((entry, index) => (
+                                            <li key={index}>
+                                                <span className="font-semibold">{stageLabel(entry.to)}</span>
+                                                {" "}&middot; {new Date(entry.at).toLocaleString()}
+                                                {entry.by?.name && ` · ${entry.by.name}`}
+                                                {entry.note && <span className="block italic">{entry.note}</span>}
+                                            </li>
+                                        ))}
+                                    </ol>
+                                )}
+
+                                <div className="mt-4 flex gap-4 text-sm">
+                                    <Link to={`/applications/${application._id}/messages`} className="text-blue hover:underline">
+                                        Messages{application.unreadMessages > 0 ? ` (${application.unreadMessages} new)` : ""}
+                                    </Link>
+                                    {application.resumeId && (
+                                        <button onClick={() => handleDownload(application)} className="text-blue hover:underline">
+                                            Download resume{application.resumeName ? ` (${application.resumeName})` : ""}
+                                        </button>
+                                    )}
+                                    {/^https?:\/\//.test(application.resumeLink || "") && (
+                                        <a href={application.resumeLink} target="_blank" rel="noopener noreferrer" className="text-blue hover:underline">
+                                            Resume link
+                                        </a>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default JobApplicants
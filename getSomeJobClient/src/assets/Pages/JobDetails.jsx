@@ -1,7 +1,9 @@
-import React, { useEffect, useState } from 'react'
-import { useParams, useNavigate } from 'react-router-dom'
+import React, { useCallback, useEffect, useState } from 'react'
+import { Link, useParams, useNavigate } from 'react-router-dom'
 import Swal from 'sweetalert2'
 import PageHeader from '../../components/PageHeader'
+import BookmarkButton from '../../components/BookmarkButton'
+import CandidateInterview from '../../components/CandidateInterview'
 import { apiService } from '../../services/api';
 import { useAuth } from '../../context/AuthContext';
 import { FiCalendar, FiClock, FiDollarSign, FiMapPin, FiHome, FiUser, FiMail } from 'react-icons/fi';
@@ -9,33 +11,94 @@ import { FiCalendar, FiClock, FiDollarSign, FiMapPin, FiHome, FiUser, FiMail } f
 const JobDetails = () => {
     const { id } = useParams();
     const navigate = useNavigate();
-    const { isAuthenticated, user } = useAuth();
+    const { isAuthenticated, user, subscribe } = useAuth();
     const [job, setJob] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
     const [isApplying, setIsApplying] = useState(false);
+    const [isSaved, setIsSaved] = useState(false);
+    const [myApplication, setMyApplication] = useState(null);
 
     useEffect(() => {
         fetchJobDetails();
     }, [id]);
 
+    useEffect(() => {
+        if (user?.role !== 'jobseeker') return;
+        apiService.getSavedJobIds().then((response) => {
+            if (response.success) {
+                setIsSaved(response.jobIds.includes(id));
+            }
+        }).catch((error) => console.error('Error fetching saved jobs:', error));
+    }, [id, user?.role]);
+
+    // The jobseeker's current application for this job, if any
+    const fetchMyApplication = useCallback(() => {
+        apiService.getUserApplications(user.email).then((applications) => {
+            if (Array.isArray(applications)) {
+                setMyApplication(applications.find((application) => application.jobId === id && application.active) || null);
+            }
+        }).catch((error) => console.error('Error fetching applications:', error));
+    }, [id, user?.email]);
+
+    useEffect(() => {
+        if (user?.role !== 'jobseeker') return;
+        fetchMyApplication();
+    }, [fetchMyApplication, user?.role]);
+
+    // Live updates to the candidate's application: stage moves and new messages
+    useEffect(() => {
+        const updateMine = (applicationId, update) => setMyApplication((current) => (
+            current && current._id === applicationId ? { ...current, ...update(current) } : current
+        ));
+        const unsubscribers = [
+            subscribe('application:status', (event) => updateMine(event.applicationId, () => ({ status: event.status }))),
+            subscribe('message:new', (message) => {
+                if (message.sender.side !== 'employer') return;
+                updateMine(message.applicationId, (current) => ({ unreadMessages: (current.unreadMessages || 0) + 1 }));
+            }),
+        ];
+        return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }, [subscribe]);
+
+    // JobPosting structured data in the page head, for search engines.
+    // Only published jobs have it; other states are not indexed.
+    useEffect(() => {
+        if (job?.status !== 'published') return undefined;
+        let script = null;
+        let cancelled = false;
+        apiService.getJobJsonLd(id).then((jsonLd) => {
+            if (cancelled) return;
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.textContent = jsonLd;
+            document.head.appendChild(script);
+        }).catch((error) => console.error('Error fetching job structured data:', error));
+        return () => {
+            cancelled = true;
+            script?.remove();
+        };
+    }, [id, job?.status]);
+
     const fetchJobDetails = async () => {
         try {
             setIsLoading(true);
             setError(null);
             
-            // Try new API first, fallback to legacy API
+            // Try new API first, fallback to legacy API when it is unreachable
+            let data;
             try {
-                const data = await apiService.getJob(id);
-                if (data.message === 'Job not found') {
-                    throw new Error('Job not found');
-                }
-                setJob(data);
+                data = await apiService.getJob(id);
             } catch (error) {
-                // Fallback to legacy API
-                const data = await apiService.getJobById(id);
-                setJob(data);
+                data = await apiService.getJobById(id);
+            }
+
+            // Drafts, paused, closed and expired jobs are hidden from the public
+            if (!data || data.message === 'Job not found') {
+                setError('This job is no longer available');
+                return;
             }
+            setJob(data);
         } catch (error) {
             setError('Failed to fetch job details');
             console.error('Error fetching job:', error);
@@ -63,6 +126,45 @@ const JobDetails = () => {
 
         try {
             setIsApplying(true);
+
+            // Offer the jobseeker's uploaded resumes first
+            const resumeResponse = await apiService.getResumes().catch(() => null);
+            const resumes = resumeResponse?.success ? resumeResponse.resumes : [];
+            if (resumes.length > 0) {
+                const defaultResume = resumes.find((resume) => resume.isDefault) || resumes[0];
+                const { value: resumeId } = await Swal.fire({
+                    title: 'Apply for Job',
+                    input: 'select',
+                    inputLabel: 'Resume',
+                    inputOptions: {
+                        ...Object.fromEntries(resumes.map((resume) => [resume._id, resume.name])),
+                        link: 'Use a resume link instead'
+                    },
+                    inputValue: defaultResume._id,
+                    showCancelButton: true,
+                    confirmButtonText: 'Apply',
+                    cancelButtonText: 'Cancel'
+                });
+
+                if (!resumeId) {
+                    return;
+                }
+
+                if (resumeId !== 'link') {
+                    const result = await apiService.submitApplication({ jobId: id, resumeId, coverLetter: '' });
+                    if (result.applicationId) fetchMyApplication();
+                    Swal.fire(result.applicationId ? {
+                        icon: 'success',
+                        title: 'Application Submitted!',
+                        text: 'Your application has been successfully submitted. We will contact you soon.',
+                    } : {
+                        icon: 'error',
+                        title: 'Application failed',
+                        text: result.message,
+                    });
+                    return;
+                }
+            }
             
             const { value: resumeLink } = await Swal.fire({
                 title: 'Apply for Job',
@@ -92,6 +194,10 @@ const JobDetails = () => {
                         };
                         
                         const result = await apiService.submitApplication(applicationData);
+                        if (!result.applicationId) {
+                            Swal.showValidationMessage(result.message || 'Application failed');
+                            return false;
+                        }
                         return result;
                     } catch (error) {
                         Swal.showValidationMessage(`Application failed: ${error.message}`);
@@ -101,6 +207,7 @@ const JobDetails = () => {
             });
 
             if (resumeLink) {
+                fetchMyApplication();
                 Swal.fire({
                     icon: 'success',
                     title: 'Application Submitted!',
@@ -114,6 +221,36 @@ const JobDetails = () => {
         }
     };
 
+    const handleWithdraw = async () => {
+        const { value: reason } = await Swal.fire({
+            title: 'Withdraw application?',
+            text: 'The employer will be told you withdrew. You can reapply once, after a waiting period.',
+            input: 'textarea',
+            inputPlaceholder: 'Why are you withdrawing?',
+            inputValidator: (value) => {
+                if (!value || value.trim().length < 3) {
+                    return 'Please give a short reason';
+                }
+            },
+            showCancelButton: true,
+            confirmButtonText: 'Withdraw',
+            confirmButtonColor: '#EF4444',
+        });
+        if (!reason) return;
+
+        try {
+            const result = await apiService.withdrawApplication(myApplication._id, reason);
+            if (result.application) {
+                setMyApplication(null);
+                Swal.fire({ icon: 'success', title: 'Application withdrawn' });
+            } else {
+                Swal.fire({ icon: 'error', title: 'Oops...', text: result.message });
+            }
+        } catch (error) {
+            Swal.fire({ icon: 'error', title: 'Oops...', text: error.message });
+        }
+    };
+
     if (isLoading) {
         return (
             <div className="min-h-screen flex items-center justify-center">
@@ -178,13 +315,36 @@ const JobDetails = () => {
                             </div>
                         </div>
                         
-                        <button 
-                            onClick={handleApply}
-                            disabled={isApplying}
-                            className="bg-blue-500 hover:bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                        >
-                            {isApplying ? 'Applying...' : 'Apply Now'}
-                        </button>
+                        <div className="flex items-center space-x-4">
+                            <BookmarkButton jobId={id} saved={isSaved} onChange={(jobId, saved) => setIsSaved(saved)} className="text-2xl"/>
+                            {myApplication ? (
+                                <div className="text-right">
+                                    <p className="text-gray-600 text-sm mb-1">
+                                        Applied &middot; <span className="capitalize font-semibold">{myApplication.status}</span>
+                                    </p>
+                                    <Link
+                                        to={`/applications/${myApplication._id}/messages`}
+                                        className="inline-block border border-blue-500 text-blue-600 hover:bg-blue-50 px-4 py-2 rounded-lg font-semibold transition-colors mr-2"
+                                    >
+                                        Messages{myApplication.unreadMessages > 0 ? ` (${myApplication.unreadMessages})` : ''}
+                                    </Link>
+                                    <button
+                                        onClick={handleWithdraw}
+                                        className="border border-red-500 text-red-500 hover:bg-red-50 px-4 py-2 rounded-lg font-semibold transition-colors"
+                                    >
+                                        Withdraw
+                                    </button>
+                                </div>
+                            ) : (
+                                <button 
+                                    onClick={handleApply}
+                                    disabled={isApplying}
+                                    className="bg-blue-500 hover:bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                                >
+                                    {isApplying ? 'Applying...' : 'Apply Now'}
+                                </button>
+                            )}
+                        </div>
                     </div>
 
                     {/* Job Info Grid */}
@@ -208,6 +368,8 @@ const JobDetails = () => {
                     </div>
                 </div>
 
+                {myApplication && <CandidateInterview applicationId={myApplication._id} />}
+
                 {/* Job Description */}
                 <div className="bg-white rounded-lg shadow-md p-6 mb-6">
                     <h2 className="text-xl font-bold text-gray-900 mb-4">Job Description</h2>
@@ -244,6 +406,7 @@ const JobDetails = () => {
                 </div>
 
                 {/* Apply Section */}
+                {!myApplication && (
                 <div className="bg-blue-50 rounded-lg p-6 text-center">
                     <h3 className="text-xl font-bold text-gray-900 mb-2">
                         Ready to Apply?
@@ -259,6 +422,7 @@ const JobDetails = () => {
                         {isApplying ? 'Applying...' : 'Apply for this Position'}
                     </button>
                 </div>
+                )}
             </div>
         </div>
     );
@@ -1,10 +1,10 @@
 import React from 'react'
 
-const Jobs = ({result}) => {
+const Jobs = ({result, total}) => {
   return (
     <>
     <div className="">
-      <h3 className="text-lg font-bold mb-2">{result.length} Jobs</h3>
+      <h3 className="text-lg font-bold mb-2">{total ?? result.length} Jobs</h3>
     </div>
     <section className="">{result}</section>
     </>
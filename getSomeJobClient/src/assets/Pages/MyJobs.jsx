@@ -1,7 +1,29 @@
 import React, { useEffect, useState } from 'react'
 import { Link } from 'react-router-dom';
+import ApplicantExport from '../../components/ApplicantExport';
+import { useAuth } from '../../context/AuthContext';
+import { apiService } from '../../services/api';
+
+// Badge colour for each lifecycle state
+const STATUS_BADGES = {
+  draft: "bg-gray-200 text-gray-700",
+  published: "bg-green-100 text-green-700",
+  paused: "bg-yellow-100 text-yellow-700",
+  closed: "bg-red-100 text-red-700",
+  expired: "bg-orange-100 text-orange-700"
+};
+
+// State changes an employer can make from each state
+const STATUS_ACTIONS = {
+  draft: [{ status: "published", label: "Publish" }, { status: "closed", label: "Close" }],
+  published: [{ status: "paused", label: "Pause" }, { status: "closed", label: "Close" }],
+  paused: [{ status: "published", label: "Resume" }, { status: "closed", label: "Close" }],
+  expired: [{ status: "published", label: "Republish" }, { status: "closed", label: "Close" }],
+  closed: []
+};
 
 const MyJobs = () => {
+    const { user } = useAuth();
     const [jobs, setJobs] = useState([]);
     const [searchText, setSearchText] = useState("");
     const [isLoading, setIsLoading] = useState(true);
@@ -11,12 +33,17 @@ const [currentPage, setCurrentPage] = useState(1);
 const itemsPerPage = 4;
 
     useEffect(() => {
+        if (!user?.email) {
+          setIsLoading(false);
+          return;
+        }
         setIsLoading(true)
-        fetch(`http://localhost:5001/myJobs/lakshay22dhoundiyal@gmail.com`).then(res => res.json()).then(data => {
-          setJobs(data);
+        // Every job of the user's company team, or their own when they have no company
+        apiService.getManagedJobs().then(data => {
+          setJobs(Array.isArray(data) ? data : []);
           setIsLoading(false);
-        });
-    }, [searchText]);
+        }).catch(() => setIsLoading(false));
+    }, [searchText, user?.email]);
 
     //Pagination
 
@@ -46,17 +73,29 @@ const itemsPerPage = 4;
 
     const handleDelete = (id) => {
       // console.log(id);
-      fetch(`http://localhost:5001/job/${id}`, {
-       method: "DELETE"
-      })
-      .then((res) => res.json)
+      apiService.deleteJobById(id)
       .then((data) => {
         if(data.acknowledged === true){
           alert("Job Deleted Sucessfully!");
+        } else {
+          alert(data.message || "Failed to delete job");
         }
       });
     };
 
+    const handleStatusChange = async (id, status) => {
+      try {
+        const data = await apiService.updateJobStatus(id, status);
+        if (data.status) {
+          setJobs(jobs.map((job) => job._id === id ? { ...job, status: data.status, expiresAt: data.expiresAt } : job));
+        } else {
+          alert(data.message || "Failed to update job status");
+        }
+      } catch (error) {
+        alert(error.message);
+      }
+    };
+
     // console.log(searchText)
       return (
     <div className='max-w-screen-2xl container mx-auto xl:px-24 px-4'>
@@ -91,6 +130,7 @@ const itemsPerPage = 4;
         </div>
         <div className="relative w-full px-4 max-w-full flex-grow flex-1 text-right">
         <Link to="/post-job">  <button className="bg-indigo-500 text-white active:bg-indigo-600 text-xs font-bold uppercase px-3 py-1 rounded outline-none focus:outline-none mr-1 mb-1 ease-linear transition-all duration-150" type="button">Post a New Job</button> </Link>
+        <Link to="/import-jobs">  <button className="bg-white text-indigo-500 border border-indigo-500 text-xs font-bold uppercase px-3 py-1 rounded outline-none focus:outline-none mr-1 mb-1 ease-linear transition-all duration-150" type="button">Import Jobs</button> </Link>
         </div>
       </div>
     </div>
@@ -111,6 +151,18 @@ const itemsPerPage = 4;
           <th className="px-6 bg-blueGray-50 text-blueGray-500 align-middle border border-solid border-blueGray-100 py-3 text-xs uppercase border-l-0 border-r-0 whitespace-nowrap font-semibold text-left">
                           SALARY
                         </th>
+          <th className="px-6 bg-blueGray-50 text-blueGray-500 align-middle border border-solid border-blueGray-100 py-3 text-xs uppercase border-l-0 border-r-0 whitespace-nowrap font-semibold text-left">
+                          STATUS
+                        </th>
+          <th className="px-6 bg-blueGray-50 text-blueGray-500 align-middle border border-solid border-blueGray-100 py-3 text-xs uppercase border-l-0 border-r-0 whitespace-nowrap font-semibold text-left">
+                          EXPIRES
+                        </th>
+          <th className="px-6 bg-blueGray-50 text-blueGray-500 align-middle border border-solid border-blueGray-100 py-3 text-xs uppercase border-l-0 border-r-0 whitespace-nowrap font-semibold text-left">
+                          ACTIONS
+                        </th>
+          <th className="px-6 bg-blueGray-50 text-blueGray-500 align-middle border border-solid border-blueGray-100 py-3 text-xs uppercase border-l-0 border-r-0 whitespace-nowrap font-semibold text-left">
+                          APPLICANTS
+                        </th>
           <th className="px-6 bg-blueGray-50 text-blueGray-500 align-middle border border-solid border-blueGray-100 py-3 text-xs uppercase border-l-0 border-r-0 whitespace-nowrap font-semibold text-left">
                           EDIT
                         </th>
@@ -139,6 +191,28 @@ const itemsPerPage = 4;
                 <td className="border-t-0 px-6 align-middle border-l-0 border-r-0 text-xs whitespace-nowrap p-4">
               ${job.minPrice} - ${job.maxPrice}
                 </td>
+                <td className="border-t-0 px-6 align-middle border-l-0 border-r-0 text-xs whitespace-nowrap p-4">
+                  <span className={`px-2 py-1 rounded-full font-semibold capitalize ${STATUS_BADGES[job.status || "published"]}`}>
+                    {job.status || "published"}
+                  </span>
+                </td>
+                <td className="border-t-0 px-6 align-middle border-l-0 border-r-0 text-xs whitespace-nowrap p-4">
+                  {job.expiresAt ? new Date(job.expiresAt).toLocaleDateString() : "-"}
+                </td>
+                <td className="border-t-0 px-6 align-middle border-l-0 border-r-0 text-xs whitespace-nowrap p-4 space-x-2">
+                  {(STATUS_ACTIONS[job.status || "published"] || []).map((action) => (
+                    <button
+                      key={action.status}
+                      onClick={() => handleStatusChange(job._id, action.status)}
+                      className="border border-blue text-blue py-1 px-3 rounded-sm"
+                    >
+                      {action.label}
+                    </button>
+                  ))}
+                </td>
+                <td className="border-t-0 px-6 align-middle border-l-0 border-r-0 text-xs whitespace-nowrap p-4">
+                  <Link to={`/my-job/${job._id}/applicants`} className="text-blue hover:underline">View</Link>
+                </td>
                 <td className="border-t-0 px-6 align-middle border-l-0 border-r-0 text-xs whitespace-nowrap p-4">
                   <button>
                     <Link to={`/edit-job/${job?._id}`}>Edit</Link>
@@ -183,6 +257,14 @@ const itemsPerPage = 4;
 
 </section>
 
+      {/* Applicants of every job the team manages */}
+      {jobs.length > 0 && (
+        <div className="w-full xl:w-8/12 mx-auto px-4 mb-12">
+          <h3 className="font-semibold text-base mb-2">Export all applicants</h3>
+          <ApplicantExport />
+        </div>
+      )}
+
     </div>
   )
 };
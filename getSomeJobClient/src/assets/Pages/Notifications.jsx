@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import PageHeader from '../../components/PageHeader';
+import { useAuth } from '../../context/AuthContext';
+import { apiService } from '../../services/api';
+
+const PAGE_LIMIT = 100;
+
+// Every notification of the signed-in user, and which types reach them by
+// email and in the app
+const Notifications = () => {
+    const { isAuthenticated, subscribe } = useAuth();
+    const navigate = useNavigate();
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [unreadOnly, setUnreadOnly] = useState(false);
+    const [preferences, setPreferences] = useState(null);
+    const [types, setTypes] = useState({});
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!isAuthenticated) {
+            setIsLoading(false);
+            return;
+        }
+        setIsLoading(true);
+        apiService.getNotifications({ limit: PAGE_LIMIT, unread: unreadOnly }).then((response) => {
+            if (response.success) {
+                setNotifications(response.notifications);
+                setUnreadCount(response.unreadCount);
+                setError(null);
+            } else {
+                setError(response.message);
+            }
+        }).catch(() => {
+            setError('Failed to fetch notifications. Please try again later.');
+        }).finally(() => setIsLoading(false));
+    }, [isAuthenticated, unreadOnly]);
+
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        apiService.getNotificationPreferences().then((response) => {
+            if (response.success) {
+                setPreferences(response.preferences);
+                setTypes(response.types);
+            }
+        }).catch((error) => console.error('Error fetching notification preferences:', error));
+    }, [isAuthenticated]);
+
+    useEffect(() => {
+        const unsubscribers = [
+            subscribe('notification', (notification) => {
+                setNotifications((current) => [notification, ...current.filter((entry) => entry._id !== notification._id)]);
+                setUnreadCount((count) => count + 1);
+            }),
+            subscribe('notification:read', (event) => {
+                const readAt = new Date().toISOString();
+                setNotifications((current) => current.map((entry) => (event.all || entry._id === event.notificationId) && !entry.readAt
+                    ? { ...entry, readAt }
+                    : entry));
+                setUnreadCount(event.unreadCount);
+            }),
+        ];
+        return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }, [subscribe]);
+
+    const handleOpen = async (notification) => {
+        if (!notification.readAt) {
+            try {
+                const result = await apiService.markNotificationRead(notification._id);
+                if (result.success) {
+                    setNotifications((current) => current.map((entry) => entry._id === notification._id ? result.notification : entry));
+                    setUnreadCount(result.unreadCount);
+                }
+            } catch (error) {
+                console.error('Error marking notification read:', error);
+            }
+        }
+        if (notification.link) {
+            navigate(notification.link);
+        }
+    };
+
+    const handleMarkAll = async () => {
+        const result = await apiService.markAllNotificationsRead();
+        if (result.success) {
+            const readAt = new Date().toISOString();
+            setNotifications((current) => current.map((entry) => entry.readAt ? entry : { ...entry, readAt }));
+            setUnreadCount(0);
+        } else {
+            Swal.fire({ icon: 'error', title: 'Oops...', text: result.message });
+        }
+    };
+
+    const handleToggle = async (type, channel) => {
+        const enabled = !preferences[type][channel];
+        const result = await apiService.updateNotificationPreferences({ [type]: { [channel]: enabled } });
+        if (result.success) {
+            setPreferences(result.preferences);
+        } else {
+            Swal.fire({ icon: 'error', title: 'Oops...', text: result.message || result.errors?.[0]?.msg });
+        }
+    };
+
+    if (!isAuthenticated) {
+        return (
+            <div className="min-h-screen flex items-center justify-center">
+                <div className="text-center">
+                    <h2 className="text-2xl font-bold text-red-600 mb-4">Please Login</h2>
+                    <p className="text-gray-600 mb-4">Login to see your notifications</p>
+                    <button
+                        onClick={() => navigate('/login')}
+                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded"
+                    >
+                        Go to Login
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-screen-2xl container mx-auto xl:px-24 px-4">
+            <PageHeader title="Notifications" path="Notifications" />
+
+            <div className="py-8 grid lg:grid-cols-3 gap-8">
+                <section className="lg:col-span-2 space-y-4">
+                    <div className="flex justify-between items-center">
+                        <label className="flex items-center gap-2 text-sm">
+                            <input
+                                type="checkbox"
+                                checked={unreadOnly}
+                                onChange={(event) => setUnreadOnly(event.target.checked)}
+                            />
+                            Unread only ({unreadCount})
+                        </label>
+                        {unreadCount > 0 && (
+                            <button onClick={handleMarkAll} className="text-sm text-blue hover:underline">
+                                Mark all read
+                            </button>
+                        )}
+                    </div>
+
+                    {isLoading ? (
+                        <div className="flex items-center justify-center py-8">
+                            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+                            <span className="ml-2 text-gray-600">Loading notifications...</span>
+                        </div>
+                    ) : error ? (
+                        <p className="text-center text-red-600">{error}</p>
+                    ) : notifications.length === 0 ? (
+                        <p className="text-center text-gray-600 py-8">No notifications yet.</p>
+                    ) : (
+                        <ul className="space-y-2">
+                            {notifications.map((notification) => (
+                                <li key={notification._id}>
+                                    <button
+                                        onClick={() => handleOpen(notification)}
+                                        className={`card w-full text-left ${notification.readAt ? '' : 'border-l-4 border-blue'}`}
+                                    >
+                                        <p className="font-medium">{notification.title}</p>
+                                        <p className="text-sm text-primary/70">{notification.message}</p>
+                                        <p className="text-xs text-primary/50 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </section>
+
+                <section className="card h-fit">
+                    <h3 className="text-lg font-bold mb-3">Preferences</h3>
+                    {!preferences ? (
+                        <p className="text-sm text-gray-600">Loading preferences...</p>
+                    ) : (
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-primary/70">
+                                    <th className="pb-2 font-medium">Type</th>
+                                    <th className="pb-2 font-medium text-center">Email</th>
+                                    <th className="pb-2 font-medium text-center">In-app</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {Object.entries(types).map(([type, label]) => (
+                                    <tr key={type} className="border-t">
+                                        <td className="py-2 pr-2">{label}</td>
+                                        <td className="py-2 text-center">
+                                            <input
+                                                type="checkbox"
+                                                aria-label={`${label} by email`}
+                                                checked={preferences[type].email}
+                                                onChange={() => handleToggle(type, 'email')}
+                                            />
+                                        </td>
+                                        <td className="py-2 text-center">
+                                            <input
+                                                type="checkbox"
+                                                aria-label={`${label} in the app`}
+                                                checked={preferences[type].inApp}
+                                                onChange={() => handleToggle(type, 'inApp')}
+                                            />
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </section>
+            </div>
+        </div>
+    )
+}
+
+export default Notifications
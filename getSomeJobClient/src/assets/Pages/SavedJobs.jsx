@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom';
+import Swal from 'sweetalert2';
+import { FiDollarSign, FiMapPin } from 'react-icons/fi';
+import PageHeader from '../../components/PageHeader';
+import { useAuth } from '../../context/AuthContext';
+import { apiService } from '../../services/api';
+
+const SavedJobs = () => {
+    const { user, isAuthenticated } = useAuth();
+    const navigate = useNavigate();
+    const [savedJobs, setSavedJobs] = useState([]);
+    const [notes, setNotes] = useState({});
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (user?.role !== 'jobseeker') {
+            setIsLoading(false);
+            return;
+        }
+        apiService.getSavedJobs().then((response) => {
+            if (response.success) {
+                setSavedJobs(response.savedJobs);
+                setNotes(Object.fromEntries(response.savedJobs.map((entry) => [entry.jobId, entry.note || ""])));
+            } else {
+                setError(response.message);
+            }
+        }).catch(() => {
+            setError('Failed to fetch saved jobs. Please try again later.');
+        }).finally(() => setIsLoading(false));
+    }, [user?.role]);
+
+    const handleSaveNote = async (jobId) => {
+        const result = await apiService.saveJob(jobId, notes[jobId]);
+        if (result.success) {
+            Swal.fire({ icon: 'success', title: 'Note saved', timer: 1200, showConfirmButton: false });
+        } else {
+            Swal.fire({ icon: 'error', title: 'Oops...', text: result.errors ? result.errors[0].msg : result.message });
+        }
+    };
+
+    const handleRemove = async (jobId) => {
+        const result = await apiService.unsaveJob(jobId);
+        if (result.success) {
+            setSavedJobs(savedJobs.filter((entry) => entry.jobId !== jobId));
+        } else {
+            Swal.fire({ icon: 'error', title: 'Oops...', text: result.message });
+        }
+    };
+
+    if (!isAuthenticated || user?.role !== 'jobseeker') {
+        return (
+            <div className="min-h-screen flex items-center justify-center">
+                <div className="text-center">
+                    <h2 className="text-2xl font-bold text-red-600 mb-4">Jobseekers Only</h2>
+                    <p className="text-gray-600 mb-4">Please login with a jobseeker account to see your saved jobs</p>
+                    <button
+                        onClick={() => navigate('/login')}
+                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded"
+                    >
+                        Go to Login
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-screen-2xl container mx-auto xl:px-24 px-4">
+            <PageHeader title="Saved Jobs" path="Saved" />
+
+            <div className="py-8 space-y-4">
+                {isLoading ? (
+                    <div className="flex items-center justify-center py-8">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+                        <span className="ml-2 text-gray-600">Loading saved jobs...</span>
+                    </div>
+                ) : error ? (
+                    <p className="text-center text-red-600">{error}</p>
+                ) : savedJobs.length === 0 ? (
+                    <div className="text-center py-8">
+                        <h3 className="text-lg font-bold mb-2">No Saved Jobs</h3>
+                        <p className="text-gray-600">Use the bookmark on a job to keep it on your shortlist.</p>
+                    </div>
+                ) : (
+                    savedJobs.map(({jobId, job, changes, savedAt}) => (
+                        <div key={jobId} className="card">
+                            <div className="flex justify-between items-start gap-4">
+                                <div>
+                                    <h4 className="text-primary mb-1">{job.companyName}</h4>
+                                    {changes.closed ? (
+                                        <h3 className="text-lg font-semibold mb-2">{job.jobTitle}</h3>
+                                    ) : (
+                                        <Link to={`/job/${jobId}`} className="text-lg font-semibold mb-2 hover:underline">{job.jobTitle}</Link>
+                                    )}
+                                    <div className="text-primary/70 text-base flex flex-wrap gap-4 my-2">
+                                        {job.jobLocation && <span className="flex items-center gap-2"><FiMapPin/> {job.jobLocation}</span>}
+                                        <span className="flex items-center gap-2"><FiDollarSign/> {job.minPrice}-{job.maxPrice} {job.salaryType}</span>
+                                        <span>Saved {new Date(savedAt).toLocaleDateString()}</span>
+                                    </div>
+
+                                    {/* What changed since the job was saved */}
+                                    <div className="flex flex-wrap gap-2 text-xs font-semibold">
+                                        {changes.closed && (
+                                            <span className="px-2 py-1 rounded-full bg-red-100 text-red-700">
+                                                {changes.removed ? "No longer listed" : "Closed"}
+                                            </span>
+                                        )}
+                                        {changes.salaryChanged && (
+                                            <span className="px-2 py-1 rounded-full bg-yellow-100 text-yellow-700">
+                                                Salary changed (was {changes.previousSalary.minPrice}-{changes.previousSalary.maxPrice} {changes.previousSalary.salaryType})
+                                            </span>
+                                        )}
+                                    </div>
+                                </div>
+                                <button onClick={() => handleRemove(jobId)} className="text-red-600 hover:underline text-sm">
+                                    Remove
+                                </button>
+                            </div>
+
+                            <div className="mt-4 flex gap-2">
+                                <input
+                                    type="text"
+                                    placeholder="Add a note"
+                                    value={notes[jobId] || ""}
+                                    onChange={(e) => setNotes({ ...notes, [jobId]: e.target.value })}
+                                    className="create-job-input flex-1"
+                                />
+                                <button onClick={() => handleSaveNote(jobId)} className="bg-blue text-white font-semibold px-4 py-2 rounded-sm">
+                                    Save Note
+                                </button>
+                            </div>
+                        </div>
+                    ))
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default SavedJobs
@@ -3,6 +3,7 @@ import { useLoaderData, useParams } from 'react-router-dom'
 import { useState } from 'react'
 import { useForm } from "react-hook-form"
 import CreatableSelect from "react-select/creatable";
+import { apiService } from '../../services/api';
 
 const UpdateJob = () => {
     const {id} = useParams();
@@ -17,16 +18,15 @@ const UpdateJob = () => {
       } = useForm()
     
       const onSubmit = (data) => {
-        data.skills = selectedOption;
+        data.skills = (selectedOption || defaultSkills).map((option) => option.value);
         // console.log(data);
-        fetch(`http://localhost:5001/update-job/${id}`, {
-          method: "PATCH",
-          headers: {'content-type': 'application/json'},
-          body: JSON.stringify(data)
-        })
-        .then((res) => res.json())
+        apiService.updateJobById(id, data)
         .then((result) => {
           console.log(result);
+          if(result.errors){
+            alert(result.errors.map((err) => err.msg).join("\n"));
+            return;
+          }
           if(result.acknowledged === true){
             alert("Job Updated Successfully");
           }
@@ -64,6 +64,9 @@ const UpdateJob = () => {
             {value: "Other", label: "Other"}
             
     ]
+
+    // Stored skills are plain strings, the select works with {value, label} options
+    const defaultSkills = (skills || []).map((skill) => typeof skill === 'string' ? {value: skill, label: skill} : skill);
   return (
     <div className='max-w-screen-2xl container mx-auto xl:px-24 px-4'>
     {/* Form */}
@@ -88,12 +91,12 @@ const UpdateJob = () => {
         <div className="create-job-flex">
             <div className="lg:w-1/2 w-full">
             <label className='block mb-2 text-lg'>Minimum Salary</label>
-            <input type="text" placeholder='Ex: 3LPA' 
+            <input type="number" min="0" placeholder='Ex: 90000' 
             {...register("minPrice")} className='create-job-input' defaultValue={minPrice}/>
             </div>
             <div className="lg:w-1/2 w-full">
             <label className='block mb-2 text-lg'>Maximum Salary</label>
-            <input type="text" placeholder='Ex: 20LPA' 
+            <input type="number" min="0" placeholder='Ex: 120000' 
             {...register("maxPrice", { required: true })} className='create-job-input' defaultValue={maxPrice}/>
             </div>
         </div>
@@ -131,7 +134,7 @@ const UpdateJob = () => {
             <option value={experienceLevel}>{experienceLevel}</option>
             <option value="Fresher/No Experience">Fresher</option>
             <option value="Internship">Internship</option>
-            <option value="Remote Work">Experienced</option>
+            <option value="Experienced">Experienced</option>
           </select>
             </div>
         </div>
@@ -141,7 +144,7 @@ const UpdateJob = () => {
     <div className="">
     <label className='block mb-2 text-lg'>Required Skill Sets</label>
     <CreatableSelect
-    defaultValue={skills}
+    defaultValue={defaultSkills}
     onChange={setSelectedOption}
     options={options}
     isMulti
@@ -152,7 +155,7 @@ const UpdateJob = () => {
     <div className="create-job-flex">
         <div className="lg:w-1/2 w-full">
             <label className='block mb-2 text-lg'>Company Logo</label>
-            <input type="url" placeholder='Ex: Your Company Logo URL' defaultValue={companyLogo}
+            <input type="text" placeholder='Ex: Your Company Logo URL' defaultValue={companyLogo}
             {...register("companyLogo")} className='create-job-input'/>
             </div>
             <div className="lg:w-1/2 w-full">
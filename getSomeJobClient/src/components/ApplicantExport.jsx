@@ -0,0 +1,68 @@
+import { useState } from 'react'
+import Swal from 'sweetalert2';
+import { FiDownload } from 'react-icons/fi';
+import { apiService } from '../services/api';
+
+// Download applicants as CSV or XLSX, optionally narrowed down by stage and
+// applied date. Without a jobId it covers every job the team manages.
+const ApplicantExport = ({ jobId, stages = [] }) => {
+  const [stage, setStage] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    setIsExporting(true);
+    try {
+      const { blob, filename } = await apiService.exportApplicants({ jobId, format, stage, from, to });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: 'Oops...', text: error.message });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="card flex flex-wrap items-end gap-3 text-sm">
+      {stages.length > 0 && (
+        <label className="flex flex-col">
+          Stage
+          <select value={stage} onChange={(event) => setStage(event.target.value)} className="border rounded p-1">
+            <option value="">All stages</option>
+            {stages.map(({ key, label }) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+            <option value="withdrawn">Withdrawn</option>
+          </select>
+        </label>
+      )}
+      <label className="flex flex-col">
+        Applied from
+        <input type="date" value={from} onChange={(event) => setFrom(event.target.value)} className="border rounded p-1" />
+      </label>
+      <label className="flex flex-col">
+        to
+        <input type="date" value={to} onChange={(event) => setTo(event.target.value)} className="border rounded p-1" />
+      </label>
+      {['csv', 'xlsx'].map((format) => (
+        <button
+          key={format}
+          onClick={() => handleExport(format)}
+          disabled={isExporting}
+          className="bg-blue text-white py-1 px-3 rounded-sm flex items-center gap-1 disabled:opacity-50"
+        >
+          <FiDownload /> {format.toUpperCase()}
+        </button>
+      ))}
+      <p className="w-full text-xs text-primary/60">Exports contain candidates&apos; personal data and are logged.</p>
+    </div>
+  );
+}
+
+export default ApplicantExport
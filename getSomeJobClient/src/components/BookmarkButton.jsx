@@ -0,0 +1,49 @@
+import React, { useState } from 'react'
+import { FaBookmark, FaRegBookmark } from 'react-icons/fa6';
+import Swal from 'sweetalert2';
+import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+
+// Save / unsave toggle, only shown to jobseekers. The parent owns the saved state.
+const BookmarkButton = ({jobId, saved, onChange, className = ""}) => {
+  const { user } = useAuth();
+  const [isBusy, setIsBusy] = useState(false);
+
+  if (user?.role !== 'jobseeker') {
+    return null;
+  }
+
+  const handleClick = async (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+
+    try {
+      setIsBusy(true);
+      const result = saved ? await apiService.unsaveJob(jobId) : await apiService.saveJob(jobId);
+      if (result.success) {
+        onChange(jobId, !saved);
+      } else {
+        Swal.fire({ icon: 'error', title: 'Oops...', text: result.message });
+      }
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: 'Oops...', text: error.message });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={isBusy}
+      title={saved ? "Remove from saved jobs" : "Save job"}
+      aria-pressed={saved}
+      className={`text-blue text-xl disabled:opacity-50 ${className}`}
+    >
+      {saved ? <FaBookmark/> : <FaRegBookmark/>}
+    </button>
+  )
+}
+
+export default BookmarkButton
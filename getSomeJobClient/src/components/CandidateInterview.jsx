@@ -0,0 +1,101 @@
+import React, { useEffect, useState } from 'react'
+import Swal from 'sweetalert2';
+import { FiCalendar, FiMapPin, FiVideo } from 'react-icons/fi';
+import { apiService } from '../services/api';
+import { formatSlot } from '../services/formatters';
+
+// The candidate's side of an interview: pick a proposed time, see or cancel the booked one
+const CandidateInterview = ({ applicationId }) => {
+  const [interview, setInterview] = useState(null);
+
+  useEffect(() => {
+    apiService.getInterviews({ applicationId }).then((response) => {
+      const latest = (response.interviews || [])[0];
+      setInterview(latest && ['proposed', 'scheduled'].includes(latest.status) ? latest : null);
+    }).catch((error) => console.error('Error fetching interviews:', error));
+  }, [applicationId]);
+
+  const handleSelect = async (slot) => {
+    const { isConfirmed } = await Swal.fire({
+      title: 'Book this time?',
+      text: formatSlot(slot),
+      showCancelButton: true,
+      confirmButtonText: 'Book',
+    });
+    if (!isConfirmed) return;
+
+    try {
+      const result = await apiService.selectInterviewSlot(interview._id, slot._id);
+      if (result.success) {
+        setInterview(result.interview);
+        Swal.fire({ icon: 'success', title: 'Interview booked', text: 'A calendar invite is on its way to your inbox.' });
+      } else {
+        Swal.fire({ icon: 'error', title: 'Oops...', text: result.message });
+      }
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: 'Oops...', text: error.message });
+    }
+  };
+
+  const handleCancel = async () => {
+    const { value: reason, isConfirmed } = await Swal.fire({
+      title: 'Cancel interview?',
+      input: 'textarea',
+      inputPlaceholder: 'Let the employer know why (optional)',
+      showCancelButton: true,
+      confirmButtonText: 'Cancel interview',
+      cancelButtonText: 'Keep it',
+      confirmButtonColor: '#EF4444',
+    });
+    if (!isConfirmed) return;
+
+    try {
+      const result = await apiService.cancelInterview(interview._id, reason || undefined);
+      if (result.success) {
+        setInterview(null);
+      } else {
+        Swal.fire({ icon: 'error', title: 'Oops...', text: result.message });
+      }
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: 'Oops...', text: error.message });
+    }
+  };
+
+  if (!interview) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <h2 className="text-xl font-bold text-gray-900 mb-4 flex items-center gap-2"><FiCalendar/> Interview</h2>
+      {interview.status === 'proposed' ? (
+        <>
+          <p className="text-gray-600 mb-3">{interview.companyName} would like to interview you. Pick the time that suits you:</p>
+          <div className="flex flex-wrap gap-2 mb-4">
+            {interview.slots.map((slot) => (
+              <button
+                key={slot._id}
+                onClick={() => handleSelect(slot)}
+                disabled={new Date(slot.start) <= new Date()}
+                className="border border-blue-500 text-blue-600 hover:bg-blue-50 px-4 py-2 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {formatSlot(slot)}
+              </button>
+            ))}
+          </div>
+        </>
+      ) : (
+        <p className="text-gray-900 font-semibold mb-3">{formatSlot(interview)}</p>
+      )}
+      {interview.location && <p className="flex items-center gap-2 text-gray-600"><FiMapPin/> {interview.location}</p>}
+      {interview.videoLink && /^https?:\/\//.test(interview.videoLink) && (
+        <p className="flex items-center gap-2 text-gray-600">
+          <FiVideo/> <a href={interview.videoLink} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{interview.videoLink}</a>
+        </p>
+      )}
+      <button onClick={handleCancel} className="mt-4 text-red-600 hover:underline text-sm">Cancel interview</button>
+    </div>
+  )
+}
+
+export default CandidateInterview
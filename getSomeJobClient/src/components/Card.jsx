@@ -1,13 +1,17 @@
 import React from 'react'
 import { Link } from 'react-router-dom';
 import { FiCalendar, FiClock, FiDollarSign, FiMapPin } from 'react-icons/fi';
+import BookmarkButton from './BookmarkButton';
 
-const Card = ({data}) => {
+const Card = ({data, saved = false, onSavedChange}) => {
 const {_id, companyName, jobTitle, companyLogo, minPrice, maxPrice, salaryType, jobLocation, employmentType, postingDate, description} = data;
 
   return (
    
-  <section className="card">
+  <section className="card relative">
+    {onSavedChange && (
+      <BookmarkButton jobId={_id} saved={saved} onChange={onSavedChange} className="absolute top-4 right-4"/>
+    )}
     <Link to={`/job/${_id}`} className='flex gap-4 flex-col sm:flex-row items-start'>
     <img src={companyLogo} alt="" />
     <div className="">
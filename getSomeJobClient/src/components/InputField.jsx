@@ -1,6 +1,6 @@
 import React from 'react'
 
-const InputField = ({handleChange, value, title, name}) => {
+const InputField = ({handleChange, value, title, name, checked}) => {
   return (
     <label>
          <label className='sidebar-label-container'>
@@ -9,6 +9,7 @@ const InputField = ({handleChange, value, title, name}) => {
                     name={name}
                     // placeholder="placeholder"
                     value={value}
+                    checked={checked}
                     onChange={handleChange}
                 />
                 <span className="checkmark"></span>{title}
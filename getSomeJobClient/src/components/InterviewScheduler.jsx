@@ -0,0 +1,173 @@
+import React from 'react'
+import Swal from 'sweetalert2';
+import { FiCalendar, FiMapPin, FiVideo } from 'react-icons/fi';
+import { apiService } from '../services/api';
+import { formatSlot } from '../services/formatters';
+
+const DURATIONS = [30, 45, 60, 90];
+
+// Start/end for a datetime-local value and a duration in minutes
+const toSlot = (value, minutes) => {
+  const start = new Date(value);
+  return { start: start.toISOString(), end: new Date(start.getTime() + minutes * 60000).toISOString() };
+};
+
+const durationSelect = `<select id="interview-duration" class="swal2-select">
+  ${DURATIONS.map((minutes) => `<option value="${minutes}" ${minutes === 60 ? 'selected' : ''}>${minutes} minutes</option>`).join('')}
+</select>`;
+
+// "Ann <ann@acme.com>, bob@acme.com" -> [{ name, email }]
+const parseInterviewers = (text) => text.split(/[,\n]/).map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+  const match = entry.match(/^(.*)<(.+)>$/);
+  return match ? { name: match[1].trim(), email: match[2].trim() } : { email: entry };
+});
+
+const fail = (message) => Swal.fire({ icon: 'error', title: 'Oops...', text: message });
+
+// Propose, reschedule or cancel the interview of one application
+const InterviewScheduler = ({ application, interview, onChange }) => {
+  const isOpen = interview && ['proposed', 'scheduled'].includes(interview.status);
+
+  const handlePropose = async () => {
+    const { value: proposal } = await Swal.fire({
+      title: 'Propose interview times',
+      html: `
+        <p class="text-sm text-left mb-2">Offer up to three times; the candidate picks one.</p>
+        <input id="interview-slot-0" type="datetime-local" class="swal2-input">
+        <input id="interview-slot-1" type="datetime-local" class="swal2-input">
+        <input id="interview-slot-2" type="datetime-local" class="swal2-input">
+        ${durationSelect}
+        <input id="interview-location" class="swal2-input" placeholder="Location (optional)">
+        <input id="interview-video" class="swal2-input" placeholder="Video link (optional)">
+        <textarea id="interview-interviewers" class="swal2-textarea" placeholder="Interviewers: Ann <ann@company.com>, bob@company.com"></textarea>
+      `,
+      focusConfirm: false,
+      showCancelButton: true,
+      confirmButtonText: 'Send to candidate',
+      preConfirm: () => {
+        const minutes = Number(document.getElementById('interview-duration').value);
+        const slots = [0, 1, 2]
+          .map((index) => document.getElementById(`interview-slot-${index}`).value)
+          .filter(Boolean)
+          .map((value) => toSlot(value, minutes));
+        const location = document.getElementById('interview-location').value.trim();
+        const videoLink = document.getElementById('interview-video').value.trim();
+        if (slots.length === 0) {
+          Swal.showValidationMessage('Pick at least one time');
+          return false;
+        }
+        if (!location && !videoLink) {
+          Swal.showValidationMessage('Give a location or a video link');
+          return false;
+        }
+        return {
+          slots,
+          location: location || null,
+          videoLink: videoLink || null,
+          interviewers: parseInterviewers(document.getElementById('interview-interviewers').value),
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        };
+      }
+    });
+    if (!proposal) return;
+
+    try {
+      const result = await apiService.proposeInterview({ applicationId: application._id, ...proposal });
+      if (result.success) {
+        onChange(result.interview);
+      } else {
+        fail(result.message || result.errors?.[0]?.msg);
+      }
+    } catch (error) {
+      fail(error.message);
+    }
+  };
+
+  const handleReschedule = async () => {
+    const { value: slot } = await Swal.fire({
+      title: 'Reschedule interview',
+      html: `
+        <input id="interview-slot-0" type="datetime-local" class="swal2-input">
+        ${durationSelect}
+      `,
+      focusConfirm: false,
+      showCancelButton: true,
+      confirmButtonText: 'Send update',
+      preConfirm: () => {
+        const value = document.getElementById('interview-slot-0').value;
+        if (!value) {
+          Swal.showValidationMessage('Pick the new time');
+          return false;
+        }
+        return toSlot(value, Number(document.getElementById('interview-duration').value));
+      }
+    });
+    if (!slot) return;
+
+    try {
+      const result = await apiService.rescheduleInterview(interview._id, slot);
+      if (result.success) {
+        onChange(result.interview);
+      } else {
+        fail(result.message || result.errors?.[0]?.msg);
+      }
+    } catch (error) {
+      fail(error.message);
+    }
+  };
+
+  const handleCancel = async () => {
+    const { value: reason, isConfirmed } = await Swal.fire({
+      title: 'Cancel interview?',
+      text: 'Everyone invited gets a cancellation for their calendar.',
+      input: 'textarea',
+      inputPlaceholder: 'Reason (optional, shared with the candidate)',
+      showCancelButton: true,
+      confirmButtonText: 'Cancel interview',
+      cancelButtonText: 'Keep it',
+      confirmButtonColor: '#EF4444',
+    });
+    if (!isConfirmed) return;
+
+    try {
+      const result = await apiService.cancelInterview(interview._id, reason || undefined);
+      if (result.success) {
+        onChange(result.interview);
+      } else {
+        fail(result.message);
+      }
+    } catch (error) {
+      fail(error.message);
+    }
+  };
+
+  return (
+    <div className="mt-3 text-sm">
+      {isOpen ? (
+        <div className="border rounded p-3 bg-blue-50">
+          {interview.status === 'scheduled' ? (
+            <p className="flex items-center gap-2 font-semibold"><FiCalendar/> Interview {formatSlot(interview)}</p>
+          ) : (
+            <p className="flex items-center gap-2 font-semibold">
+              <FiCalendar/> Waiting for the candidate to pick one of {interview.slots.length} times
+            </p>
+          )}
+          {interview.location && <p className="flex items-center gap-2 text-primary/70"><FiMapPin/> {interview.location}</p>}
+          {interview.videoLink && <p className="flex items-center gap-2 text-primary/70"><FiVideo/> {interview.videoLink}</p>}
+          <div className="flex gap-4 mt-2">
+            {interview.status === 'scheduled' && (
+              <button onClick={handleReschedule} className="text-blue hover:underline">Reschedule</button>
+            )}
+            <button onClick={handleCancel} className="text-red-600 hover:underline">Cancel interview</button>
+          </div>
+        </div>
+      ) : (
+        <button onClick={handlePropose} className="bg-blue text-white py-1 px-3 rounded-sm flex items-center gap-2">
+          <FiCalendar/> Schedule interview
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default InterviewScheduler
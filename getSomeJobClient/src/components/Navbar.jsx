@@ -2,6 +2,7 @@ import React, { useState } from 'react'
 import { Link, NavLink } from 'react-router-dom';
 import {FaBarsStaggered, FaXmark} from "react-icons/fa6";
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
     const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -25,6 +26,8 @@ const Navbar = () => {
         {path: "/my-job", title: "My Jobs"},
         {path: "/salary", title: "Salary Estimate"},
         {path: "/post-job", title: "Post a Job"},
+        {path: "/company", title: "Company"},
+        {path: "/saved", title: "Saved"},
     ]
 
     return (
@@ -55,6 +58,7 @@ const Navbar = () => {
                 <div className="text-base text-primary font-medium space-x-5 hidden lg:block">
                     {isAuthenticated ? (
                         <div className="flex items-center gap-4">
+                            <NotificationBell />
                             <span className="text-sm text-gray-600">
                                 Welcome, {user?.name || user?.email?.split('@')[0] || 'User'}
                             </span>
@@ -105,6 +109,11 @@ const Navbar = () => {
                                     Welcome, {user?.name || user?.email?.split('@')[0] || 'User'}
                                 </span>
                             </li>
+                            <li className="text-white py-1 px-5 hover:text-[#00DDFF]">
+                                <Link to="/notifications" onClick={() => setIsMenuOpen(false)}>
+                                    Notifications
+                                </Link>
+                            </li>
                             <li className="text-white py-1 px-5">
                                 <button 
                                     onClick={handleLogout}
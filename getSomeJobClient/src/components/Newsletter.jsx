@@ -2,15 +2,25 @@ import React from 'react'
 import { FaEnvelopeOpenText, FaRocket } from "react-icons/fa6"
 import Swal from 'sweetalert2';
 import { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+
+// Search parameters saved with an alert, as used by GET /api/jobs
+const ALERT_KEYS = ["search", "location", "type", "experience", "salaryPeriod", "salaryMin", "salaryMax"];
 
 const Newsletter = () => {
+  const { user } = useAuth();
+  const [searchParams] = useSearchParams();
   const [email, setEmail] = useState(''); // State to store email address
+  const [frequency, setFrequency] = useState('daily');
+  const [isSubscribing, setIsSubscribing] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
 
   const handleSubscribe = async (e) => {
     e.preventDefault(); // Prevent default form submission behavior
 
-    if (!email.trim()) {
+    if (!email.trim() && !user) {
       // Handle empty email error
       Swal.fire({
         icon: 'error',
@@ -20,35 +30,107 @@ const Newsletter = () => {
       return; // Exit function if email is empty
     }
 
-    // Simulate email submission to backend (replace with your backend logic)
+    // The alert is for the search currently shown on the page
+    const query = {};
+    ALERT_KEYS.forEach((key) => {
+      if (searchParams.get(key)) {
+        query[key] = searchParams.get(key);
+      }
+    });
+
+    try {
+      setIsSubscribing(true);
+      const result = await apiService.createJobAlert({ ...query, email: email.trim(), frequency });
+      if (!result.success) {
+        Swal.fire({
+          icon: 'error',
+          title: 'Error',
+          text: result.errors ? result.errors[0].msg : result.message,
+        });
+        return;
+      }
+
       setEmail(''); // Clear email after successful submission
       Swal.fire({
         icon: 'success',
-        title: 'Success!',
-        text: 'You have been subscribed to our newsletter!',
+        title: result.requiresConfirmation ? 'Check your inbox' : 'Success!',
+        text: result.requiresConfirmation
+          ? 'We sent you an email to confirm your job alert.'
+          : `You will get ${frequency} emails for: ${result.alert.summary}`,
       });
+    } catch (error) {
+      Swal.fire({
+        icon: 'error',
+        title: 'Error',
+        text: error.message,
+      });
+    } finally {
+      setIsSubscribing(false);
+    }
   };
 
-  // Handle resume upload (replace with your upload logic)
-  const handleResumeUpload = (event) => {
+  // Upload the chosen resume to the jobseeker's profile
+  const handleResumeUpload = async (event) => {
     const newSelectedFile = event.target.files[0];
-    setSelectedFile(newSelectedFile); // Update state with selected file
+    const input = event.target;
 
     if (!newSelectedFile) {
       return; // Handle no file selected
     }
 
-    // Implement your resume upload logic here (e.g., send to backend)
-    console.log('Selected file:', newSelectedFile);
+    if (user?.role !== 'jobseeker') {
+      Swal.fire({
+        icon: 'warning',
+        title: 'Jobseeker account required',
+        text: 'Please log in as a jobseeker to upload your resume.',
+      });
+      input.value = '';
+      return;
+    }
+
+    setSelectedFile(newSelectedFile);
 
-    // Display success message and reset resume field
-    Swal.fire({
-      icon: 'success',
-      title: 'Success!',
-      text: 'Your resume has been uploaded successfully!',
-    }).then(() => {
-      setSelectedFile(null); // Reset selected file state after success
+    const { value: name, isConfirmed } = await Swal.fire({
+      title: 'Name this resume',
+      input: 'text',
+      inputValue: newSelectedFile.name.replace(/\.[^.]+$/, ''),
+      inputPlaceholder: 'e.g. Frontend roles',
+      showCancelButton: true,
+      confirmButtonText: 'Upload',
     });
+
+    if (!isConfirmed) {
+      setSelectedFile(null);
+      input.value = '';
+      return;
+    }
+
+    try {
+      const result = await apiService.uploadResume(newSelectedFile, name);
+      const skills = result.resume?.parsed?.skills || [];
+      Swal.fire(result.success ? {
+        icon: 'success',
+        title: 'Success!',
+        text: [
+          `"${result.resume.name}" has been uploaded. You can attach it when you apply.`,
+          skills.length > 0 && `Skills found: ${skills.join(', ')}.`,
+          result.prefilledFields.length > 0 && 'We used it to fill in your profile.',
+        ].filter(Boolean).join(' '),
+      } : {
+        icon: 'error',
+        title: 'Upload failed',
+        text: result.errors ? result.errors[0].msg : result.message,
+      });
+    } catch (error) {
+      Swal.fire({
+        icon: 'error',
+        title: 'Upload failed',
+        text: error.message,
+      });
+    } finally {
+      setSelectedFile(null); // Reset selected file state after the upload
+      input.value = '';
+    }
   };
 
   return (
@@ -58,23 +140,31 @@ const Newsletter = () => {
           <FaEnvelopeOpenText /> Email Latest Jobs
         </h3>
         <p className="text-primary/75 text-base mb-4">
-          Subscribe our Newsletter for latest job updates
+          Get new jobs matching your current search by email
         </p>
         <div className="w-full space-y-4">
           <input
             type="email"
             id="email"
             name="email"
-            placeholder="Email"
-            required
+            placeholder={user ? user.email : "Email"}
+            required={!user}
             value={email}
             onChange={(e) => setEmail(e.target.value)} // Update state on change
             className="w-full block py-2 pl-3 border focus:outline-none"
           />
+          <select
+            value={frequency}
+            onChange={(e) => setFrequency(e.target.value)}
+            className="w-full block py-2 pl-3 border focus:outline-none"
+          >
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+          </select>
           <input
             type="submit"
-            value="Subscribe"
-            required
+            value={isSubscribing ? "Subscribing..." : "Subscribe"}
+            disabled={isSubscribing}
             onClick={handleSubscribe} // Handle submit button click
             className="w-full block py-2 pl-3 border focus:outline-none bg-blue rounded-sm text-white cursor-pointer font-semibold"
           />
@@ -92,7 +182,8 @@ const Newsletter = () => {
           <input
             type="file" // Use input type="file" for resume upload
             id="resumeInput"
-            accept=".pdf, .doc, .docx" // Specify allowed file types
+            accept=".pdf, .docx" // Specify allowed file types
+            disabled={!!selectedFile}
             onChange={handleResumeUpload} // Handle file selection change
             className="w-full block py-2 pl-3 border focus:outline-none bg-blue rounded-sm text-white cursor-pointer font-semibold"
           />
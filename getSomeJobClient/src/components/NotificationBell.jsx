@@ -0,0 +1,148 @@
+import { useEffect, useRef, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom';
+import { FiBell } from 'react-icons/fi';
+import { useAuth } from '../context/AuthContext';
+import { apiService } from '../services/api';
+
+const LATEST_LIMIT = 8;
+
+// Bell with the unread count and a dropdown of the latest notifications,
+// kept up to date over the real-time channel
+const NotificationBell = () => {
+  const { isAuthenticated, subscribe } = useAuth();
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    apiService.getNotifications({ limit: LATEST_LIMIT }).then((response) => {
+      if (response.success) {
+        setNotifications(response.notifications);
+        setUnreadCount(response.unreadCount);
+      }
+    }).catch((error) => console.error('Error fetching notifications:', error));
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    const unsubscribers = [
+      subscribe('notification', (notification) => {
+        setNotifications((current) => [notification, ...current.filter((entry) => entry._id !== notification._id)].slice(0, LATEST_LIMIT));
+        setUnreadCount((count) => count + 1);
+      }),
+      // Read elsewhere, e.g. in another tab
+      subscribe('notification:read', (event) => {
+        const readAt = new Date().toISOString();
+        setNotifications((current) => current.map((entry) => (event.all || entry._id === event.notificationId) && !entry.readAt
+          ? { ...entry, readAt }
+          : entry));
+        setUnreadCount(event.unreadCount);
+      }),
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [subscribe]);
+
+  // Close the dropdown on a click anywhere else
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const handleOpen = async (notification) => {
+    setIsOpen(false);
+    if (!notification.readAt) {
+      try {
+        const result = await apiService.markNotificationRead(notification._id);
+        if (result.success) {
+          setNotifications((current) => current.map((entry) => entry._id === notification._id ? result.notification : entry));
+          setUnreadCount(result.unreadCount);
+        }
+      } catch (error) {
+        console.error('Error marking notification read:', error);
+      }
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAll = async () => {
+    try {
+      const result = await apiService.markAllNotificationsRead();
+      if (result.success) {
+        const readAt = new Date().toISOString();
+        setNotifications((current) => current.map((entry) => entry.readAt ? entry : { ...entry, readAt }));
+        setUnreadCount(0);
+      }
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+    }
+  };
+
+  if (!isAuthenticated) return null;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 text-primary hover:text-blue"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <FiBell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-500 text-white text-xs rounded-full min-w-[1.25rem] h-5 px-1 flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white border rounded shadow-lg z-50">
+          <div className="flex justify-between items-center px-4 py-2 border-b">
+            <span className="font-semibold">Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAll} className="text-sm text-blue hover:underline">
+                Mark all read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-600">You are all caught up.</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => handleOpen(notification)}
+                    className={`w-full text-left px-4 py-3 border-b hover:bg-gray-50 ${notification.readAt ? '' : 'bg-blue-50'}`}
+                  >
+                    <p className="text-sm font-medium">{notification.title}</p>
+                    <p className="text-xs text-primary/70">{notification.message}</p>
+                    <p className="text-xs text-primary/50 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <Link
+            to="/notifications"
+            onClick={() => setIsOpen(false)}
+            className="block text-center text-sm text-blue py-2 hover:underline"
+          >
+            See all and manage preferences
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell
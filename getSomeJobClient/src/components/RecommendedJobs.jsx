@@ -0,0 +1,47 @@
+import React, { useEffect, useState } from 'react'
+import { Link } from 'react-router-dom';
+import { FiMapPin, FiStar } from 'react-icons/fi';
+import { apiService } from '../services/api';
+
+// "Recommended for you" strip for a signed-in jobseeker
+const RecommendedJobs = () => {
+  const [jobs, setJobs] = useState([]);
+
+  useEffect(() => {
+    apiService.getRecommendedJobs().then((response) => {
+      if (Array.isArray(response.jobs)) {
+        setJobs(response.jobs);
+      }
+    }).catch((error) => console.error('Error fetching recommended jobs:', error));
+  }, []);
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="lg:px-24 px-4 pt-8">
+      <h3 className="text-lg font-bold mb-4 flex items-center gap-2">
+        <FiStar /> Recommended for you
+      </h3>
+      <div className="flex gap-4 overflow-x-auto pb-2">
+        {jobs.map((job) => (
+          <Link
+            key={job._id}
+            to={`/job/${job._id}`}
+            className="min-w-[260px] max-w-[260px] border rounded p-4 bg-white hover:shadow-md transition-shadow"
+          >
+            <h4 className="text-primary text-sm mb-1">{job.companyName}</h4>
+            <h3 className="font-semibold mb-2">{job.jobTitle}</h3>
+            <p className="text-primary/70 text-sm flex items-center gap-2 mb-2"><FiMapPin/> {job.jobLocation}</p>
+            {job.recommendation.reasons[0] && (
+              <p className="text-xs text-blue">{job.recommendation.reasons[0]}</p>
+            )}
+          </Link>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default RecommendedJobs
@@ -0,0 +1,42 @@
+import { useEffect } from 'react'
+import Swal from 'sweetalert2';
+import { useAuth } from '../context/AuthContext';
+
+// What each account alert tells the user
+const MESSAGES = {
+  LOGIN_FAILED: 'Someone just failed to sign in to your account.',
+  MFA_LOGIN_VERIFICATION_FAILED: 'A sign-in to your account failed two-factor verification.',
+  MFA_BACKUP_VERIFICATION_FAILED: 'A backup code for your account was rejected.',
+  PASSWORD_CHANGED: 'Your password was changed.',
+  PASSWORD_RESET_COMPLETED: 'Your password was reset.',
+  MFA_ENABLED: 'Two-factor authentication was turned on.',
+  MFA_DISABLED: 'Two-factor authentication was turned off.',
+  MFA_BACKUP_CODES_REGENERATED: 'New backup codes were generated.',
+};
+
+// Shows security alerts about the signed-in account as they happen. Admins
+// follow every alert on the security dashboard instead.
+const SecurityAlerts = () => {
+  const { user, subscribe } = useAuth();
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    if (isAdmin) return undefined;
+    return subscribe('security:alert', (alert) => {
+      Swal.fire({
+        toast: true,
+        position: 'top-end',
+        icon: 'warning',
+        title: MESSAGES[alert.eventType] || 'Security event on your account',
+        text: `${new Date(alert.timestamp).toLocaleString()}${alert.ipAddress ? ` from ${alert.ipAddress}` : ''}. Not you? Change your password.`,
+        showConfirmButton: false,
+        showCloseButton: true,
+        timer: 10000,
+      });
+    });
+  }, [isAdmin, subscribe]);
+
+  return null;
+}
+
+export default SecurityAlerts
@@ -11,14 +11,25 @@ const SecurityDashboard = () => {
     failedLogins: 0,
     successfulLogins: 0
   });
-  const { user } = useAuth();
+  const { user, subscribe, realtimeStatus } = useAuth();
 
   useEffect(() => {
-    if (user && user.role === 'employer') {
+    if (user && user.role === 'admin') {
       fetchSecurityEvents();
     }
   }, [user]);
 
+  // New alerts arrive over the real-time channel; Refresh reloads everything
+  useEffect(() => subscribe('security:alert', (alert) => {
+    setSecurityEvents((events) => [{ ...alert, ip: alert.ipAddress }, ...events]);
+    setStats((current) => ({
+      ...current,
+      totalEvents: current.totalEvents + 1,
+      suspiciousEvents: current.suspiciousEvents + (alert.eventType === 'SUSPICIOUS_REQUEST' ? 1 : 0),
+      failedLogins: current.failedLogins + (alert.eventType === 'LOGIN_FAILED' ? 1 : 0)
+    }));
+  }), [subscribe]);
+
   const fetchSecurityEvents = async () => {
     try {
       setLoading(true);
@@ -71,7 +82,7 @@ const SecurityDashboard = () => {
     }
   };
 
-  if (!user || user.role !== 'employer') {
+  if (!user || user.role !== 'admin') {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
         <div className="text-center">
@@ -145,7 +156,12 @@ const SecurityDashboard = () => {
         <div className="bg-white rounded-lg shadow">
           <div className="px-6 py-4 border-b border-gray-200">
             <div className="flex items-center justify-between">
-              <h2 className="text-lg font-semibold text-gray-900">Recent Security Events</h2>
+              <h2 className="text-lg font-semibold text-gray-900">
+                Recent Security Events
+                {realtimeStatus === 'open' && (
+                  <span className="ml-2 text-xs font-medium text-green-600">● Live</span>
+                )}
+              </h2>
               <button
                 onClick={fetchSecurityEvents}
                 disabled={loading}
@@ -1,5 +1,6 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
 import { apiService } from '../services/api';
+import { connectRealtime } from '../services/realtime';
 
 const AuthContext = createContext();
 
@@ -15,6 +16,9 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [userProfile, setUserProfile] = useState(null);
+  const [realtimeStatus, setRealtimeStatus] = useState('closed');
+  // Real-time event handlers by event type
+  const listeners = useRef(new Map());
 
   // Check for existing session on app load
   useEffect(() => {
@@ -47,6 +51,31 @@ export const AuthProvider = ({ children }) => {
     checkAuthStatus();
   }, []);
 
+  // One real-time connection per signed-in user, shared by every page
+  const userEmail = user?.email;
+  useEffect(() => {
+    if (!userEmail) return undefined;
+    const close = connectRealtime({
+      onEvent: (type, data) => {
+        (listeners.current.get(type) || new Set()).forEach((handler) => handler(data));
+      },
+      onStatusChange: setRealtimeStatus,
+    });
+    return () => {
+      close();
+      setRealtimeStatus('closed');
+    };
+  }, [userEmail]);
+
+  // Call handler with the payload of every `type` event; returns the unsubscribe function
+  const subscribe = useCallback((type, handler) => {
+    if (!listeners.current.has(type)) {
+      listeners.current.set(type, new Set());
+    }
+    listeners.current.get(type).add(handler);
+    return () => listeners.current.get(type).delete(handler);
+  }, []);
+
   const login = async (email, password, captchaToken) => {
     try {
       const response = await apiService.login(email, password, captchaToken);
@@ -115,6 +144,8 @@ export const AuthProvider = ({ children }) => {
     logout,
     updateUserProfile,
     isAuthenticated: !!user,
+    subscribe,
+    realtimeStatus,
     setUser // Add this to allow external updates to user state
   };
 
@@ -111,9 +111,34 @@ export const apiService = {
     }
   },
 
+  async getJobFacets(params = {}) {
+    try {
+      const queryParams = new URLSearchParams(params);
+      const response = await fetch(`${API_BASE_URL}/api/jobs/facets?${queryParams}`);
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to fetch job filters');
+    }
+  },
+
+  async getRecommendedJobs(limit) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/jobs/recommended${limit ? `?limit=${limit}` : ''}`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to fetch recommended jobs');
+    }
+  },
+
   async getJob(id) {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/jobs/${id}`);
+      const response = await fetch(`${API_BASE_URL}/api/jobs/${id}`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
       return await response.json();
     } catch (error) {
       throw new Error('Failed to fetch job');
@@ -148,6 +173,20 @@ export const apiService = {
     }
   },
 
+  async updateJobStatus(id, status, expiresAt) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/jobs/${id}/status`, {
+        method: 'PATCH',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ status, ...(expiresAt && { expiresAt }) }),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to update job status');
+    }
+  },
+
   async deleteJob(id) {
     try {
       const response = await fetch(`${API_BASE_URL}/api/jobs/${id}`, {
@@ -163,13 +202,262 @@ export const apiService = {
 
   async getUserJobs(email) {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/jobs/user/${email}`);
+      const response = await fetch(`${API_BASE_URL}/api/jobs/user/${email}`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
       return await response.json();
     } catch (error) {
       throw new Error('Failed to fetch user jobs');
     }
   },
 
+  async getManagedJobs() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/jobs/mine`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to fetch company jobs');
+    }
+  },
+
+  // Company and team management
+  async getMyCompany() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/companies/mine`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to fetch company');
+    }
+  },
+
+  async createCompany(companyData) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/companies`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify(companyData),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to create company');
+    }
+  },
+
+  async updateCompany(companyData) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/companies/mine`, {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify(companyData),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to update company');
+    }
+  },
+
+  async inviteTeamMember(email, role) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/companies/mine/invites`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ email, role }),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to send invitation');
+    }
+  },
+
+  async revokeInvite(inviteId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/companies/mine/invites/${inviteId}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to revoke invitation');
+    }
+  },
+
+  async acceptCompanyInvite(token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/companies/invites/${token}/accept`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to accept invitation');
+    }
+  },
+
+  async updateTeamMember(userId, role) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/companies/mine/members/${userId}`, {
+        method: 'PATCH',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ role }),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to update team member');
+    }
+  },
+
+  async removeTeamMember(userId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/companies/mine/members/${userId}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to remove team member');
+    }
+  },
+
+  // Saved jobs
+  async getSavedJobs() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/saved-jobs`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to fetch saved jobs');
+    }
+  },
+
+  async getSavedJobIds() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/saved-jobs/ids`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to fetch saved jobs');
+    }
+  },
+
+  async saveJob(jobId, note) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/saved-jobs/${jobId}`, {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify(note !== undefined ? { note } : {}),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to save job');
+    }
+  },
+
+  async unsaveJob(jobId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/saved-jobs/${jobId}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to remove saved job');
+    }
+  },
+
+  // Job alerts (saved searches)
+  async createJobAlert(alertData) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/job-alerts`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify(alertData),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to create job alert');
+    }
+  },
+
+  // Resumes
+  async getResumes() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/resumes`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to fetch resumes');
+    }
+  },
+
+  async uploadResume(file, name) {
+    try {
+      const formData = new FormData();
+      formData.append('resume', file);
+      if (name) {
+        formData.append('name', name);
+      }
+
+      // Let the browser set the multipart Content-Type with its boundary
+      const { 'Content-Type': _contentType, ...headers } = getAuthHeaders();
+      const response = await fetch(`${API_BASE_URL}/api/resumes`, {
+        method: 'POST',
+        headers,
+        credentials: 'include',
+        body: formData,
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to upload resume');
+    }
+  },
+
+  async deleteResume(id) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/resumes/${id}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to delete resume');
+    }
+  },
+
+  async downloadResume(id) {
+    const response = await fetch(`${API_BASE_URL}/api/resumes/${id}/download`, {
+      headers: getAuthHeaders(),
+      credentials: 'include',
+    });
+    if (!response.ok) {
+      throw new Error('Failed to download resume');
+    }
+    return await response.blob();
+  },
+
   // Application management
   async submitApplication(applicationData) {
     try {
@@ -185,9 +473,24 @@ export const apiService = {
     }
   },
 
+  async getJobPipeline(jobId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/jobs/${jobId}/pipeline`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to fetch job pipeline');
+    }
+  },
+
   async getJobApplications(jobId) {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/applications/job/${jobId}`);
+      const response = await fetch(`${API_BASE_URL}/api/applications/job/${jobId}`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
       return await response.json();
     } catch (error) {
       throw new Error('Failed to fetch job applications');
@@ -196,20 +499,196 @@ export const apiService = {
 
   async getUserApplications(email) {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/applications/applicant/${email}`);
+      const response = await fetch(`${API_BASE_URL}/api/applications/applicant/${email}`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
       return await response.json();
     } catch (error) {
       throw new Error('Failed to fetch user applications');
     }
   },
 
-  async updateApplicationStatus(id, status) {
+  async withdrawApplication(id, reason) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/applications/${id}/withdraw`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ reason }),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to withdraw application');
+    }
+  },
+
+  // Interviews: pass { applicationId } or { jobId }
+  async getInterviews(params) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/interviews?${new URLSearchParams(params)}`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to fetch interviews');
+    }
+  },
+
+  async proposeInterview(interviewData) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/interviews`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify(interviewData),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to propose interview');
+    }
+  },
+
+  async selectInterviewSlot(id, slotId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/interviews/${id}/select`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ slotId }),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to schedule interview');
+    }
+  },
+
+  async rescheduleInterview(id, slot) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/interviews/${id}/reschedule`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify(slot),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to reschedule interview');
+    }
+  },
+
+  async cancelInterview(id, reason) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/interviews/${id}/cancel`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ reason }),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to cancel interview');
+    }
+  },
+
+  // Real-time events: the raw text/event-stream response, read by services/realtime.js
+  async openEventStream(signal) {
+    return fetch(`${API_BASE_URL}/api/realtime/stream`, {
+      headers: { ...getAuthHeaders(), 'Accept': 'text/event-stream' },
+      credentials: 'include',
+      signal,
+    });
+  },
+
+  // Application messages. Pass internal: true for the employer team's notes.
+  async getMessages(applicationId, { internal = false } = {}) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/applications/${applicationId}/messages${internal ? '?internal=true' : ''}`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to fetch messages');
+    }
+  },
+
+  async sendMessage(applicationId, { body, files = [], internal = false }) {
+    try {
+      const formData = new FormData();
+      formData.append('body', body);
+      if (internal) {
+        formData.append('internal', 'true');
+      }
+      files.forEach((file) => formData.append('attachments', file));
+
+      // Let the browser set the multipart Content-Type with its boundary
+      const { 'Content-Type': _contentType, ...headers } = getAuthHeaders();
+      const response = await fetch(`${API_BASE_URL}/api/applications/${applicationId}/messages`, {
+        method: 'POST',
+        headers,
+        credentials: 'include',
+        body: formData,
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to send message');
+    }
+  },
+
+  async markMessagesRead(applicationId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/applications/${applicationId}/messages/read`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to mark messages as read');
+    }
+  },
+
+  async downloadMessageAttachment(applicationId, messageId, attachmentId) {
+    const response = await fetch(`${API_BASE_URL}/api/applications/${applicationId}/messages/${messageId}/attachments/${attachmentId}`, {
+      headers: getAuthHeaders(),
+      credentials: 'include',
+    });
+    if (!response.ok) {
+      throw new Error('Failed to download attachment');
+    }
+    return await response.blob();
+  },
+
+  // Applicants of one job, or of every managed job without jobId, as a CSV
+  // or XLSX file
+  async exportApplicants({ jobId, format = 'csv', stage, from, to } = {}) {
+    const params = new URLSearchParams({ format });
+    if (jobId) params.append('jobId', jobId);
+    if (stage) params.append('stage', stage);
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+
+    const response = await fetch(`${API_BASE_URL}/api/applications/export?${params}`, {
+      headers: getAuthHeaders(),
+      credentials: 'include',
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.message || data.errors?.[0]?.msg || 'Failed to export applicants');
+    }
+    const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `applicants.${format}`;
+    return { blob: await response.blob(), filename };
+  },
+
+  async updateApplicationStatus(id, status, note) {
     try {
       const response = await fetch(`${API_BASE_URL}/api/applications/${id}/status`, {
         method: 'PATCH',
         headers: getAuthHeaders(),
         credentials: 'include',
-        body: JSON.stringify({ status }),
+        body: JSON.stringify({ status, note }),
       });
       return await response.json();
     } catch (error) {
@@ -217,6 +696,103 @@ export const apiService = {
     }
   },
 
+  // In-app notifications
+  async getNotifications({ limit, unread = false } = {}) {
+    try {
+      const params = new URLSearchParams();
+      if (limit) params.append('limit', limit);
+      if (unread) params.append('unread', 'true');
+      const response = await fetch(`${API_BASE_URL}/api/notifications?${params}`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to fetch notifications');
+    }
+  },
+
+  async markNotificationRead(id) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/notifications/${id}/read`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to mark notification as read');
+    }
+  },
+
+  async markAllNotificationsRead() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/notifications/read-all`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to mark notifications as read');
+    }
+  },
+
+  async getNotificationPreferences() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/notifications/preferences`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to fetch notification preferences');
+    }
+  },
+
+  async updateNotificationPreferences(preferences) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/notifications/preferences`, {
+        method: 'PUT',
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ preferences }),
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to update notification preferences');
+    }
+  },
+
+  // Bulk job import from a CSV or JSON file. A dry run only validates.
+  async importJobs(file, { dryRun = false } = {}) {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      // Let the browser set the multipart Content-Type with its boundary
+      const { 'Content-Type': _contentType, ...headers } = getAuthHeaders();
+      const response = await fetch(`${API_BASE_URL}/api/jobs/import${dryRun ? '?dryRun=true' : ''}`, {
+        method: 'POST',
+        headers,
+        credentials: 'include',
+        body: formData,
+      });
+      return await response.json();
+    } catch (error) {
+      throw new Error('Failed to import jobs');
+    }
+  },
+
+  // schema.org JobPosting of a published job, for search engines
+  async getJobJsonLd(id) {
+    const response = await fetch(`${API_BASE_URL}/feeds/jobs/${id}.jsonld`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch job structured data');
+    }
+    return await response.text();
+  },
+
   // Legacy endpoints for backward compatibility
   async getAllJobs() {
     try {
@@ -229,7 +805,10 @@ export const apiService = {
 
   async getJobById(id) {
     try {
-      const response = await fetch(`${API_BASE_URL}/all-jobs/${id}`);
+      const response = await fetch(`${API_BASE_URL}/all-jobs/${id}`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
       return await response.json();
     } catch (error) {
       throw new Error('Failed to fetch job by ID');
@@ -240,9 +819,8 @@ export const apiService = {
     try {
       const response = await fetch(`${API_BASE_URL}/post-job`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: getAuthHeaders(),
+        credentials: 'include',
         body: JSON.stringify(jobData),
       });
       return await response.json();
@@ -253,7 +831,10 @@ export const apiService = {
 
   async getMyJobs(email) {
     try {
-      const response = await fetch(`${API_BASE_URL}/myJobs/${email}`);
+      const response = await fetch(`${API_BASE_URL}/myJobs/${email}`, {
+        headers: getAuthHeaders(),
+        credentials: 'include',
+      });
       return await response.json();
     } catch (error) {
       throw new Error('Failed to fetch my jobs');
@@ -264,6 +845,8 @@ export const apiService = {
     try {
       const response = await fetch(`${API_BASE_URL}/job/${id}`, {
         method: 'DELETE',
+        headers: getAuthHeaders(),
+        credentials: 'include',
       });
       return await response.json();
     } catch (error) {
@@ -275,9 +858,8 @@ export const apiService = {
     try {
       const response = await fetch(`${API_BASE_URL}/update-job/${id}`, {
         method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: getAuthHeaders(),
+        credentials: 'include',
         body: JSON.stringify(jobData),
       });
       return await response.json();
@@ -0,0 +1,4 @@
+// "Tue, Oct 20, 2:00 PM – 3:00 PM" for an interview slot, in the viewer's time zone
+export const formatSlot = (slot) => `${new Date(slot.start).toLocaleString([], {
+  weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+})} – ${new Date(slot.end).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
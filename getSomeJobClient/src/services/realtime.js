@@ -0,0 +1,90 @@
+import { apiService } from './api';
+
+// Reconnection backoff: doubles after every failed attempt, up to MAX_MS
+const BACKOFF = {
+  INITIAL_MS: 1000,
+  MAX_MS: 30000,
+};
+
+// One Server-Sent Events frame -> { type, data, retry }. Comment lines
+// (heartbeats) are ignored; data lines are joined as the spec says.
+const parseFrame = (frame) => {
+  const event = { type: 'message', data: [], retry: null };
+  frame.split(/\r?\n/).forEach((line) => {
+    if (!line || line.startsWith(':')) return;
+    const index = line.indexOf(':');
+    const field = index === -1 ? line : line.slice(0, index);
+    const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+    if (field === 'event') event.type = value;
+    if (field === 'data') event.data.push(value);
+    if (field === 'retry' && /^\d+$/.test(value)) event.retry = Number(value);
+  });
+  return event;
+};
+
+// Keep one event stream open for the signed-in user, reconnecting with
+// backoff when it drops. The stream is read with fetch rather than
+// EventSource so the token travels in the Authorization header, not the URL.
+// Returns a function that closes the connection for good.
+export const connectRealtime = ({ onEvent, onStatusChange = () => {} }) => {
+  const controller = new AbortController();
+  let attempt = 0;
+  let retryMs = 0;
+  let timer = null;
+  let closed = false;
+
+  const open = async () => {
+    try {
+      onStatusChange('connecting');
+      const response = await apiService.openEventStream(controller.signal);
+      if (response.status === 401 || response.status === 423) {
+        // Signed out, token expired or account locked: retrying would not help
+        onStatusChange('unauthorized');
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Event stream answered ${response.status}`);
+      }
+
+      attempt = 0;
+      onStatusChange('open');
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += value;
+        const frames = buffer.split(/\r?\n\r?\n/);
+        buffer = frames.pop();
+        frames.forEach((frame) => {
+          const event = parseFrame(frame);
+          if (event.retry !== null) retryMs = event.retry;
+          if (event.data.length === 0) return;
+          try {
+            onEvent(event.type, JSON.parse(event.data.join('\n')));
+          } catch (error) {
+            console.error(`Ignoring malformed ${event.type} event:`, error);
+          }
+        });
+      }
+    } catch (error) {
+      if (closed) return;
+      console.error('Real-time connection lost:', error.message);
+    }
+    if (closed) return;
+
+    // Spread reconnects out so clients do not all return at the same moment
+    const delay = Math.min(BACKOFF.MAX_MS, Math.max(retryMs, BACKOFF.INITIAL_MS * 2 ** attempt));
+    attempt += 1;
+    onStatusChange('reconnecting');
+    timer = setTimeout(open, delay / 2 + Math.random() * (delay / 2));
+  };
+
+  open();
+
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+    controller.abort();
+  };
+};
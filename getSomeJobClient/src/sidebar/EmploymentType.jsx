@@ -1,7 +1,16 @@
 import React from 'react'
 import InputField from '../components/InputField'
 
-const EmploymentType = ({handleChange}) => {
+const EmploymentType = ({selected = "", onFilterChange, options = []}) => {
+  const handleChange = (event) => {
+    onFilterChange({type: event.target.value})
+  }
+
+  // Keep a selection from a shared URL visible even if it no longer has jobs
+  const values = selected && !options.some(({value}) => value === selected)
+    ? [...options, {value: selected, count: 0}]
+    : options;
+
   return (
     <div>
         <h4 className="text-lg font-medium mb-2">Job Type</h4>
@@ -10,21 +19,20 @@ const EmploymentType = ({handleChange}) => {
             <label className='sidebar-label-container'>
                 <input
                     type="radio"
-                    id="test"
-                    name="test"
-                    // placeholder="placeholder"
+                    name="type"
                     value=""
+                    checked={!selected}
                     onChange={handleChange}
                 />
                 <span className="checkmark"></span>All Type
             </label>
 
-            <InputField handleChange={handleChange} value="Temporary" title="Contractual" name="test" />
-            <InputField handleChange={handleChange} value="Part-Time" title="Part Time" name="test" />
-            <InputField handleChange={handleChange} value="Full-Time" title="Full Time" name="test" />
+            {values.map(({value, count}) => (
+                <InputField key={value} handleChange={handleChange} value={value} title={`${value} (${count})`} name="type" checked={selected === value} />
+            ))}
         </div>
     </div>
   )
 }
 
-export default EmploymentType
\ No newline at end of file
+export default EmploymentType
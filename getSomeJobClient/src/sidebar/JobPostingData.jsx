@@ -1,20 +1,10 @@
 import React from 'react'
-import InputField from '../components/InputField';
 
-const JobPostingData = ({handleChange}) => {
-const now = new Date();
-// console.log(now)
-const twentyFourHoursAgo = new Date( now - 24 * 60 * 60 * 1000);
-const SevenDaysAgo = new Date( now - 7 * 24 * 60 * 60 * 1000);
-const ThirtyDaysAgo = new Date( now - 30 * 24 * 60 * 60 * 1000);
-   
-// Convert Data to String
-const twentyFourHoursAgoDate = twentyFourHoursAgo.toISOString().slice(0, 10);
-const SevenDaysAgoDate = SevenDaysAgo.toISOString().slice(0, 10);
-const ThirtyDaysAgoDate = ThirtyDaysAgo.toISOString().slice(0, 10);
-// console.log(twentyFourHoursAgoDate)
+const JobPostingData = ({postedWithin = "", onFilterChange, options = []}) => {
+  // Hide windows without jobs, unless it is the one currently selected
+  const visibleOptions = options.filter(({value, count}) => count > 0 || value === postedWithin);
 
-return (
+  return (
     <div>
     <h4 className="text-lg font-medium mb-2">Date of Posting</h4>
 
@@ -22,21 +12,29 @@ return (
         <label className='sidebar-label-container'>
             <input
                 type="radio"
-                id="test"
-                name="test"
-                // placeholder="placeholder"
+                name="postedWithin"
                 value=""
-                onChange={handleChange}
+                checked={!postedWithin}
+                onChange={() => onFilterChange({postedWithin: ""})}
             />
             <span className="checkmark"></span>All Time
         </label>
 
-        <InputField handleChange={handleChange} value={twentyFourHoursAgoDate} title="Last 24 Hours" name="test" />
-        <InputField handleChange={handleChange} value={SevenDaysAgoDate} title="Last 7 Days" name="test" />
-        <InputField handleChange={handleChange} value={ThirtyDaysAgoDate} title="Last Month" name="test" />
+        {visibleOptions.map(({value, label, count}) => (
+            <label key={value} className='sidebar-label-container'>
+                <input
+                    type="radio"
+                    name="postedWithin"
+                    value={value}
+                    checked={postedWithin === value}
+                    onChange={() => onFilterChange({postedWithin: value})}
+                />
+                <span className="checkmark"></span>{label} ({count})
+            </label>
+        ))}
     </div>
 </div>
   )
 }
 
-export default JobPostingData
\ No newline at end of file
+export default JobPostingData
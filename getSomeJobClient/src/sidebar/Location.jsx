@@ -1,7 +1,16 @@
 import React from 'react'
 import InputField from '../components/InputField'
 
-const Location = ({handleChange}) => {
+const Location = ({selected = "", onFilterChange, options = []}) => {
+  const handleChange = (event) => {
+    onFilterChange({location: event.target.value})
+  }
+
+  // Keep a selection from a shared URL visible even if it no longer has jobs
+  const values = selected && !options.some(({value}) => value === selected)
+    ? [...options, {value: selected, count: 0}]
+    : options;
+
   return (
     <div>
         <h4 className="text-lg font-medium mb-2">Location</h4>
@@ -10,22 +19,20 @@ const Location = ({handleChange}) => {
             <label className='sidebar-label-container'>
                 <input
                     type="radio"
-                    id="test"
-                    name="test"
-                    // placeholder="placeholder"
+                    name="location"
                     value=""
+                    checked={!selected}
                     onChange={handleChange}
                 />
                 <span className="checkmark"></span>All
             </label>
 
-            <InputField handleChange={handleChange} value="London" title="London" name="test" />
-            <InputField handleChange={handleChange} value="Seattle" title="Seattle" name="test" />
-            <InputField handleChange={handleChange} value="Madrid" title="Madrid" name="test" />
-            <InputField handleChange={handleChange} value="Boston" title="Boston" name="test" />
+            {values.map(({value, count}) => (
+                <InputField key={value} handleChange={handleChange} value={value} title={`${value} (${count})`} name="location" checked={selected === value} />
+            ))}
         </div>
     </div>
   )
 }
 
-export default Location
\ No newline at end of file
+export default Location
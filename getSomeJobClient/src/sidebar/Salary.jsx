@@ -1,37 +1,69 @@
 import React from 'react'
 import Button from './Button'
-import InputField from '../components/InputField'
 
-const Salary = ({handleChange, handleClick}) => {
+const SALARY_PERIODS = ["Hourly", "Monthly", "Yearly"];
+
+// Salary buckets come from the facets API, in units of the selected pay period
+const Salary = ({filters, onFilterChange, buckets = []}) => {
+  const period = filters.salaryPeriod || "Yearly";
+  const salaryMin = filters.salaryMin || "";
+  const salaryMax = filters.salaryMax || "";
+
+  const handlePeriodClick = (event) => {
+    // Switching period clears the range, the old bounds mean something else now
+    onFilterChange({salaryPeriod: event.target.value, salaryMin: "", salaryMax: ""});
+  }
+
+  const handleRangeChange = (range) => {
+    onFilterChange({
+        salaryPeriod: period,
+        salaryMin: range.min !== undefined ? String(range.min) : "",
+        salaryMax: range.max !== undefined ? String(range.max) : "",
+    });
+  }
+
+  const isSelected = (range) =>
+    salaryMin === (range.min !== undefined ? String(range.min) : "") &&
+    salaryMax === (range.max !== undefined ? String(range.max) : "");
+
   return (
     <div>
         <h4 className="text-lg font-medium mb-2">Salary</h4>
         <div className="mb-4">
-            <Button onClickHandler={handleClick} value="" title="Hourly" />
-            <Button onClickHandler={handleClick} value="Monthly" title="Monthly" />
-            <Button onClickHandler={handleClick} value="Yearly" title="Yearly" />
+            {SALARY_PERIODS.map((value) => (
+                <span key={value} className={period === value ? "font-semibold" : ""}>
+                    <Button onClickHandler={handlePeriodClick} value={value} title={value} />
+                </span>
+            ))}
         </div>
 
         <div className="">
-        <label className='sidebar-label-container'>
+            <label className='sidebar-label-container'>
                 <input
                     type="radio"
-                    id="test"
-                    name="test"
-                    // placeholder="placeholder"
+                    name="salary"
                     value=""
-                    onChange={handleChange}
+                    checked={!salaryMin && !salaryMax}
+                    onChange={() => handleRangeChange({})}
                 />
                 <span className="checkmark"></span>All
             </label>
 
-            <InputField handleChange={handleChange} value={30} title="< 300000" name="test2" />
-            <InputField handleChange={handleChange} value={50} title="< 500000" name="test2" />
-            <InputField handleChange={handleChange} value={80} title="< 800000" name="test2" />
-            <InputField handleChange={handleChange} value={100} title="< 1000000" name="test2" />
+            {buckets.filter((range) => range.count > 0 || isSelected(range)).map((range) => (
+                <label key={range.label} className='sidebar-label-container'>
+                    <input
+                        type="radio"
+                        name="salary"
+                        value={range.label}
+                        checked={isSelected(range)}
+                        onChange={() => handleRangeChange(range)}
+                    />
+                    <span className="checkmark"></span>{range.label} ({range.count})
+                </label>
+            ))}
         </div>
     </div>
   )
 }
 
-export default Salary
\ No newline at end of file
+export default Salary
@@ -5,16 +5,22 @@ import JobPostingData from './JobPostingData'
 import WorkExperience from './WorkExperience'
 import EmploymentType from './EmploymentType'
 
-const Sidebar = ({handleChange, handleClick}) => {
+// All filters live in one object (mirrored in the URL) and combine with each other
+const Sidebar = ({filters, onFilterChange, onClearFilters, facets = {}}) => {
   return (
     <div className='space-y-5'>
-    <h3 className="text-lg font-bold mb-2">Filters</h3>
+    <div className="flex items-center justify-between mb-2">
+      <h3 className="text-lg font-bold">Filters</h3>
+      {Object.keys(filters).length > 0 && (
+        <button onClick={onClearFilters} className="text-sm text-blue hover:underline">Clear all</button>
+      )}
+    </div>
     
-    <Location handleChange={handleChange}/>
-    <Salary handleChange={handleChange} handleClick={handleClick}/>
-    <JobPostingData handleChange = {handleChange}/>
-    <WorkExperience handleChange = {handleChange}/>
-    <EmploymentType handleChange = {handleChange}/>
+    <Location selected={filters.location} onFilterChange={onFilterChange} options={facets.location}/>
+    <Salary filters={filters} onFilterChange={onFilterChange} buckets={facets.salary?.buckets}/>
+    <JobPostingData postedWithin={filters.postedWithin} onFilterChange={onFilterChange} options={facets.postedWithin}/>
+    <WorkExperience selected={filters.experience} onFilterChange={onFilterChange} options={facets.experienceLevel}/>
+    <EmploymentType selected={filters.type} onFilterChange={onFilterChange} options={facets.employmentType}/>
     
     </div>
   )
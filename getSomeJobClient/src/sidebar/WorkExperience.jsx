@@ -1,7 +1,16 @@
 import React from 'react'
 import InputField from '../components/InputField'
 
-const WorkExperience = ({handleChange}) => {
+const WorkExperience = ({selected = "", onFilterChange, options = []}) => {
+  const handleChange = (event) => {
+    onFilterChange({experience: event.target.value})
+  }
+
+  // Keep a selection from a shared URL visible even if it no longer has jobs
+  const values = selected && !options.some(({value}) => value === selected)
+    ? [...options, {value: selected, count: 0}]
+    : options;
+
   return (
     <div>
         <h4 className="text-lg font-medium mb-2">Work Experience</h4>
@@ -10,20 +19,20 @@ const WorkExperience = ({handleChange}) => {
             <label className='sidebar-label-container'>
                 <input
                     type="radio"
-                    id="test"
-                    name="test"
-                    // placeholder="placeholder"
+                    name="experience"
                     value=""
+                    checked={!selected}
                     onChange={handleChange}
                 />
                 <span className="checkmark"></span>Any Experience
             </label>
 
-            <InputField handleChange={handleChange} value="Internship" title="Internship" name="test" />
-            <InputField handleChange={handleChange} value="Work Remotely" title="Remote Work" name="test" />
+            {values.map(({value, count}) => (
+                <InputField key={value} handleChange={handleChange} value={value} title={`${value} (${count})`} name="experience" checked={selected === value} />
+            ))}
         </div>
     </div>
   )
 }
 
-export default WorkExperience
\ No newline at end of file
+export default WorkExperience
@@ -0,0 +1,253 @@
+const { body, matchedData } = require('express-validator');
+
+// Job schema configuration
+const JOB_SCHEMA = {
+  SALARY_TYPES: ['Hourly', 'Monthly', 'Yearly'],
+  EMPLOYMENT_TYPES: ['Full-Time', 'Part-Time', 'Temporary'],
+  EXPERIENCE_LEVELS: ['Any experience', 'Fresher/No Experience', 'Internship', 'Experienced', 'Work Remotely'],
+
+  TITLE_MAX_LENGTH: 100,
+  COMPANY_MAX_LENGTH: 100,
+  LOCATION_MAX_LENGTH: 100,
+  DESCRIPTION_MIN_LENGTH: 20,
+  DESCRIPTION_MAX_LENGTH: 5000,
+  MAX_SALARY: 100000000,
+  MAX_SKILLS: 20,
+  SKILL_MAX_LENGTH: 50,
+  // Logos may also be files served by the site itself ("/images/Linear.png")
+  SITE_PATH_PATTERN: /^\/(?!\/)[^\s\\]*$/,
+
+  // Lifecycle: jobs are only listed publicly while published
+  STATUSES: ['draft', 'published', 'paused', 'closed', 'expired'],
+  INITIAL_STATUSES: ['draft', 'published'],
+  STATUS_TRANSITIONS: {
+    draft: ['published', 'closed'],
+    published: ['paused', 'closed', 'expired'],
+    paused: ['published', 'closed'],
+    expired: ['published', 'closed'],
+    closed: []
+  },
+  DEFAULT_DURATION_DAYS: 30,
+  MAX_DURATION_DAYS: 180,
+
+  // Multipliers that turn a salary of the given period into an annual figure
+  // (hourly pay assumes a 40 hour week, 52 weeks a year)
+  ANNUAL_FACTORS: {
+    Hourly: 40 * 52,
+    Monthly: 12,
+    Yearly: 1
+  }
+};
+
+// Fields a client is allowed to write on a job document
+const JOB_FIELDS = [
+  'companyName',
+  'jobTitle',
+  'companyLogo',
+  'minPrice',
+  'maxPrice',
+  'salaryType',
+  'jobLocation',
+  'postingDate',
+  'experienceLevel',
+  'employmentType',
+  'description',
+  'skills',
+  'expiresAt'
+];
+
+// Map a case-insensitive value onto its canonical enum spelling ("full-time" -> "Full-Time")
+const toCanonical = (values) => (value) => {
+  if (typeof value !== 'string') return value;
+  const match = values.find(v => v.toLowerCase() === value.trim().toLowerCase());
+  return match || value;
+};
+
+// Resolve a salary period ("hourly", "Monthly", ...) to its canonical name, defaulting to Yearly
+const resolveSalaryPeriod = (period) => {
+  const canonical = toCanonical(JOB_SCHEMA.SALARY_TYPES)(period);
+  return JOB_SCHEMA.SALARY_TYPES.includes(canonical) ? canonical : 'Yearly';
+};
+
+// Convert an amount between salary periods
+const convertSalary = (amount, fromPeriod, toPeriod = 'Yearly') => {
+  const value = parseFloat(amount);
+  if (Number.isNaN(value)) return null;
+  const annual = value * JOB_SCHEMA.ANNUAL_FACTORS[resolveSalaryPeriod(fromPeriod)];
+  return Math.round((annual / JOB_SCHEMA.ANNUAL_FACTORS[resolveSalaryPeriod(toPeriod)]) * 100) / 100;
+};
+
+// Normalized annual salary range stored alongside the raw minPrice/maxPrice.
+// A job without a minimum is treated as a fixed salary at its maximum.
+const normalizeSalary = (job) => {
+  const annualMax = convertSalary(job.maxPrice, job.salaryType);
+  const annualMin = convertSalary(job.minPrice, job.salaryType);
+
+  if (annualMax === null && annualMin === null) return null;
+
+  return {
+    min: annualMin !== null ? annualMin : annualMax,
+    max: annualMax !== null ? annualMax : annualMin
+  };
+};
+
+// Build the validation chain for every job field.
+// On update every field is optional, on create the core fields are required.
+const buildJobRules = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('jobTitle')
+      .isString().withMessage('Job title must be a string')
+      .trim()
+      .isLength({ min: 2, max: JOB_SCHEMA.TITLE_MAX_LENGTH })
+      .withMessage(`Job title must be between 2 and ${JOB_SCHEMA.TITLE_MAX_LENGTH} characters`),
+    field('companyName')
+      .isString().withMessage('Company name must be a string')
+      .trim()
+      .isLength({ min: 1, max: JOB_SCHEMA.COMPANY_MAX_LENGTH })
+      .withMessage(`Company name must be between 1 and ${JOB_SCHEMA.COMPANY_MAX_LENGTH} characters`),
+    body('companyLogo')
+      .optional({ values: 'falsy' })
+      .if((value) => !(typeof value === 'string' && JOB_SCHEMA.SITE_PATH_PATTERN.test(value)))
+      .isURL({ protocols: ['http', 'https'] })
+      .withMessage('Company logo must be a valid http(s) URL or a path on this site'),
+    body('minPrice')
+      .optional({ values: 'falsy' })
+      .isFloat({ min: 0, max: JOB_SCHEMA.MAX_SALARY })
+      .withMessage('Minimum salary must be a positive number')
+      .toFloat(),
+    field('maxPrice')
+      .isFloat({ min: 0, max: JOB_SCHEMA.MAX_SALARY })
+      .withMessage('Maximum salary must be a positive number')
+      .toFloat()
+      .custom((maxPrice, { req }) => {
+        const minPrice = parseFloat(req.body.minPrice);
+        if (!Number.isNaN(minPrice) && minPrice > maxPrice) {
+          throw new Error('Maximum salary must be greater than or equal to minimum salary');
+        }
+        return true;
+      }),
+    field('salaryType')
+      .customSanitizer(toCanonical(JOB_SCHEMA.SALARY_TYPES))
+      .isIn(JOB_SCHEMA.SALARY_TYPES)
+      .withMessage(`Salary type must be one of: ${JOB_SCHEMA.SALARY_TYPES.join(', ')}`),
+    field('jobLocation')
+      .isString().withMessage('Job location must be a string')
+      .trim()
+      .isLength({ min: 2, max: JOB_SCHEMA.LOCATION_MAX_LENGTH })
+      .withMessage(`Job location must be between 2 and ${JOB_SCHEMA.LOCATION_MAX_LENGTH} characters`),
+    body('postingDate')
+      .optional({ values: 'falsy' })
+      .isISO8601({ strict: true })
+      .withMessage('Posting date must be a valid date (YYYY-MM-DD)'),
+    field('experienceLevel')
+      .customSanitizer(toCanonical(JOB_SCHEMA.EXPERIENCE_LEVELS))
+      .isIn(JOB_SCHEMA.EXPERIENCE_LEVELS)
+      .withMessage(`Experience level must be one of: ${JOB_SCHEMA.EXPERIENCE_LEVELS.join(', ')}`),
+    field('employmentType')
+      .customSanitizer(toCanonical(JOB_SCHEMA.EMPLOYMENT_TYPES))
+      .isIn(JOB_SCHEMA.EMPLOYMENT_TYPES)
+      .withMessage(`Employment type must be one of: ${JOB_SCHEMA.EMPLOYMENT_TYPES.join(', ')}`),
+    field('description')
+      .isString().withMessage('Description must be a string')
+      .trim()
+      .isLength({ min: JOB_SCHEMA.DESCRIPTION_MIN_LENGTH, max: JOB_SCHEMA.DESCRIPTION_MAX_LENGTH })
+      .withMessage(`Description must be between ${JOB_SCHEMA.DESCRIPTION_MIN_LENGTH} and ${JOB_SCHEMA.DESCRIPTION_MAX_LENGTH} characters`),
+    body('skills')
+      .optional({ values: 'null' })
+      .isArray({ max: JOB_SCHEMA.MAX_SKILLS })
+      .withMessage(`Skills must be an array of at most ${JOB_SCHEMA.MAX_SKILLS} entries`),
+    body('skills.*')
+      .isString().withMessage('Each skill must be a string')
+      .trim()
+      .isLength({ min: 1, max: JOB_SCHEMA.SKILL_MAX_LENGTH })
+      .withMessage(`Each skill must be between 1 and ${JOB_SCHEMA.SKILL_MAX_LENGTH} characters`),
+    expiresAtRule(),
+    ...(isUpdate ? [] : [
+      body('status')
+        .optional()
+        .isIn(JOB_SCHEMA.INITIAL_STATUSES)
+        .withMessage(`A new job can only be created as: ${JOB_SCHEMA.INITIAL_STATUSES.join(', ')}`)
+    ])
+  ];
+};
+
+// A date-only value ("2026-10-19") means the end of that day in UTC rather
+// than its first moment. Clients that know the user's time zone send a full
+// timestamp instead (CreateJob sends the end of the day in local time).
+const endOfDay = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+
+// Expiry must lie in the future and within the maximum posting duration.
+// A date-only expiry lasts until the end of that day (UTC).
+const expiresAtRule = () => body('expiresAt')
+  .optional({ values: 'falsy' })
+  .isISO8601()
+  .withMessage('Expiry must be a valid date')
+  .customSanitizer(endOfDay)
+  .custom((value) => {
+    const expiresAt = new Date(value);
+    const maxDate = Date.now() + JOB_SCHEMA.MAX_DURATION_DAYS * 24 * 60 * 60 * 1000;
+    if (expiresAt <= new Date()) {
+      throw new Error('Expiry must be in the future');
+    }
+    if (expiresAt.getTime() > maxDate) {
+      throw new Error(`Expiry cannot be more than ${JOB_SCHEMA.MAX_DURATION_DAYS} days away`);
+    }
+    return true;
+  })
+  .toDate();
+
+// Job status change rules
+const jobStatusRules = [
+  body('status')
+    .isIn(JOB_SCHEMA.STATUSES.filter(status => status !== 'expired'))
+    .withMessage('Status must be one of: draft, published, paused, closed'),
+  expiresAtRule()
+];
+
+// Job validation rules
+const jobCreateRules = buildJobRules(false);
+const jobUpdateRules = buildJobRules(true);
+
+// Extract only the whitelisted, sanitized job fields from a validated request
+const pickJobFields = (req) => {
+  const data = matchedData(req, { locations: ['body'], includeOptionals: false });
+  const job = {};
+  JOB_FIELDS.forEach(key => {
+    if (data[key] !== undefined) {
+      job[key] = data[key];
+    }
+  });
+  return job;
+};
+
+// Cross-field check on the merged document (used on partial updates)
+const checkSalaryRange = (job) => {
+  const minPrice = parseFloat(job.minPrice);
+  const maxPrice = parseFloat(job.maxPrice);
+  if (!Number.isNaN(minPrice) && !Number.isNaN(maxPrice) && minPrice > maxPrice) {
+    return [{
+      type: 'field',
+      value: job.maxPrice,
+      msg: 'Maximum salary must be greater than or equal to minimum salary',
+      path: 'maxPrice',
+      location: 'body'
+    }];
+  }
+  return [];
+};
+
+module.exports = {
+  JOB_SCHEMA,
+  JOB_FIELDS,
+  jobCreateRules,
+  jobUpdateRules,
+  jobStatusRules,
+  pickJobFields,
+  checkSalaryRange,
+  resolveSalaryPeriod,
+  convertSalary,
+  normalizeSalary,
+  endOfDay
+};
@@ -1,6 +1,7 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { body, validationResult } = require('express-validator');
 const winston = require('winston');
 
@@ -73,6 +74,13 @@ const SECURITY_CONFIG = {
     MAX_AMOUNT: 1000000 // $10,000 maximum
   },
   
+  // User roles. Only the public ones can be picked at registration;
+  // admin is granted by another admin or by the promote-admin script.
+  ROLES: {
+    ALL: ['jobseeker', 'employer', 'admin'],
+    PUBLIC: ['jobseeker', 'employer']
+  },
+  
   // Data encryption
   ENCRYPTION: {
     ALGORITHM: 'aes-256-gcm',
@@ -274,15 +282,21 @@ const auditLogger = winston.createLogger({
 });
 
 // Audit logging function
+// Every audit event is also emitted as 'audit', so other parts of the
+// server (e.g. real-time security alerts) can react without new call sites
+const auditEvents = new EventEmitter();
+
 const logAuditEvent = (userId, action, details, ipAddress, userAgent) => {
-  auditLogger.info({
+  const entry = {
     userId,
     action,
     details,
     ipAddress,
     userAgent,
     timestamp: new Date().toISOString()
-  });
+  };
+  auditLogger.info({ ...entry });
+  auditEvents.emit('audit', entry);
 };
 
 // Security middleware
@@ -348,6 +362,7 @@ module.exports = {
   generateOTP,
   generateSessionId,
   logAuditEvent,
+  auditEvents,
   securityMiddleware,
   sessionConfig,
   auditLogger,
@@ -0,0 +1,199 @@
+// Demo jobs inserted into an empty demoJobs collection at startup. Kept
+// apart from index.js so test-job-import.js can check them against the
+// bulk import rules.
+const seedJobs = [
+  {
+    companyName: "Google",
+    jobTitle: "Senior Software Engineer",
+    companyLogo: "https://logo.clearbit.com/google.com",
+    minPrice: 120000,
+    maxPrice: 180000,
+    salaryType: "Yearly",
+    jobLocation: "Mountain View, CA",
+    postingDate: "2024-01-15",
+    experienceLevel: "Experienced",
+    employmentType: "Full-Time",
+    description: "Join Google's engineering team to build scalable solutions that impact millions of users worldwide. Work on cutting-edge technologies and collaborate with world-class engineers.",
+    skills: ["JavaScript", "React", "Node.js", "Python", "Go"],
+    postedBy: "hr@google.com",
+    createAt: new Date()
+  },
+  {
+    companyName: "Microsoft",
+    jobTitle: "Frontend Developer",
+    companyLogo: "https://logo.clearbit.com/microsoft.com",
+    minPrice: 90000,
+    maxPrice: 140000,
+    salaryType: "Yearly",
+    jobLocation: "Seattle, WA",
+    postingDate: "2024-01-20",
+    experienceLevel: "Experienced",
+    employmentType: "Full-Time",
+    description: "Build beautiful and responsive user interfaces for Microsoft's next-generation products. Work with modern frameworks and contribute to open-source projects.",
+    skills: ["React", "TypeScript", "CSS", "HTML", "JavaScript"],
+    postedBy: "careers@microsoft.com",
+    createAt: new Date()
+  },
+  {
+    companyName: "Apple",
+    jobTitle: "iOS Developer",
+    companyLogo: "https://logo.clearbit.com/apple.com",
+    minPrice: 110000,
+    maxPrice: 160000,
+    salaryType: "Yearly",
+    jobLocation: "Cupertino, CA",
+    postingDate: "2024-01-25",
+    experienceLevel: "Experienced",
+    employmentType: "Full-Time",
+    description: "Create innovative iOS applications that delight millions of users. Work on the latest iOS technologies and contribute to Apple's ecosystem.",
+    skills: ["Swift", "Objective-C", "iOS", "Xcode", "UIKit"],
+    postedBy: "jobs@apple.com",
+    createAt: new Date()
+  },
+  {
+    companyName: "Netflix",
+    jobTitle: "Backend Engineer",
+    companyLogo: "https://logo.clearbit.com/netflix.com",
+    minPrice: 130000,
+    maxPrice: 190000,
+    salaryType: "Yearly",
+    jobLocation: "Los Gatos, CA",
+    postingDate: "2024-01-30",
+    experienceLevel: "Experienced",
+    employmentType: "Full-Time",
+    description: "Build scalable backend services that power Netflix's global streaming platform. Work on high-performance systems that serve millions of users.",
+    skills: ["Java", "Spring Boot", "AWS", "Microservices", "Docker"],
+    postedBy: "engineering@netflix.com",
+    createAt: new Date()
+  },
+  {
+    companyName: "Amazon",
+    jobTitle: "DevOps Engineer",
+    companyLogo: "https://logo.clearbit.com/amazon.com",
+    minPrice: 100000,
+    maxPrice: 150000,
+    salaryType: "Yearly",
+    jobLocation: "Seattle, WA",
+    postingDate: "2024-02-01",
+    experienceLevel: "Experienced",
+    employmentType: "Full-Time",
+    description: "Automate and optimize infrastructure deployment processes. Work with AWS services and implement CI/CD pipelines for large-scale applications.",
+    skills: ["AWS", "Docker", "Kubernetes", "Terraform", "Jenkins"],
+    postedBy: "aws-jobs@amazon.com",
+    createAt: new Date()
+  },
+  {
+    companyName: "Meta",
+    jobTitle: "Data Scientist",
+    companyLogo: "https://logo.clearbit.com/meta.com",
+    minPrice: 120000,
+    maxPrice: 170000,
+    salaryType: "Yearly",
+    jobLocation: "Menlo Park, CA",
+    postingDate: "2024-02-05",
+    experienceLevel: "Experienced",
+    employmentType: "Full-Time",
+    description: "Analyze large-scale data to drive product decisions and improve user experience. Work with cutting-edge ML models and big data technologies.",
+    skills: ["Python", "R", "SQL", "Machine Learning", "TensorFlow"],
+    postedBy: "data-science@meta.com",
+    createAt: new Date()
+  },
+  {
+    companyName: "Uber",
+    jobTitle: "Mobile Developer",
+    companyLogo: "https://logo.clearbit.com/uber.com",
+    minPrice: 95000,
+    maxPrice: 140000,
+    salaryType: "Yearly",
+    jobLocation: "San Francisco, CA",
+    postingDate: "2024-02-10",
+    experienceLevel: "Experienced",
+    employmentType: "Full-Time",
+    description: "Build mobile applications that connect millions of riders and drivers worldwide. Work on location services and real-time features.",
+    skills: ["React Native", "JavaScript", "iOS", "Android", "TypeScript"],
+    postedBy: "mobile-jobs@uber.com",
+    createAt: new Date()
+  },
+  {
+    companyName: "Airbnb",
+    jobTitle: "Full Stack Developer",
+    companyLogo: "https://logo.clearbit.com/airbnb.com",
+    minPrice: 110000,
+    maxPrice: 160000,
+    salaryType: "Yearly",
+    jobLocation: "San Francisco, CA",
+    postingDate: "2024-02-15",
+    experienceLevel: "Experienced",
+    employmentType: "Full-Time",
+    description: "Build end-to-end features for Airbnb's platform. Work on both frontend and backend to create seamless user experiences.",
+    skills: ["React", "Node.js", "PostgreSQL", "Redis", "TypeScript"],
+    postedBy: "engineering@airbnb.com",
+    createAt: new Date()
+  },
+  {
+    companyName: "Spotify",
+    jobTitle: "Backend Developer",
+    companyLogo: "https://logo.clearbit.com/spotify.com",
+    minPrice: 100000,
+    maxPrice: 150000,
+    salaryType: "Yearly",
+    jobLocation: "Stockholm, Sweden",
+    postingDate: "2024-02-20",
+    experienceLevel: "Experienced",
+    employmentType: "Full-Time",
+    description: "Develop scalable backend services for Spotify's music streaming platform. Work on recommendation algorithms and audio processing.",
+    skills: ["Java", "Kotlin", "Spring", "Kafka", "Cassandra"],
+    postedBy: "backend-jobs@spotify.com",
+    createAt: new Date()
+  },
+  {
+    companyName: "Stripe",
+    jobTitle: "Security Engineer",
+    companyLogo: "https://logo.clearbit.com/stripe.com",
+    minPrice: 130000,
+    maxPrice: 180000,
+    salaryType: "Yearly",
+    jobLocation: "San Francisco, CA",
+    postingDate: "2024-02-25",
+    experienceLevel: "Experienced",
+    employmentType: "Full-Time",
+    description: "Protect Stripe's payment infrastructure and customer data. Implement security best practices and respond to security incidents.",
+    skills: ["Security", "Python", "Go", "AWS", "Docker"],
+    postedBy: "security@stripe.com",
+    createAt: new Date()
+  },
+  {
+    companyName: "Slack",
+    jobTitle: "Frontend Engineer",
+    companyLogo: "https://logo.clearbit.com/slack.com",
+    minPrice: 110000,
+    maxPrice: 160000,
+    salaryType: "Yearly",
+    jobLocation: "San Francisco, CA",
+    postingDate: "2024-03-01",
+    experienceLevel: "Experienced",
+    employmentType: "Full-Time",
+    description: "Build intuitive user interfaces for Slack's communication platform. Work on real-time features and collaborative tools.",
+    skills: ["React", "TypeScript", "Redux", "WebSockets", "CSS"],
+    postedBy: "frontend@slack.com",
+    createAt: new Date()
+  },
+  {
+    companyName: "GitHub",
+    jobTitle: "Platform Engineer",
+    companyLogo: "https://logo.clearbit.com/github.com",
+    minPrice: 120000,
+    maxPrice: 170000,
+    salaryType: "Yearly",
+    jobLocation: "San Francisco, CA",
+    postingDate: "2024-03-05",
+    experienceLevel: "Experienced",
+    employmentType: "Full-Time",
+    description: "Build and maintain GitHub's platform infrastructure. Work on scalability, performance, and developer experience.",
+    skills: ["Go", "Ruby", "MySQL", "Redis", "Kubernetes"],
+    postedBy: "platform@github.com",
+    createAt: new Date()
+  }
+];
+
+module.exports = seedJobs;
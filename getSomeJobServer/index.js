@@ -19,11 +19,64 @@ const {
   authenticateUser,
   optionalAuth,
   requireRole,
+  authorize,
   authRateLimiter,
   apiRateLimiter,
   sanitizeInput
 } = require('./middleware/auth');
 
+// Import job schema validation
+const { validationResult } = require('express-validator');
+const {
+  jobCreateRules,
+  jobUpdateRules,
+  jobStatusRules,
+  pickJobFields,
+  checkSalaryRange,
+  normalizeSalary
+} = require('./config/jobSchema');
+const seedJobs = require('./config/seedJobs');
+
+// Import job search service
+const jobSearchService = require('./services/jobSearchService');
+
+// Import job lifecycle service
+const jobLifecycleService = require('./services/jobLifecycleService');
+
+// Import company service
+const companyService = require('./services/companyService');
+
+// Import saved jobs service
+const savedJobService = require('./services/savedJobService');
+
+// Import job alert service
+const jobAlertService = require('./services/jobAlertService');
+
+// Import resume service
+const resumeService = require('./services/resumeService');
+
+// Import match scoring service
+const matchService = require('./services/matchService');
+
+// Import job recommendation service
+const recommendationService = require('./services/recommendationService');
+
+// Import application pipeline and notification services
+const pipelineService = require('./services/pipelineService');
+const notificationService = require('./services/notificationService');
+
+// Import application service (withdrawal, one active application per job)
+const applicationService = require('./services/applicationService');
+
+// Import interview scheduling service
+const interviewService = require('./services/interviewService');
+
+// Import application messaging service
+const messageService = require('./services/messageService');
+
+// Import real-time event service (Server-Sent Events)
+const realtimeService = require('./services/realtimeService');
+
 // Import security headers middleware
 const securityHeaders = require('./middleware/securityHeaders');
 const requestLogger = require('./middleware/requestLogger');
@@ -40,7 +93,9 @@ app.use(requestLogger);
 app.use(cors({
   origin: ["http://localhost:5173"],
   methods: ["POST", "GET", "PUT", "DELETE", "PATCH"],
-  credentials: true
+  credentials: true,
+  // Lets the client name downloaded exports
+  exposedHeaders: ["Content-Disposition"]
 }));
 
 // Body parsing middleware
@@ -104,9 +159,16 @@ async function run() {
     await usersCollection.createIndex({ email: 1 }, { unique: true });
     await usersCollection.createIndex({ "passwordHistory.createdAt": 1 });
     await jobsCollections.createIndex({ postedBy: 1 });
-    await jobsCollections.createIndex({ jobTitle: 1 });
-    await jobsCollections.createIndex({ companyName: 1 });
-    await jobsCollections.createIndex({ description: 1 });
+    await jobsCollections.createIndex({ createAt: -1 });
+    await jobSearchService.ensureIndexes(jobsCollections);
+    await companyService.ensureIndexes(db);
+    await savedJobService.ensureIndexes(db);
+    await jobAlertService.ensureIndexes(db);
+    await resumeService.ensureIndexes(db);
+    await recommendationService.ensureIndexes(db);
+    await notificationService.ensureIndexes(db);
+    await interviewService.ensureIndexes(db);
+    await messageService.ensureIndexes(db);
     await applicationsCollection.createIndex({ jobId: 1 });
     await applicationsCollection.createIndex({ applicantEmail: 1 });
     await auditLogsCollection.createIndex({ userId: 1, timestamp: -1 });
@@ -122,201 +184,6 @@ async function run() {
           return;
         }
 
-        const seedJobs = [
-          {
-            companyName: "Google",
-            jobTitle: "Senior Software Engineer",
-            companyLogo: "https://logo.clearbit.com/google.com",
-            minPrice: "120000",
-            maxPrice: "180000",
-            salaryType: "Yearly",
-            jobLocation: "Mountain View, CA",
-            postingDate: "2024-01-15",
-            experienceLevel: "Experienced",
-            employmentType: "Full-Time",
-            description: "Join Google's engineering team to build scalable solutions that impact millions of users worldwide. Work on cutting-edge technologies and collaborate with world-class engineers.",
-            skills: ["JavaScript", "React", "Node.js", "Python", "Go"],
-            postedBy: "hr@google.com",
-            createAt: new Date()
-          },
-          {
-            companyName: "Microsoft",
-            jobTitle: "Frontend Developer",
-            companyLogo: "https://logo.clearbit.com/microsoft.com",
-            minPrice: "90000",
-            maxPrice: "140000",
-            salaryType: "Yearly",
-            jobLocation: "Seattle, WA",
-            postingDate: "2024-01-20",
-            experienceLevel: "Experienced",
-            employmentType: "Full-Time",
-            description: "Build beautiful and responsive user interfaces for Microsoft's next-generation products. Work with modern frameworks and contribute to open-source projects.",
-            skills: ["React", "TypeScript", "CSS", "HTML", "JavaScript"],
-            postedBy: "careers@microsoft.com",
-            createAt: new Date()
-          },
-          {
-            companyName: "Apple",
-            jobTitle: "iOS Developer",
-            companyLogo: "https://logo.clearbit.com/apple.com",
-            minPrice: "110000",
-            maxPrice: "160000",
-            salaryType: "Yearly",
-            jobLocation: "Cupertino, CA",
-            postingDate: "2024-01-25",
-            experienceLevel: "Experienced",
-            employmentType: "Full-Time",
-            description: "Create innovative iOS applications that delight millions of users. Work on the latest iOS technologies and contribute to Apple's ecosystem.",
-            skills: ["Swift", "Objective-C", "iOS", "Xcode", "UIKit"],
-            postedBy: "jobs@apple.com",
-            createAt: new Date()
-          },
-          {
-            companyName: "Netflix",
-            jobTitle: "Backend Engineer",
-            companyLogo: "https://logo.clearbit.com/netflix.com",
-            minPrice: "130000",
-            maxPrice: "190000",
-            salaryType: "Yearly",
-            jobLocation: "Los Gatos, CA",
-            postingDate: "2024-01-30",
-            experienceLevel: "Experienced",
-            employmentType: "Full-Time",
-            description: "Build scalable backend services that power Netflix's global streaming platform. Work on high-performance systems that serve millions of users.",
-            skills: ["Java", "Spring Boot", "AWS", "Microservices", "Docker"],
-            postedBy: "engineering@netflix.com",
-            createAt: new Date()
-          },
-          {
-            companyName: "Amazon",
-            jobTitle: "DevOps Engineer",
-            companyLogo: "https://logo.clearbit.com/amazon.com",
-            minPrice: "100000",
-            maxPrice: "150000",
-            salaryType: "Yearly",
-            jobLocation: "Seattle, WA",
-            postingDate: "2024-02-01",
-            experienceLevel: "Experienced",
-            employmentType: "Full-Time",
-            description: "Automate and optimize infrastructure deployment processes. Work with AWS services and implement CI/CD pipelines for large-scale applications.",
-            skills: ["AWS", "Docker", "Kubernetes", "Terraform", "Jenkins"],
-            postedBy: "aws-jobs@amazon.com",
-            createAt: new Date()
-          },
-          {
-            companyName: "Meta",
-            jobTitle: "Data Scientist",
-            companyLogo: "https://logo.clearbit.com/meta.com",
-            minPrice: "120000",
-            maxPrice: "170000",
-            salaryType: "Yearly",
-            jobLocation: "Menlo Park, CA",
-            postingDate: "2024-02-05",
-            experienceLevel: "Experienced",
-            employmentType: "Full-Time",
-            description: "Analyze large-scale data to drive product decisions and improve user experience. Work with cutting-edge ML models and big data technologies.",
-            skills: ["Python", "R", "SQL", "Machine Learning", "TensorFlow"],
-            postedBy: "data-science@meta.com",
-            createAt: new Date()
-          },
-          {
-            companyName: "Uber",
-            jobTitle: "Mobile Developer",
-            companyLogo: "https://logo.clearbit.com/uber.com",
-            minPrice: "95000",
-            maxPrice: "140000",
-            salaryType: "Yearly",
-            jobLocation: "San Francisco, CA",
-            postingDate: "2024-02-10",
-            experienceLevel: "Experienced",
-            employmentType: "Full-Time",
-            description: "Build mobile applications that connect millions of riders and drivers worldwide. Work on location services and real-time features.",
-            skills: ["React Native", "JavaScript", "iOS", "Android", "TypeScript"],
-            postedBy: "mobile-jobs@uber.com",
-            createAt: new Date()
-          },
-          {
-            companyName: "Airbnb",
-            jobTitle: "Full Stack Developer",
-            companyLogo: "https://logo.clearbit.com/airbnb.com",
-            minPrice: "110000",
-            maxPrice: "160000",
-            salaryType: "Yearly",
-            jobLocation: "San Francisco, CA",
-            postingDate: "2024-02-15",
-            experienceLevel: "Experienced",
-            employmentType: "Full-Time",
-            description: "Build end-to-end features for Airbnb's platform. Work on both frontend and backend to create seamless user experiences.",
-            skills: ["React", "Node.js", "PostgreSQL", "Redis", "TypeScript"],
-            postedBy: "engineering@airbnb.com",
-            createAt: new Date()
-          },
-          {
-            companyName: "Spotify",
-            jobTitle: "Backend Developer",
-            companyLogo: "https://logo.clearbit.com/spotify.com",
-            minPrice: "100000",
-            maxPrice: "150000",
-            salaryType: "Yearly",
-            jobLocation: "Stockholm, Sweden",
-            postingDate: "2024-02-20",
-            experienceLevel: "Experienced",
-            employmentType: "Full-Time",
-            description: "Develop scalable backend services for Spotify's music streaming platform. Work on recommendation algorithms and audio processing.",
-            skills: ["Java", "Kotlin", "Spring", "Kafka", "Cassandra"],
-            postedBy: "backend-jobs@spotify.com",
-            createAt: new Date()
-          },
-          {
-            companyName: "Stripe",
-            jobTitle: "Security Engineer",
-            companyLogo: "https://logo.clearbit.com/stripe.com",
-            minPrice: "130000",
-            maxPrice: "180000",
-            salaryType: "Yearly",
-            jobLocation: "San Francisco, CA",
-            postingDate: "2024-02-25",
-            experienceLevel: "Experienced",
-            employmentType: "Full-Time",
-            description: "Protect Stripe's payment infrastructure and customer data. Implement security best practices and respond to security incidents.",
-            skills: ["Security", "Python", "Go", "AWS", "Docker"],
-            postedBy: "security@stripe.com",
-            createAt: new Date()
-          },
-          {
-            companyName: "Slack",
-            jobTitle: "Frontend Engineer",
-            companyLogo: "https://logo.clearbit.com/slack.com",
-            minPrice: "110000",
-            maxPrice: "160000",
-            salaryType: "Yearly",
-            jobLocation: "San Francisco, CA",
-            postingDate: "2024-03-01",
-            experienceLevel: "Experienced",
-            employmentType: "Full-Time",
-            description: "Build intuitive user interfaces for Slack's communication platform. Work on real-time features and collaborative tools.",
-            skills: ["React", "TypeScript", "Redux", "WebSockets", "CSS"],
-            postedBy: "frontend@slack.com",
-            createAt: new Date()
-          },
-          {
-            companyName: "GitHub",
-            jobTitle: "Platform Engineer",
-            companyLogo: "https://logo.clearbit.com/github.com",
-            minPrice: "120000",
-            maxPrice: "170000",
-            salaryType: "Yearly",
-            jobLocation: "San Francisco, CA",
-            postingDate: "2024-03-05",
-            experienceLevel: "Experienced",
-            employmentType: "Full-Time",
-            description: "Build and maintain GitHub's platform infrastructure. Work on scalability, performance, and developer experience.",
-            skills: ["Go", "Ruby", "MySQL", "Redis", "Kubernetes"],
-            postedBy: "platform@github.com",
-            createAt: new Date()
-          }
-        ];
-
         const seedUsers = [
           {
             email: "hr@google.com",
@@ -537,16 +404,76 @@ async function run() {
     // Run seed data
     await seedData();
 
+    // Normalize salaries on jobs stored before the annual salary field existed
+    const backfilled = await jobSearchService.backfillSalaries(jobsCollections);
+    if (backfilled > 0) {
+      console.log(`Normalized salaries on ${backfilled} jobs`);
+    }
+
+    // Jobs stored before the lifecycle existed stay publicly listed
+    const statusesBackfilled = await jobLifecycleService.backfillStatuses(jobsCollections);
+    if (statusesBackfilled > 0) {
+      console.log(`Marked ${statusesBackfilled} existing jobs as published`);
+    }
+
+    // Applications stored before pipelines existed move to the matching stage
+    const applicationsBackfilled = await pipelineService.backfillStatuses(db);
+    if (applicationsBackfilled > 0) {
+      console.log(`Moved ${applicationsBackfilled} existing applications to pipeline stages`);
+    }
+
+    // Applications stored before withdrawal existed are active, except older
+    // duplicates; then at most one active application per candidate and job
+    const { marked, superseded } = await applicationService.backfillActive(db);
+    if (marked > 0 || superseded > 0) {
+      console.log(`Marked ${marked} existing applications active, ${superseded} duplicates superseded`);
+    }
+    await applicationService.ensureIndexes(db);
+
+    // Expire published jobs once their expiry date has passed
+    jobLifecycleService.start(jobsCollections, db);
+
+    // Email saved-search digests when they are due
+    jobAlertService.start(db);
+
+    // Push security alerts from the audit trail to connected users
+    realtimeService.start(db);
+
     // Import and use authentication routes
     const authRoutes = require('./routes/auth');
     const securityRoutes = require('./routes/security');
     const mfaRoutes = require('./routes/mfa');
     const paymentRoutes = require('./routes/payment');
+    const adminRoutes = require('./routes/admin');
+    const companyRoutes = require('./routes/companies');
+    const savedJobRoutes = require('./routes/savedJobs');
+    const jobAlertRoutes = require('./routes/jobAlerts');
+    const resumeRoutes = require('./routes/resumes');
+    const notificationRoutes = require('./routes/notifications');
+    const interviewRoutes = require('./routes/interviews');
+    const messageRoutes = require('./routes/messages');
+    const realtimeRoutes = require('./routes/realtime');
+    const jobImportRoutes = require('./routes/jobImport');
+    const applicationExportRoutes = require('./routes/applicationExports');
+    const feedRoutes = require('./routes/feeds');
     
     app.use('/api/auth', authRateLimiter, authRoutes);
     app.use('/api/security', securityRoutes);
     app.use('/api/mfa', mfaRoutes);
     app.use('/api/payment', paymentRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use('/api/companies', companyRoutes);
+    app.use('/api/saved-jobs', savedJobRoutes);
+    app.use('/api/job-alerts', jobAlertRoutes);
+    app.use('/api/resumes', resumeRoutes);
+    app.use('/api/notifications', notificationRoutes);
+    app.use('/api/interviews', interviewRoutes);
+    app.use('/api/applications/:applicationId/messages', messageRoutes);
+    app.use('/api/realtime', realtimeRoutes);
+    app.use('/api/jobs/import', jobImportRoutes);
+    app.use('/api/applications/export', applicationExportRoutes);
+    // Public feeds at /feeds/* and /sitemap.xml
+    app.use(feedRoutes);
 
     // Enhanced session management
     app.use(async (req, res, next) => {
@@ -584,11 +511,26 @@ async function run() {
     });
 
     // Job APIs with security
-    app.post("/api/jobs", authenticateUser, requireRole(['employer']), async (req, res) => {
+    app.post("/api/jobs", authenticateUser, requireRole(['employer']), jobCreateRules, async (req, res) => {
       try {
-        const body = req.body;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({
+            success: false,
+            errors: errors.array()
+          });
+        }
+
+        if (!authorize(req, res, 'job:create')) return;
+
+        const body = pickJobFields(req);
+        Object.assign(body, jobLifecycleService.initialState(req.body.status, body.expiresAt));
+        body.annualSalary = normalizeSalary(body);
         body.createAt = new Date();
         body.postedBy = req.user.email;
+        if (req.user.companyId) {
+          body.companyId = new ObjectId(req.user.companyId);
+        }
         
         const result = await jobsCollections.insertOne(body);
         
@@ -614,37 +556,24 @@ async function run() {
       }
     });
 
-    app.get("/api/jobs", optionalAuth, async (req, res) => {
+    app.get("/api/jobs", optionalAuth, jobSearchService.searchQueryRules, async (req, res) => {
       try {
-        const { page = 1, limit = 10, search, location, type, experience } = req.query;
-        const skip = (page - 1) * limit;
-        
-        let filter = {};
-        
-        if (search) {
-          filter.$or = [
-            { jobTitle: { $regex: search, $options: 'i' } },
-            { companyName: { $regex: search, $options: 'i' } },
-            { description: { $regex: search, $options: 'i' } }
-          ];
-        }
-        
-        if (location) {
-          filter.jobLocation = { $regex: location, $options: 'i' };
-        }
-        
-        if (type) {
-          filter.employmentType = type;
-        }
-        
-        if (experience) {
-          filter.experienceLevel = experience;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({
+            success: false,
+            errors: errors.array()
+          });
         }
 
-        const jobs = await jobsCollections.find(filter)
-          .sort({ createAt: -1 })
+        const { page, limit, skip } = jobSearchService.parsePagination(req.query);
+        const filter = jobSearchService.buildFilter(req.query);
+        const { mode, sort, projection } = jobSearchService.buildSort(filter, req.query.sort);
+
+        const jobs = await jobsCollections.find(filter, { projection })
+          .sort(sort)
           .skip(skip)
-          .limit(parseInt(limit))
+          .limit(limit)
           .toArray();
         
         const total = await jobsCollections.countDocuments(filter);
@@ -652,42 +581,109 @@ async function run() {
         res.json({
           jobs,
           total,
-          page: parseInt(page),
-          totalPages: Math.ceil(total / limit)
+          page,
+          totalPages: Math.ceil(total / limit),
+          sort: mode
         });
       } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
       }
     });
 
+    // Filter value counts for the sidebar, for the same query parameters as GET /api/jobs
+    app.get("/api/jobs/facets", optionalAuth, jobSearchService.searchQueryRules, async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({
+            success: false,
+            errors: errors.array()
+          });
+        }
+
+        const facets = await jobSearchService.getFacets(jobsCollections, req.query);
+        res.json({ success: true, ...facets });
+      } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+      }
+    });
+
+    // Every job the caller's company (or the caller, without a company) manages, in any state
+    app.get("/api/jobs/mine", authenticateUser, requireRole(['employer']), async (req, res) => {
+      try {
+        const jobs = await jobsCollections.find(companyService.jobAccessFilter(req.user))
+          .sort({ createAt: -1 })
+          .toArray();
+        res.json(jobs);
+      } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+      }
+    });
+
+    // Open jobs ranked for the signed-in jobseeker
+    app.get("/api/jobs/recommended", authenticateUser, requireRole(['jobseeker']), async (req, res) => {
+      try {
+        const { DEFAULT_LIMIT, MAX_LIMIT } = recommendationService.RECOMMENDATION_CONFIG;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const jobs = await recommendationService.recommend(db, req.user.userId, limit);
+        res.json({ jobs });
+      } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+      }
+    });
+
     app.get("/api/jobs/:id", optionalAuth, async (req, res) => {
       try {
         const { id } = req.params;
         const job = await jobsCollections.findOne({ _id: new ObjectId(id) });
-        
-        if (job) {
-          res.json(job);
-        } else {
-          res.status(404).json({ message: "Job not found" });
+        if (!job) {
+          return res.status(404).json({ message: "Job not found" });
         }
+
+        // Only the owning team can see a job that is not published
+        if (!authorize(req, res, 'job:read', job, { status: 404, message: "Job not found" })) return;
+
+        // Viewed jobs feed the jobseeker's recommendations
+        if (req.user && req.user.role === 'jobseeker') {
+          recommendationService.recordView(db, req.user.userId, job._id)
+            .catch(error => console.error('Failed to record job view:', error));
+        }
+        res.json(job);
       } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
       }
     });
 
-    app.put("/api/jobs/:id", authenticateUser, requireRole(['employer']), async (req, res) => {
+    app.put("/api/jobs/:id", authenticateUser, requireRole(['employer']), jobUpdateRules, async (req, res) => {
       try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({
+            success: false,
+            errors: errors.array()
+          });
+        }
+
         const { id } = req.params;
-        const updateData = req.body;
+        const updateData = pickJobFields(req);
         
         const job = await jobsCollections.findOne({ _id: new ObjectId(id) });
         if (!job) {
           return res.status(404).json({ message: "Job not found" });
         }
         
-        if (job.postedBy !== req.user.email) {
-          return res.status(403).json({ message: "Not authorized to update this job" });
+        if (!authorize(req, res, 'job:update', job, { message: "Not authorized to update this job" })) return;
+
+        // min <= max must also hold against the stored values on a partial update
+        const rangeErrors = checkSalaryRange({ ...job, ...updateData });
+        if (rangeErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            errors: rangeErrors
+          });
         }
+
+        updateData.annualSalary = normalizeSalary({ ...job, ...updateData });
         
         const result = await jobsCollections.updateOne(
           { _id: new ObjectId(id) },
@@ -713,6 +709,63 @@ async function run() {
       }
     });
 
+    // Move a job between lifecycle states (draft, published, paused, closed)
+    app.patch("/api/jobs/:id/status", authenticateUser, requireRole(['employer']), jobStatusRules, async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({
+            success: false,
+            errors: errors.array()
+          });
+        }
+
+        const { id } = req.params;
+        const { status, expiresAt } = req.body;
+
+        const job = await jobsCollections.findOne({ _id: new ObjectId(id) });
+        if (!job) {
+          return res.status(404).json({ message: "Job not found" });
+        }
+
+        if (!authorize(req, res, 'job:changeStatus', job, { message: "Not authorized to update this job" })) return;
+
+        const currentStatus = job.status || 'published';
+        if (!jobLifecycleService.canTransition(currentStatus, status)) {
+          return res.status(409).json({
+            message: `Cannot change job status from ${currentStatus} to ${status}`
+          });
+        }
+
+        const update = jobLifecycleService.buildTransition(job, status, expiresAt);
+        const result = await jobsCollections.updateOne(
+          { _id: new ObjectId(id), status: job.status },
+          { $set: update }
+        );
+
+        if (result.modifiedCount > 0) {
+          // Log audit event
+          logAuditEvent(
+            req.user.userId,
+            'JOB_STATUS_CHANGED',
+            { jobId: id, from: currentStatus, to: status },
+            req.ip,
+            req.get('User-Agent')
+          );
+
+          res.json({
+            message: "Job status updated successfully",
+            status,
+            expiresAt: update.expiresAt !== undefined ? update.expiresAt : job.expiresAt
+          });
+        } else {
+          res.status(409).json({ message: "Job status changed in the meantime, please reload" });
+        }
+      } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+      }
+    });
+
     app.delete("/api/jobs/:id", authenticateUser, requireRole(['employer']), async (req, res) => {
       try {
         const { id } = req.params;
@@ -722,9 +775,7 @@ async function run() {
           return res.status(404).json({ message: "Job not found" });
         }
         
-        if (job.postedBy !== req.user.email) {
-          return res.status(403).json({ message: "Not authorized to delete this job" });
-        }
+        if (!authorize(req, res, 'job:delete', job, { message: "Not authorized to delete this job" })) return;
         
         const result = await jobsCollections.deleteOne({ _id: new ObjectId(id) });
         
@@ -747,9 +798,70 @@ async function run() {
       }
     });
 
+    // The application pipeline a job uses, and where it comes from
+    app.get("/api/jobs/:id/pipeline", authenticateUser, requireRole(['employer']), async (req, res) => {
+      try {
+        const job = await jobsCollections.findOne({ _id: new ObjectId(req.params.id) });
+        if (!job) {
+          return res.status(404).json({ message: "Job not found" });
+        }
+        if (!authorize(req, res, 'job:managePipeline', job, { message: "Not authorized to view this job's pipeline" })) return;
+
+        const { pipeline, source } = await pipelineService.resolvePipeline(db, job);
+        res.json({ pipeline, source });
+      } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+      }
+    });
+
+    // Give a job its own pipeline, or go back to the company's with { pipeline: null }
+    app.put("/api/jobs/:id/pipeline", authenticateUser, requireRole(['employer']), async (req, res) => {
+      try {
+        const job = await jobsCollections.findOne({ _id: new ObjectId(req.params.id) });
+        if (!job) {
+          return res.status(404).json({ message: "Job not found" });
+        }
+        if (!authorize(req, res, 'job:managePipeline', job, { message: "Not authorized to change this job's pipeline" })) return;
+
+        let pipeline = null;
+        if (req.body.pipeline !== null) {
+          const result = pipelineService.validatePipeline(req.body.pipeline);
+          if (result.error) {
+            return res.status(400).json({ message: result.error });
+          }
+          pipeline = result.pipeline;
+        }
+
+        const effective = pipeline || (await pipelineService.resolvePipeline(db, { ...job, pipeline: null })).pipeline;
+        const stranded = await pipelineService.findStrandedStatuses(db, [job._id], effective);
+        if (stranded.length > 0) {
+          return res.status(409).json({
+            message: `Applications are still in stages this pipeline removes: ${stranded.join(', ')}`
+          });
+        }
+
+        await jobsCollections.updateOne({ _id: job._id }, { $set: { pipeline, updatedAt: new Date() } });
+
+        logAuditEvent(
+          req.user.userId,
+          'JOB_PIPELINE_UPDATED',
+          { jobId: job._id, stages: pipeline ? pipeline.stages.map(stage => stage.key) : 'inherited' },
+          req.ip,
+          req.get('User-Agent')
+        );
+
+        const resolved = await pipelineService.resolvePipeline(db, { ...job, pipeline });
+        res.json(resolved);
+      } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+      }
+    });
+
     app.get("/api/jobs/user/:email", authenticateUser, async (req, res) => {
       try {
         const { email } = req.params;
+        if (!authorize(req, res, 'job:listByPoster', { email }, { message: "Not authorized to view these jobs" })) return;
+
         const jobs = await jobsCollections.find({ postedBy: email }).toArray();
         res.json(jobs);
       } catch (error) {
@@ -760,30 +872,92 @@ async function run() {
     // Application APIs with security
     app.post("/api/applications", authenticateUser, requireRole(['jobseeker']), async (req, res) => {
       try {
-        const { jobId, resumeLink, coverLetter } = req.body;
+        const { jobId, resumeLink, resumeId, coverLetter } = req.body;
+
+        const job = await jobsCollections.findOne({ _id: new ObjectId(jobId) });
+        if (!job) {
+          return res.status(404).json({ message: "Job not found" });
+        }
+
+        if (!authorize(req, res, 'application:create', job, { message: "This job is not accepting applications" })) return;
+
+        // One active application per job; after withdrawing, one more after a cooldown
+        const eligibility = await applicationService.checkEligibility(db, job._id, req.user.email);
+        if (!eligibility.allowed) {
+          return res.status(409).json({
+            message: eligibility.message,
+            applicationId: eligibility.applicationId,
+            retryAt: eligibility.retryAt
+          });
+        }
+
+        // An uploaded resume must be one of the applicant's own
+        let resume = null;
+        if (resumeId) {
+          if (!ObjectId.isValid(resumeId)) {
+            return res.status(400).json({ message: "Invalid resume" });
+          }
+          resume = await db.collection("resumes").findOne({
+            _id: new ObjectId(resumeId),
+            userId: req.user.userId,
+            deletedAt: null
+          });
+          if (!resume) {
+            return res.status(404).json({ message: "Resume not found" });
+          }
+        }
         
+        const { pipeline } = await pipelineService.resolvePipeline(db, job);
+        const initialStage = pipelineService.initialStage(pipeline).key;
+
         const application = {
           jobId: new ObjectId(jobId),
+          companyId: job.companyId || null,
+          applicantId: req.user.userId,
           applicantEmail: req.user.email,
           applicantName: req.user.name,
+          resumeId: resume ? resume._id : null,
+          resumeName: resume ? resume.name : null,
+          // Parsed at upload, so recruiters can screen without opening the file
+          resumeProfile: resume ? resumeService.toApplicationProfile(resume) : null,
           resumeLink,
           coverLetter,
-          status: "pending",
+          status: initialStage,
+          statusHistory: [pipelineService.buildHistoryEntry(null, initialStage, req.user)],
+          active: true,
+          previousApplicationId: eligibility.previousApplicationId,
           appliedAt: new Date()
         };
         
-        const result = await applicationsCollection.insertOne(application);
+        let result;
+        try {
+          result = await applicationsCollection.insertOne(application);
+        } catch (error) {
+          // Another request for the same job got in first
+          if (error.code === 11000) {
+            return res.status(409).json({ message: "You have already applied for this job" });
+          }
+          throw error;
+        }
         
         if (result.insertedId) {
           // Log audit event
           logAuditEvent(
             req.user.userId,
             'APPLICATION_SUBMITTED',
-            { jobId, applicationId: result.insertedId },
+            { jobId, applicationId: result.insertedId, resumeId: application.resumeId },
             req.ip,
             req.get('User-Agent')
           );
 
+          realtimeService.publishAllowed('application:listForJob', job, 'application:new', {
+            applicationId: result.insertedId,
+            jobId: job._id,
+            jobTitle: job.jobTitle,
+            applicantName: application.applicantName
+          });
+          await applicationService.notifySubmitted(db, { ...application, _id: result.insertedId }, job);
+
           res.status(201).json({
             message: "Application submitted successfully",
             applicationId: result.insertedId
@@ -799,10 +973,35 @@ async function run() {
     app.get("/api/applications/job/:jobId", authenticateUser, requireRole(['employer']), async (req, res) => {
       try {
         const { jobId } = req.params;
+
+        const job = await jobsCollections.findOne({ _id: new ObjectId(jobId) });
+        if (!job) {
+          return res.status(404).json({ message: "Job not found" });
+        }
+
+        if (!authorize(req, res, 'application:listForJob', job, { message: "Not authorized to view these applications" })) return;
+
         const applications = await applicationsCollection.find({ 
           jobId: new ObjectId(jobId) 
         }).toArray();
-        res.json(applications);
+
+        // Score every applicant against the job, best match first
+        const applicants = await usersCollection.find(
+          { email: { $in: [...new Set(applications.map(application => application.applicantEmail))] } },
+          { projection: { email: 1, profile: 1 } }
+        ).toArray();
+        const applicantsByEmail = new Map(applicants.map(applicant => [applicant.email, applicant]));
+        const unreadMessages = await messageService.unreadCounts(db, applications, req.user);
+
+        const scored = applications.map(application => ({
+          ...application,
+          unreadMessages: unreadMessages[application._id],
+          match: matchService.scoreApplication(
+            job,
+            matchService.buildCandidate(application, applicantsByEmail.get(application.applicantEmail))
+          )
+        }));
+        res.json(matchService.sortByScore(scored));
       } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
       }
@@ -811,46 +1010,174 @@ async function run() {
     app.get("/api/applications/applicant/:email", authenticateUser, async (req, res) => {
       try {
         const { email } = req.params;
+        if (!authorize(req, res, 'application:listForApplicant', { email }, { message: "Not authorized to view these applications" })) return;
+
         const applications = await applicationsCollection.find({ applicantEmail: email }).toArray();
-        res.json(applications);
+
+        // Candidates only see the stages their employers share with them
+        const jobs = await jobsCollections.find(
+          { _id: { $in: applications.map(application => application.jobId) } },
+          { projection: { companyId: 1, pipeline: 1 } }
+        ).toArray();
+        const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+        const unreadMessages = await messageService.unreadCounts(db, applications, req.user);
+
+        const visible = await Promise.all(applications.map(async (application) => {
+          const job = jobsById.get(application.jobId.toString());
+          const { pipeline } = job
+            ? await pipelineService.resolvePipeline(db, job)
+            : { pipeline: pipelineService.PIPELINE_CONFIG.DEFAULT_PIPELINE };
+          return { ...pipelineService.candidateView(application, pipeline), unreadMessages: unreadMessages[application._id] };
+        }));
+        res.json(visible);
       } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
       }
     });
 
+    // Move an application along its job's pipeline
     app.patch("/api/applications/:id/status", authenticateUser, requireRole(['employer']), async (req, res) => {
       try {
         const { id } = req.params;
-        const { status } = req.body;
-        
-        const result = await applicationsCollection.updateOne(
-          { _id: new ObjectId(id) },
-          { $set: { status, updatedAt: new Date() } }
+        const { status, note } = req.body;
+
+        if (typeof status !== 'string' || (note !== undefined && note !== null && typeof note !== 'string')) {
+          return res.status(400).json({ message: "Status must be a stage key and note a string" });
+        }
+        if (note && note.length > pipelineService.PIPELINE_CONFIG.NOTE_MAX_LENGTH) {
+          return res.status(400).json({ message: `Note must be at most ${pipelineService.PIPELINE_CONFIG.NOTE_MAX_LENGTH} characters` });
+        }
+
+        const application = await applicationsCollection.findOne({ _id: new ObjectId(id) });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
+        }
+
+        const job = await jobsCollections.findOne({ _id: application.jobId });
+        if (!job) {
+          return res.status(404).json({ message: "Job not found" });
+        }
+        if (!authorize(req, res, 'application:updateStatus', { application, job }, { message: "Not authorized to update this application" })) return;
+
+        const { pipeline } = await pipelineService.resolvePipeline(db, job);
+        if (!pipelineService.canTransition(pipeline, application.status, status)) {
+          return res.status(409).json({
+            message: `Cannot move an application from ${application.status} to ${status}`,
+            allowed: pipelineService.allowedTransitions(pipeline, application.status)
+          });
+        }
+
+        const updated = await pipelineService.changeStatus(db, {
+          application,
+          job,
+          pipeline,
+          to: status,
+          actor: req.user,
+          note: note ? note.trim() : null
+        });
+        if (!updated) {
+          return res.status(409).json({ message: "The application was updated by someone else. Please reload and try again." });
+        }
+
+        // Log audit event
+        logAuditEvent(
+          req.user.userId,
+          'APPLICATION_STATUS_UPDATED',
+          { applicationId: id, from: application.status, status },
+          req.ip,
+          req.get('User-Agent')
         );
-        
-        if (result.modifiedCount > 0) {
-          // Log audit event
-          logAuditEvent(
-            req.user.userId,
-            'APPLICATION_STATUS_UPDATED',
-            { applicationId: id, status },
-            req.ip,
-            req.get('User-Agent')
-          );
 
-          res.json({ message: "Application status updated successfully" });
-        } else {
-          res.status(500).json({ message: "Failed to update application status" });
+        res.json({
+          message: "Application status updated successfully",
+          application: updated
+        });
+      } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+      }
+    });
+
+    // The candidate withdraws their application, giving the employer a reason
+    app.post("/api/applications/:id/withdraw", authenticateUser, requireRole(['jobseeker']), async (req, res) => {
+      try {
+        const { REASON_MIN_LENGTH, REASON_MAX_LENGTH } = applicationService.APPLICATION_CONFIG;
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (reason.length < REASON_MIN_LENGTH || reason.length > REASON_MAX_LENGTH) {
+          return res.status(400).json({
+            message: `Please give a reason of ${REASON_MIN_LENGTH} to ${REASON_MAX_LENGTH} characters`
+          });
+        }
+
+        const application = await applicationsCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!application) {
+          return res.status(404).json({ message: "Application not found" });
         }
+        if (!authorize(req, res, 'application:withdraw', application, { status: 404, message: "Application not found" })) return;
+
+        const job = await jobsCollections.findOne({ _id: application.jobId });
+        if (!job) {
+          return res.status(404).json({ message: "Job not found" });
+        }
+
+        const { pipeline } = await pipelineService.resolvePipeline(db, job);
+        if (!applicationService.canWithdraw(pipeline, application)) {
+          return res.status(409).json({
+            message: application.active
+              ? "This application has reached a final decision and can no longer be withdrawn"
+              : "This application has already been withdrawn"
+          });
+        }
+
+        const updated = await applicationService.withdraw(db, { application, job, actor: req.user, reason });
+        if (!updated) {
+          return res.status(409).json({ message: "The application was updated in the meantime. Please reload and try again." });
+        }
+
+        // A pending or booked interview goes too, so it leaves everyone's calendar
+        const openInterview = await interviewService.findOpen(db, application._id);
+        if (openInterview) {
+          await interviewService.cancel(db, openInterview, req.user, 'The candidate withdrew their application');
+        }
+
+        // Log audit event
+        logAuditEvent(
+          req.user.userId,
+          'APPLICATION_WITHDRAWN',
+          { applicationId: application._id, jobId: job._id, from: application.status },
+          req.ip,
+          req.get('User-Agent')
+        );
+
+        res.json({
+          message: "Application withdrawn",
+          application: pipelineService.candidateView(updated, pipeline)
+        });
       } catch (error) {
         res.status(500).json({ message: "Server error", error: error.message });
       }
     });
 
-    // Legacy endpoints for backward compatibility
-    app.post("/post-job", async(req, res) => {
-      const body = req.body;
+    // Legacy endpoints for backward compatibility. They answer in their old
+    // shapes but go through the same authorization as the /api routes.
+    app.post("/post-job", authenticateUser, jobCreateRules, async(req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
+      if (!authorize(req, res, 'job:create')) return;
+
+      const body = pickJobFields(req);
+      Object.assign(body, jobLifecycleService.initialState(req.body.status, body.expiresAt));
+      body.annualSalary = normalizeSalary(body);
       body.createAt = new Date();
+      body.postedBy = req.user.email;
+      if (req.user.companyId) {
+        body.companyId = new ObjectId(req.user.companyId);
+      }
       const result = await jobsCollections.insertOne(body);
       if(result.insertedId){
         return res.status(200).send(result);
@@ -863,41 +1190,78 @@ async function run() {
     })
 
     app.get("/all-jobs", async(req, res) => {
-      const jobs = await jobsCollections.find({}).toArray()
+      const jobs = await jobsCollections.find({ status: 'published' }).toArray()
       res.send(jobs);
     })
 
-    app.get("/all-jobs/:id", async(req, res) => {
+    app.get("/all-jobs/:id", optionalAuth, async(req, res) => {
       const id = req.params.id;
       const job = await jobsCollections.findOne({
         _id: new ObjectId(id)
       })
+      if (job && !authorize(req, res, 'job:read', job, { status: 404, message: "Job not found" })) return;
       res.send(job)
     })
 
-    app.get("/myJobs/:email", async(req, res) => {
+    app.get("/myJobs/:email", authenticateUser, async(req, res) => {
+      if (!authorize(req, res, 'job:listByPoster', { email: req.params.email })) return;
       const jobs = await jobsCollections.find({postedBy : req.params.email}).toArray();
       res.send(jobs)
     })
 
-    app.delete("/job/:id", async(req, res) => {
+    app.delete("/job/:id", authenticateUser, async(req, res) => {
       const id = req.params.id;
       const filter = {_id: new ObjectId(id)}
+      const job = await jobsCollections.findOne(filter);
+      if (!job) {
+        return res.status(404).json({ message: "Job not found" });
+      }
+      if (!authorize(req, res, 'job:delete', job, { message: "Not authorized to delete this job" })) return;
       const result = await jobsCollections.deleteOne(filter);
+      if (result.deletedCount > 0) {
+        logAuditEvent(req.user.userId, 'JOB_DELETED', { jobId: id, jobTitle: job.jobTitle }, req.ip, req.get('User-Agent'));
+      }
       res.send(result)
     })
 
-    app.patch("/update-job/:id", async(req, res) => {
+    app.patch("/update-job/:id", authenticateUser, jobUpdateRules, async(req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          errors: errors.array()
+        });
+      }
+
       const id = req.params.id;
-      const jobData = req.body;
+      const jobData = pickJobFields(req);
       const filter = {_id: new ObjectId(id)};
-      const options = { upsert: true};
+      const existingJob = await jobsCollections.findOne(filter);
+      if (!existingJob) {
+        return res.status(404).json({ message: "Job not found" });
+      }
+      if (!authorize(req, res, 'job:update', existingJob, { message: "Not authorized to update this job" })) return;
+
+      // min <= max must also hold against the stored values on a partial update
+      const rangeErrors = checkSalaryRange({ ...existingJob, ...jobData });
+      if (rangeErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors: rangeErrors
+        });
+      }
+
+      jobData.annualSalary = normalizeSalary({ ...existingJob, ...jobData });
       const updateDoc = {
         $set: {
-          ...jobData
+          ...jobData,
+          updatedAt: new Date()
         },
     };
-    const result = await jobsCollections.updateOne(filter, updateDoc, options);
+    const result = await jobsCollections.updateOne(filter, updateDoc);
+    if (result.modifiedCount > 0) {
+      logAuditEvent(req.user.userId, 'JOB_UPDATED', { jobId: id, jobTitle: jobData.jobTitle }, req.ip, req.get('User-Agent'));
+    }
     res.send(result)
   })
 
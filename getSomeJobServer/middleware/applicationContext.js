@@ -0,0 +1,27 @@
+const { ObjectId } = require('mongodb');
+
+const notFound = (res, message) => res.status(404).json({
+  success: false,
+  message
+});
+
+// Load an application and its job, or answer 404. Routes nested under an
+// application (interviews, messages) authorize against this pair.
+const loadApplication = async (req, res, applicationId) => {
+  const application = await req.db.collection('applications').findOne({ _id: new ObjectId(applicationId) });
+  if (!application) {
+    notFound(res, 'Application not found');
+    return null;
+  }
+  const job = await req.db.collection('demoJobs').findOne({ _id: application.jobId });
+  if (!job) {
+    notFound(res, 'Job not found');
+    return null;
+  }
+  return { application, job };
+};
+
+module.exports = {
+  notFound,
+  loadApplication
+};
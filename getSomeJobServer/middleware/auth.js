@@ -1,4 +1,5 @@
-const { verifyToken } = require('../config/security');
+const { verifyToken, logAuditEvent } = require('../config/security');
+const policyService = require('../services/policyService');
 
 // Authentication middleware
 const authenticateUser = async (req, res, next) => {
@@ -57,6 +58,13 @@ const authenticateUser = async (req, res, next) => {
       });
     }
 
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account has been locked by an administrator'
+      });
+    }
+
     // Add user info to request
     req.user = {
       userId: user._id.toString(),
@@ -64,8 +72,11 @@ const authenticateUser = async (req, res, next) => {
       name: user.name,
       role: user.role,
       company: user.company,
+      companyId: user.companyId ? user.companyId.toString() : null,
       sessionId: decoded.sessionId
     };
+    // Long-lived responses (event streams) end when the token does
+    req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
 
     next();
   } catch (error) {
@@ -103,13 +114,14 @@ const optionalAuth = async (req, res, next) => {
           { projection: { password: 0, passwordHistory: 0, verificationOTP: 0, otpExpiry: 0 } }
         );
 
-        if (user && user.isVerified) {
+        if (user && user.isVerified && !user.isLocked) {
           req.user = {
             userId: user._id.toString(),
             email: user.email,
             name: user.name,
             role: user.role,
             company: user.company,
+            companyId: user.companyId ? user.companyId.toString() : null,
             sessionId: decoded.sessionId
           };
         }
@@ -123,6 +135,33 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Record a refused request in the audit log
+const auditDenial = (req, reason, details) => {
+  logAuditEvent(
+    req.user ? req.user.userId : null,
+    'ACCESS_DENIED',
+    { reason, method: req.method, path: req.originalUrl, ...details },
+    req.ip,
+    req.get('User-Agent')
+  );
+};
+
+// Resource-level authorization, for use inside a handler once the resource
+// is loaded. Answers the request (403 unless another status is given) and
+// audits the denial when the policy refuses; returns whether to go on.
+const authorize = (req, res, action, resource, { status = 403, message = 'Not authorized' } = {}) => {
+  if (policyService.can(req.user, action, resource)) {
+    return true;
+  }
+
+  auditDenial(req, 'policy', { action });
+  res.status(status).json({
+    success: false,
+    message
+  });
+  return false;
+};
+
 // Role-based authorization middleware
 const requireRole = (roles) => {
   return (req, res, next) => {
@@ -134,6 +173,7 @@ const requireRole = (roles) => {
     }
 
     if (!roles.includes(req.user.role)) {
+      auditDenial(req, 'role', { requiredRoles: roles, role: req.user.role });
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions'
@@ -257,6 +297,7 @@ module.exports = {
   authenticateUser,
   optionalAuth,
   requireRole,
+  authorize,
   authRateLimiter,
   apiRateLimiter,
   validateSession,
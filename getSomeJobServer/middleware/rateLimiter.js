@@ -72,9 +72,28 @@ const apiLimiter = rateLimit({
   }
 });
 
+// Rate limiting for job alert subscriptions (each one sends a confirmation email)
+const subscribeLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 subscriptions per hour
+  message: {
+    success: false,
+    message: 'Too many subscription attempts. Please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: 'Too many subscription attempts. Please try again later.'
+    });
+  }
+});
+
 module.exports = {
   authLimiter,
   registerLimiter,
   passwordResetLimiter,
-  apiLimiter
+  apiLimiter,
+  subscribeLimiter
 }; 
\ No newline at end of file
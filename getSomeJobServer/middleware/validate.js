@@ -0,0 +1,18 @@
+const { validationResult } = require('express-validator');
+
+// Reject the request with the validation errors, if any. Runs after the
+// express-validator chains of a route.
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,56 @@
+// Grant the admin role to an existing, verified user.
+// Public registration can never create admins, so the first one is made here:
+//   npm run promote-admin -- someone@example.com
+require('dotenv').config();
+const { MongoClient } = require('mongodb');
+const { logAuditEvent } = require('./config/security');
+
+async function promoteAdmin(email) {
+  if (!email) {
+    console.error('Usage: npm run promote-admin -- <email>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const client = new MongoClient(process.env.DB_URI);
+
+  try {
+    await client.connect();
+    const users = client.db('mernJobPortal').collection('users');
+
+    const user = await users.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      console.error(`❌ No user found with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    if (!user.isVerified) {
+      console.error(`❌ ${email} has not verified their email yet`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await users.updateOne(
+      { _id: user._id },
+      { $set: { role: 'admin', updatedAt: new Date() } }
+    );
+
+    logAuditEvent(
+      'SYSTEM',
+      'ADMIN_ROLE_CHANGED',
+      { targetUserId: user._id, email: user.email, from: user.role, to: 'admin', source: 'promote-admin script' },
+      null,
+      'promote-admin'
+    );
+
+    console.log(`✅ ${email} is now an admin`);
+  } catch (error) {
+    console.error('❌ Failed to promote user:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+promoteAdmin(process.argv[2]);
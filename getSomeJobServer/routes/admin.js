@@ -0,0 +1,338 @@
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { body, param, query } = require('express-validator');
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { logAuditEvent, SECURITY_CONFIG } = require('../config/security');
+const jobLifecycleService = require('../services/jobLifecycleService');
+const realtimeService = require('../services/realtimeService');
+const { escapeRegex } = require('../services/jobSearchService');
+
+// Fields never returned by the admin API
+const USER_PROJECTION = {
+  password: 0,
+  passwordHistory: 0,
+  verificationOTP: 0,
+  otpExpiry: 0,
+  mfaSecret: 0,
+  mfaBackupCodes: 0
+};
+
+// Every admin route requires an authenticated admin
+router.use(authenticateUser, requireRole(['admin']));
+
+const idRule = (name) => param(name).isMongoId().withMessage('Invalid id');
+
+// Load the target user, or answer 404
+const findUser = async (req, res) => {
+  const user = await req.db.collection('users').findOne(
+    { _id: new ObjectId(req.params.id) },
+    { projection: USER_PROJECTION }
+  );
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  return user;
+};
+
+// Record an admin action in the audit log
+const auditAdminAction = (req, action, details) => {
+  logAuditEvent(
+    req.user.userId,
+    action,
+    { adminEmail: req.user.email, ...details },
+    req.ip,
+    req.get('User-Agent')
+  );
+};
+
+// List and search users
+router.get('/users', [
+  query('search').optional().isString().trim().isLength({ max: 100 }),
+  query('role').optional().isIn(SECURITY_CONFIG.ROLES.ALL),
+  query('locked').optional().isBoolean(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], validate, async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.search) {
+      const pattern = { $regex: escapeRegex(req.query.search), $options: 'i' };
+      filter.$or = [{ email: pattern }, { name: pattern }, { company: pattern }];
+    }
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+    if (req.query.locked !== undefined) {
+      filter.isLocked = req.query.locked === 'true' ? true : { $ne: true };
+    }
+
+    const users = await req.db.collection('users')
+      .find(filter, { projection: USER_PROJECTION })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const total = await req.db.collection('users').countDocuments(filter);
+
+    res.json({
+      success: true,
+      users,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list users'
+    });
+  }
+});
+
+// Get a single user
+router.get('/users/:id', idRule('id'), validate, async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    res.json({
+      success: true,
+      user
+    });
+
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user'
+    });
+  }
+});
+
+// Lock an account: blocks login and invalidates its sessions
+router.post('/users/:id/lock', [
+  idRule('id'),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], validate, async (req, res) => {
+  try {
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot lock your own account'
+      });
+    }
+
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    await req.db.collection('users').updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          isLocked: true,
+          lockedAt: new Date(),
+          lockedBy: req.user.userId,
+          lockReason: req.body.reason || null,
+          updatedAt: new Date()
+        }
+      }
+    );
+    await req.db.collection('sessions').deleteMany({ userId: user._id.toString() });
+    realtimeService.disconnectUser(user._id);
+
+    auditAdminAction(req, 'ADMIN_USER_LOCKED', { targetUserId: user._id, email: user.email, reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Account locked'
+    });
+
+  } catch (error) {
+    console.error('Error locking user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lock account'
+    });
+  }
+});
+
+// Unlock an account, also clearing any failed-login lockout
+router.post('/users/:id/unlock', idRule('id'), validate, async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    await req.db.collection('users').updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          isLocked: false,
+          loginAttempts: 0,
+          lockUntil: null,
+          updatedAt: new Date()
+        },
+        $unset: {
+          lockedAt: '',
+          lockedBy: '',
+          lockReason: ''
+        }
+      }
+    );
+
+    auditAdminAction(req, 'ADMIN_USER_UNLOCKED', { targetUserId: user._id, email: user.email });
+
+    res.json({
+      success: true,
+      message: 'Account unlocked'
+    });
+
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
+// Reset MFA so the user can enrol a new authenticator
+router.post('/users/:id/reset-mfa', idRule('id'), validate, async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    await req.db.collection('users').updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          mfaEnabled: false,
+          updatedAt: new Date()
+        },
+        $unset: {
+          mfaSecret: '',
+          mfaBackupCodes: '',
+          mfaSetupPending: ''
+        }
+      }
+    );
+
+    auditAdminAction(req, 'ADMIN_MFA_RESET', { targetUserId: user._id, email: user.email });
+
+    res.json({
+      success: true,
+      message: 'MFA reset'
+    });
+
+  } catch (error) {
+    console.error('Error resetting MFA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset MFA'
+    });
+  }
+});
+
+// Change a user's role
+router.patch('/users/:id/role', [
+  idRule('id'),
+  body('role').isIn(SECURITY_CONFIG.ROLES.ALL).withMessage(`Role must be one of: ${SECURITY_CONFIG.ROLES.ALL.join(', ')}`)
+], validate, async (req, res) => {
+  try {
+    if (req.params.id === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    const { role } = req.body;
+    await req.db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: { role, updatedAt: new Date() } }
+    );
+    realtimeService.disconnectUser(user._id);
+
+    auditAdminAction(req, 'ADMIN_ROLE_CHANGED', { targetUserId: user._id, email: user.email, from: user.role, to: role });
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      role
+    });
+
+  } catch (error) {
+    console.error('Error changing role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change role'
+    });
+  }
+});
+
+// Take a job down: it is closed and flagged, so the employer cannot republish it
+router.post('/jobs/:id/takedown', [
+  idRule('id'),
+  body('reason').isString().trim().isLength({ min: 3, max: 500 }).withMessage('A reason is required')
+], validate, async (req, res) => {
+  try {
+    const jobs = req.db.collection('demoJobs');
+    const job = await jobs.findOne({ _id: new ObjectId(req.params.id) });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const update = jobLifecycleService.buildTransition(job, 'closed');
+    await jobs.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          ...update,
+          takenDown: {
+            at: update.closedAt,
+            by: req.user.userId,
+            reason: req.body.reason
+          }
+        }
+      }
+    );
+
+    auditAdminAction(req, 'ADMIN_JOB_TAKEN_DOWN', {
+      jobId: job._id,
+      jobTitle: job.jobTitle,
+      postedBy: job.postedBy,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Job taken down'
+    });
+
+  } catch (error) {
+    console.error('Error taking down job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to take down job'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { query } = require('express-validator');
+const { authenticateUser, requireRole, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { logAuditEvent } = require('../config/security');
+const { endOfDay } = require('../config/jobSchema');
+const applicantExportService = require('../services/applicantExportService');
+const companyService = require('../services/companyService');
+const policyService = require('../services/policyService');
+const { EXPORT_CONFIG } = applicantExportService;
+
+// Mounted at /api/applications/export; only employer teams export applicants
+router.use(authenticateUser, requireRole(['employer']));
+
+// "Senior Engineer (Berlin)" -> "senior-engineer-berlin"
+const slugify = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50) || 'job';
+
+// Download the applicants of one job (?jobId=) or of every job the caller's
+// company (or the caller, without a company) manages, as CSV or XLSX.
+// Filters: stage (comma-separated stage keys, "withdrawn" included), from
+// and to (applied date).
+router.get('/', [
+  query('format').optional().isIn(Object.keys(EXPORT_CONFIG.FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(EXPORT_CONFIG.FORMATS).join(', ')}`),
+  query('jobId').optional().isMongoId(),
+  query('stage').optional().isString().trim()
+    .matches(/^[a-z][a-z0-9_-]*(,[a-z][a-z0-9_-]*)*$/)
+    .withMessage('Stage must be a comma-separated list of stage keys'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date').toDate(),
+  // A date-only upper bound covers that whole day
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+    .customSanitizer(endOfDay)
+    .toDate()
+], validate, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    const filters = {
+      stages: req.query.stage ? req.query.stage.split(',') : null,
+      from: req.query.from || null,
+      to: req.query.to || null
+    };
+
+    let jobs;
+    if (req.query.jobId) {
+      const job = await req.db.collection('demoJobs').findOne({ _id: new ObjectId(req.query.jobId) });
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+      if (!authorize(req, res, 'application:export', job, { message: 'Not authorized to export these applications' })) return;
+      jobs = [job];
+    } else {
+      const managed = await req.db.collection('demoJobs').find(companyService.jobAccessFilter(req.user)).toArray();
+      jobs = managed.filter(job => policyService.can(req.user, 'application:export', job));
+    }
+
+    const { rows, error } = await applicantExportService.collect(req.db, jobs, filters);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Exports take candidates' personal data out of the portal
+    logAuditEvent(
+      req.user.userId,
+      'APPLICANTS_EXPORTED',
+      {
+        scope: req.query.jobId ? 'job' : 'company',
+        jobId: req.query.jobId || null,
+        companyId: req.user.companyId || null,
+        format,
+        filters,
+        rows: rows.length
+      },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    const content = await applicantExportService.render(rows, format);
+    const { mimeType, extension } = EXPORT_CONFIG.FORMATS[format];
+    const scopeName = req.query.jobId ? slugify(jobs[0].jobTitle) : 'all-jobs';
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Length': content.length,
+      'Content-Disposition': `attachment; filename="applicants-${scopeName}-${new Date().toISOString().slice(0, 10)}.${extension}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(content);
+
+  } catch (error) {
+    console.error('Error exporting applicants:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export applicants'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { ObjectId } = require('mongodb');
 const { body, validationResult } = require('express-validator');
 const {
   passwordValidationRules,
@@ -16,8 +17,11 @@ const {
   verifyMFAToken
 } = require('../config/security');
 const emailService = require('../services/emailService');
+const accountAlertService = require('../services/accountAlertService');
+const realtimeService = require('../services/realtimeService');
 const recaptchaService = require('../services/recaptchaService');
 const { authLimiter, registerLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
+const { authenticateUser, optionalAuth } = require('../middleware/auth');
 
 // In-memory OTP storage (in production, use Redis)
 const otpStore = new Map();
@@ -27,7 +31,7 @@ const passwordResetTokens = new Map();
 router.post('/register', registerLimiter, [
   body('email').isEmail().normalizeEmail(),
   body('name').trim().isLength({ min: 2, max: 50 }),
-  body('role').isIn(['jobseeker', 'employer']),
+  body('role').isIn(SECURITY_CONFIG.ROLES.PUBLIC),
   body('captchaToken').notEmpty().withMessage('reCAPTCHA verification required'),
   ...passwordValidationRules
 ], async (req, res) => {
@@ -293,6 +297,14 @@ router.post('/login', authLimiter, [
       });
     }
 
+    // Check if an administrator has locked the account
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account has been locked by an administrator'
+      });
+    }
+
     // Check if email is verified
     if (!user.isVerified) {
       return res.status(401).json({
@@ -384,6 +396,9 @@ router.post('/login', authLimiter, [
       userAgent
     );
 
+    // New-device and password-expiry notifications
+    await accountAlertService.onLogin(req.db, user, { ipAddress, userAgent });
+
     // Check if password expiry warning should be shown
     const response = {
       success: true,
@@ -486,6 +501,9 @@ router.post('/verify-mfa-login', [
       userAgent
     );
 
+    // New-device and password-expiry notifications
+    await accountAlertService.onLogin(req.db, user, { ipAddress, userAgent });
+
     // Check password expiry
     const passwordExpiry = checkPasswordExpiry(user.passwordHistory[0]?.createdAt || user.createdAt);
     
@@ -844,7 +862,7 @@ router.post('/change-password', [
 });
 
 // Logout
-router.post('/logout', async (req, res) => {
+router.post('/logout', optionalAuth, async (req, res) => {
   try {
     const userId = req.user?.userId;
     const ipAddress = req.ip || req.connection.remoteAddress;
@@ -859,6 +877,7 @@ router.post('/logout', async (req, res) => {
         ipAddress,
         userAgent
       );
+      realtimeService.disconnectUser(userId, { sessionId: req.user.sessionId });
     }
 
     res.json({
@@ -876,11 +895,11 @@ router.post('/logout', async (req, res) => {
 });
 
 // Get user profile
-router.get('/profile', async (req, res) => {
+router.get('/profile', authenticateUser, async (req, res) => {
   try {
     const userId = req.user.userId;
     const user = await req.db.collection('users').findOne(
-      { _id: userId },
+      { _id: new ObjectId(userId) },
       { projection: { password: 0, passwordHistory: 0, verificationOTP: 0, otpExpiry: 0 } }
     );
 
@@ -893,7 +912,8 @@ router.get('/profile', async (req, res) => {
 
     res.json({
       success: true,
-      user
+      // Same shape as the login response, plus the stored profile
+      user: { ...user, id: user._id }
     });
 
   } catch (error) {
@@ -906,9 +926,15 @@ router.get('/profile', async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', [
+router.put('/profile', authenticateUser, [
   body('name').optional().trim().isLength({ min: 2, max: 50 }),
-  body('company').optional().trim().isLength({ max: 100 })
+  body('company').optional().trim().isLength({ max: 100 }),
+  // Jobseeker details, pre-filled from their first parsed resume
+  body('phone').optional({ values: 'null' }).trim().isLength({ max: 30 }),
+  body('location').optional({ values: 'null' }).trim().isLength({ max: 100 }),
+  body('skills').optional().isArray({ max: 50 }),
+  body('skills.*').isString().trim().isLength({ min: 1, max: 50 }),
+  body('yearsOfExperience').optional({ values: 'null' }).isInt({ min: 0, max: 60 }).toInt()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -927,13 +953,17 @@ router.put('/profile', [
     const updateData = { updatedAt: new Date() };
     if (name) updateData.name = name;
     if (company !== undefined) updateData.company = company;
+    ['phone', 'location', 'skills', 'yearsOfExperience'].forEach(key => {
+      if (req.body[key] !== undefined) updateData[`profile.${key}`] = req.body[key];
+    });
 
-    const result = await req.db.collection('users').updateOne(
-      { _id: userId },
-      { $set: updateData }
+    const user = await req.db.collection('users').findOneAndUpdate(
+      { _id: new ObjectId(userId) },
+      { $set: updateData },
+      { returnDocument: 'after', projection: { password: 0, passwordHistory: 0, verificationOTP: 0, otpExpiry: 0 } }
     );
 
-    if (result.matchedCount === 0) {
+    if (!user) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
@@ -944,14 +974,15 @@ router.put('/profile', [
     logAuditEvent(
       userId,
       'PROFILE_UPDATED',
-      { name, company },
+      { name, company, fields: Object.keys(updateData).filter(key => key.startsWith('profile.')) },
       ipAddress,
       userAgent
     );
 
     res.json({
       success: true,
-      message: 'Profile updated successfully'
+      message: 'Profile updated successfully',
+      user: { ...user, id: user._id }
     });
 
   } catch (error) {
@@ -0,0 +1,555 @@
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { body, param } = require('express-validator');
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { logAuditEvent } = require('../config/security');
+const emailService = require('../services/emailService');
+const companyService = require('../services/companyService');
+const pipelineService = require('../services/pipelineService');
+const realtimeService = require('../services/realtimeService');
+const { COMPANY_CONFIG } = companyService;
+
+// Company profile rules; every field is optional on update
+const profileRules = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .isString().trim()
+      .isLength({ min: 2, max: COMPANY_CONFIG.NAME_MAX_LENGTH })
+      .withMessage(`Company name must be between 2 and ${COMPANY_CONFIG.NAME_MAX_LENGTH} characters`),
+    body('logo')
+      .optional({ values: 'falsy' })
+      .isURL({ protocols: ['http', 'https'] })
+      .withMessage('Logo must be a valid http(s) URL'),
+    body('website')
+      .optional({ values: 'falsy' })
+      .isURL({ protocols: ['http', 'https'] })
+      .withMessage('Website must be a valid http(s) URL'),
+    body('description')
+      .optional({ values: 'falsy' })
+      .isString().trim()
+      .isLength({ max: COMPANY_CONFIG.DESCRIPTION_MAX_LENGTH })
+      .withMessage(`Description must be at most ${COMPANY_CONFIG.DESCRIPTION_MAX_LENGTH} characters`)
+  ];
+};
+
+// Only the profile fields, never members or ownership
+const pickProfile = (reqBody) => {
+  const profile = {};
+  ['name', 'logo', 'website', 'description'].forEach(key => {
+    if (reqBody[key] !== undefined) {
+      profile[key] = reqBody[key];
+    }
+  });
+  return profile;
+};
+
+// Public view of a company
+const toPublicProfile = (company) => ({
+  _id: company._id,
+  name: company.name,
+  logo: company.logo || null,
+  website: company.website || null,
+  description: company.description || null
+});
+
+// Load the caller's company, optionally requiring one of the given team roles
+const loadMyCompany = async (req, res, roles = COMPANY_CONFIG.ROLES) => {
+  const company = await companyService.findByMember(req.db, req.user.userId);
+  if (!company) {
+    res.status(404).json({
+      success: false,
+      message: 'You are not a member of a company'
+    });
+    return null;
+  }
+
+  if (!companyService.hasRole(company, req.user.userId, roles)) {
+    res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions'
+    });
+    return null;
+  }
+
+  return company;
+};
+
+// Create a company, the caller becomes its owner
+router.post('/', authenticateUser, requireRole(['employer']), profileRules(false), validate, async (req, res) => {
+  try {
+    const existing = await companyService.findByMember(req.db, req.user.userId);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already belong to a company'
+      });
+    }
+
+    const company = await companyService.createCompany(req.db, req.user, pickProfile(req.body));
+
+    logAuditEvent(
+      req.user.userId,
+      'COMPANY_CREATED',
+      { companyId: company._id, name: company.name },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Company created',
+      company
+    });
+
+  } catch (error) {
+    console.error('Error creating company:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create company'
+    });
+  }
+});
+
+// The caller's company with its team and pending invitations
+router.get('/mine', authenticateUser, requireRole(['employer']), async (req, res) => {
+  try {
+    const company = await loadMyCompany(req, res);
+    if (!company) return;
+
+    const invites = companyService.hasRole(company, req.user.userId, COMPANY_CONFIG.MANAGER_ROLES)
+      ? await req.db.collection('companyInvites')
+        .find({ companyId: company._id, status: 'pending', expiresAt: { $gt: new Date() } }, { projection: { token: 0 } })
+        .toArray()
+      : [];
+
+    res.json({
+      success: true,
+      company,
+      role: companyService.getMember(company, req.user.userId).role,
+      invites
+    });
+
+  } catch (error) {
+    console.error('Error fetching company:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch company'
+    });
+  }
+});
+
+// Update the company profile
+router.put('/mine', authenticateUser, requireRole(['employer']), profileRules(true), validate, async (req, res) => {
+  try {
+    const company = await loadMyCompany(req, res, COMPANY_CONFIG.MANAGER_ROLES);
+    if (!company) return;
+
+    const profile = pickProfile(req.body);
+    await req.db.collection('companies').updateOne(
+      { _id: company._id },
+      { $set: { ...profile, updatedAt: new Date() } }
+    );
+
+    if (profile.name && profile.name !== company.name) {
+      await req.db.collection('users').updateMany(
+        { companyId: company._id },
+        { $set: { company: profile.name } }
+      );
+    }
+
+    logAuditEvent(
+      req.user.userId,
+      'COMPANY_UPDATED',
+      { companyId: company._id, fields: Object.keys(profile) },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Company updated'
+    });
+
+  } catch (error) {
+    console.error('Error updating company:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update company'
+    });
+  }
+});
+
+// The application pipeline used by the company's jobs
+router.get('/mine/pipeline', authenticateUser, requireRole(['employer']), async (req, res) => {
+  try {
+    const company = await loadMyCompany(req, res);
+    if (!company) return;
+
+    res.json({
+      success: true,
+      pipeline: company.pipeline || pipelineService.PIPELINE_CONFIG.DEFAULT_PIPELINE,
+      source: company.pipeline ? 'company' : 'default'
+    });
+
+  } catch (error) {
+    console.error('Error fetching company pipeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pipeline'
+    });
+  }
+});
+
+// Set the company's pipeline, or go back to the default with { pipeline: null }.
+// Jobs with a pipeline of their own keep it.
+router.put('/mine/pipeline', authenticateUser, requireRole(['employer']), async (req, res) => {
+  try {
+    const company = await loadMyCompany(req, res, COMPANY_CONFIG.MANAGER_ROLES);
+    if (!company) return;
+
+    let pipeline = null;
+    if (req.body.pipeline !== null) {
+      const result = pipelineService.validatePipeline(req.body.pipeline);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+      pipeline = result.pipeline;
+    }
+
+    // Applications must not be left in a stage the new pipeline drops
+    const jobIds = await req.db.collection('demoJobs')
+      .find({ companyId: company._id, pipeline: null }, { projection: { _id: 1 } })
+      .map(job => job._id)
+      .toArray();
+    const stranded = await pipelineService.findStrandedStatuses(
+      req.db,
+      jobIds,
+      pipeline || pipelineService.PIPELINE_CONFIG.DEFAULT_PIPELINE
+    );
+    if (stranded.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Applications are still in stages this pipeline removes: ${stranded.join(', ')}`
+      });
+    }
+
+    await req.db.collection('companies').updateOne(
+      { _id: company._id },
+      { $set: { pipeline, updatedAt: new Date() } }
+    );
+
+    logAuditEvent(
+      req.user.userId,
+      'COMPANY_PIPELINE_UPDATED',
+      { companyId: company._id, stages: pipeline ? pipeline.stages.map(stage => stage.key) : 'default' },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({
+      success: true,
+      pipeline: pipeline || pipelineService.PIPELINE_CONFIG.DEFAULT_PIPELINE,
+      source: pipeline ? 'company' : 'default'
+    });
+
+  } catch (error) {
+    console.error('Error updating company pipeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update pipeline'
+    });
+  }
+});
+
+// Invite a colleague by email
+router.post('/mine/invites', authenticateUser, requireRole(['employer']), [
+  body('email').isEmail().normalizeEmail(),
+  body('role')
+    .isIn(COMPANY_CONFIG.ROLES.filter(role => role !== 'owner'))
+    .withMessage('Role must be admin or recruiter')
+], validate, async (req, res) => {
+  try {
+    const company = await loadMyCompany(req, res, COMPANY_CONFIG.MANAGER_ROLES);
+    if (!company) return;
+
+    const { email, role } = req.body;
+    if ((company.members || []).some(member => member.email === email)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This user is already on the team'
+      });
+    }
+
+    const invite = await companyService.createInvite(req.db, company, req.user, email, role);
+    const emailResult = await emailService.sendCompanyInvite(email, req.user.name, company.name, role, invite.token);
+
+    if (!emailResult.success) {
+      await req.db.collection('companyInvites').deleteOne({ _id: invite._id });
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send invitation email'
+      });
+    }
+
+    logAuditEvent(
+      req.user.userId,
+      'COMPANY_INVITE_SENT',
+      { companyId: company._id, email, role },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      inviteId: invite._id
+    });
+
+  } catch (error) {
+    console.error('Error sending invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send invitation'
+    });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/mine/invites/:inviteId', authenticateUser, requireRole(['employer']), param('inviteId').isMongoId(), validate, async (req, res) => {
+  try {
+    const company = await loadMyCompany(req, res, COMPANY_CONFIG.MANAGER_ROLES);
+    if (!company) return;
+
+    const result = await req.db.collection('companyInvites').updateOne(
+      { _id: new ObjectId(req.params.inviteId), companyId: company._id, status: 'pending' },
+      { $set: { status: 'revoked' } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation'
+    });
+  }
+});
+
+// Accept an invitation; the signed-in employer's email must match it
+router.post('/invites/:token/accept', authenticateUser, requireRole(['employer']), param('token').isHexadecimal(), validate, async (req, res) => {
+  try {
+    const invite = await req.db.collection('companyInvites').findOne({ token: req.params.token });
+    if (!invite || invite.status !== 'pending' || invite.expiresAt < new Date()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    if (invite.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    if (await companyService.findByMember(req.db, req.user.userId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Leave your current company before joining another'
+      });
+    }
+
+    const company = await req.db.collection('companies').findOne({ _id: invite.companyId });
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company no longer exists'
+      });
+    }
+
+    await companyService.addMember(req.db, company, req.user, invite.role);
+    await req.db.collection('companyInvites').updateOne(
+      { _id: invite._id },
+      { $set: { status: 'accepted', acceptedAt: new Date() } }
+    );
+
+    logAuditEvent(
+      req.user.userId,
+      'COMPANY_MEMBER_JOINED',
+      { companyId: company._id, role: invite.role },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({
+      success: true,
+      message: `You joined ${company.name}`,
+      company: toPublicProfile(company)
+    });
+
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation'
+    });
+  }
+});
+
+// Change a team member's role (owner only)
+router.patch('/mine/members/:userId', authenticateUser, requireRole(['employer']), [
+  param('userId').isMongoId(),
+  body('role').isIn(COMPANY_CONFIG.ROLES).withMessage(`Role must be one of: ${COMPANY_CONFIG.ROLES.join(', ')}`)
+], validate, async (req, res) => {
+  try {
+    const company = await loadMyCompany(req, res, ['owner']);
+    if (!company) return;
+
+    const member = companyService.getMember(company, req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    const { role } = req.body;
+    if (member.userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer ownership to another member instead of changing your own role'
+      });
+    }
+
+    await req.db.collection('companies').updateOne(
+      { _id: company._id, 'members.userId': member.userId },
+      { $set: { 'members.$.role': role, updatedAt: new Date() } }
+    );
+
+    // Handing over ownership demotes the current owner to admin
+    if (role === 'owner') {
+      await req.db.collection('companies').updateOne(
+        { _id: company._id, 'members.userId': req.user.userId },
+        { $set: { 'members.$.role': 'admin' } }
+      );
+    }
+    // Open streams were authorized with the old roles
+    realtimeService.disconnectUser(member.userId);
+    if (role === 'owner') {
+      realtimeService.disconnectUser(req.user.userId);
+    }
+
+    logAuditEvent(
+      req.user.userId,
+      'COMPANY_MEMBER_ROLE_CHANGED',
+      { companyId: company._id, memberId: member.userId, from: member.role, to: role },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Team member updated'
+    });
+
+  } catch (error) {
+    console.error('Error updating team member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update team member'
+    });
+  }
+});
+
+// Remove a team member, or leave the team when the id is your own
+router.delete('/mine/members/:userId', authenticateUser, requireRole(['employer']), param('userId').isMongoId(), validate, async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user.userId;
+    const company = await loadMyCompany(req, res, isSelf ? COMPANY_CONFIG.ROLES : COMPANY_CONFIG.MANAGER_ROLES);
+    if (!company) return;
+
+    const member = companyService.getMember(company, req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    // The owner has to hand over ownership first, otherwise the company's jobs would be left without a manager
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner cannot leave or be removed. Transfer ownership first.'
+      });
+    }
+
+    await companyService.removeMember(req.db, company, member);
+    realtimeService.disconnectUser(member.userId);
+
+    logAuditEvent(
+      req.user.userId,
+      isSelf ? 'COMPANY_MEMBER_LEFT' : 'COMPANY_MEMBER_REMOVED',
+      { companyId: company._id, memberId: member.userId, email: member.email },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You left the company' : 'Team member removed'
+    });
+
+  } catch (error) {
+    console.error('Error removing team member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove team member'
+    });
+  }
+});
+
+// Public company profile
+router.get('/:id', param('id').isMongoId(), validate, async (req, res) => {
+  try {
+    const company = await req.db.collection('companies').findOne({ _id: new ObjectId(req.params.id) });
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      company: toPublicProfile(company)
+    });
+
+  } catch (error) {
+    console.error('Error fetching company:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch company'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { query } = require('express-validator');
+const { validate } = require('../middleware/validate');
+const jobFeedService = require('../services/jobFeedService');
+const jobSearchService = require('../services/jobSearchService');
+const { FEED_CONFIG } = jobFeedService;
+
+const apiUrl = () => process.env.API_URL || 'http://localhost:5001';
+
+// Public, so readers and search engines may cache them for a while
+const cacheable = (res) => res.set('Cache-Control', `public, max-age=${FEED_CONFIG.CACHE_MAX_AGE_SECONDS}`);
+
+// Newest published jobs for the same filters as GET /api/jobs
+// (search, location, type, experience, salary..., postedWithin) and ?limit
+const findFeedJobs = (req) => {
+  const filter = jobSearchService.buildFilter(req.query);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || FEED_CONFIG.DEFAULT_LIMIT, 1), FEED_CONFIG.MAX_LIMIT);
+  return req.db.collection('demoJobs').find(filter).sort({ createAt: -1 }).limit(limit).toArray();
+};
+
+const sendFeed = (format) => async (req, res) => {
+  try {
+    const jobs = await findFeedJobs(req);
+    const selfUrl = `${apiUrl()}${req.originalUrl}`;
+    cacheable(res);
+    if (format === 'atom') {
+      res.type('application/atom+xml; charset=utf-8').send(jobFeedService.toAtom(jobs, { selfUrl }));
+    } else {
+      res.type('application/rss+xml; charset=utf-8').send(jobFeedService.toRss(jobs, { selfUrl }));
+    }
+  } catch (error) {
+    console.error(`Error building ${format} feed:`, error);
+    res.status(500).type('text/plain').send('Failed to build feed');
+  }
+};
+
+router.get('/feeds/jobs.rss', jobSearchService.searchQueryRules, validate, sendFeed('rss'));
+router.get('/feeds/jobs.atom', jobSearchService.searchQueryRules, validate, sendFeed('atom'));
+
+// Incremental aggregator pulls: only jobs changed in [updatedSince, updatedUntil)
+const aggregatorWindowRules = [
+  query('updatedSince').optional().isISO8601().withMessage('updatedSince must be an ISO 8601 date').toDate(),
+  query('updatedUntil').optional().isISO8601().withMessage('updatedUntil must be an ISO 8601 date').toDate()
+];
+
+const sendAggregatorFeed = async (req, res, companyId = null) => {
+  const filter = jobFeedService.aggregatorFilter({
+    companyId,
+    updatedSince: req.query.updatedSince,
+    updatedUntil: req.query.updatedUntil
+  });
+  const jobs = await req.db.collection('demoJobs')
+    .find(filter)
+    .sort({ createAt: -1 })
+    .limit(FEED_CONFIG.AGGREGATOR.MAX_JOBS)
+    .toArray();
+  cacheable(res);
+  res.type('application/xml; charset=utf-8').send(jobFeedService.toAggregatorXml(jobs));
+};
+
+// Every published job, in the XML format job aggregators ingest
+router.get('/feeds/jobs.xml', aggregatorWindowRules, validate, async (req, res) => {
+  try {
+    await sendAggregatorFeed(req, res);
+  } catch (error) {
+    console.error('Error building aggregator feed:', error);
+    res.status(500).type('text/plain').send('Failed to build feed');
+  }
+});
+
+// One company's published jobs, for syndicating just that employer
+router.get('/feeds/companies/:companyId/jobs.xml', aggregatorWindowRules, validate, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.companyId)) {
+      return res.status(404).json({ success: false, message: 'Company not found' });
+    }
+    const company = await req.db.collection('companies').findOne(
+      { _id: new ObjectId(req.params.companyId) },
+      { projection: { _id: 1 } }
+    );
+    if (!company) {
+      return res.status(404).json({ success: false, message: 'Company not found' });
+    }
+    await sendAggregatorFeed(req, res, company._id);
+  } catch (error) {
+    console.error('Error building company aggregator feed:', error);
+    res.status(500).type('text/plain').send('Failed to build feed');
+  }
+});
+
+// schema.org JobPosting for one published job
+router.get('/feeds/jobs/:id.jsonld', async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    const job = await req.db.collection('demoJobs').findOne({ _id: new ObjectId(req.params.id), status: 'published' });
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Job not found' });
+    }
+    cacheable(res);
+    res.type('application/ld+json').send(JSON.stringify(jobFeedService.toJsonLd(job)));
+  } catch (error) {
+    console.error('Error building job JSON-LD:', error);
+    res.status(500).json({ success: false, message: 'Failed to build job data' });
+  }
+});
+
+// Detail pages of every published job
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const jobs = await req.db.collection('demoJobs')
+      .find({ status: 'published' }, { projection: { _id: 1, updatedAt: 1, statusChangedAt: 1, publishedAt: 1, postingDate: 1, createAt: 1 } })
+      .sort({ createAt: -1 })
+      .limit(FEED_CONFIG.SITEMAP_MAX_URLS - 1)
+      .toArray();
+    cacheable(res);
+    res.type('application/xml; charset=utf-8').send(jobFeedService.toSitemap(jobs));
+  } catch (error) {
+    console.error('Error building sitemap:', error);
+    res.status(500).type('text/plain').send('Failed to build sitemap');
+  }
+});
+
+module.exports = router;
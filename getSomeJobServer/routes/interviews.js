@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { body, param, query } = require('express-validator');
+const { authenticateUser, requireRole, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { notFound, loadApplication } = require('../middleware/applicationContext');
+const { logAuditEvent } = require('../config/security');
+const interviewService = require('../services/interviewService');
+const pipelineService = require('../services/pipelineService');
+const { INTERVIEW_CONFIG } = interviewService;
+
+// Every interview route needs a signed-in user
+router.use(authenticateUser);
+
+// Load the interview in :id with its application and job, or answer 404
+const loadInterview = async (req, res) => {
+  const interview = await req.db.collection('interviews').findOne({ _id: new ObjectId(req.params.id) });
+  if (!interview) {
+    notFound(res, 'Interview not found');
+    return null;
+  }
+  const context = await loadApplication(req, res, interview.applicationId);
+  return context && { interview, ...context };
+};
+
+const auditInterview = (req, action, interview, details = {}) => {
+  logAuditEvent(
+    req.user.userId,
+    action,
+    { interviewId: interview._id, applicationId: interview.applicationId, ...details },
+    req.ip,
+    req.get('User-Agent')
+  );
+};
+
+// Interviews of one application (employer or candidate), or of every
+// application to a job (employer)
+router.get('/', [
+  query('applicationId').optional().isMongoId(),
+  query('jobId').optional().isMongoId()
+], validate, async (req, res) => {
+  try {
+    let filter;
+    if (req.query.applicationId) {
+      const context = await loadApplication(req, res, req.query.applicationId);
+      if (!context) return;
+      if (!authorize(req, res, 'interview:read', context, { status: 404, message: 'Application not found' })) return;
+      filter = { applicationId: context.application._id };
+    } else if (req.query.jobId) {
+      const job = await req.db.collection('demoJobs').findOne({ _id: new ObjectId(req.query.jobId) });
+      if (!job) {
+        return notFound(res, 'Job not found');
+      }
+      if (!authorize(req, res, 'application:listForJob', job, { message: 'Not authorized to view these interviews' })) return;
+      filter = { jobId: job._id };
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Pass an applicationId or a jobId'
+      });
+    }
+
+    const interviews = await req.db.collection('interviews').find(filter).sort({ createdAt: -1 }).toArray();
+    res.json({
+      success: true,
+      interviews
+    });
+
+  } catch (error) {
+    console.error('Error fetching interviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch interviews'
+    });
+  }
+});
+
+// Propose time slots for an application in an interview stage
+router.post('/', requireRole(['employer']), body('applicationId').isMongoId(), validate, async (req, res) => {
+  try {
+    const context = await loadApplication(req, res, req.body.applicationId);
+    if (!context) return;
+    const { application, job } = context;
+    if (!authorize(req, res, 'interview:schedule', context, { message: 'Not authorized to schedule interviews for this job' })) return;
+
+    const { pipeline } = await pipelineService.resolvePipeline(req.db, job);
+    if (!application.active || !pipelineService.isInterviewStage(pipeline, application.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Move the application to an interview stage first'
+      });
+    }
+    if (await interviewService.findOpen(req.db, application._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This application already has an open interview. Reschedule or cancel it instead.'
+      });
+    }
+
+    const { proposal, error } = interviewService.validateProposal(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const interview = await interviewService.propose(req.db, { application, job, organizer: req.user, proposal });
+    auditInterview(req, 'INTERVIEW_PROPOSED', interview, { slots: interview.slots.length });
+
+    res.status(201).json({
+      success: true,
+      interview
+    });
+
+  } catch (error) {
+    console.error('Error proposing interview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to propose interview'
+    });
+  }
+});
+
+// The candidate picks one of the proposed slots
+router.post('/:id/select', [
+  param('id').isMongoId(),
+  body('slotId').isMongoId().withMessage('Pick one of the proposed slots')
+], validate, async (req, res) => {
+  try {
+    const context = await loadInterview(req, res);
+    if (!context) return;
+    if (!authorize(req, res, 'interview:respond', context, { status: 404, message: 'Interview not found' })) return;
+
+    if (context.interview.status !== 'proposed') {
+      return res.status(409).json({
+        success: false,
+        message: `This interview is already ${context.interview.status}`
+      });
+    }
+
+    const result = await interviewService.selectSlot(req.db, context.interview, req.body.slotId);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+    if (result.conflict) {
+      return res.status(409).json({
+        success: false,
+        message: result.message || 'The interview changed in the meantime. Please reload.'
+      });
+    }
+
+    auditInterview(req, 'INTERVIEW_SCHEDULED', result.interview, { start: result.interview.start });
+    res.json({
+      success: true,
+      interview: result.interview
+    });
+
+  } catch (error) {
+    console.error('Error selecting interview slot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule interview'
+    });
+  }
+});
+
+// Move a scheduled interview to another time (and optionally place)
+router.post('/:id/reschedule', requireRole(['employer']), param('id').isMongoId(), validate, async (req, res) => {
+  try {
+    const context = await loadInterview(req, res);
+    if (!context) return;
+    if (!authorize(req, res, 'interview:schedule', context, { message: 'Not authorized to reschedule this interview' })) return;
+
+    const { interview } = context;
+    if (interview.status !== 'scheduled') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only scheduled interviews can be rescheduled'
+      });
+    }
+
+    const { slot, error } = interviewService.validateSlot(req.body);
+    const venueResult = interviewService.validateVenue(req.body, { partial: true });
+    if (error || venueResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: error || venueResult.error
+      });
+    }
+    const venue = venueResult.venue;
+    const location = venue.location !== undefined ? venue.location : interview.location;
+    const videoLink = venue.videoLink !== undefined ? venue.videoLink : interview.videoLink;
+    if (!location && !videoLink) {
+      return res.status(400).json({
+        success: false,
+        message: 'Give a location or a video link'
+      });
+    }
+
+    const updated = await interviewService.reschedule(req.db, interview, slot, venue);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The interview changed in the meantime. Please reload.'
+      });
+    }
+
+    auditInterview(req, 'INTERVIEW_RESCHEDULED', updated, { from: interview.start, to: updated.start });
+    res.json({
+      success: true,
+      interview: updated
+    });
+
+  } catch (error) {
+    console.error('Error rescheduling interview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule interview'
+    });
+  }
+});
+
+// Either side calls off a proposed or scheduled interview
+router.post('/:id/cancel', [
+  param('id').isMongoId(),
+  body('reason').optional({ values: 'falsy' }).isString().trim()
+    .isLength({ max: INTERVIEW_CONFIG.REASON_MAX_LENGTH })
+    .withMessage(`Reason must be at most ${INTERVIEW_CONFIG.REASON_MAX_LENGTH} characters`)
+], validate, async (req, res) => {
+  try {
+    const context = await loadInterview(req, res);
+    if (!context) return;
+    if (!authorize(req, res, 'interview:cancel', context, { status: 404, message: 'Interview not found' })) return;
+
+    const { interview } = context;
+    if (!INTERVIEW_CONFIG.OPEN_STATUSES.includes(interview.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `This interview is already ${interview.status}`
+      });
+    }
+
+    const updated = await interviewService.cancel(req.db, interview, req.user, req.body.reason);
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The interview changed in the meantime. Please reload.'
+      });
+    }
+
+    auditInterview(req, 'INTERVIEW_CANCELLED', updated, { wasScheduled: interview.status === 'scheduled' });
+    res.json({
+      success: true,
+      interview: updated
+    });
+
+  } catch (error) {
+    console.error('Error cancelling interview:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel interview'
+    });
+  }
+});
+
+module.exports = router;
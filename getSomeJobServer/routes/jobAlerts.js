@@ -0,0 +1,253 @@
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateUser, optionalAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { subscribeLimiter } = require('../middleware/rateLimiter');
+const { logAuditEvent } = require('../config/security');
+const jobAlertService = require('../services/jobAlertService');
+const { ALERT_CONFIG } = jobAlertService;
+
+// Minimal page for the links opened from an email; `content` is extra
+// markup below the message, such as a form
+const renderPage = (res, status, title, message, content = '') => {
+  const homeUrl = process.env.FRONTEND_URL || 'http://localhost:5174';
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${title} - Job Portal</title></head>
+  <body style="font-family: Arial, sans-serif; text-align: center; padding: 60px;">
+    <h1 style="color: #3575E2;">${title}</h1>
+    <p style="color: #666;">${message}</p>${content}
+    <p><a href="${homeUrl}" style="color: #3575E2;">Back to Job Portal</a></p>
+  </body>
+</html>`);
+};
+
+const tokenRule = param('token').isHexadecimal().isLength({ min: 64, max: 64 });
+
+// Public view of an alert, without its tokens
+const toPublicAlert = (alert) => ({
+  _id: alert._id,
+  email: alert.email,
+  query: alert.query,
+  summary: jobAlertService.describeQuery(alert.query),
+  frequency: alert.frequency,
+  status: alert.status,
+  lastSentAt: alert.lastSentAt || null,
+  createdAt: alert.createdAt
+});
+
+// Subscribe to a saved search
+router.post('/', subscribeLimiter, optionalAuth, [
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Please enter a valid email address').normalizeEmail(),
+  body('frequency')
+    .isIn(Object.keys(ALERT_CONFIG.FREQUENCIES))
+    .withMessage(`Frequency must be one of: ${Object.keys(ALERT_CONFIG.FREQUENCIES).join(', ')}`),
+  body('search').optional().isString().isLength({ max: 200 }),
+  body('location').optional().isString().isLength({ max: 100 }),
+  body('type').optional().isString().isLength({ max: 50 }),
+  body('experience').optional().isString().isLength({ max: 50 }),
+  body('salaryPeriod').optional().isString().isLength({ max: 20 }),
+  body('salaryMin').optional({ values: 'falsy' }).isFloat({ min: 0 }),
+  body('salaryMax').optional({ values: 'falsy' }).isFloat({ min: 0 })
+], validate, async (req, res) => {
+  try {
+    // A signed-in user subscribing their own address skips the opt-in email
+    const isOwnAddress = req.user && (!req.body.email || req.body.email === req.user.email);
+    const email = isOwnAddress ? req.user.email : req.body.email;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please enter your email address'
+      });
+    }
+
+    const { alert, error } = await jobAlertService.createAlert(req.db, {
+      email,
+      userId: isOwnAddress ? req.user.userId : null,
+      query: jobAlertService.pickQuery(req.body),
+      frequency: req.body.frequency
+    });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    logAuditEvent(
+      req.user ? req.user.userId : 'ANONYMOUS',
+      'JOB_ALERT_CREATED',
+      { alertId: alert._id, frequency: alert.frequency, confirmed: alert.status === 'active' },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: alert.status === 'active'
+        ? 'Job alert created'
+        : 'Please check your email to confirm your job alert',
+      requiresConfirmation: alert.status !== 'active',
+      alert: toPublicAlert(alert)
+    });
+
+  } catch (error) {
+    console.error('Error creating job alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create job alert'
+    });
+  }
+});
+
+// The signed-in user's alerts
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const alerts = await req.db.collection('jobAlerts')
+      .find({ email: req.user.email, status: { $ne: 'unsubscribed' } })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      alerts: alerts.map(toPublicAlert)
+    });
+
+  } catch (error) {
+    console.error('Error fetching job alerts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job alerts'
+    });
+  }
+});
+
+// Delete one of the signed-in user's alerts
+router.delete('/:id', authenticateUser, param('id').isMongoId(), validate, async (req, res) => {
+  try {
+    const result = await req.db.collection('jobAlerts').updateOne(
+      { _id: new ObjectId(req.params.id), email: req.user.email },
+      { $set: { status: 'unsubscribed', unsubscribedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job alert not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job alert deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting job alert:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete job alert'
+    });
+  }
+});
+
+// Double opt-in confirmation link
+router.get('/confirm/:token', tokenRule, async (req, res) => {
+  try {
+    if (!validationResult(req).isEmpty()) {
+      return renderPage(res, 400, 'Invalid link', 'This confirmation link is not valid.');
+    }
+
+    const alert = await jobAlertService.confirmAlert(req.db, req.params.token);
+    if (!alert) {
+      return renderPage(res, 404, 'Link expired', 'This confirmation link is invalid or has expired. Please subscribe again.');
+    }
+
+    logAuditEvent(
+      alert.userId || 'ANONYMOUS',
+      'JOB_ALERT_CONFIRMED',
+      { alertId: alert._id },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    renderPage(res, 200, 'Job alert confirmed', `You will receive ${alert.frequency} emails with new jobs matching your search.`);
+
+  } catch (error) {
+    console.error('Error confirming job alert:', error);
+    renderPage(res, 500, 'Something went wrong', 'Failed to confirm your job alert. Please try again later.');
+  }
+});
+
+// Unsubscribe link in every email. Opening it only asks for confirmation,
+// so mail scanners and link prefetchers cannot cancel alerts; the alert is
+// cancelled by the POST that the page's form sends.
+router.get('/unsubscribe/:token', tokenRule, async (req, res) => {
+  try {
+    if (!validationResult(req).isEmpty()) {
+      return renderPage(res, 400, 'Invalid link', 'This unsubscribe link is not valid.');
+    }
+
+    const alert = await jobAlertService.findByUnsubscribeToken(req.db, req.params.token);
+    if (!alert) {
+      return renderPage(res, 404, 'Not found', 'This job alert no longer exists.');
+    }
+    if (alert.status === 'unsubscribed') {
+      return renderPage(res, 200, 'Unsubscribed', 'You will not receive this job alert any more.');
+    }
+
+    renderPage(res, 200, 'Unsubscribe from job alert', `Stop receiving the ${alert.frequency} emails for this job alert?`, `
+    <form method="post">
+      <button type="submit" style="background-color: #3575E2; color: white; padding: 12px 30px; border: none; border-radius: 5px; cursor: pointer;">Unsubscribe</button>
+    </form>`);
+
+  } catch (error) {
+    console.error('Error loading job alert to unsubscribe:', error);
+    renderPage(res, 500, 'Something went wrong', 'Failed to load your job alert. Please try again later.');
+  }
+});
+
+// Cancel the alert: from the confirmation page's form (answered with a page)
+// or the one-click unsubscribe mail clients send from the List-Unsubscribe
+// header (answered with JSON)
+router.post('/unsubscribe/:token', tokenRule, async (req, res) => {
+  const fromPage = req.accepts(['json', 'html']) === 'html';
+  try {
+    if (!validationResult(req).isEmpty()) {
+      return fromPage
+        ? renderPage(res, 400, 'Invalid link', 'This unsubscribe link is not valid.')
+        : res.status(400).json({ success: false, message: 'Invalid unsubscribe link' });
+    }
+
+    const alert = await jobAlertService.unsubscribe(req.db, req.params.token);
+    if (!alert) {
+      return fromPage
+        ? renderPage(res, 404, 'Not found', 'This job alert no longer exists.')
+        : res.status(404).json({ success: false, message: 'Job alert not found' });
+    }
+
+    logAuditEvent(
+      alert.userId || 'ANONYMOUS',
+      'JOB_ALERT_UNSUBSCRIBED',
+      { alertId: alert._id, oneClick: !fromPage },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    return fromPage
+      ? renderPage(res, 200, 'Unsubscribed', 'You will not receive this job alert any more.')
+      : res.json({ success: true, message: 'Unsubscribed' });
+
+  } catch (error) {
+    console.error('Error unsubscribing job alert:', error);
+    return fromPage
+      ? renderPage(res, 500, 'Something went wrong', 'Failed to unsubscribe. Please try again later.')
+      : res.status(500).json({ success: false, message: 'Failed to unsubscribe' });
+  }
+});
+
+module.exports = router;
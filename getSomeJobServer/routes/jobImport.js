@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { query } = require('express-validator');
+const { authenticateUser, requireRole, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { logAuditEvent } = require('../config/security');
+const jobImportService = require('../services/jobImportService');
+const { IMPORT_CONFIG } = jobImportService;
+
+// Mounted at /api/jobs/import; importing is posting jobs, so employers only
+router.use(authenticateUser, requireRole(['employer']));
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMPORT_CONFIG.MAX_FILE_SIZE,
+    files: 1,
+    fields: 5
+  }
+}).single('file');
+
+// Turn multer errors (too large, unexpected field, ...) into 400 responses
+const handleUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Import file must be smaller than ${IMPORT_CONFIG.MAX_FILE_SIZE / (1024 * 1024)} MB`
+          : 'Please upload a single CSV or JSON file in the "file" field'
+      });
+    }
+    next(error);
+  });
+};
+
+// Import jobs from a CSV or JSON file (multipart/form-data, "file"). With
+// ?dryRun=true nothing is stored and every row comes back with its errors;
+// otherwise the valid rows are inserted together and invalid ones skipped.
+router.post('/', [
+  query('dryRun').optional().isBoolean().toBoolean()
+], validate, handleUpload, async (req, res) => {
+  try {
+    if (!authorize(req, res, 'job:create')) return;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV or JSON file in the "file" field'
+      });
+    }
+
+    const format = jobImportService.detectFormat(req.file.originalname, req.file.buffer);
+    const { records, error } = jobImportService.parse(req.file.buffer, format);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    if (records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file contains no jobs'
+      });
+    }
+    if (records.length > IMPORT_CONFIG.MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Import at most ${IMPORT_CONFIG.MAX_ROWS} jobs at a time`
+      });
+    }
+
+    const { rows, summary } = await jobImportService.preview(records);
+    if (req.query.dryRun === true) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        format,
+        summary,
+        rows
+      });
+    }
+
+    if (summary.valid === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No row in the file is a valid job',
+        summary,
+        rows
+      });
+    }
+
+    const { importId, insertedIds } = await jobImportService.commit(req.db, req.user, rows);
+
+    logAuditEvent(
+      req.user.userId,
+      'JOBS_IMPORTED',
+      {
+        importId,
+        fileName: req.file.originalname,
+        format,
+        inserted: insertedIds.length,
+        skippedRows: rows.filter(row => !row.valid).map(row => row.row)
+      },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      format,
+      importId,
+      summary: { ...summary, inserted: insertedIds.length },
+      jobIds: insertedIds,
+      rows
+    });
+
+  } catch (error) {
+    console.error('Error importing jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import jobs'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,251 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const multer = require('multer');
+const { ObjectId } = require('mongodb');
+const { body, param, query } = require('express-validator');
+const { authenticateUser, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { notFound, loadApplication } = require('../middleware/applicationContext');
+const { logAuditEvent } = require('../config/security');
+const messageService = require('../services/messageService');
+const policyService = require('../services/policyService');
+const realtimeService = require('../services/realtimeService');
+const { PIPELINE_CONFIG } = require('../services/pipelineService');
+const { MESSAGE_CONFIG, VISIBILITY } = messageService;
+
+// Mounted at /api/applications/:applicationId/messages; every route needs a
+// signed-in participant
+router.use(authenticateUser);
+
+// Attachments are kept in memory until their content has been checked
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MESSAGE_CONFIG.MAX_ATTACHMENT_SIZE,
+    files: MESSAGE_CONFIG.MAX_ATTACHMENTS,
+    fields: 5
+  }
+}).array('attachments', MESSAGE_CONFIG.MAX_ATTACHMENTS);
+
+// Turn multer errors (too large, too many files, ...) into 400 responses
+const handleUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Attachments must be smaller than ${MESSAGE_CONFIG.MAX_ATTACHMENT_SIZE / (1024 * 1024)} MB`
+          : `Attach at most ${MESSAGE_CONFIG.MAX_ATTACHMENTS} files in the "attachments" field`
+      });
+    }
+    next(error);
+  });
+};
+
+const applicationIdRule = param('applicationId').isMongoId();
+
+// The thread, or the employer team's internal notes with ?internal=true
+router.get('/', [
+  applicationIdRule,
+  query('internal').optional().isBoolean().toBoolean(),
+  query('limit').optional().isInt({ min: 1, max: MESSAGE_CONFIG.MAX_LIMIT }).toInt()
+], validate, async (req, res) => {
+  try {
+    const context = await loadApplication(req, res, req.params.applicationId);
+    if (!context) return;
+    if (!authorize(req, res, 'message:read', context, { status: 404, message: 'Application not found' })) return;
+
+    const internal = req.query.internal === true;
+    if (internal && !authorize(req, res, 'message:internal', context, { message: 'Not authorized to view internal notes' })) return;
+
+    const { application, job } = context;
+    const messages = await messageService.list(
+      req.db,
+      application._id,
+      internal ? VISIBILITY.INTERNAL : VISIBILITY.THREAD,
+      { limit: req.query.limit || MESSAGE_CONFIG.DEFAULT_LIMIT }
+    );
+
+    res.json({
+      success: true,
+      application: {
+        _id: application._id,
+        jobId: job._id,
+        jobTitle: job.jobTitle,
+        companyName: job.companyName,
+        applicantName: application.applicantName,
+        withdrawn: application.status === PIPELINE_CONFIG.WITHDRAWN_STATUS
+      },
+      canViewInternal: policyService.can(req.user, 'message:internal', context),
+      messages: messages.map(message => messageService.toPublic(message, req.user))
+    });
+
+  } catch (error) {
+    console.error('Error fetching messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch messages'
+    });
+  }
+});
+
+// Send a message (multipart/form-data: "body", optional "internal" and up to
+// MAX_ATTACHMENTS files in "attachments")
+router.post('/', applicationIdRule, handleUpload, [
+  body('body').isString().trim()
+    .isLength({ min: 1, max: MESSAGE_CONFIG.BODY_MAX_LENGTH })
+    .withMessage(`Message must be between 1 and ${MESSAGE_CONFIG.BODY_MAX_LENGTH} characters`),
+  body('internal').optional().isBoolean().toBoolean()
+], validate, async (req, res) => {
+  try {
+    const context = await loadApplication(req, res, req.params.applicationId);
+    if (!context) return;
+    if (!authorize(req, res, 'message:send', context, { status: 404, message: 'Application not found' })) return;
+
+    const internal = req.body.internal === true;
+    if (internal && !authorize(req, res, 'message:internal', context, { message: 'Not authorized to write internal notes' })) return;
+
+    const { application, job } = context;
+    if (!internal && application.status === PIPELINE_CONFIG.WITHDRAWN_STATUS) {
+      return res.status(409).json({
+        success: false,
+        message: 'This application was withdrawn, so the conversation is closed'
+      });
+    }
+
+    const { files, error } = messageService.validateFiles(req.files);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const message = await messageService.create(req.db, {
+      application,
+      sender: req.user,
+      body: req.body.body,
+      files,
+      visibility: internal ? VISIBILITY.INTERNAL : VISIBILITY.THREAD
+    });
+
+    logAuditEvent(
+      req.user.userId,
+      internal ? 'INTERNAL_NOTE_ADDED' : 'MESSAGE_SENT',
+      { applicationId: application._id, messageId: message._id, attachments: message.attachments.length },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    messageService.publish({ application, job, message });
+    if (!internal) {
+      await messageService.notify(req.db, { application, job, message });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: messageService.toPublic(message, req.user)
+    });
+
+  } catch (error) {
+    console.error('Error sending message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send message'
+    });
+  }
+});
+
+// Mark every thread message from the other side as read by the caller
+router.post('/read', applicationIdRule, validate, async (req, res) => {
+  try {
+    const context = await loadApplication(req, res, req.params.applicationId);
+    if (!context) return;
+    if (!authorize(req, res, 'message:read', context, { status: 404, message: 'Application not found' })) return;
+
+    const marked = await messageService.markRead(req.db, context.application, req.user);
+    if (marked > 0) {
+      // Live read receipts for whoever is looking at the thread
+      realtimeService.publishAllowed('message:read', context, 'message:read', {
+        applicationId: context.application._id,
+        side: messageService.sideOf(req.user, context.application),
+        readAt: new Date()
+      });
+    }
+
+    res.json({
+      success: true,
+      marked
+    });
+
+  } catch (error) {
+    console.error('Error marking messages read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark messages as read'
+    });
+  }
+});
+
+// Download an attachment. Internal note attachments stay with the employer team.
+router.get('/:messageId/attachments/:attachmentId', [
+  applicationIdRule,
+  param('messageId').isMongoId(),
+  param('attachmentId').isMongoId()
+], validate, async (req, res) => {
+  try {
+    const context = await loadApplication(req, res, req.params.applicationId);
+    if (!context) return;
+    if (!authorize(req, res, 'message:read', context, { status: 404, message: 'Application not found' })) return;
+
+    const message = await req.db.collection('messages').findOne({
+      _id: new ObjectId(req.params.messageId),
+      applicationId: context.application._id
+    });
+    const attachment = message && message.attachments.find(entry => entry._id.toString() === req.params.attachmentId);
+    if (!attachment) {
+      return notFound(res, 'Attachment not found');
+    }
+    if (message.visibility === VISIBILITY.INTERNAL
+      && !authorize(req, res, 'message:internal', context, { status: 404, message: 'Attachment not found' })) return;
+
+    logAuditEvent(
+      req.user.userId,
+      'MESSAGE_ATTACHMENT_DOWNLOADED',
+      { applicationId: context.application._id, messageId: message._id, attachmentId: attachment._id },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    const fileName = attachment.originalName.replace(/[^\w.\- ]/g, '_');
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'private, no-store'
+    });
+
+    const stream = messageService.attachmentStorage.createReadStream(attachment.storageKey);
+    stream.on('error', (error) => {
+      console.error('Error reading message attachment:', error);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.type('json').status(404).json({ success: false, message: 'Attachment file not found' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Error downloading message attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { body, param, query } = require('express-validator');
+const { authenticateUser } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { logAuditEvent } = require('../config/security');
+const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
+const { NOTIFICATION_CONFIG } = notificationService;
+
+// Every notification route belongs to the signed-in user
+router.use(authenticateUser);
+
+// Latest notifications with the unread count
+router.get('/', [
+  query('limit').optional().isInt({ min: 1, max: NOTIFICATION_CONFIG.MAX_LIMIT }).toInt(),
+  query('unread').optional().isBoolean().toBoolean()
+], validate, async (req, res) => {
+  try {
+    const { notifications, unreadCount } = await notificationService.listForUser(req.db, req.user.userId, {
+      limit: req.query.limit || NOTIFICATION_CONFIG.DEFAULT_LIMIT,
+      unreadOnly: req.query.unread === true
+    });
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications'
+    });
+  }
+});
+
+// Email and in-app switches per notification type, with labels for display
+router.get('/preferences', async (req, res) => {
+  try {
+    const user = await req.db.collection('users').findOne(
+      { _id: new ObjectId(req.user.userId) },
+      { projection: { notificationPreferences: 1 } }
+    );
+
+    res.json({
+      success: true,
+      preferences: notificationService.preferencesFor(user),
+      types: Object.fromEntries(Object.entries(NOTIFICATION_CONFIG.TYPES).map(([key, { label }]) => [key, label]))
+    });
+
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences'
+    });
+  }
+});
+
+// Change some of the switches, e.g. { "message": { "email": false } }
+router.put('/preferences', [
+  body('preferences').isObject().withMessage('Preferences must be an object')
+], validate, async (req, res) => {
+  try {
+    const { updates, error } = notificationService.validatePreferences(req.body.preferences);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await req.db.collection('users').findOneAndUpdate(
+      { _id: new ObjectId(req.user.userId) },
+      { $set: updates },
+      { returnDocument: 'after', projection: { notificationPreferences: 1 } }
+    );
+
+    logAuditEvent(
+      req.user.userId,
+      'NOTIFICATION_PREFERENCES_UPDATED',
+      { changes: updates },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({
+      success: true,
+      preferences: notificationService.preferencesFor(user)
+    });
+
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences'
+    });
+  }
+});
+
+router.post('/read-all', async (req, res) => {
+  try {
+    const marked = await notificationService.markAllRead(req.db, req.user.userId);
+    if (marked > 0) {
+      // Other open tabs update their badge
+      realtimeService.publish({ userId: req.user.userId }, 'notification:read', { all: true, unreadCount: 0 });
+    }
+
+    res.json({
+      success: true,
+      marked
+    });
+
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read'
+    });
+  }
+});
+
+router.post('/:id/read', [
+  param('id').isMongoId()
+], validate, async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.db, req.user.userId, new ObjectId(req.params.id));
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const unreadCount = await notificationService.unreadCount(req.db, req.user.userId);
+    realtimeService.publish({ userId: req.user.userId }, 'notification:read', { notificationId: notification._id, unreadCount });
+
+    res.json({
+      success: true,
+      notification,
+      unreadCount
+    });
+
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read'
+    });
+  }
+});
+
+module.exports = router;
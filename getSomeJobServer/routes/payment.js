@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const { authenticateUser, requireRole } = require('../middleware/auth');
+const { authenticateUser, authorize } = require('../middleware/auth');
 const paymentService = require('../services/paymentService');
 const { logAuditEvent, SECURITY_CONFIG } = require('../config/security');
 
@@ -20,6 +20,8 @@ router.post('/create-payment-intent', authenticateUser, [
       });
     }
 
+    if (!authorize(req, res, 'payment:create')) return;
+
     const { amount, currency = 'usd', description } = req.body;
     const userId = req.user.userId;
     const ipAddress = req.ip || req.connection.remoteAddress;
@@ -83,6 +85,16 @@ router.post('/confirm-payment', authenticateUser, [
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('User-Agent');
 
+    // Only the user who started a payment may confirm it
+    const intent = await paymentService.getPaymentIntent(paymentIntentId);
+    if (!intent.success) {
+      return res.status(400).json({
+        success: false,
+        message: intent.error
+      });
+    }
+    if (!authorize(req, res, 'payment:read', intent.paymentIntent)) return;
+
     const result = await paymentService.confirmPayment(paymentIntentId);
 
     if (result.success) {
@@ -130,6 +142,8 @@ router.post('/create-customer', authenticateUser, [
       });
     }
 
+    if (!authorize(req, res, 'payment:create')) return;
+
     const { email, name } = req.body;
     const userId = req.user.userId;
     const ipAddress = req.ip || req.connection.remoteAddress;
@@ -186,6 +200,8 @@ router.post('/create-customer', authenticateUser, [
 // Get payment methods
 router.get('/payment-methods', authenticateUser, async (req, res) => {
   try {
+    if (!authorize(req, res, 'payment:history')) return;
+
     const userId = req.user.userId;
     const user = await req.db.collection('users').findOne({ _id: userId });
     
@@ -220,7 +236,7 @@ router.get('/payment-methods', authenticateUser, async (req, res) => {
 });
 
 // Create refund (admin only)
-router.post('/refund', authenticateUser, requireRole(['employer']), [
+router.post('/refund', authenticateUser, [
   body('paymentIntentId').notEmpty(),
   body('amount').optional().isInt({ min: 1 }),
   body('reason').optional().isIn(['duplicate', 'fraudulent', 'requested_by_customer'])
@@ -234,6 +250,8 @@ router.post('/refund', authenticateUser, requireRole(['employer']), [
       });
     }
 
+    if (!authorize(req, res, 'payment:refund')) return;
+
     const { paymentIntentId, amount, reason = 'requested_by_customer' } = req.body;
     const userId = req.user.userId;
     const ipAddress = req.ip || req.connection.remoteAddress;
@@ -297,6 +315,8 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 // Get payment history
 router.get('/history', authenticateUser, async (req, res) => {
   try {
+    if (!authorize(req, res, 'payment:history')) return;
+
     const userId = req.user.userId;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -353,6 +373,16 @@ router.post('/save-payment', authenticateUser, [
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('User-Agent');
 
+    // A payment can only be recorded by the user who made it
+    const intent = await paymentService.getPaymentIntent(paymentIntentId);
+    if (!intent.success) {
+      return res.status(400).json({
+        success: false,
+        message: intent.error
+      });
+    }
+    if (!authorize(req, res, 'payment:read', intent.paymentIntent)) return;
+
     // Save payment record
     const paymentRecord = {
       userId,
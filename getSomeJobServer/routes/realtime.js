@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateUser } = require('../middleware/auth');
+const realtimeService = require('../services/realtimeService');
+
+// Event stream for the signed-in user (text/event-stream). Events:
+// notification, application:new, application:status, message:new,
+// message:read and security:alert, each with a JSON payload.
+router.get('/stream', authenticateUser, (req, res) => {
+  realtimeService.connect(req, res);
+});
+
+module.exports = router;
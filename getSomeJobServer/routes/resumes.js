@@ -0,0 +1,308 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { ObjectId } = require('mongodb');
+const { body, param } = require('express-validator');
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { logAuditEvent } = require('../config/security');
+const companyService = require('../services/companyService');
+const resumeService = require('../services/resumeService');
+const resumeStorage = require('../services/resumeStorage');
+const { RESUME_CONFIG } = resumeService;
+
+// Files are kept in memory until their content has been checked
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: RESUME_CONFIG.MAX_FILE_SIZE,
+    files: 1,
+    fields: 5
+  }
+}).single('resume');
+
+// Turn multer errors (too large, unexpected field, ...) into 400 responses
+const handleUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Resume must be smaller than ${RESUME_CONFIG.MAX_FILE_SIZE / (1024 * 1024)} MB`
+          : 'Please upload a single file in the "resume" field'
+      });
+    }
+    next(error);
+  });
+};
+
+const nameRule = body('name')
+  .optional({ values: 'falsy' })
+  .isString()
+  .trim()
+  .isLength({ max: RESUME_CONFIG.NAME_MAX_LENGTH })
+  .withMessage(`Name must be at most ${RESUME_CONFIG.NAME_MAX_LENGTH} characters`);
+
+const findOwnResume = (req) => req.db.collection('resumes').findOne({
+  _id: new ObjectId(req.params.id),
+  userId: req.user.userId,
+  deletedAt: null
+});
+
+// List the signed-in jobseeker's resumes
+router.get('/', authenticateUser, requireRole(['jobseeker']), async (req, res) => {
+  try {
+    const resumes = await req.db.collection('resumes')
+      .find({ userId: req.user.userId, deletedAt: null }, { projection: { text: 0 } })
+      .sort({ uploadedAt: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      resumes: resumes.map(resumeService.toPublic)
+    });
+
+  } catch (error) {
+    console.error('Error fetching resumes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch resumes'
+    });
+  }
+});
+
+// Upload a resume (multipart/form-data, file field "resume", optional "name")
+router.post('/', authenticateUser, requireRole(['jobseeker']), handleUpload, nameRule, validate, async (req, res) => {
+  try {
+    const { type, error } = resumeService.validateFile(req.file);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const count = await req.db.collection('resumes').countDocuments({ userId: req.user.userId, deletedAt: null });
+    if (count >= RESUME_CONFIG.MAX_RESUMES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can keep at most ${RESUME_CONFIG.MAX_RESUMES} resumes. Delete one to upload another.`
+      });
+    }
+
+    const resume = await resumeService.createResume(req.db, req.user.userId, req.file, type, req.body.name);
+    const parsed = await resumeService.parseResume(req.db, resume, req.file.buffer);
+    const prefilledFields = parsed ? await resumeService.prefillProfile(req.db, req.user.userId, parsed) : [];
+
+    logAuditEvent(
+      req.user.userId,
+      'RESUME_UPLOADED',
+      { resumeId: resume._id, type, size: resume.size, parseStatus: resume.parseStatus, prefilledFields },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Resume uploaded',
+      resume: resumeService.toPublic(resume),
+      prefilledFields
+    });
+
+  } catch (error) {
+    console.error('Error uploading resume:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload resume'
+    });
+  }
+});
+
+// Rename a resume or make it the default
+router.patch('/:id', authenticateUser, requireRole(['jobseeker']), [
+  param('id').isMongoId(),
+  nameRule,
+  body('isDefault').optional().isBoolean().toBoolean()
+], validate, async (req, res) => {
+  try {
+    const resume = await findOwnResume(req);
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    const updates = {};
+    if (req.body.name) updates.name = req.body.name;
+    if (req.body.isDefault === true) {
+      updates.isDefault = true;
+      await req.db.collection('resumes').updateMany(
+        { userId: req.user.userId, _id: { $ne: resume._id } },
+        { $set: { isDefault: false } }
+      );
+    }
+
+    const updated = await req.db.collection('resumes').findOneAndUpdate(
+      { _id: resume._id },
+      { $set: updates },
+      { returnDocument: 'after' }
+    );
+
+    res.json({
+      success: true,
+      resume: resumeService.toPublic(updated)
+    });
+
+  } catch (error) {
+    console.error('Error updating resume:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update resume'
+    });
+  }
+});
+
+// Parse a resume again, e.g. after the skill vocabulary has grown
+router.post('/:id/parse', authenticateUser, requireRole(['jobseeker']), param('id').isMongoId(), validate, async (req, res) => {
+  try {
+    const resume = await findOwnResume(req);
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    const buffer = await resumeStorage.read(resume.storageKey);
+    const parsed = await resumeService.parseResume(req.db, resume, buffer);
+    if (!parsed) {
+      return res.status(422).json({
+        success: false,
+        message: 'The text of this resume could not be read'
+      });
+    }
+
+    const prefilledFields = await resumeService.prefillProfile(req.db, req.user.userId, parsed);
+
+    res.json({
+      success: true,
+      resume: resumeService.toPublic(resume),
+      prefilledFields
+    });
+
+  } catch (error) {
+    console.error('Error parsing resume:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to parse resume'
+    });
+  }
+});
+
+// Delete a resume
+router.delete('/:id', authenticateUser, requireRole(['jobseeker']), param('id').isMongoId(), validate, async (req, res) => {
+  try {
+    const resume = await findOwnResume(req);
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    await resumeService.deleteResume(req.db, resume);
+
+    logAuditEvent(
+      req.user.userId,
+      'RESUME_DELETED',
+      { resumeId: resume._id },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    res.json({
+      success: true,
+      message: 'Resume deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting resume:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete resume'
+    });
+  }
+});
+
+// Download a resume. Its owner can always read it; employers only through an
+// application to one of the jobs they manage.
+router.get('/:id/download', authenticateUser, param('id').isMongoId(), validate, async (req, res) => {
+  try {
+    const resume = await req.db.collection('resumes').findOne({ _id: new ObjectId(req.params.id) });
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    let allowed = resume.userId === req.user.userId && !resume.deletedAt;
+
+    if (!allowed && req.user.role === 'employer') {
+      const applications = await req.db.collection('applications')
+        .find({ resumeId: resume._id }, { projection: { jobId: 1 } })
+        .toArray();
+      const jobs = await req.db.collection('demoJobs')
+        .find({ _id: { $in: applications.map(application => application.jobId) } })
+        .toArray();
+      allowed = jobs.some(job => companyService.canManageJob(req.user, job));
+    }
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download this resume'
+      });
+    }
+
+    logAuditEvent(
+      req.user.userId,
+      'RESUME_DOWNLOADED',
+      { resumeId: resume._id, ownerId: resume.userId },
+      req.ip,
+      req.get('User-Agent')
+    );
+
+    const fileName = resume.originalName.replace(/[^\w.\- ]/g, '_');
+    res.set({
+      'Content-Type': resume.mimeType,
+      'Content-Length': resume.size,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'private, no-store'
+    });
+
+    const stream = resumeStorage.createReadStream(resume.storageKey);
+    stream.on('error', (error) => {
+      console.error('Error reading resume file:', error);
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition');
+        res.type('json').status(404).json({ success: false, message: 'Resume file not found' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Error downloading resume:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download resume'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { body, param } = require('express-validator');
+const { authenticateUser, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const savedJobService = require('../services/savedJobService');
+const { SAVED_JOBS_CONFIG } = savedJobService;
+
+// Every saved-jobs route belongs to a signed-in jobseeker
+router.use(authenticateUser, requireRole(['jobseeker']));
+
+// List saved jobs with the current job and what changed since saving
+router.get('/', async (req, res) => {
+  try {
+    const saved = await req.db.collection('savedJobs').aggregate([
+      { $match: { userId: req.user.userId } },
+      { $sort: { savedAt: -1 } },
+      {
+        $lookup: {
+          from: 'demoJobs',
+          localField: 'jobId',
+          foreignField: '_id',
+          as: 'job'
+        }
+      },
+      { $set: { job: { $first: '$job' } } }
+    ]).toArray();
+
+    res.json({
+      success: true,
+      savedJobs: saved.map(entry => ({
+        jobId: entry.jobId,
+        note: entry.note,
+        savedAt: entry.savedAt,
+        job: savedJobService.visibleJob(entry, entry.job),
+        changes: savedJobService.describeChanges(entry, entry.job)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching saved jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch saved jobs'
+    });
+  }
+});
+
+// Ids of all saved jobs, for bookmark toggles in job lists
+router.get('/ids', async (req, res) => {
+  try {
+    const saved = await req.db.collection('savedJobs')
+      .find({ userId: req.user.userId }, { projection: { jobId: 1 } })
+      .toArray();
+
+    res.json({
+      success: true,
+      jobIds: saved.map(entry => entry.jobId.toString())
+    });
+
+  } catch (error) {
+    console.error('Error fetching saved job ids:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch saved jobs'
+    });
+  }
+});
+
+// Save a job, or update the note on an already saved one
+router.put('/:jobId', [
+  param('jobId').isMongoId().withMessage('Invalid job id'),
+  body('note')
+    .optional({ values: 'null' })
+    .isString().trim()
+    .isLength({ max: SAVED_JOBS_CONFIG.NOTE_MAX_LENGTH })
+    .withMessage(`Note must be at most ${SAVED_JOBS_CONFIG.NOTE_MAX_LENGTH} characters`)
+], validate, async (req, res) => {
+  try {
+    const jobId = new ObjectId(req.params.jobId);
+    const savedJobs = req.db.collection('savedJobs');
+    const existing = await savedJobs.findOne({ userId: req.user.userId, jobId });
+
+    if (existing) {
+      await savedJobService.updateNote(req.db, req.user.userId, jobId, req.body.note);
+      return res.json({
+        success: true,
+        message: 'Saved job updated'
+      });
+    }
+
+    const job = await req.db.collection('demoJobs').findOne({ _id: jobId });
+    if (!job || (job.status || 'published') !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const count = await savedJobs.countDocuments({ userId: req.user.userId });
+    if (count >= SAVED_JOBS_CONFIG.MAX_SAVED) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save at most ${SAVED_JOBS_CONFIG.MAX_SAVED} jobs`
+      });
+    }
+
+    try {
+      await savedJobs.insertOne({
+        userId: req.user.userId,
+        jobId,
+        note: req.body.note || '',
+        snapshot: savedJobService.takeSnapshot(job),
+        savedAt: new Date()
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // A concurrent save got in first; like saving again, only the note changes
+      await savedJobService.updateNote(req.db, req.user.userId, jobId, req.body.note);
+      return res.json({
+        success: true,
+        message: 'Saved job updated'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Job saved'
+    });
+
+  } catch (error) {
+    console.error('Error saving job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save job'
+    });
+  }
+});
+
+// Remove a job from the saved list
+router.delete('/:jobId', param('jobId').isMongoId().withMessage('Invalid job id'), validate, async (req, res) => {
+  try {
+    const result = await req.db.collection('savedJobs').deleteOne({
+      userId: req.user.userId,
+      jobId: new ObjectId(req.params.jobId)
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job removed from saved jobs'
+    });
+
+  } catch (error) {
+    console.error('Error removing saved job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove saved job'
+    });
+  }
+});
+
+module.exports = router;
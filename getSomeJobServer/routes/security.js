@@ -3,7 +3,7 @@ const router = express.Router();
 const { authenticateUser, requireRole } = require('../middleware/auth');
 
 // Get security events (audit logs)
-router.get('/events', authenticateUser, requireRole(['employer']), async (req, res) => {
+router.get('/events', authenticateUser, requireRole(['admin']), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
@@ -77,7 +77,7 @@ router.get('/events', authenticateUser, requireRole(['employer']), async (req, r
 });
 
 // Get security statistics
-router.get('/stats', authenticateUser, requireRole(['employer']), async (req, res) => {
+router.get('/stats', authenticateUser, requireRole(['admin']), async (req, res) => {
   try {
     const stats = await req.db.collection('auditLogs').aggregate([
       {
@@ -108,7 +108,7 @@ router.get('/stats', authenticateUser, requireRole(['employer']), async (req, re
 });
 
 // Get recent suspicious activities
-router.get('/suspicious', authenticateUser, requireRole(['employer']), async (req, res) => {
+router.get('/suspicious', authenticateUser, requireRole(['admin']), async (req, res) => {
   try {
     const suspiciousEvents = await req.db.collection('auditLogs')
       .find({
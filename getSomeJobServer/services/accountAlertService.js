@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { checkPasswordExpiry } = require('../config/security');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+
+// Account alert configuration
+const ACCOUNT_ALERT_CONFIG = {
+  // Devices remembered per user; the least recently seen is forgotten first
+  MAX_KNOWN_DEVICES: 10
+};
+
+// A device is known by a hash of its user agent, so no raw agent strings
+// are kept on the user
+const deviceKey = (userAgent) => crypto.createHash('sha256').update(userAgent || 'unknown').digest('hex');
+
+// Notifications raised when a user signs in
+const accountAlertService = {
+  // Run after a successful login (with or without MFA). Alerts never get in
+  // the way of signing in, so failures are only logged.
+  async onLogin(db, user, { ipAddress, userAgent }) {
+    try {
+      await this.checkDevice(db, user, { ipAddress, userAgent });
+      await this.checkPasswordExpiry(db, user);
+    } catch (error) {
+      console.error('Account alert error:', error);
+    }
+  },
+
+  // Remember the device and tell the user when it is a new one. The first
+  // login after devices started being tracked only records it.
+  async checkDevice(db, user, { ipAddress, userAgent }) {
+    const key = deviceKey(userAgent);
+    const now = new Date();
+    const known = user.knownDevices || [];
+    const isNew = !known.some(device => device.key === key);
+
+    const devices = [
+      { key, lastSeenAt: now, lastIp: ipAddress || null },
+      ...known.filter(device => device.key !== key)
+    ].slice(0, ACCOUNT_ALERT_CONFIG.MAX_KNOWN_DEVICES);
+    await db.collection('users').updateOne({ _id: user._id }, { $set: { knownDevices: devices } });
+
+    if (!isNew || !user.knownDevices) {
+      return;
+    }
+
+    const notification = {
+      title: 'New sign-in to your account',
+      message: `Your account was signed in to from a new device (${userAgent || 'unknown browser'}, IP ${ipAddress || 'unknown'}) on ${now.toUTCString()}. If this was not you, change your password now.`,
+      link: '/reset-password'
+    };
+    await notificationService.notify(db, {
+      userId: user._id,
+      type: 'new_device_login',
+      ...notification,
+      data: { ipAddress: ipAddress || null }
+    }, () => emailService.sendNotification(user.email, user.name, notification));
+  },
+
+  // One reminder per password once it is within the expiry warning window
+  async checkPasswordExpiry(db, user) {
+    const passwordCreatedAt = user.passwordHistory?.[0]?.createdAt || user.createdAt;
+    const passwordExpiry = checkPasswordExpiry(passwordCreatedAt);
+    if (!passwordExpiry.shouldWarn) {
+      return;
+    }
+
+    const notification = {
+      title: passwordExpiry.isExpired ? 'Your password has expired' : 'Your password expires soon',
+      message: passwordExpiry.isExpired
+        ? 'Your password has expired. Please change it now.'
+        : `Your password will expire in ${passwordExpiry.daysUntilExpiry} days. Please change it soon.`,
+      link: '/reset-password'
+    };
+    const created = await notificationService.create(db, {
+      userId: user._id,
+      type: 'password_expiring',
+      ...notification,
+      data: { daysUntilExpiry: passwordExpiry.daysUntilExpiry },
+      dedupeKey: `password_expiring:${new Date(passwordCreatedAt).toISOString()}`
+    });
+    // Email alongside the first in-app reminder only
+    if (created && await notificationService.wantsEmail(db, { userId: user._id }, 'password_expiring')) {
+      const result = await emailService.sendNotification(user.email, user.name, notification);
+      if (!result.success) {
+        console.error('Password expiry email failed:', result.error);
+      }
+    }
+  }
+};
+
+module.exports = accountAlertService;
+module.exports.ACCOUNT_ALERT_CONFIG = ACCOUNT_ALERT_CONFIG;
@@ -0,0 +1,208 @@
+const JSZip = require('jszip');
+const matchService = require('./matchService');
+const pipelineService = require('./pipelineService');
+
+// Applicant export configuration
+const EXPORT_CONFIG = {
+  FORMATS: {
+    csv: { mimeType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+  },
+  // Larger exports have to be narrowed down with filters
+  MAX_ROWS: 5000,
+  COLUMNS: [
+    { key: 'candidateName', header: 'Candidate name' },
+    { key: 'email', header: 'Email' },
+    { key: 'jobTitle', header: 'Job' },
+    { key: 'stage', header: 'Stage' },
+    { key: 'appliedAt', header: 'Applied' },
+    { key: 'matchScore', header: 'Match score' },
+    { key: 'resumeLink', header: 'Resume link' }
+  ]
+};
+
+const { WITHDRAWN_STATUS } = pipelineService.PIPELINE_CONFIG;
+
+const apiUrl = () => process.env.API_URL || 'http://localhost:5001';
+
+// Spreadsheet apps run CSV cells starting with these as formulas; a leading
+// apostrophe keeps them text. XLSX string cells are never evaluated.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const guardFormula = (value) => (FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : guardFormula(String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Characters XML 1.0 does not allow are dropped
+const xmlText = (value) => String(value)
+  .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 0 -> "A", 26 -> "AA"
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Days since 1899-12-30, the serial date spreadsheets store
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const excelDate = (date) => (date.getTime() - EXCEL_EPOCH) / (24 * 60 * 60 * 1000);
+
+// Cell styles in styles.xml: 0 plain, 1 bold header, 2 date and time
+const STYLE = { HEADER: 1, DATE: 2 };
+
+const xlsxCell = (ref, value, style) => {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') {
+    return `<c r="${ref}"${styleAttr}/>`;
+  }
+  if (value instanceof Date) {
+    return `<c r="${ref}" s="${STYLE.DATE}"><v>${excelDate(value)}</v></c>`;
+  }
+  if (typeof value === 'number') {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`;
+};
+
+// The parts of a minimal single-sheet workbook
+const XLSX_PARTS = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<sheets><sheet name="Applicants" sheetId="1" r:id="rId1"/></sheets>'
+    + '</workbook>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '</Relationships>',
+  'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="3">'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '</cellXfs>'
+    + '</styleSheet>'
+};
+
+// Applicant export service
+const applicantExportService = {
+  // Applications to the given jobs, oldest first, matching the filters:
+  // stages (pipeline keys or "withdrawn") and an applied-at range.
+  // Returns { error } when there are more than MAX_ROWS.
+  async collect(db, jobs, { stages = null, from = null, to = null } = {}) {
+    const filter = { jobId: { $in: jobs.map(job => job._id) } };
+    if (stages && stages.length > 0) {
+      filter.status = { $in: stages };
+    }
+    if (from || to) {
+      filter.appliedAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+    }
+
+    const applications = await db.collection('applications')
+      .find(filter)
+      .sort({ appliedAt: 1 })
+      .limit(EXPORT_CONFIG.MAX_ROWS + 1)
+      .toArray();
+    if (applications.length > EXPORT_CONFIG.MAX_ROWS) {
+      return { error: `More than ${EXPORT_CONFIG.MAX_ROWS} applications match; narrow the export down by job, stage or date` };
+    }
+
+    // Stage labels come from each job's pipeline, scores from the profiles
+    const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+    const pipelines = new Map();
+    for (const job of jobs) {
+      pipelines.set(job._id.toString(), (await pipelineService.resolvePipeline(db, job)).pipeline);
+    }
+    const applicants = await db.collection('users').find(
+      { email: { $in: [...new Set(applications.map(application => application.applicantEmail))] } },
+      { projection: { email: 1, profile: 1 } }
+    ).toArray();
+    const applicantsByEmail = new Map(applicants.map(applicant => [applicant.email, applicant]));
+
+    const rows = applications.map(application => {
+      const job = jobsById.get(application.jobId.toString());
+      const stage = pipelineService.getStage(pipelines.get(job._id.toString()), application.status);
+      const match = matchService.scoreApplication(
+        job,
+        matchService.buildCandidate(application, applicantsByEmail.get(application.applicantEmail))
+      );
+      return {
+        candidateName: application.applicantName,
+        email: application.applicantEmail,
+        jobTitle: job.jobTitle,
+        stage: application.status === WITHDRAWN_STATUS ? 'Withdrawn' : (stage ? stage.label : application.status),
+        appliedAt: application.appliedAt ? new Date(application.appliedAt) : null,
+        matchScore: match.score,
+        // Uploaded resumes are downloaded through the API, which checks access
+        resumeLink: application.resumeId
+          ? `${apiUrl()}/api/resumes/${application.resumeId}/download`
+          : application.resumeLink || null
+      };
+    });
+    return { rows };
+  },
+
+  // UTF-8 with a byte order mark, so spreadsheet apps read names correctly
+  toCsv(rows) {
+    const lines = [
+      EXPORT_CONFIG.COLUMNS.map(column => csvCell(column.header)).join(','),
+      ...rows.map(row => EXPORT_CONFIG.COLUMNS.map(column => csvCell(row[column.key])).join(','))
+    ];
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+  },
+
+  async toXlsx(rows) {
+    const { COLUMNS } = EXPORT_CONFIG;
+    const header = `<row r="1">${COLUMNS.map((column, index) => xlsxCell(`${columnName(index)}1`, column.header, STYLE.HEADER)).join('')}</row>`;
+    const body = rows.map((row, rowIndex) => {
+      const number = rowIndex + 2;
+      return `<row r="${number}">${COLUMNS.map((column, index) => xlsxCell(`${columnName(index)}${number}`, row[column.key])).join('')}</row>`;
+    }).join('');
+
+    const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+      + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+      + `<sheetData>${header}${body}</sheetData>`
+      + '</worksheet>';
+
+    const zip = new JSZip();
+    Object.entries(XLSX_PARTS).forEach(([name, content]) => zip.file(name, content, { createFolders: false }));
+    zip.file('xl/worksheets/sheet1.xml', sheet, { createFolders: false });
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  },
+
+  async render(rows, format) {
+    return format === 'xlsx' ? this.toXlsx(rows) : this.toCsv(rows);
+  }
+};
+
+module.exports = applicantExportService;
+module.exports.EXPORT_CONFIG = EXPORT_CONFIG;
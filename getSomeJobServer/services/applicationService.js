@@ -0,0 +1,193 @@
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const pipelineService = require('./pipelineService');
+const realtimeService = require('./realtimeService');
+
+// Application configuration
+const APPLICATION_CONFIG = {
+  REASON_MIN_LENGTH: 3,
+  REASON_MAX_LENGTH: 500,
+  // How long after withdrawing a candidate has to wait to apply again
+  REAPPLY_COOLDOWN_DAYS: 14,
+  // Reapplications allowed per job after withdrawing
+  REAPPLY_LIMIT: 1
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const { WITHDRAWN_STATUS } = pipelineService.PIPELINE_CONFIG;
+
+// Application service
+const applicationService = {
+  // One active application per candidate and job. Withdrawn (and superseded)
+  // applications are kept for the record but are not active.
+  async ensureIndexes(db) {
+    await db.collection('applications').createIndex(
+      { jobId: 1, applicantEmail: 1 },
+      { unique: true, partialFilterExpression: { active: true }, name: 'one_active_application_per_job' }
+    );
+  },
+
+  // Mark applications stored before withdrawal existed as active. Where a
+  // candidate applied to a job more than once only the latest stays active.
+  async backfillActive(db) {
+    const applications = db.collection('applications');
+    const marked = await applications.updateMany(
+      { active: { $exists: false } },
+      { $set: { active: true } }
+    );
+
+    const duplicates = await applications.aggregate([
+      { $match: { active: true } },
+      { $sort: { appliedAt: -1 } },
+      { $group: { _id: { jobId: '$jobId', applicantEmail: '$applicantEmail' }, ids: { $push: '$_id' } } },
+      { $match: { 'ids.1': { $exists: true } } }
+    ]).toArray();
+
+    let superseded = 0;
+    for (const group of duplicates) {
+      const [latest, ...older] = group.ids;
+      const result = await applications.updateMany(
+        { _id: { $in: older } },
+        { $set: { active: false, supersededBy: latest } }
+      );
+      superseded += result.modifiedCount;
+    }
+
+    return { marked: marked.modifiedCount, superseded };
+  },
+
+  // Whether the candidate may apply to the job now. Refusals carry the
+  // message for the candidate and, during the cooldown, when to retry.
+  async checkEligibility(db, jobId, applicantEmail, now = new Date()) {
+    const previous = await db.collection('applications')
+      .find({ jobId, applicantEmail }, { projection: { active: 1, withdrawnAt: 1 } })
+      .sort({ appliedAt: -1 })
+      .toArray();
+
+    const active = previous.find(application => application.active);
+    if (active) {
+      return {
+        allowed: false,
+        applicationId: active._id,
+        message: 'You have already applied for this job'
+      };
+    }
+
+    const withdrawn = previous.filter(application => application.withdrawnAt);
+    if (withdrawn.length === 0) {
+      return { allowed: true, previousApplicationId: null };
+    }
+    if (withdrawn.length > APPLICATION_CONFIG.REAPPLY_LIMIT) {
+      return {
+        allowed: false,
+        message: 'You have already reapplied for this job once and cannot apply again'
+      };
+    }
+
+    const retryAt = new Date(withdrawn[0].withdrawnAt.getTime() + APPLICATION_CONFIG.REAPPLY_COOLDOWN_DAYS * DAY_MS);
+    if (retryAt > now) {
+      return {
+        allowed: false,
+        retryAt,
+        message: `You withdrew from this job recently. You can apply again after ${retryAt.toDateString()}`
+      };
+    }
+
+    return { allowed: true, previousApplicationId: withdrawn[0]._id };
+  },
+
+  // Active applications can be withdrawn until they reach a final stage
+  // (one the pipeline does not move on from, e.g. hired or rejected)
+  canWithdraw(pipeline, application) {
+    if (!application.active) {
+      return false;
+    }
+    const stage = pipelineService.getStage(pipeline, application.status);
+    return !stage || (pipeline.transitions[stage.key] || []).length > 0;
+  },
+
+  // Withdraw an application and tell the employer. Returns null when the
+  // application changed in the meantime.
+  async withdraw(db, { application, job, actor, reason }) {
+    const entry = pipelineService.buildHistoryEntry(application.status, WITHDRAWN_STATUS, actor, reason);
+
+    const updated = await db.collection('applications').findOneAndUpdate(
+      { _id: application._id, status: application.status, active: true },
+      {
+        $set: {
+          status: WITHDRAWN_STATUS,
+          active: false,
+          withdrawnAt: entry.at,
+          withdrawalReason: reason,
+          updatedAt: entry.at
+        },
+        $push: { statusHistory: entry }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      return null;
+    }
+
+    await this.notifyEmployer(db, updated, job);
+    return updated;
+  },
+
+  // Tell the job's poster about a new application, in-app and (unless
+  // switched off) by email
+  async notifySubmitted(db, application, job) {
+    if (!job.postedBy) {
+      return;
+    }
+    await notificationService.notify(db, {
+      email: job.postedBy,
+      type: 'application_submitted',
+      title: `New application: ${job.jobTitle}`,
+      message: `${application.applicantName} applied for ${job.jobTitle}.`,
+      link: `/my-job/${job._id}/applicants`,
+      data: { applicationId: application._id, jobId: job._id }
+    }, (user) => emailService.sendNotification(job.postedBy, user.name, {
+      title: `New application: ${job.jobTitle}`,
+      message: `${application.applicantName} applied for ${job.jobTitle}. Review the application in your applicant list.`,
+      link: `/my-job/${job._id}/applicants`
+    }));
+  },
+
+  // Email and in-app notification for the job's poster
+  async notifyEmployer(db, application, job) {
+    realtimeService.publishAllowed('application:listForJob', job, 'application:status', {
+      applicationId: application._id,
+      jobId: job._id,
+      status: application.status,
+      withdrawalReason: application.withdrawalReason
+    });
+
+    if (!job.postedBy) {
+      return;
+    }
+
+    if (await notificationService.wantsEmail(db, { email: job.postedBy }, 'application_withdrawn')) {
+      const emailResult = await emailService.sendApplicationWithdrawn(
+        job.postedBy,
+        application.applicantName,
+        job.jobTitle,
+        application.withdrawalReason
+      );
+      if (!emailResult.success) {
+        console.error(`Withdrawal email for application ${application._id} failed:`, emailResult.error);
+      }
+    }
+
+    await notificationService.create(db, {
+      email: job.postedBy,
+      type: 'application_withdrawn',
+      title: `${application.applicantName} withdrew`,
+      message: `${application.applicantName} withdrew their application for ${job.jobTitle}.`,
+      link: `/my-job/${job._id}/applicants`,
+      data: { applicationId: application._id, jobId: job._id }
+    });
+  }
+};
+
+module.exports = applicationService;
+module.exports.APPLICATION_CONFIG = APPLICATION_CONFIG;
@@ -0,0 +1,91 @@
+// iCalendar (RFC 5545) configuration
+const CALENDAR_CONFIG = {
+  PRODUCT_ID: '-//Job Portal//Interviews//EN',
+  // Lines longer than this many octets are folded (RFC 5545 section 3.1)
+  LINE_LIMIT: 75
+};
+
+// 2026-10-19T13:00:00.000Z -> 20261019T130000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Parameter values cannot contain double quotes; quote them when they hold : ; or ,
+const paramValue = (value) => {
+  const clean = String(value).replace(/["\r\n]/g, '');
+  return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+};
+
+// Fold a content line into chunks of at most LINE_LIMIT octets, never
+// splitting a UTF-8 character; continuation lines start with a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? CALENDAR_CONFIG.LINE_LIMIT : CALENDAR_CONFIG.LINE_LIMIT - 1;
+    if (currentBytes + bytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+// ORGANIZER / ATTENDEE line for a person
+const person = (name, property, email, params = []) => {
+  const all = name ? [`CN=${paramValue(name)}`, ...params] : params;
+  return `${property}${all.map(param => `;${param}`).join('')}:mailto:${email}`;
+};
+
+// Calendar service
+const calendarService = {
+  // Build a VCALENDAR with one event. `method` is REQUEST for new and
+  // updated events and CANCEL for cancelled ones; calendar clients match
+  // updates to the original by `uid` and keep the highest `sequence`.
+  buildEvent({ uid, sequence = 0, method = 'REQUEST', start, end, summary, description, location, url, organizer, attendees = [], stamp = new Date() }) {
+    const cancelled = method === 'CANCEL';
+    const lines = [
+      'BEGIN:VCALENDAR',
+      `PRODID:${CALENDAR_CONFIG.PRODUCT_ID}`,
+      'VERSION:2.0',
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`,
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTAMP:${formatDate(stamp)}`,
+      `DTSTART:${formatDate(start)}`,
+      `DTEND:${formatDate(end)}`,
+      `SUMMARY:${escapeText(summary)}`
+    ];
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    if (url) lines.push(`URL:${url}`);
+    lines.push(`STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+    if (organizer) lines.push(person(organizer.name, 'ORGANIZER', organizer.email));
+    attendees.forEach(attendee => {
+      lines.push(person(attendee.name, 'ATTENDEE', attendee.email, [
+        `ROLE=${attendee.role || 'REQ-PARTICIPANT'}`,
+        'PARTSTAT=NEEDS-ACTION',
+        'RSVP=TRUE'
+      ]));
+    });
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+};
+
+module.exports = calendarService;
+module.exports.CALENDAR_CONFIG = CALENDAR_CONFIG;
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+
+// Company configuration
+const COMPANY_CONFIG = {
+  ROLES: ['owner', 'admin', 'recruiter'],
+  MANAGER_ROLES: ['owner', 'admin'],
+  INVITE_EXPIRES_IN: 7 * 24 * 60 * 60 * 1000, // 7 days
+  NAME_MAX_LENGTH: 100,
+  DESCRIPTION_MAX_LENGTH: 2000
+};
+
+// Company service: companies own jobs and applications, users own memberships
+const companyService = {
+  // Indexes for member lookups and invite tokens
+  async ensureIndexes(db) {
+    await db.collection('companies').createIndex({ 'members.userId': 1 });
+    await db.collection('companyInvites').createIndex({ token: 1 }, { unique: true });
+    await db.collection('companyInvites').createIndex({ companyId: 1, email: 1 });
+    await db.collection('demoJobs').createIndex({ companyId: 1 });
+  },
+
+  // Company the user belongs to, if any
+  async findByMember(db, userId) {
+    return db.collection('companies').findOne({ 'members.userId': userId });
+  },
+
+  getMember(company, userId) {
+    return (company.members || []).find(member => member.userId === userId) || null;
+  },
+
+  hasRole(company, userId, roles) {
+    const member = this.getMember(company, userId);
+    return !!member && roles.includes(member.role);
+  },
+
+  // Filter for the jobs a user may manage: their company's jobs, or their own if they have no company
+  jobAccessFilter(user) {
+    if (user.companyId) {
+      return { companyId: new ObjectId(user.companyId) };
+    }
+    return { postedBy: user.email };
+  },
+
+  // Any member of the owning company may manage a job; jobs without a company fall back to the poster
+  canManageJob(user, job) {
+    if (job.companyId) {
+      return !!user.companyId && job.companyId.toString() === user.companyId;
+    }
+    return job.postedBy === user.email;
+  },
+
+  // Create a company with the user as its owner
+  async createCompany(db, user, profile) {
+    const now = new Date();
+    const company = {
+      ...profile,
+      members: [{
+        userId: user.userId,
+        email: user.email,
+        name: user.name,
+        role: 'owner',
+        joinedAt: now
+      }],
+      createdBy: user.userId,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await db.collection('companies').insertOne(company);
+    company._id = result.insertedId;
+
+    await this.linkUser(db, company, user);
+    return company;
+  },
+
+  // Add a user to a company team
+  async addMember(db, company, user, role) {
+    await db.collection('companies').updateOne(
+      { _id: company._id },
+      {
+        $push: {
+          members: {
+            userId: user.userId,
+            email: user.email,
+            name: user.name,
+            role,
+            joinedAt: new Date()
+          }
+        },
+        $set: { updatedAt: new Date() }
+      }
+    );
+
+    await this.linkUser(db, company, user);
+  },
+
+  // Point the user at the company and move their existing postings into it
+  async linkUser(db, company, user) {
+    await db.collection('users').updateOne(
+      { _id: new ObjectId(user.userId) },
+      { $set: { companyId: company._id, company: company.name, updatedAt: new Date() } }
+    );
+
+    const jobIds = await db.collection('demoJobs')
+      .find({ postedBy: user.email, companyId: { $exists: false } }, { projection: { _id: 1 } })
+      .map(job => job._id)
+      .toArray();
+
+    if (jobIds.length > 0) {
+      await db.collection('demoJobs').updateMany(
+        { _id: { $in: jobIds } },
+        { $set: { companyId: company._id } }
+      );
+      await db.collection('applications').updateMany(
+        { jobId: { $in: jobIds } },
+        { $set: { companyId: company._id } }
+      );
+    }
+  },
+
+  // Remove a user from a company. Their postings stay with the company and
+  // are handed to the owner, so the team can keep managing them.
+  async removeMember(db, company, member) {
+    const owner = (company.members || []).find(m => m.role === 'owner' && m.userId !== member.userId);
+
+    await db.collection('companies').updateOne(
+      { _id: company._id },
+      { $pull: { members: { userId: member.userId } }, $set: { updatedAt: new Date() } }
+    );
+
+    await db.collection('users').updateOne(
+      { _id: new ObjectId(member.userId) },
+      { $unset: { companyId: '' }, $set: { updatedAt: new Date() } }
+    );
+
+    if (owner) {
+      await db.collection('demoJobs').updateMany(
+        { companyId: company._id, postedBy: member.email },
+        { $set: { postedBy: owner.email, previousPostedBy: member.email, updatedAt: new Date() } }
+      );
+    }
+  },
+
+  // Create an invitation token for an email address
+  async createInvite(db, company, inviter, email, role) {
+    const invite = {
+      companyId: company._id,
+      companyName: company.name,
+      email,
+      role,
+      token: crypto.randomBytes(32).toString('hex'),
+      invitedBy: inviter.userId,
+      status: 'pending',
+      createdAt: new Date(),
+      expiresAt: new Date(Date.now() + COMPANY_CONFIG.INVITE_EXPIRES_IN)
+    };
+
+    // A new invitation replaces any pending one for the same address
+    await db.collection('companyInvites').updateMany(
+      { companyId: company._id, email, status: 'pending' },
+      { $set: { status: 'revoked' } }
+    );
+
+    const result = await db.collection('companyInvites').insertOne(invite);
+    invite._id = result.insertedId;
+    return invite;
+  }
+};
+
+module.exports = companyService;
+module.exports.COMPANY_CONFIG = COMPANY_CONFIG;
@@ -49,6 +49,46 @@ if (hasEmailCredentials) {
   };
 }
 
+// Links in emails that are handled by the API itself (confirm, unsubscribe)
+const apiUrl = () => process.env.API_URL || 'http://localhost:5001';
+
+// Escape user-supplied text before placing it in an email body
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Subjects are plain text, but must stay on one header line
+const subjectText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[\r\n\t]+/g, ' ')
+  .trim();
+
+// One-click unsubscribe headers (RFC 8058)
+const unsubscribeHeaders = (unsubscribeToken) => ({
+  'List-Unsubscribe': `<${apiUrl()}/api/job-alerts/unsubscribe/${unsubscribeToken}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+// "Tue, Oct 20, 2026, 2:00 PM – 3:00 PM GMT+2" in the interview's time zone
+const formatInterviewTime = (start, end, timeZone) => {
+  const startText = new Date(start).toLocaleString('en-US', {
+    timeZone, weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+  });
+  const endText = new Date(end).toLocaleString('en-US', {
+    timeZone, hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+  });
+  return `${startText} – ${endText}`;
+};
+
+const INTERVIEW_HEADLINES = {
+  proposed: 'Please pick a time for the interview',
+  scheduled: 'The interview is scheduled',
+  rescheduled: 'The interview has been moved',
+  cancelled: 'The interview has been cancelled'
+};
+
 // Email templates
 const emailTemplates = {
   // OTP verification email
@@ -124,34 +164,237 @@ const emailTemplates = {
     `
   }),
 
-  // Application status update
-  applicationStatus: (userName, jobTitle, companyName, status) => ({
-    subject: `Application Update - ${jobTitle}`,
+  // Application status update; status is the pipeline stage label
+  applicationStatus: (userName, jobTitle, companyName, status) => {
+    const outcome = ['accepted', 'offer', 'hired'].includes(String(status).toLowerCase())
+      ? 'positive'
+      : String(status).toLowerCase() === 'rejected' ? 'negative' : 'progress';
+    return {
+      subject: `Application Update - ${jobTitle}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #3575E2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0;">Job Portal</h1>
+            <p style="margin: 10px 0 0 0;">Application Update</p>
+          </div>
+          
+          <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${escapeHtml(userName)},</h2>
+            
+            <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+              Your application for <strong>${escapeHtml(jobTitle)}</strong> at <strong>${escapeHtml(companyName)}</strong> has been updated.
+            </p>
+            
+            <div style="background-color: ${outcome === 'positive' ? '#10B981' : outcome === 'negative' ? '#EF4444' : '#F59E0B'}; color: white; padding: 20px; text-align: center; border-radius: 8px; margin: 30px 0;">
+              <h3 style="margin: 0; text-transform: uppercase;">Status: ${escapeHtml(status)}</h3>
+            </div>
+            
+            <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+              ${outcome === 'positive' 
+                ? 'Congratulations! Your application has moved forward. We will contact you soon with next steps.'
+                : outcome === 'negative'
+                ? 'We regret to inform you that your application was not selected for this position. We encourage you to apply for other opportunities.'
+                : 'Your application is currently under review. We will update you as soon as possible.'
+              }
+            </p>
+            
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                This is an automated email. Please do not reply to this message.
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+  },
+
+  // A candidate withdrew their application; sent to the job's poster
+  applicationWithdrawn: (applicantName, jobTitle, reason) => ({
+    subject: `Application Withdrawn - ${jobTitle}`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
         <div style="background-color: #3575E2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
           <h1 style="margin: 0;">Job Portal</h1>
-          <p style="margin: 10px 0 0 0;">Application Update</p>
+          <p style="margin: 10px 0 0 0;">Application Withdrawn</p>
         </div>
         
         <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px;">
-          <h2 style="color: #333; margin-bottom: 20px;">Hello ${userName},</h2>
+          <h2 style="color: #333; margin-bottom: 20px;">Hello,</h2>
+          
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            <strong>${escapeHtml(applicantName)}</strong> has withdrawn their application for <strong>${escapeHtml(jobTitle)}</strong>.
+          </p>
+          
+          <div style="background-color: #fff; border-left: 4px solid #3575E2; padding: 15px 20px; margin: 30px 0;">
+            <p style="color: #999; font-size: 12px; margin: 0 0 5px 0; text-transform: uppercase;">Reason given</p>
+            <p style="color: #333; line-height: 1.6; margin: 0;">${escapeHtml(reason)}</p>
+          </div>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              This is an automated email. Please do not reply to this message.
+            </p>
+          </div>
+        </div>
+      </div>
+    `
+  }),
+
+  // Interview proposed, scheduled, rescheduled or cancelled. The calendar
+  // event itself travels as an .ics attachment.
+  interviewUpdate: (userName, kind, interview) => {
+    const times = kind === 'proposed'
+      ? interview.slots.map(slot => formatInterviewTime(slot.start, slot.end, interview.timezone))
+      : [formatInterviewTime(interview.start, interview.end, interview.timezone)];
+    return {
+      subject: `Interview ${kind} - ${interview.jobTitle} at ${interview.companyName}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #3575E2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0;">Job Portal</h1>
+            <p style="margin: 10px 0 0 0;">Interview</p>
+          </div>
+          
+          <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${escapeHtml(userName || '')},</h2>
+            
+            <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+              ${INTERVIEW_HEADLINES[kind]} for ${escapeHtml(interview.candidate.name)}'s application to
+              <strong>${escapeHtml(interview.jobTitle)}</strong> at <strong>${escapeHtml(interview.companyName)}</strong>.
+            </p>
+            
+            <ul style="color: #333; line-height: 1.8; margin: 0 0 20px 0; padding-left: 20px;${kind === 'cancelled' ? ' text-decoration: line-through;' : ''}">
+              ${times.map(time => `<li>${escapeHtml(time)}</li>`).join('')}
+            </ul>
+            
+            ${interview.location ? `<p style="color: #666; margin: 0 0 10px 0;">Location: ${escapeHtml(interview.location)}</p>` : ''}
+            ${interview.videoLink ? `<p style="color: #666; margin: 0 0 10px 0;">Video link: <a href="${escapeHtml(interview.videoLink)}">${escapeHtml(interview.videoLink)}</a></p>` : ''}
+            ${kind === 'cancelled' && interview.cancelReason ? `<p style="color: #666; margin: 0 0 10px 0;">Reason: ${escapeHtml(interview.cancelReason)}</p>` : ''}
+            
+            ${kind === 'proposed' ? `
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL || 'http://localhost:5174'}/job/${interview.jobId}" 
+                 style="background-color: #3575E2; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+                Pick a Time
+              </a>
+            </div>` : `
+            <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+              ${kind === 'cancelled' ? 'The attached file removes the event from your calendar.' : 'Open the attached file to add the interview to your calendar.'}
+            </p>`}
+            
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
+              <p style="color: #999; font-size: 12px; margin: 0;">
+                This is an automated email. Please do not reply to this message.
+              </p>
+            </div>
+          </div>
+        </div>
+      `
+    };
+  },
+
+  // New message in an application thread; replies happen in the portal
+  newMessage: (userName, { senderName, jobTitle, body, attachmentCount, replyLink }) => ({
+    subject: `New message from ${senderName} - ${jobTitle}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background-color: #3575E2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0;">Job Portal</h1>
+          <p style="margin: 10px 0 0 0;">New Message</p>
+        </div>
+        
+        <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px;">
+          <h2 style="color: #333; margin-bottom: 20px;">Hello ${escapeHtml(userName || '')},</h2>
+          
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            <strong>${escapeHtml(senderName)}</strong> sent you a message about the application for <strong>${escapeHtml(jobTitle)}</strong>.
+          </p>
+          
+          <div style="background-color: #fff; border-left: 4px solid #3575E2; padding: 15px 20px; margin: 30px 0;">
+            <p style="color: #333; line-height: 1.6; margin: 0; white-space: pre-line;">${escapeHtml(body.length > 500 ? `${body.slice(0, 500)}…` : body)}</p>
+            ${attachmentCount > 0 ? `<p style="color: #999; font-size: 12px; margin: 10px 0 0 0;">${attachmentCount} attachment${attachmentCount === 1 ? '' : 's'}</p>` : ''}
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:5174'}${replyLink}" 
+               style="background-color: #3575E2; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Reply
+            </a>
+          </div>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              Replies to this email are not delivered. Use the button above to answer in the portal.
+            </p>
+          </div>
+        </div>
+      </div>
+    `
+  }),
+
+  // General notification (job expiry, password expiry, new sign-in, ...)
+  // with a link to where it can be acted on
+  notification: (userName, { title, message, link }) => ({
+    subject: title,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background-color: #3575E2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0;">Job Portal</h1>
+          <p style="margin: 10px 0 0 0;">${escapeHtml(title)}</p>
+        </div>
+        
+        <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px;">
+          <h2 style="color: #333; margin-bottom: 20px;">Hello ${escapeHtml(userName || '')},</h2>
+          
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            ${escapeHtml(message)}
+          </p>
+          ${link ? `
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:5174'}${link}" 
+               style="background-color: #3575E2; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Open Job Portal
+            </a>
+          </div>` : ''}
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              You can choose which notifications are emailed to you on the Notifications page.
+            </p>
+          </div>
+        </div>
+      </div>
+    `
+  }),
+
+  // Invitation to join a company team
+  companyInvite: (inviterName, companyName, role, inviteToken) => ({
+    subject: `Join ${subjectText(companyName)} on Job Portal`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background-color: #3575E2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0;">Job Portal</h1>
+          <p style="margin: 10px 0 0 0;">Team Invitation</p>
+        </div>
+        
+        <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px;">
+          <h2 style="color: #333; margin-bottom: 20px;">Hello,</h2>
           
           <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
-            Your application for <strong>${jobTitle}</strong> at <strong>${companyName}</strong> has been updated.
+            ${escapeHtml(inviterName)} has invited you to join <strong>${escapeHtml(companyName)}</strong> as a <strong>${escapeHtml(role)}</strong>.
+            Sign in with an employer account using this email address to accept:
           </p>
           
-          <div style="background-color: ${status === 'accepted' ? '#10B981' : status === 'rejected' ? '#EF4444' : '#F59E0B'}; color: white; padding: 20px; text-align: center; border-radius: 8px; margin: 30px 0;">
-            <h3 style="margin: 0; text-transform: uppercase;">Status: ${status}</h3>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:5174'}/company/invite/${encodeURIComponent(inviteToken)}" 
+               style="background-color: #3575E2; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Accept Invitation
+            </a>
           </div>
           
           <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
-            ${status === 'accepted' 
-              ? 'Congratulations! Your application has been accepted. We will contact you soon with next steps.'
-              : status === 'rejected'
-              ? 'We regret to inform you that your application was not selected for this position. We encourage you to apply for other opportunities.'
-              : 'Your application is currently under review. We will update you as soon as possible.'
-            }
+            This invitation will expire in 7 days. If you weren't expecting it, you can ignore this email.
           </p>
           
           <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
@@ -162,6 +405,83 @@ const emailTemplates = {
         </div>
       </div>
     `
+  }),
+
+  // Double opt-in for an anonymous job alert subscription
+  jobAlertConfirmation: (confirmToken, unsubscribeToken, searchSummary, frequency) => ({
+    subject: 'Confirm your job alert - Job Portal',
+    headers: unsubscribeHeaders(unsubscribeToken),
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background-color: #3575E2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0;">Job Portal</h1>
+          <p style="margin: 10px 0 0 0;">Confirm Job Alert</p>
+        </div>
+        
+        <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px;">
+          <h2 style="color: #333; margin-bottom: 20px;">Hello,</h2>
+          
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            Someone asked to send ${escapeHtml(frequency)} job alerts for <strong>${escapeHtml(searchSummary)}</strong> to this address.
+            Please confirm that it was you:
+          </p>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${apiUrl()}/api/job-alerts/confirm/${confirmToken}" 
+               style="background-color: #3575E2; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
+              Confirm Job Alert
+            </a>
+          </div>
+          
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            This link will expire in 48 hours. If you didn't ask for this, ignore this email and nothing will be sent.
+          </p>
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              This is an automated email. <a href="${apiUrl()}/api/job-alerts/unsubscribe/${unsubscribeToken}" style="color: #999;">Unsubscribe</a>
+            </p>
+          </div>
+        </div>
+      </div>
+    `
+  }),
+
+  // Digest of new jobs matching a saved search
+  jobAlertDigest: (jobs, searchSummary, unsubscribeToken) => ({
+    subject: `${jobs.length} new job${jobs.length === 1 ? '' : 's'} for ${searchSummary}`,
+    headers: unsubscribeHeaders(unsubscribeToken),
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background-color: #3575E2; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="margin: 0;">Job Portal</h1>
+          <p style="margin: 10px 0 0 0;">New Jobs For You</p>
+        </div>
+        
+        <div style="background-color: #f9f9f9; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
+            New jobs matching <strong>${escapeHtml(searchSummary)}</strong>:
+          </p>
+          
+          ${jobs.map(job => `
+          <div style="background-color: white; padding: 15px; border-radius: 8px; margin-bottom: 10px;">
+            <a href="${process.env.FRONTEND_URL || 'http://localhost:5174'}/job/${job._id}" style="color: #3575E2; font-size: 16px; font-weight: bold; text-decoration: none;">
+              ${escapeHtml(job.jobTitle)}
+            </a>
+            <p style="color: #666; margin: 5px 0 0 0;">
+              ${escapeHtml(job.companyName)} &middot; ${escapeHtml(job.jobLocation)} &middot; $${escapeHtml(job.minPrice)}-${escapeHtml(job.maxPrice)} ${escapeHtml(job.salaryType)}
+            </p>
+          </div>`).join('')}
+          
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
+            <p style="color: #999; font-size: 12px; margin: 0;">
+              You receive this because you subscribed to job alerts.
+              <a href="${apiUrl()}/api/job-alerts/unsubscribe/${unsubscribeToken}" style="color: #999;">Unsubscribe</a>
+            </p>
+          </div>
+        </div>
+      </div>
+    `
   })
 };
 
@@ -218,6 +538,133 @@ const emailService = {
     }
   },
 
+  // Send application withdrawal email to the employer
+  async sendApplicationWithdrawn(email, applicantName, jobTitle, reason) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@jobportal.com',
+        to: email,
+        ...emailTemplates.applicationWithdrawn(applicantName, jobTitle, reason)
+      };
+
+      const info = await transporter.sendMail(mailOptions);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Email sending error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Send interview email; calendar is { method, content, filename } for
+  // an iCalendar event to attach
+  async sendInterviewUpdate(email, userName, kind, interview, calendar = null) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@jobportal.com',
+        to: email,
+        ...emailTemplates.interviewUpdate(userName, kind, interview),
+        ...(calendar && {
+          attachments: [{
+            filename: calendar.filename,
+            content: calendar.content,
+            contentType: `text/calendar; charset=utf-8; method=${calendar.method}`
+          }]
+        })
+      };
+
+      const info = await transporter.sendMail(mailOptions);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Email sending error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Send new application message email
+  async sendNewMessage(email, userName, message) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@jobportal.com',
+        to: email,
+        ...emailTemplates.newMessage(userName, message)
+      };
+
+      const info = await transporter.sendMail(mailOptions);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Email sending error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Send general notification email
+  async sendNotification(email, userName, notification) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@jobportal.com',
+        to: email,
+        ...emailTemplates.notification(userName, notification)
+      };
+
+      const info = await transporter.sendMail(mailOptions);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Email sending error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Send company team invitation email
+  async sendCompanyInvite(email, inviterName, companyName, role, inviteToken) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@jobportal.com',
+        to: email,
+        ...emailTemplates.companyInvite(inviterName, companyName, role, inviteToken)
+      };
+
+      const info = await transporter.sendMail(mailOptions);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Email sending error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Send job alert double opt-in email
+  async sendJobAlertConfirmation(email, confirmToken, unsubscribeToken, searchSummary, frequency) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@jobportal.com',
+        to: email,
+        ...emailTemplates.jobAlertConfirmation(confirmToken, unsubscribeToken, searchSummary, frequency)
+      };
+
+      const info = await transporter.sendMail(mailOptions);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Email sending error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Send job alert digest email
+  async sendJobAlertDigest(email, jobs, searchSummary, unsubscribeToken) {
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@jobportal.com',
+        to: email,
+        ...emailTemplates.jobAlertDigest(jobs, searchSummary, unsubscribeToken)
+      };
+
+      const info = await transporter.sendMail(mailOptions);
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      console.error('Email sending error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
   // Verify email connection
   async verifyConnection() {
     try {
@@ -0,0 +1,313 @@
+const { ObjectId } = require('mongodb');
+const calendarService = require('./calendarService');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+
+// Interview scheduling configuration
+const INTERVIEW_CONFIG = {
+  MAX_SLOTS: 5,
+  MIN_DURATION_MINUTES: 15,
+  MAX_DURATION_MINUTES: 480,
+  // Slots have to start at least this far in the future
+  MIN_NOTICE_MINUTES: 30,
+  MAX_INTERVIEWERS: 10,
+  LOCATION_MAX_LENGTH: 200,
+  REASON_MAX_LENGTH: 500,
+  // Right-hand side of calendar event UIDs ("<interview id>@<domain>")
+  UID_DOMAIN: process.env.CALENDAR_UID_DOMAIN || 'jobportal.local',
+  // Interviews that are still going ahead
+  OPEN_STATUSES: ['proposed', 'scheduled']
+};
+
+const MINUTE_MS = 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Interview scheduling service
+const interviewService = {
+  async ensureIndexes(db) {
+    const interviews = db.collection('interviews');
+    await interviews.createIndex({ applicationId: 1, createdAt: -1 });
+    await interviews.createIndex({ jobId: 1 });
+  },
+
+  // Check one { start, end } time slot
+  validateSlot(input, now = new Date()) {
+    const { MIN_DURATION_MINUTES, MAX_DURATION_MINUTES, MIN_NOTICE_MINUTES } = INTERVIEW_CONFIG;
+    const start = new Date(input && input.start);
+    const end = new Date(input && input.end);
+    if (isNaN(start) || isNaN(end)) {
+      return { error: 'Each slot needs a valid start and end time' };
+    }
+    if (start.getTime() < now.getTime() + MIN_NOTICE_MINUTES * MINUTE_MS) {
+      return { error: `Slots must start at least ${MIN_NOTICE_MINUTES} minutes from now` };
+    }
+    const minutes = (end - start) / MINUTE_MS;
+    if (minutes < MIN_DURATION_MINUTES || minutes > MAX_DURATION_MINUTES) {
+      return { error: `Interviews last between ${MIN_DURATION_MINUTES} and ${MAX_DURATION_MINUTES} minutes` };
+    }
+    return { slot: { start, end } };
+  },
+
+  // Where the interview happens: a place, a video link, or both
+  validateVenue(input, { partial = false } = {}) {
+    const venue = {};
+    if (input.location !== undefined) {
+      if (input.location !== null && typeof input.location !== 'string') {
+        return { error: 'Location must be text' };
+      }
+      venue.location = input.location ? input.location.trim() : null;
+      if (venue.location && venue.location.length > INTERVIEW_CONFIG.LOCATION_MAX_LENGTH) {
+        return { error: `Location must be at most ${INTERVIEW_CONFIG.LOCATION_MAX_LENGTH} characters` };
+      }
+    }
+    if (input.videoLink !== undefined) {
+      if (input.videoLink !== null && (typeof input.videoLink !== 'string' || !/^https?:\/\/\S+$/.test(input.videoLink.trim()))) {
+        return { error: 'Video link must be an http(s) URL' };
+      }
+      venue.videoLink = input.videoLink ? input.videoLink.trim() : null;
+    }
+    if (!partial && !venue.location && !venue.videoLink) {
+      return { error: 'Give a location or a video link' };
+    }
+    return { venue };
+  },
+
+  // Check an employer's proposal and return a clean copy
+  validateProposal(input, now = new Date()) {
+    if (!input || !Array.isArray(input.slots) || input.slots.length === 0 || input.slots.length > INTERVIEW_CONFIG.MAX_SLOTS) {
+      return { error: `Propose between 1 and ${INTERVIEW_CONFIG.MAX_SLOTS} time slots` };
+    }
+
+    const slots = [];
+    for (const entry of input.slots) {
+      const { slot, error } = this.validateSlot(entry, now);
+      if (error) {
+        return { error };
+      }
+      if (slots.some(existing => existing.start.getTime() === slot.start.getTime())) {
+        return { error: 'Two slots start at the same time' };
+      }
+      slots.push({ _id: new ObjectId(), ...slot });
+    }
+    slots.sort((a, b) => a.start - b.start);
+
+    const { venue, error: venueError } = this.validateVenue(input);
+    if (venueError) {
+      return { error: venueError };
+    }
+
+    const interviewers = input.interviewers || [];
+    if (!Array.isArray(interviewers) || interviewers.length > INTERVIEW_CONFIG.MAX_INTERVIEWERS) {
+      return { error: `List at most ${INTERVIEW_CONFIG.MAX_INTERVIEWERS} interviewers` };
+    }
+    const cleanInterviewers = [];
+    for (const interviewer of interviewers) {
+      const email = interviewer && typeof interviewer.email === 'string' ? interviewer.email.trim().toLowerCase() : '';
+      if (!EMAIL_PATTERN.test(email)) {
+        return { error: 'Each interviewer needs a valid email' };
+      }
+      if (!cleanInterviewers.some(existing => existing.email === email)) {
+        const name = typeof interviewer.name === 'string' ? interviewer.name.trim().slice(0, 100) : '';
+        cleanInterviewers.push({ name: name || null, email });
+      }
+    }
+
+    const timezone = input.timezone || 'UTC';
+    if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+      return { error: 'Unknown time zone' };
+    }
+
+    return {
+      proposal: {
+        slots,
+        location: venue.location || null,
+        videoLink: venue.videoLink || null,
+        interviewers: cleanInterviewers,
+        timezone
+      }
+    };
+  },
+
+  // The open (proposed or scheduled) interview of an application, if any
+  async findOpen(db, applicationId) {
+    return db.collection('interviews').findOne({
+      applicationId,
+      status: { $in: INTERVIEW_CONFIG.OPEN_STATUSES }
+    });
+  },
+
+  // Offer time slots to the candidate
+  async propose(db, { application, job, organizer, proposal }) {
+    const now = new Date();
+    const _id = new ObjectId();
+    const interview = {
+      _id,
+      uid: `${_id}@${INTERVIEW_CONFIG.UID_DOMAIN}`,
+      sequence: 0,
+      applicationId: application._id,
+      jobId: job._id,
+      companyId: job.companyId || null,
+      jobTitle: job.jobTitle,
+      companyName: job.companyName,
+      candidate: { name: application.applicantName, email: application.applicantEmail },
+      organizer: { userId: organizer.userId, name: organizer.name, email: organizer.email },
+      ...proposal,
+      status: 'proposed',
+      start: null,
+      end: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    await db.collection('interviews').insertOne(interview);
+
+    await this.notify(db, interview, 'proposed');
+    return interview;
+  },
+
+  // The candidate picks one of the proposed slots
+  async selectSlot(db, interview, slotId) {
+    const slot = interview.slots.find(entry => entry._id.toString() === slotId);
+    if (!slot) {
+      return { error: 'Unknown slot' };
+    }
+    // Proposed times run out while the candidate decides
+    const { MIN_NOTICE_MINUTES } = INTERVIEW_CONFIG;
+    if (new Date(slot.start).getTime() < Date.now() + MIN_NOTICE_MINUTES * MINUTE_MS) {
+      return {
+        conflict: true,
+        message: `This time is no longer available: interviews need at least ${MIN_NOTICE_MINUTES} minutes' notice. Please pick a later one or ask for new times.`
+      };
+    }
+
+    const updated = await db.collection('interviews').findOneAndUpdate(
+      { _id: interview._id, status: 'proposed' },
+      { $set: { status: 'scheduled', start: slot.start, end: slot.end, scheduledAt: new Date(), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      return { conflict: true };
+    }
+
+    await this.notify(db, updated, 'scheduled');
+    return { interview: updated };
+  },
+
+  // Move a scheduled interview; calendars update the existing event
+  async reschedule(db, interview, slot, venue) {
+    const updated = await db.collection('interviews').findOneAndUpdate(
+      { _id: interview._id, status: 'scheduled', sequence: interview.sequence },
+      {
+        $set: { start: slot.start, end: slot.end, ...venue, updatedAt: new Date() },
+        $inc: { sequence: 1 }
+      },
+      { returnDocument: 'after' }
+    );
+    if (updated) {
+      await this.notify(db, updated, 'rescheduled');
+    }
+    return updated;
+  },
+
+  // Call off an open interview. A scheduled one is removed from calendars.
+  async cancel(db, interview, actor, reason) {
+    const wasScheduled = interview.status === 'scheduled';
+    const updated = await db.collection('interviews').findOneAndUpdate(
+      { _id: interview._id, status: interview.status, sequence: interview.sequence },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          cancelledBy: { userId: actor.userId, name: actor.name, email: actor.email },
+          cancelReason: reason || null,
+          updatedAt: new Date()
+        },
+        ...(wasScheduled && { $inc: { sequence: 1 } })
+      },
+      { returnDocument: 'after' }
+    );
+    if (updated) {
+      await this.notify(db, updated, 'cancelled', { withCalendar: wasScheduled });
+    }
+    return updated;
+  },
+
+  // Calendar event for a scheduled (or just cancelled) interview
+  buildCalendar(interview) {
+    const method = interview.status === 'cancelled' ? 'CANCEL' : 'REQUEST';
+    const content = calendarService.buildEvent({
+      uid: interview.uid,
+      sequence: interview.sequence,
+      method,
+      start: interview.start,
+      end: interview.end,
+      summary: `Interview: ${interview.jobTitle} at ${interview.companyName}`,
+      description: [
+        `Interview with ${interview.candidate.name} for ${interview.jobTitle}.`,
+        interview.videoLink ? `Join: ${interview.videoLink}` : null,
+        interview.status === 'cancelled' && interview.cancelReason ? `Cancelled: ${interview.cancelReason}` : null
+      ].filter(Boolean).join('\n'),
+      location: interview.location || interview.videoLink,
+      url: interview.videoLink,
+      organizer: interview.organizer,
+      attendees: [interview.candidate, ...interview.interviewers]
+    });
+    return { method, content, filename: 'interview.ics' };
+  },
+
+  // Everyone taking part, once each
+  participants(interview) {
+    const everyone = [interview.candidate, interview.organizer, ...interview.interviewers];
+    return everyone.filter((person, index) => everyone.findIndex(other => other.email === person.email) === index);
+  },
+
+  // Email the participants who have not switched interview emails off (a
+  // proposal only goes to the candidate) and leave an in-app notification
+  // for the side that did not act
+  async notify(db, interview, kind, { withCalendar = kind !== 'proposed' } = {}) {
+    const calendar = withCalendar ? this.buildCalendar(interview) : null;
+    const recipients = kind === 'proposed' ? [interview.candidate] : this.participants(interview);
+
+    for (const recipient of recipients) {
+      if (!await notificationService.wantsEmail(db, recipient, `interview_${kind}`)) continue;
+      const result = await emailService.sendInterviewUpdate(recipient.email, recipient.name, kind, interview, calendar);
+      if (!result.success) {
+        console.error(`Interview ${kind} email for ${interview._id} failed:`, result.error);
+      }
+    }
+
+    // The candidate acts by picking a slot or cancelling; the employer otherwise
+    const candidateActed = kind === 'scheduled'
+      || (kind === 'cancelled' && interview.cancelledBy.email === interview.candidate.email);
+    await notificationService.create(db, candidateActed ? {
+      userId: interview.organizer.userId,
+      type: `interview_${kind}`,
+      title: `Interview ${kind}: ${interview.jobTitle}`,
+      message: kind === 'scheduled'
+        ? `${interview.candidate.name} picked a time for their ${interview.jobTitle} interview.`
+        : `${interview.candidate.name} cancelled their ${interview.jobTitle} interview.`,
+      link: `/my-job/${interview.jobId}/applicants`,
+      data: { interviewId: interview._id, applicationId: interview.applicationId }
+    } : {
+      email: interview.candidate.email,
+      type: `interview_${kind}`,
+      title: `Interview ${kind}: ${interview.jobTitle}`,
+      message: kind === 'proposed'
+        ? `${interview.companyName} proposed interview times for ${interview.jobTitle}. Pick the one that suits you.`
+        : `Your interview for ${interview.jobTitle} at ${interview.companyName} was ${kind}.`,
+      link: `/job/${interview.jobId}`,
+      data: { interviewId: interview._id, applicationId: interview.applicationId }
+    });
+  }
+};
+
+module.exports = interviewService;
+module.exports.INTERVIEW_CONFIG = INTERVIEW_CONFIG;
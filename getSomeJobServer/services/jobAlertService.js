@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const emailService = require('./emailService');
+const jobSearchService = require('./jobSearchService');
+
+// Job alert configuration
+const ALERT_CONFIG = {
+  FREQUENCIES: {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+  },
+  // Saved search parameters, the same names GET /api/jobs understands
+  QUERY_KEYS: ['search', 'location', 'type', 'experience', 'salaryPeriod', 'salaryMin', 'salaryMax'],
+  MAX_ALERTS_PER_EMAIL: 10,
+  MAX_JOBS_PER_DIGEST: 20,
+  CONFIRM_EXPIRES_IN: 48 * 60 * 60 * 1000, // 48 hours
+  CHECK_INTERVAL_MS: 60 * 60 * 1000 // 1 hour
+};
+
+let alertTimer = null;
+
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+// Job alert service
+const jobAlertService = {
+  async ensureIndexes(db) {
+    const alerts = db.collection('jobAlerts');
+    await alerts.createIndex({ status: 1, nextRunAt: 1 });
+    await alerts.createIndex({ email: 1 });
+    await alerts.createIndex({ confirmToken: 1 }, { sparse: true });
+    await alerts.createIndex({ unsubscribeToken: 1 }, { unique: true });
+  },
+
+  // Keep only the known, non-empty search parameters
+  pickQuery(source = {}) {
+    const query = {};
+    ALERT_CONFIG.QUERY_KEYS.forEach(key => {
+      if (source[key] !== undefined && source[key] !== null && String(source[key]).trim() !== '') {
+        query[key] = String(source[key]).trim();
+      }
+    });
+    return query;
+  },
+
+  // Human readable summary of a saved search, used in emails
+  describeQuery(query = {}) {
+    const parts = [];
+    if (query.search) parts.push(`"${query.search}"`);
+    if (query.location) parts.push(`in ${query.location}`);
+    if (query.type) parts.push(query.type);
+    if (query.experience) parts.push(query.experience);
+    if (query.salaryMin || query.salaryMax) {
+      parts.push(`salary ${query.salaryMin || 0}-${query.salaryMax || 'any'} ${query.salaryPeriod || 'Yearly'}`);
+    }
+    return parts.length > 0 ? parts.join(', ') : 'All new jobs';
+  },
+
+  // Create an alert. Signed-in users subscribing their own address are active
+  // right away; everyone else has to confirm the address first (double opt-in).
+  async createAlert(db, { email, userId, query, frequency }) {
+    const alerts = db.collection('jobAlerts');
+
+    const count = await alerts.countDocuments({ email, status: { $ne: 'unsubscribed' } });
+    if (count >= ALERT_CONFIG.MAX_ALERTS_PER_EMAIL) {
+      return { error: `An address can have at most ${ALERT_CONFIG.MAX_ALERTS_PER_EMAIL} job alerts` };
+    }
+
+    const now = new Date();
+    const isConfirmed = !!userId;
+    const alert = {
+      email,
+      userId: userId || null,
+      query,
+      frequency,
+      status: isConfirmed ? 'active' : 'pending',
+      confirmToken: isConfirmed ? null : generateToken(),
+      confirmExpiresAt: isConfirmed ? null : new Date(now.getTime() + ALERT_CONFIG.CONFIRM_EXPIRES_IN),
+      unsubscribeToken: generateToken(),
+      lastCheckedAt: now,
+      nextRunAt: new Date(now.getTime() + ALERT_CONFIG.FREQUENCIES[frequency]),
+      createdAt: now
+    };
+
+    const result = await alerts.insertOne(alert);
+    alert._id = result.insertedId;
+
+    if (!isConfirmed) {
+      const emailResult = await emailService.sendJobAlertConfirmation(
+        email,
+        alert.confirmToken,
+        alert.unsubscribeToken,
+        this.describeQuery(query),
+        frequency
+      );
+      if (!emailResult.success) {
+        await alerts.deleteOne({ _id: alert._id });
+        return { error: 'Failed to send confirmation email' };
+      }
+    }
+
+    return { alert };
+  },
+
+  // Activate a pending alert from its confirmation link
+  async confirmAlert(db, token) {
+    const now = new Date();
+    const result = await db.collection('jobAlerts').findOneAndUpdate(
+      { confirmToken: token, status: 'pending', confirmExpiresAt: { $gt: now } },
+      {
+        $set: {
+          status: 'active',
+          confirmedAt: now,
+          lastCheckedAt: now
+        },
+        $unset: { confirmToken: '', confirmExpiresAt: '' }
+      },
+      { returnDocument: 'after' }
+    );
+    return result;
+  },
+
+  async findByUnsubscribeToken(db, token) {
+    return db.collection('jobAlerts').findOne({ unsubscribeToken: token });
+  },
+
+  async unsubscribe(db, token) {
+    const result = await db.collection('jobAlerts').findOneAndUpdate(
+      { unsubscribeToken: token },
+      { $set: { status: 'unsubscribed', unsubscribedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    return result;
+  },
+
+  // Published jobs matching the saved search that went live after `since`.
+  // Jobs published before the lifecycle existed only have their creation time.
+  async findNewJobs(jobsCollection, alert, since) {
+    const filter = jobSearchService.buildFilter(alert.query);
+    filter.$and = [
+      ...(filter.$and || []),
+      {
+        $or: [
+          { publishedAt: { $gt: since } },
+          { publishedAt: { $exists: false }, createAt: { $gt: since } }
+        ]
+      }
+    ];
+
+    return jobsCollection.find(filter)
+      .sort({ createAt: -1 })
+      .limit(ALERT_CONFIG.MAX_JOBS_PER_DIGEST)
+      .toArray();
+  },
+
+  // Send a digest for every active alert that is due
+  async sendDueAlerts(db) {
+    const alerts = db.collection('jobAlerts');
+    const jobsCollection = db.collection('demoJobs');
+    const now = new Date();
+    let sent = 0;
+
+    const dueAlerts = await alerts.find({ status: 'active', nextRunAt: { $lte: now } }).toArray();
+
+    for (const alert of dueAlerts) {
+      try {
+        const jobs = await this.findNewJobs(jobsCollection, alert, alert.lastCheckedAt || alert.createdAt);
+
+        if (jobs.length > 0) {
+          const emailResult = await emailService.sendJobAlertDigest(
+            alert.email,
+            jobs,
+            this.describeQuery(alert.query),
+            alert.unsubscribeToken
+          );
+          // Leave the window open so the next run retries
+          if (!emailResult.success) continue;
+          sent++;
+        }
+
+        await alerts.updateOne(
+          { _id: alert._id },
+          {
+            $set: {
+              lastCheckedAt: now,
+              nextRunAt: new Date(now.getTime() + ALERT_CONFIG.FREQUENCIES[alert.frequency]),
+              ...(jobs.length > 0 && { lastSentAt: now })
+            }
+          }
+        );
+      } catch (error) {
+        console.error(`Job alert ${alert._id} failed:`, error);
+      }
+    }
+
+    return sent;
+  },
+
+  // Start the periodic digest run
+  start(db) {
+    if (alertTimer) {
+      return;
+    }
+
+    const run = async () => {
+      try {
+        const sent = await this.sendDueAlerts(db);
+        if (sent > 0) {
+          console.log(`Sent ${sent} job alert digests`);
+        }
+      } catch (error) {
+        console.error('Job alert run failed:', error);
+      }
+    };
+
+    alertTimer = setInterval(run, ALERT_CONFIG.CHECK_INTERVAL_MS);
+    alertTimer.unref();
+  },
+
+  stop() {
+    if (alertTimer) {
+      clearInterval(alertTimer);
+      alertTimer = null;
+    }
+  }
+};
+
+module.exports = jobAlertService;
+module.exports.ALERT_CONFIG = ALERT_CONFIG;
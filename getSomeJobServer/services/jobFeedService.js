@@ -0,0 +1,343 @@
+// Public job feed configuration
+const FEED_CONFIG = {
+  TITLE: 'getSomeJob - Latest jobs',
+  DESCRIPTION: 'The newest published jobs on getSomeJob',
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 100,
+  // The sitemap protocol allows at most 50,000 URLs per file
+  SITEMAP_MAX_URLS: 50000,
+  // Feeds and the sitemap may be cached this long by readers and proxies
+  CACHE_MAX_AGE_SECONDS: 300,
+  // Salaries are stored without a currency; the portal quotes them in this one
+  CURRENCY: process.env.JOB_CURRENCY || 'USD',
+  // Google's JobPosting employmentType values
+  EMPLOYMENT_TYPES: {
+    'Full-Time': 'FULL_TIME',
+    'Part-Time': 'PART_TIME',
+    Temporary: 'TEMPORARY'
+  },
+  // schema.org QuantitativeValue unitText per salary period
+  SALARY_UNITS: {
+    Hourly: 'HOUR',
+    Monthly: 'MONTH',
+    Yearly: 'YEAR'
+  },
+  // Experience levels that need no prior experience
+  ENTRY_LEVELS: ['Any experience', 'Fresher/No Experience', 'Internship'],
+  // XML feed in the format job aggregators ingest, described by config/jobFeed.xsd
+  AGGREGATOR: {
+    PUBLISHER: 'getSomeJob',
+    MAX_JOBS: 10000,
+    // Locations are stored as "City", "City, ST" (US) or "City, Country";
+    // this is the country when none is given
+    DEFAULT_COUNTRY: process.env.JOB_COUNTRY || 'US',
+    // jobtype values, by lower-cased employment type
+    JOB_TYPES: {
+      'full-time': 'fulltime',
+      'part-time': 'parttime',
+      temporary: 'temporary'
+    }
+  }
+};
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5174';
+
+// Escape text for XML; characters XML 1.0 does not allow are dropped
+const xmlEscape = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// When a job was posted, and when it last changed
+const postedAt = (job) => toDate(job.publishedAt) || toDate(job.postingDate) || toDate(job.createAt) || new Date(0);
+const updatedAt = (job) => toDate(job.updatedAt) || toDate(job.statusChangedAt) || postedAt(job);
+
+const formatMoney = (amount) => `${FEED_CONFIG.CURRENCY} ${Number(amount).toLocaleString('en-US')}`;
+
+// "USD 40,000 - USD 60,000 per year"
+const salaryText = (job) => {
+  const unit = { Hourly: 'hour', Monthly: 'month', Yearly: 'year' }[job.salaryType] || 'year';
+  if (isNumber(job.minPrice) && isNumber(job.maxPrice) && job.minPrice !== job.maxPrice) {
+    return `${formatMoney(job.minPrice)} - ${formatMoney(job.maxPrice)} per ${unit}`;
+  }
+  const amount = isNumber(job.maxPrice) ? job.maxPrice : job.minPrice;
+  return isNumber(amount) ? `${formatMoney(amount)} per ${unit}` : null;
+};
+
+// Plain-text summary used by both feed formats
+const summary = (job) => [
+  [job.companyName, job.jobLocation, job.employmentType, salaryText(job)].filter(Boolean).join(' · '),
+  job.description
+].filter(Boolean).join('\n\n');
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Plain text of an HTML fragment: scripts and styles dropped, block ends kept
+// as line breaks, entities decoded, runs of blanks collapsed
+const stripHtml = (html) => String(html || '')
+  .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+  .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6]|tr)\s*>/gi, '\n')
+  .replace(/<\/?[a-z!][^>]*>/gi, '')
+  .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] !== '#') {
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    }
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+  })
+  .split('\n')
+  .map(line => line.replace(/[ \t\u00A0]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// US state, district and territory codes, for "City, ST" locations
+const US_STATE_CODES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY',
+  'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND',
+  'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+  'DC', 'PR', 'GU', 'VI', 'AS', 'MP'
+]);
+
+// "Brussels, Belgium" -> { city: 'Brussels', state: null, country: 'Belgium' }
+// "Seattle, WA"       -> { city: 'Seattle', state: 'WA', country: 'US' }
+// "Austin, TX, USA"   -> { city: 'Austin', state: 'TX', country: 'USA' }
+// A bare city gets the default country.
+const splitLocation = (location) => {
+  const parts = String(location || '').split(',').map(part => part.trim()).filter(Boolean);
+  const isState = (part) => US_STATE_CODES.has(part);
+
+  if (parts.length > 1 && isState(parts[parts.length - 1])) {
+    return { city: parts.slice(0, -1).join(', '), state: parts[parts.length - 1], country: 'US' };
+  }
+  if (parts.length > 2 && isState(parts[parts.length - 2])) {
+    return { city: parts.slice(0, -2).join(', '), state: parts[parts.length - 2], country: parts[parts.length - 1] };
+  }
+  return {
+    city: parts.length > 1 ? parts.slice(0, -1).join(', ') : parts[0] || '',
+    state: null,
+    country: parts.length > 1 ? parts[parts.length - 1] : FEED_CONFIG.AGGREGATOR.DEFAULT_COUNTRY
+  };
+};
+
+// Public job feeds, sitemap and structured data
+const jobFeedService = {
+  jobUrl(job) {
+    return `${frontendUrl()}/job/${job._id}`;
+  },
+
+  // schema.org JobPosting, as search engines expect it for job listings
+  toJsonLd(job) {
+    const posting = {
+      '@context': 'https://schema.org/',
+      '@type': 'JobPosting',
+      title: job.jobTitle,
+      description: job.description,
+      identifier: {
+        '@type': 'PropertyValue',
+        name: job.companyName,
+        value: job._id.toString()
+      },
+      datePosted: postedAt(job).toISOString().slice(0, 10),
+      hiringOrganization: {
+        '@type': 'Organization',
+        name: job.companyName,
+        ...(/^https?:\/\//.test(job.companyLogo || '') && { logo: job.companyLogo })
+      },
+      url: this.jobUrl(job),
+      directApply: true
+    };
+
+    const expiresAt = toDate(job.expiresAt);
+    if (expiresAt) {
+      posting.validThrough = expiresAt.toISOString();
+    }
+
+    if (FEED_CONFIG.EMPLOYMENT_TYPES[job.employmentType]) {
+      posting.employmentType = FEED_CONFIG.EMPLOYMENT_TYPES[job.employmentType];
+    }
+
+    if (job.experienceLevel === 'Work Remotely') {
+      posting.jobLocationType = 'TELECOMMUTE';
+    }
+    if (job.jobLocation) {
+      posting.jobLocation = {
+        '@type': 'Place',
+        address: {
+          '@type': 'PostalAddress',
+          addressLocality: job.jobLocation
+        }
+      };
+    }
+    if (FEED_CONFIG.ENTRY_LEVELS.includes(job.experienceLevel)) {
+      posting.experienceRequirements = 'no requirements';
+    }
+    if (Array.isArray(job.skills) && job.skills.length > 0) {
+      posting.skills = job.skills.join(', ');
+    }
+
+    // A range when both ends are known, otherwise a single value
+    const hasMin = isNumber(job.minPrice);
+    const hasMax = isNumber(job.maxPrice);
+    if (hasMin || hasMax) {
+      posting.baseSalary = {
+        '@type': 'MonetaryAmount',
+        currency: FEED_CONFIG.CURRENCY,
+        value: {
+          '@type': 'QuantitativeValue',
+          ...(hasMin && hasMax && job.minPrice !== job.maxPrice
+            ? { minValue: job.minPrice, maxValue: job.maxPrice }
+            : { value: hasMax ? job.maxPrice : job.minPrice }),
+          unitText: FEED_CONFIG.SALARY_UNITS[job.salaryType] || 'YEAR'
+        }
+      };
+    }
+
+    return posting;
+  },
+
+  // RSS 2.0 with an atom:link to itself, as feed validators recommend
+  toRss(jobs, { selfUrl }) {
+    const items = jobs.map(job => `
+    <item>
+      <title>${xmlEscape(`${job.jobTitle} at ${job.companyName}`)}</title>
+      <link>${xmlEscape(this.jobUrl(job))}</link>
+      <guid isPermaLink="true">${xmlEscape(this.jobUrl(job))}</guid>
+      <pubDate>${postedAt(job).toUTCString()}</pubDate>
+      <description>${xmlEscape(summary(job))}</description>${[job.employmentType, job.experienceLevel].filter(Boolean).map(category => `
+      <category>${xmlEscape(category)}</category>`).join('')}
+    </item>`).join('');
+
+    const lastBuild = jobs.length > 0 ? new Date(Math.max(...jobs.map(job => updatedAt(job).getTime()))) : new Date();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${xmlEscape(FEED_CONFIG.TITLE)}</title>
+    <link>${xmlEscape(frontendUrl())}</link>
+    <description>${xmlEscape(FEED_CONFIG.DESCRIPTION)}</description>
+    <language>en</language>
+    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>
+    <atom:link href="${xmlEscape(selfUrl)}" rel="self" type="application/rss+xml"/>${items}
+  </channel>
+</rss>
+`;
+  },
+
+  toAtom(jobs, { selfUrl }) {
+    const entries = jobs.map(job => `
+  <entry>
+    <id>${xmlEscape(this.jobUrl(job))}</id>
+    <title>${xmlEscape(`${job.jobTitle} at ${job.companyName}`)}</title>
+    <link rel="alternate" type="text/html" href="${xmlEscape(this.jobUrl(job))}"/>
+    <published>${postedAt(job).toISOString()}</published>
+    <updated>${updatedAt(job).toISOString()}</updated>
+    <author><name>${xmlEscape(job.companyName)}</name></author>
+    <summary type="text">${xmlEscape(summary(job))}</summary>${[job.employmentType, job.experienceLevel].filter(Boolean).map(category => `
+    <category term="${xmlEscape(category)}"/>`).join('')}
+  </entry>`).join('');
+
+    const updated = jobs.length > 0 ? new Date(Math.max(...jobs.map(job => updatedAt(job).getTime()))) : new Date();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xmlEscape(selfUrl)}</id>
+  <title>${xmlEscape(FEED_CONFIG.TITLE)}</title>
+  <subtitle>${xmlEscape(FEED_CONFIG.DESCRIPTION)}</subtitle>
+  <updated>${updated.toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${xmlEscape(selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${xmlEscape(frontendUrl())}"/>${entries}
+</feed>
+`;
+  },
+
+  // Published jobs for an aggregator feed: all of them, or one company's,
+  // optionally only those changed within an updatedAt window. Jobs never
+  // edited have no updatedAt and count as changed when they were created.
+  aggregatorFilter({ companyId = null, updatedSince = null, updatedUntil = null } = {}) {
+    const filter = { status: 'published' };
+    if (companyId) {
+      filter.companyId = companyId;
+    }
+    if (updatedSince || updatedUntil) {
+      const range = { ...(updatedSince && { $gte: updatedSince }), ...(updatedUntil && { $lt: updatedUntil }) };
+      filter.$or = [
+        { updatedAt: range },
+        { updatedAt: { $exists: false }, createAt: range }
+      ];
+    }
+    return filter;
+  },
+
+  // The aggregator XML format: a <source> of <job> elements with title, date,
+  // referencenumber, url, company, city, state (US only), country,
+  // description, salary and jobtype. Descriptions are reduced to plain text before escaping.
+  toAggregatorXml(jobs) {
+    const { PUBLISHER, JOB_TYPES } = FEED_CONFIG.AGGREGATOR;
+    const element = (name, value) => `
+    <${name}>${xmlEscape(value)}</${name}>`;
+
+    const items = jobs.map(job => {
+      const { city, state, country } = splitLocation(job.jobLocation);
+      const salary = salaryText(job);
+      const jobType = JOB_TYPES[String(job.employmentType || '').toLowerCase()];
+      const fields = [
+        element('title', job.jobTitle),
+        element('date', postedAt(job).toUTCString()),
+        element('referencenumber', job._id.toString()),
+        element('url', this.jobUrl(job)),
+        element('company', job.companyName),
+        element('city', city),
+        state ? element('state', state) : '',
+        element('country', country),
+        element('description', stripHtml(job.description)),
+        salary ? element('salary', salary) : '',
+        jobType ? element('jobtype', jobType) : ''
+      ];
+      return `
+  <job>${fields.join('')}
+  </job>`;
+    }).join('');
+
+    const lastBuild = jobs.length > 0 ? new Date(Math.max(...jobs.map(job => updatedAt(job).getTime()))) : new Date();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<source>
+  <publisher>${xmlEscape(PUBLISHER)}</publisher>
+  <publisherurl>${xmlEscape(frontendUrl())}</publisherurl>
+  <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>${items}
+</source>
+`;
+  },
+
+  // Home page and every published job's detail page
+  toSitemap(jobs) {
+    const urls = [
+      `
+  <url>
+    <loc>${xmlEscape(`${frontendUrl()}/`)}</loc>
+    <changefreq>daily</changefreq>
+  </url>`,
+      ...jobs.map(job => `
+  <url>
+    <loc>${xmlEscape(this.jobUrl(job))}</loc>
+    <lastmod>${updatedAt(job).toISOString().slice(0, 10)}</lastmod>
+  </url>`)
+    ];
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls.join('')}
+</urlset>
+`;
+  }
+};
+
+module.exports = jobFeedService;
+module.exports.FEED_CONFIG = FEED_CONFIG;
@@ -0,0 +1,233 @@
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { validationResult } = require('express-validator');
+const { jobCreateRules, pickJobFields, normalizeSalary } = require('../config/jobSchema');
+const jobLifecycleService = require('./jobLifecycleService');
+
+// Bulk import configuration
+const IMPORT_CONFIG = {
+  MAX_FILE_SIZE: 1024 * 1024, // 1 MB
+  MAX_ROWS: 500,
+  FORMATS: {
+    csv: { extensions: ['.csv'] },
+    json: { extensions: ['.json'] }
+  },
+  // Skills share one CSV cell, separated by semicolons
+  CSV_LIST_SEPARATOR: ';',
+  // Misspellings found in existing job files (public/jobs.json), mapped onto
+  // the values the job rules accept; matched case-insensitively
+  VALUE_ALIASES: {
+    experienceLevel: { intership: 'Internship' }
+  }
+};
+
+// Replace aliased field values with their canonical spelling
+const applyAliases = (record) => {
+  const result = { ...record };
+  Object.entries(IMPORT_CONFIG.VALUE_ALIASES).forEach(([field, aliases]) => {
+    const value = result[field];
+    if (typeof value === 'string' && aliases[value.trim().toLowerCase()]) {
+      result[field] = aliases[value.trim().toLowerCase()];
+    }
+  });
+  return result;
+};
+
+// MongoDB answers "IllegalOperation" when transactions are not available
+// (a standalone server rather than a replica set)
+const TRANSACTIONS_UNSUPPORTED = 20;
+
+// Split CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line
+// ends) into rows of cells
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // Blank lines carry no job
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// CSV rows as objects keyed by the header row. Empty cells are left out, so
+// optional fields stay optional.
+const csvToRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(name => name.trim());
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      const value = (cells[index] || '').trim();
+      if (column && value !== '') {
+        record[column] = value;
+      }
+    });
+    if (typeof record.skills === 'string') {
+      record.skills = record.skills.split(IMPORT_CONFIG.CSV_LIST_SEPARATOR).map(skill => skill.trim()).filter(Boolean);
+    }
+    return record;
+  });
+};
+
+// Bulk job import: parse, validate each row like a single posting, insert
+const jobImportService = {
+  // Which format a file is in, from its name or else its first character
+  detectFormat(fileName, buffer) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    const byName = Object.keys(IMPORT_CONFIG.FORMATS)
+      .find(format => IMPORT_CONFIG.FORMATS[format].extensions.includes(extension));
+    if (byName) return byName;
+    const start = buffer.toString('utf8', 0, 64).replace(/^\uFEFF/, '').trimStart();
+    return start.startsWith('[') || start.startsWith('{') ? 'json' : 'csv';
+  },
+
+  // The job records in a file: a JSON array (as in public/jobs.json), an
+  // object with a "jobs" array, or CSV with a header row of field names
+  parse(buffer, format) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    try {
+      if (format === 'json') {
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : data && data.jobs;
+        if (!Array.isArray(records)) {
+          return { error: 'JSON must be an array of jobs or an object with a "jobs" array' };
+        }
+        return { records };
+      }
+      return { records: csvToRecords(text) };
+    } catch (error) {
+      return { error: `The file is not valid ${format.toUpperCase()}: ${error.message}` };
+    }
+  },
+
+  // Run the same rules as POST /api/jobs on one record
+  async validateRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { errors: [{ path: null, msg: 'Row must be an object of job fields' }] };
+    }
+    const req = { body: applyAliases(record) };
+    for (const rule of jobCreateRules) {
+      await rule.run(req);
+    }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return { errors: errors.array({ onlyFirstError: true }).map(({ path: field, msg }) => ({ path: field, msg })) };
+    }
+    return { job: pickJobFields(req), status: req.body.status };
+  },
+
+  // Row-by-row result: the job as it would be stored, or why it would not be
+  async preview(records) {
+    const rows = [];
+    for (const [index, record] of records.entries()) {
+      const { job, status, errors } = await this.validateRecord(record);
+      rows.push(errors
+        ? { row: index + 1, valid: false, errors }
+        : { row: index + 1, valid: true, job: { ...job, status: status || 'published' } });
+    }
+    return {
+      rows,
+      summary: {
+        total: rows.length,
+        valid: rows.filter(row => row.valid).length,
+        invalid: rows.filter(row => !row.valid).length
+      }
+    };
+  },
+
+  // The documents to insert for the valid rows, as a single posting would be
+  buildDocuments(rows, user, importId) {
+    const now = new Date();
+    return rows.filter(row => row.valid).map(({ job }) => {
+      const { status, ...fields } = job;
+      const document = {
+        ...fields,
+        ...jobLifecycleService.initialState(status, fields.expiresAt),
+        createAt: now,
+        postedBy: user.email,
+        importId
+      };
+      document.annualSalary = normalizeSalary(document);
+      if (user.companyId) {
+        document.companyId = new ObjectId(user.companyId);
+      }
+      return document;
+    });
+  },
+
+  // Insert all documents or none. Uses a transaction where the deployment
+  // supports one; otherwise removes whatever was inserted if a write fails.
+  async insertAll(db, documents, importId) {
+    const jobs = db.collection('demoJobs');
+    const session = db.client.startSession();
+    try {
+      let insertedIds;
+      await session.withTransaction(async () => {
+        const result = await jobs.insertMany(documents, { session });
+        insertedIds = Object.values(result.insertedIds);
+      });
+      return insertedIds;
+    } catch (error) {
+      if (error.code !== TRANSACTIONS_UNSUPPORTED) throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    try {
+      const result = await jobs.insertMany(documents, { ordered: true });
+      return Object.values(result.insertedIds);
+    } catch (error) {
+      await jobs.deleteMany({ importId });
+      throw error;
+    }
+  },
+
+  async commit(db, user, rows) {
+    const importId = new ObjectId();
+    const documents = this.buildDocuments(rows, user, importId);
+    if (documents.length === 0) {
+      return { importId, insertedIds: [] };
+    }
+    const insertedIds = await this.insertAll(db, documents, importId);
+    return { importId, insertedIds };
+  }
+};
+
+module.exports = jobImportService;
+module.exports.IMPORT_CONFIG = IMPORT_CONFIG;
@@ -0,0 +1,179 @@
+const { logAuditEvent } = require('../config/security');
+const { JOB_SCHEMA } = require('../config/jobSchema');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+
+// Scheduler configuration
+const LIFECYCLE_CONFIG = {
+  EXPIRY_CHECK_INTERVAL_MS: 15 * 60 * 1000, // 15 minutes
+  // Posters are warned this long before a published job expires
+  EXPIRY_WARNING_DAYS: 3
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let expiryTimer = null;
+
+// Job lifecycle service
+const jobLifecycleService = {
+  // Whether a job may move from one state to another
+  canTransition(from, to) {
+    const allowed = JOB_SCHEMA.STATUS_TRANSITIONS[from] || [];
+    return allowed.includes(to);
+  },
+
+  // Default expiry for a job that is being published
+  defaultExpiry(from = new Date()) {
+    return new Date(from.getTime() + JOB_SCHEMA.DEFAULT_DURATION_DAYS * DAY_MS);
+  },
+
+  // Fields to $set when a job enters a state
+  buildTransition(job, status, expiresAt) {
+    const now = new Date();
+    const update = { status, statusChangedAt: now, updatedAt: now };
+
+    if (status === 'published') {
+      // Republishing an expired job, or one whose expiry has passed, needs a new expiry date
+      const currentExpiry = job.expiresAt ? new Date(job.expiresAt) : null;
+      update.expiresAt = expiresAt || (currentExpiry && currentExpiry > now ? currentExpiry : this.defaultExpiry(now));
+      if (!job.publishedAt) {
+        update.publishedAt = now;
+      }
+    } else if (expiresAt) {
+      update.expiresAt = expiresAt;
+    }
+
+    if (status === 'closed') {
+      update.closedAt = now;
+    }
+
+    return update;
+  },
+
+  // Initial lifecycle fields for a new job
+  initialState(status = 'published', expiresAt) {
+    const now = new Date();
+    const state = { status, statusChangedAt: now };
+
+    if (status === 'published') {
+      state.publishedAt = now;
+      state.expiresAt = expiresAt || this.defaultExpiry(now);
+    } else {
+      state.expiresAt = expiresAt || null;
+    }
+
+    return state;
+  },
+
+  // Jobs stored before the lifecycle existed are treated as published
+  async backfillStatuses(jobsCollection) {
+    const result = await jobsCollection.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: 'published', expiresAt: null, statusChangedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  },
+
+  // Move every published job whose expiry has passed to "expired"
+  async expireJobs(jobsCollection) {
+    const now = new Date();
+    const dueJobs = await jobsCollection
+      .find({ status: 'published', expiresAt: { $ne: null, $lte: now } }, { projection: { _id: 1, jobTitle: 1 } })
+      .toArray();
+
+    if (dueJobs.length === 0) {
+      return 0;
+    }
+
+    const result = await jobsCollection.updateMany(
+      { _id: { $in: dueJobs.map(job => job._id) }, status: 'published' },
+      { $set: { status: 'expired', expiredAt: now, statusChangedAt: now, updatedAt: now } }
+    );
+
+    dueJobs.forEach(job => {
+      logAuditEvent(
+        'SYSTEM',
+        'JOB_EXPIRED',
+        { jobId: job._id, jobTitle: job.jobTitle },
+        null,
+        'job-lifecycle-scheduler'
+      );
+    });
+
+    return result.modifiedCount;
+  },
+
+  // Warn the posters of published jobs that expire soon. Each expiry date is
+  // warned about once (expiryWarningFor), so extending a job re-arms it.
+  async warnExpiringJobs(db) {
+    const now = new Date();
+    const jobsCollection = db.collection('demoJobs');
+    const dueJobs = await jobsCollection.find({
+      status: 'published',
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + LIFECYCLE_CONFIG.EXPIRY_WARNING_DAYS * DAY_MS) },
+      $expr: { $ne: ['$expiryWarningFor', '$expiresAt'] }
+    }, { projection: { _id: 1, jobTitle: 1, postedBy: 1, expiresAt: 1 } }).toArray();
+
+    let warned = 0;
+    for (const job of dueJobs) {
+      // Claim the warning first, so overlapping runs do not send it twice
+      const claimed = await jobsCollection.updateOne(
+        { _id: job._id, expiresAt: job.expiresAt, expiryWarningFor: { $ne: job.expiresAt } },
+        { $set: { expiryWarningFor: job.expiresAt } }
+      );
+      if (claimed.modifiedCount === 0 || !job.postedBy) {
+        continue;
+      }
+
+      const notification = {
+        title: `Expiring soon: ${job.jobTitle}`,
+        message: `Your posting for ${job.jobTitle} expires on ${job.expiresAt.toUTCString()}. Extend it if you are still hiring.`,
+        link: '/my-job'
+      };
+      await notificationService.notify(db, {
+        email: job.postedBy,
+        type: 'job_expiring',
+        ...notification,
+        data: { jobId: job._id, expiresAt: job.expiresAt }
+      }, (user) => emailService.sendNotification(job.postedBy, user.name, notification));
+      warned++;
+    }
+    return warned;
+  },
+
+  // Start the periodic expiry check and expiry warnings
+  start(jobsCollection, db) {
+    if (expiryTimer) {
+      return;
+    }
+
+    const run = async () => {
+      try {
+        const expired = await this.expireJobs(jobsCollection);
+        if (expired > 0) {
+          console.log(`Expired ${expired} job postings`);
+        }
+        const warned = await this.warnExpiringJobs(db);
+        if (warned > 0) {
+          console.log(`Warned about ${warned} expiring job postings`);
+        }
+      } catch (error) {
+        console.error('Job expiry check failed:', error);
+      }
+    };
+
+    run();
+    expiryTimer = setInterval(run, LIFECYCLE_CONFIG.EXPIRY_CHECK_INTERVAL_MS);
+    expiryTimer.unref();
+  },
+
+  // Stop the periodic expiry check
+  stop() {
+    if (expiryTimer) {
+      clearInterval(expiryTimer);
+      expiryTimer = null;
+    }
+  }
+};
+
+module.exports = jobLifecycleService;
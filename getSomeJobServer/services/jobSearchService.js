@@ -0,0 +1,371 @@
+const { query } = require('express-validator');
+const { JOB_SCHEMA, resolveSalaryPeriod, convertSalary, normalizeSalary } = require('../config/jobSchema');
+
+// Job search configuration
+const SEARCH_CONFIG = {
+  // Weighted text index: a hit in the title counts more than one in the description
+  TEXT_INDEX: {
+    name: 'job_text_search',
+    keys: {
+      jobTitle: 'text',
+      skills: 'text',
+      companyName: 'text',
+      description: 'text'
+    },
+    weights: {
+      jobTitle: 10,
+      skills: 5,
+      companyName: 3,
+      description: 1
+    }
+  },
+  MAX_QUERY_LENGTH: 200,
+  DEFAULT_LIMIT: 10,
+  MAX_LIMIT: 50,
+  SORT_OPTIONS: ['relevance', 'newest'],
+  MAX_FACET_VALUES: 20,
+
+  // Salary buckets offered in the sidebar, in units of each pay period
+  SALARY_BUCKETS: {
+    Hourly: [
+      { label: '< $25/hr', max: 25 },
+      { label: '$25 - $50/hr', min: 25, max: 50 },
+      { label: '$50 - $75/hr', min: 50, max: 75 },
+      { label: '> $75/hr', min: 75 }
+    ],
+    Monthly: [
+      { label: '< $4,000/mo', max: 4000 },
+      { label: '$4,000 - $8,000/mo', min: 4000, max: 8000 },
+      { label: '$8,000 - $12,000/mo', min: 8000, max: 12000 },
+      { label: '> $12,000/mo', min: 12000 }
+    ],
+    Yearly: [
+      { label: '< $50,000', max: 50000 },
+      { label: '$50,000 - $100,000', min: 50000, max: 100000 },
+      { label: '$100,000 - $150,000', min: 100000, max: 150000 },
+      { label: '> $150,000', min: 150000 }
+    ]
+  },
+
+  // Posting date windows offered in the sidebar
+  POSTED_WINDOWS: [
+    { value: '24h', label: 'Last 24 Hours', days: 1 },
+    { value: '7d', label: 'Last 7 Days', days: 7 },
+    { value: '30d', label: 'Last Month', days: 30 }
+  ]
+};
+
+// Trim and bound a search string and drop an unbalanced quote
+const boundSearch = (search) => {
+  const text = search.trim().slice(0, SEARCH_CONFIG.MAX_QUERY_LENGTH);
+  return (text.match(/"/g) || []).length % 2 !== 0 ? text.replace(/"(?=[^"]*$)/, '') : text;
+};
+
+// Job search service
+const jobSearchService = {
+  // Create the weighted text index on the jobs collection
+  async ensureIndexes(jobsCollection) {
+    const { name, keys, weights } = SEARCH_CONFIG.TEXT_INDEX;
+    await jobsCollection.createIndex(keys, { name, weights, default_language: 'english' });
+    await jobsCollection.createIndex({ 'annualSalary.min': 1, 'annualSalary.max': 1 });
+  },
+
+  // Store numeric prices and the normalized annual salary on jobs written before they existed
+  async backfillSalaries(jobsCollection) {
+    const cursor = jobsCollection.find({
+      $or: [
+        { annualSalary: { $exists: false } },
+        { minPrice: { $type: 'string' } },
+        { maxPrice: { $type: 'string' } }
+      ]
+    });
+
+    let updated = 0;
+    for await (const job of cursor) {
+      const update = { annualSalary: normalizeSalary(job) };
+      ['minPrice', 'maxPrice'].forEach(key => {
+        const value = parseFloat(job[key]);
+        if (typeof job[key] === 'string' && !Number.isNaN(value)) {
+          update[key] = value;
+        }
+      });
+
+      await jobsCollection.updateOne({ _id: job._id }, { $set: update });
+      updated++;
+    }
+
+    return updated;
+  },
+
+  // Normalize the free-text search string.
+  // MongoDB's $text already understands "quoted phrases" and -excluded terms,
+  // so we only trim, bound the length and drop unbalanced quotes.
+  normalizeSearch(search) {
+    if (typeof search !== 'string') return null;
+
+    const text = boundSearch(search);
+
+    // A query made only of exclusions matches nothing in $text; buildFilterParts
+    // applies those exclusions itself
+    const hasPositiveTerm = text
+      .replace(/(^|\s)-"[^"]*"/g, ' ')
+      .replace(/"[^"]*"/g, ' x ')
+      .split(/\s+/)
+      .some(term => term && !term.startsWith('-'));
+
+    return text && hasPositiveTerm ? text : null;
+  },
+
+  // The -word and -"phrase" exclusions of a search string
+  excludedTerms(search) {
+    if (typeof search !== 'string') return [];
+    return [...boundSearch(search).matchAll(/(?:^|\s)-(?:"([^"]+)"|([^\s"]+))/g)]
+      .map(match => (match[1] || match[2]).trim())
+      .filter(Boolean);
+  },
+
+  // Build each filter of GET /api/jobs as its own fragment, keyed by facet name,
+  // so facet counts can leave out the facet's own selection
+  buildFilterParts(query = {}) {
+    const { search, location, type, experience } = query;
+    // Only published jobs are listed publicly; not a facet, so never excluded
+    const parts = { visibility: { status: 'published' } };
+
+    const text = this.normalizeSearch(search);
+    if (text) {
+      parts.text = { $text: { $search: text } };
+    } else {
+      // $text cannot run on exclusions alone, so leave out the jobs that
+      // mention any excluded word or phrase in a searched field
+      const excluded = this.excludedTerms(search);
+      if (excluded.length > 0) {
+        const fields = Object.keys(SEARCH_CONFIG.TEXT_INDEX.keys);
+        parts.exclusions = {
+          $nor: excluded.flatMap(term => fields.map(field => ({
+            [field]: { $regex: `(^|\\W)${escapeRegex(term)}(\\W|$)`, $options: 'i' }
+          })))
+        };
+      }
+    }
+
+    if (location) {
+      parts.location = { jobLocation: { $regex: escapeRegex(location), $options: 'i' } };
+    }
+
+    if (type) {
+      parts.employmentType = { employmentType: type };
+    }
+
+    if (experience) {
+      parts.experienceLevel = { experienceLevel: experience };
+    }
+
+    const salary = this.buildSalaryFilter(query);
+    if (Object.keys(salary).length > 0) {
+      parts.salary = salary;
+    }
+
+    const posted = this.buildPostedFilter(query.postedWithin);
+    if (posted) {
+      parts.postedWithin = posted;
+    }
+
+    return parts;
+  },
+
+  // Combine filter fragments, leaving out the named ones.
+  // $text has to stay at the top level of the query, everything else is AND-ed.
+  combineFilter(parts, exclude = []) {
+    const { text, ...rest } = parts;
+    const clauses = Object.keys(rest)
+      .filter(key => !exclude.includes(key))
+      .map(key => rest[key]);
+
+    const filter = text && !exclude.includes('text') ? { ...text } : {};
+    if (clauses.length > 0) {
+      filter.$and = clauses;
+    }
+    return filter;
+  },
+
+  // Build the MongoDB filter for GET /api/jobs
+  buildFilter(query = {}) {
+    return this.combineFilter(this.buildFilterParts(query));
+  },
+
+  // Salary range filter. salaryMin/salaryMax are given in salaryPeriod units
+  // (Hourly, Monthly or Yearly) and compared against the normalized annual range,
+  // so a job matches when its pay range overlaps the requested one.
+  buildSalaryFilter(query = {}) {
+    const period = resolveSalaryPeriod(query.salaryPeriod);
+    const annualMin = query.salaryMin !== undefined && query.salaryMin !== '' ? convertSalary(query.salaryMin, period) : null;
+    const annualMax = query.salaryMax !== undefined && query.salaryMax !== '' ? convertSalary(query.salaryMax, period) : null;
+
+    const filter = {};
+    if (annualMin !== null) {
+      filter['annualSalary.max'] = { $gte: annualMin };
+    }
+    if (annualMax !== null) {
+      filter['annualSalary.min'] = { $lte: annualMax };
+    }
+    return filter;
+  },
+
+  // Posting date window ("24h", "7d", "30d"). postingDate is a YYYY-MM-DD string,
+  // jobs posted without one fall back to their creation time.
+  buildPostedFilter(postedWithin) {
+    const window = SEARCH_CONFIG.POSTED_WINDOWS.find(w => w.value === postedWithin);
+    if (!window) return null;
+
+    const since = new Date(Date.now() - window.days * 24 * 60 * 60 * 1000);
+    return {
+      $or: [
+        { postingDate: { $gte: since.toISOString().slice(0, 10) } },
+        { postingDate: { $in: [null, ''] }, createAt: { $gte: since } }
+      ]
+    };
+  },
+
+  // Count jobs per filter value for the sidebar. Each facet applies every
+  // current filter except its own, so the counts show what picking that value would return.
+  async getFacets(jobsCollection, query = {}) {
+    const parts = this.buildFilterParts(query);
+    const period = resolveSalaryPeriod(query.salaryPeriod);
+    const salaryBuckets = SEARCH_CONFIG.SALARY_BUCKETS[period];
+    const except = (facet) => ({ $match: this.combineFilter(parts, ['text', facet]) });
+    const countBy = (field) => [
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: SEARCH_CONFIG.MAX_FACET_VALUES }
+    ];
+
+    // Overlap test against a bucket, in annual terms
+    const salaryCount = (bucket) => {
+      const conditions = [];
+      if (bucket.min !== undefined) {
+        conditions.push({ $gte: ['$annualSalary.max', convertSalary(bucket.min, period)] });
+      }
+      if (bucket.max !== undefined) {
+        conditions.push({ $lte: ['$annualSalary.min', convertSalary(bucket.max, period)] });
+      }
+      return { $sum: { $cond: [{ $and: [{ $ne: ['$annualSalary', null] }, ...conditions] }, 1, 0] } };
+    };
+
+    const postedCount = (window) => {
+      const since = new Date(Date.now() - window.days * 24 * 60 * 60 * 1000);
+      return {
+        $sum: {
+          $cond: [
+            {
+              $or: [
+                { $gte: [{ $ifNull: ['$postingDate', ''] }, since.toISOString().slice(0, 10)] },
+                { $and: [{ $eq: [{ $ifNull: ['$postingDate', ''] }, ''] }, { $gte: ['$createAt', since] }] }
+              ]
+            },
+            1,
+            0
+          ]
+        }
+      };
+    };
+
+    const salaryGroup = { _id: null };
+    salaryBuckets.forEach((bucket, i) => { salaryGroup[`b${i}`] = salaryCount(bucket); });
+
+    const postedGroup = { _id: null };
+    SEARCH_CONFIG.POSTED_WINDOWS.forEach(window => { postedGroup[window.value] = postedCount(window); });
+
+    const [result] = await jobsCollection.aggregate([
+      { $match: parts.text || {} },
+      {
+        $facet: {
+          total: [except(null), { $count: 'count' }],
+          location: [except('location'), ...countBy('jobLocation')],
+          employmentType: [except('employmentType'), ...countBy('employmentType')],
+          experienceLevel: [except('experienceLevel'), ...countBy('experienceLevel')],
+          salary: [except('salary'), { $group: salaryGroup }],
+          postedWithin: [except('postedWithin'), { $group: postedGroup }]
+        }
+      }
+    ]).toArray();
+
+    const toValues = (rows) => rows.map(row => ({ value: row._id, count: row.count }));
+    const salaryCounts = result.salary[0] || {};
+    const postedCounts = result.postedWithin[0] || {};
+
+    return {
+      total: result.total[0] ? result.total[0].count : 0,
+      location: toValues(result.location),
+      employmentType: toValues(result.employmentType),
+      experienceLevel: toValues(result.experienceLevel),
+      salary: {
+        period,
+        buckets: salaryBuckets.map((bucket, i) => ({ ...bucket, count: salaryCounts[`b${i}`] || 0 }))
+      },
+      postedWithin: SEARCH_CONFIG.POSTED_WINDOWS.map(window => ({
+        value: window.value,
+        label: window.label,
+        count: postedCounts[window.value] || 0
+      }))
+    };
+  },
+
+  // Build sort and projection; text searches rank by score unless "newest" is asked for
+  buildSort(filter, sort) {
+    const mode = SEARCH_CONFIG.SORT_OPTIONS.includes(sort) ? sort : (filter.$text ? 'relevance' : 'newest');
+
+    if (mode === 'relevance' && filter.$text) {
+      return {
+        mode,
+        sort: { score: { $meta: 'textScore' }, createAt: -1 },
+        projection: { score: { $meta: 'textScore' } }
+      };
+    }
+
+    return { mode: 'newest', sort: { createAt: -1 }, projection: {} };
+  },
+
+  // Parse page/limit into safe integers
+  parsePagination(query = {}) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || SEARCH_CONFIG.DEFAULT_LIMIT, 1), SEARCH_CONFIG.MAX_LIMIT);
+    return { page, limit, skip: (page - 1) * limit };
+  }
+};
+
+// Query rules shared by everything that searches with buildFilter
+// (GET /api/jobs, its facets and the public feeds). Empty values mean "no
+// filter"; page and limit are clamped by parsePagination instead.
+const searchQueryRules = [
+  query('search').optional().isString().withMessage('Search must be text'),
+  query(['location', 'type', 'experience'])
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Filters must be text of at most 100 characters'),
+  query('salaryPeriod')
+    .optional({ values: 'falsy' })
+    .custom(value => JOB_SCHEMA.SALARY_TYPES.some(type => type.toLowerCase() === String(value).toLowerCase()))
+    .withMessage(`Salary period must be one of: ${JOB_SCHEMA.SALARY_TYPES.join(', ')}`),
+  query(['salaryMin', 'salaryMax'])
+    .optional({ values: 'falsy' })
+    .isFloat({ min: 0 })
+    .withMessage('Salary filters must be positive numbers'),
+  query('postedWithin')
+    .optional({ values: 'falsy' })
+    .isIn(SEARCH_CONFIG.POSTED_WINDOWS.map(w => w.value))
+    .withMessage(`Posted within must be one of: ${SEARCH_CONFIG.POSTED_WINDOWS.map(w => w.value).join(', ')}`),
+  query('sort')
+    .optional({ values: 'falsy' })
+    .isIn(SEARCH_CONFIG.SORT_OPTIONS)
+    .withMessage(`Sort must be one of: ${SEARCH_CONFIG.SORT_OPTIONS.join(', ')}`)
+];
+
+// Escape user input before using it inside a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = jobSearchService;
+module.exports.SEARCH_CONFIG = SEARCH_CONFIG;
+module.exports.escapeRegex = escapeRegex;
+module.exports.searchQueryRules = searchQueryRules;
@@ -0,0 +1,135 @@
+// Candidate-to-job match configuration
+const MATCH_CONFIG = {
+  // Share of the score for each part. Parts that cannot be judged (a job
+  // without skills, a candidate without a location) are left out and the
+  // remaining weights scaled up.
+  WEIGHTS: {
+    skills: 0.6,
+    experience: 0.25,
+    location: 0.15
+  },
+  // Years of experience that fully satisfy an "Experienced" job
+  EXPERIENCED_YEARS: 3,
+  REMOTE_PATTERN: /\bremote\b/i
+};
+
+const normalizeSkill = (skill) => String(skill).trim().toLowerCase();
+
+// "Mountain View, CA" -> ['mountain view', 'ca']
+const locationParts = (location) => String(location)
+  .toLowerCase()
+  .split(',')
+  .map(part => part.trim())
+  .filter(Boolean);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Match service
+const matchService = {
+  // What is known about the applicant. Values the user entered on their
+  // profile win over the ones parsed from the resume they applied with.
+  buildCandidate(application, user) {
+    const profile = (user && user.profile) || {};
+    const resumeProfile = application.resumeProfile || {};
+    const resumeContact = resumeProfile.contact || {};
+
+    const skills = new Map();
+    [...(profile.skills || []), ...(resumeProfile.skills || [])].forEach(skill => {
+      if (!skills.has(normalizeSkill(skill))) skills.set(normalizeSkill(skill), skill);
+    });
+
+    const pick = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+
+    return {
+      skills: [...skills.values()],
+      yearsOfExperience: pick(profile.yearsOfExperience, resumeProfile.yearsOfExperience) ?? null,
+      location: pick(profile.location, resumeContact.location) ?? null
+    };
+  },
+
+  skillFit(job, candidate) {
+    const required = (job.skills || []).filter(skill => typeof skill === 'string' && skill.trim() !== '');
+    if (required.length === 0) {
+      return { score: null, matched: [], missing: [] };
+    }
+
+    const known = new Set(candidate.skills.map(normalizeSkill));
+    const matched = required.filter(skill => known.has(normalizeSkill(skill)));
+    const missing = required.filter(skill => !known.has(normalizeSkill(skill)));
+
+    return { score: round(matched.length / required.length), matched, missing };
+  },
+
+  experienceFit(job, candidate) {
+    const level = job.experienceLevel || 'Any experience';
+    const years = candidate.yearsOfExperience;
+    const result = (score) => ({ score, required: level, years });
+
+    if (level === 'Any experience' || level === 'Work Remotely') return result(1);
+    if (years === null) return result(null);
+
+    switch (level) {
+      case 'Experienced':
+        return result(round(Math.min(1, Math.max(0.1, years / MATCH_CONFIG.EXPERIENCED_YEARS))));
+      case 'Fresher/No Experience':
+        // Entry-level roles suit newcomers; seniors are likely overqualified
+        return result(years <= 1 ? 1 : years <= 3 ? 0.7 : 0.4);
+      case 'Internship':
+        return result(years <= 1 ? 1 : years <= 2 ? 0.6 : 0.3);
+      default:
+        return result(null);
+    }
+  },
+
+  locationFit(job, candidate) {
+    const jobLocation = job.jobLocation || null;
+    const result = (score) => ({ score, job: jobLocation, candidate: candidate.location });
+
+    if (job.experienceLevel === 'Work Remotely' || MATCH_CONFIG.REMOTE_PATTERN.test(jobLocation || '')) {
+      return result(1);
+    }
+    if (!jobLocation || !candidate.location) return result(null);
+
+    const jobParts = locationParts(jobLocation);
+    const candidateParts = locationParts(candidate.location);
+
+    // Same city; otherwise the same state or country
+    if (jobParts[0] === candidateParts[0]) return result(1);
+    if (jobParts.slice(1).some(part => candidateParts.slice(1).includes(part))) return result(0.5);
+    return result(0);
+  },
+
+  // Score from 0 to 100 with the breakdown behind it, or a null score when
+  // no part could be judged
+  scoreApplication(job, candidate) {
+    const skills = this.skillFit(job, candidate);
+    const experience = this.experienceFit(job, candidate);
+    const location = this.locationFit(job, candidate);
+    const parts = { skills, experience, location };
+
+    let weighted = 0;
+    let totalWeight = 0;
+    Object.entries(MATCH_CONFIG.WEIGHTS).forEach(([name, weight]) => {
+      if (parts[name].score === null) return;
+      weighted += parts[name].score * weight;
+      totalWeight += weight;
+    });
+
+    const score = totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : null;
+
+    return { score, skills, experience, location };
+  },
+
+  // Sort applications by score, best first; unscored ones last, oldest first
+  sortByScore(applications) {
+    return [...applications].sort((a, b) => {
+      const scoreA = a.match.score === null ? -1 : a.match.score;
+      const scoreB = b.match.score === null ? -1 : b.match.score;
+      if (scoreA !== scoreB) return scoreB - scoreA;
+      return new Date(a.appliedAt) - new Date(b.appliedAt);
+    });
+  }
+};
+
+module.exports = matchService;
+module.exports.MATCH_CONFIG = MATCH_CONFIG;
@@ -0,0 +1,249 @@
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { v4: uuidv4 } = require('uuid');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+const resumeService = require('./resumeService');
+const { createLocalDiskStorage } = require('./resumeStorage');
+
+// Application messaging configuration
+const MESSAGE_CONFIG = {
+  BODY_MAX_LENGTH: 5000,
+  MAX_ATTACHMENTS: 3,
+  MAX_ATTACHMENT_SIZE: 5 * 1024 * 1024, // 5 MB
+  NAME_MAX_LENGTH: 200,
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 200,
+  // No further email while the recipient still has an unread message in the
+  // thread that is younger than this; the first one already brought them in
+  EMAIL_COOLDOWN_MINUTES: 15,
+  TYPES: {
+    pdf: { mimeType: 'application/pdf', extensions: ['.pdf'] },
+    docx: {
+      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      extensions: ['.docx']
+    },
+    png: { mimeType: 'image/png', extensions: ['.png'] },
+    jpeg: { mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg'] }
+  }
+};
+
+// Thread messages are seen by both parties, internal notes by the employer team only
+const VISIBILITY = {
+  THREAD: 'thread',
+  INTERNAL: 'internal'
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Attachments live next to resumes, under MESSAGE_ATTACHMENT_DIR
+// (default: ./uploads/messages)
+const attachmentStorage = createLocalDiskStorage(
+  process.env.MESSAGE_ATTACHMENT_DIR || path.join(__dirname, '..', 'uploads', 'messages')
+);
+
+// Which side of the conversation a user is on
+const sideOf = (user, application) => (user.email === application.applicantEmail ? 'candidate' : 'employer');
+
+// Application messaging service
+const messageService = {
+  attachmentStorage,
+
+  async ensureIndexes(db) {
+    await db.collection('messages').createIndex({ applicationId: 1, visibility: 1, createdAt: 1 });
+  },
+
+  sideOf,
+
+  // Identify an attachment from its content; PDF and DOCX as for resumes
+  detectFileType(buffer) {
+    const document = resumeService.detectFileType(buffer);
+    if (document) return document;
+    if (!Buffer.isBuffer(buffer) || buffer.length < 8) return null;
+
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+      return 'png';
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+      return 'jpeg';
+    }
+    return null;
+  },
+
+  // Check uploaded attachments: known content that matches the extension
+  validateFiles(files = []) {
+    const checked = [];
+    for (const file of files) {
+      const type = this.detectFileType(file.buffer);
+      if (!type) {
+        return { error: `${file.originalname} is not a PDF, DOCX, PNG or JPEG file` };
+      }
+      const extension = path.extname(file.originalname || '').toLowerCase();
+      if (!MESSAGE_CONFIG.TYPES[type].extensions.includes(extension)) {
+        return { error: `${file.originalname} is a ${type.toUpperCase()} file but is named ${extension || 'without an extension'}` };
+      }
+      checked.push({ file, type });
+    }
+    return { files: checked };
+  },
+
+  // Store a message and its attachments. Files written before a failure are removed again.
+  async create(db, { application, sender, body, files = [], visibility = VISIBILITY.THREAD }) {
+    const attachments = [];
+    try {
+      for (const { file, type } of files) {
+        const storageKey = `${application._id}/${uuidv4()}${MESSAGE_CONFIG.TYPES[type].extensions[0]}`;
+        await attachmentStorage.save(storageKey, file.buffer);
+        attachments.push({
+          _id: new ObjectId(),
+          originalName: file.originalname.slice(0, MESSAGE_CONFIG.NAME_MAX_LENGTH),
+          mimeType: MESSAGE_CONFIG.TYPES[type].mimeType,
+          size: file.size,
+          storageKey
+        });
+      }
+
+      const message = {
+        applicationId: application._id,
+        jobId: application.jobId,
+        visibility,
+        sender: {
+          userId: sender.userId,
+          name: sender.name,
+          email: sender.email,
+          side: sideOf(sender, application)
+        },
+        body,
+        attachments,
+        readBy: [],
+        createdAt: new Date()
+      };
+      const result = await db.collection('messages').insertOne(message);
+      message._id = result.insertedId;
+      return message;
+    } catch (error) {
+      await Promise.all(attachments.map(attachment => attachmentStorage.remove(attachment.storageKey)));
+      throw error;
+    }
+  },
+
+  // Oldest first, so the thread reads top to bottom
+  async list(db, applicationId, visibility, { limit = MESSAGE_CONFIG.DEFAULT_LIMIT } = {}) {
+    const messages = await db.collection('messages')
+      .find({ applicationId, visibility })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+    return messages.reverse();
+  },
+
+  // Record that the user has read every thread message from the other side
+  async markRead(db, application, user) {
+    const now = new Date();
+    const result = await db.collection('messages').updateMany(
+      {
+        applicationId: application._id,
+        visibility: VISIBILITY.THREAD,
+        'sender.side': { $ne: sideOf(user, application) },
+        'readBy.userId': { $ne: user.userId }
+      },
+      { $push: { readBy: { userId: user.userId, readAt: now } } }
+    );
+    return result.modifiedCount;
+  },
+
+  // Messages from the other side this user has not read yet, per application
+  async unreadCounts(db, applications, user) {
+    if (applications.length === 0) return {};
+    const counts = await db.collection('messages').aggregate([
+      {
+        $match: {
+          applicationId: { $in: applications.map(application => application._id) },
+          visibility: VISIBILITY.THREAD,
+          'readBy.userId': { $ne: user.userId }
+        }
+      },
+      { $group: { _id: { applicationId: '$applicationId', side: '$sender.side' }, count: { $sum: 1 } } }
+    ]).toArray();
+
+    const result = {};
+    applications.forEach(application => {
+      const mySide = sideOf(user, application);
+      const entry = counts.find(count => count._id.applicationId.equals(application._id) && count._id.side !== mySide);
+      result[application._id] = entry ? entry.count : 0;
+    });
+    return result;
+  },
+
+  // What a participant gets to see of a message. Only the other side leaves
+  // read receipts; they say when it was first read, not who on the team did.
+  toPublic(message, viewer) {
+    const seen = message.readBy.map(receipt => receipt.readAt).sort((a, b) => a - b);
+    return {
+      _id: message._id,
+      applicationId: message.applicationId,
+      visibility: message.visibility,
+      sender: { name: message.sender.name, side: message.sender.side },
+      mine: message.sender.userId === viewer.userId,
+      body: message.body,
+      attachments: message.attachments.map(({ _id, originalName, mimeType, size }) => ({ _id, originalName, mimeType, size })),
+      seenAt: message.visibility === VISIBILITY.THREAD ? seen[0] || null : null,
+      createdAt: message.createdAt
+    };
+  },
+
+  // Push a new message to everyone in the conversation (or, for internal
+  // notes, the team) who is connected, each with their own view of it
+  publish({ application, job, message }) {
+    const action = message.visibility === VISIBILITY.INTERNAL ? 'message:internal' : 'message:read';
+    realtimeService.publishAllowed(action, { application, job }, 'message:new', user => this.toPublic(message, user));
+  },
+
+  // Tell the other side about a new thread message: in-app every time, by
+  // email unless they already have a recent unread message waiting or
+  // switched message emails off
+  async notify(db, { application, job, message }) {
+    const toCandidate = message.sender.side === 'employer';
+    const recipient = toCandidate
+      ? { email: application.applicantEmail, name: application.applicantName }
+      : { email: job.postedBy, name: null };
+    const replyLink = `/applications/${application._id}/messages`;
+
+    await notificationService.create(db, {
+      email: recipient.email,
+      type: 'message',
+      title: `New message: ${job.jobTitle}`,
+      message: toCandidate
+        ? `${job.companyName} sent you a message about your application.`
+        : `${application.applicantName} sent a message about their application.`,
+      link: replyLink,
+      data: { applicationId: application._id, messageId: message._id }
+    });
+
+    const recentUnread = await db.collection('messages').countDocuments({
+      _id: { $ne: message._id },
+      applicationId: application._id,
+      visibility: VISIBILITY.THREAD,
+      'sender.side': message.sender.side,
+      readBy: { $size: 0 },
+      createdAt: { $gte: new Date(message.createdAt.getTime() - MESSAGE_CONFIG.EMAIL_COOLDOWN_MINUTES * MINUTE_MS) }
+    });
+    if (recentUnread > 0 || !await notificationService.wantsEmail(db, recipient, 'message')) return;
+
+    const result = await emailService.sendNewMessage(recipient.email, recipient.name, {
+      senderName: toCandidate ? job.companyName : application.applicantName,
+      jobTitle: job.jobTitle,
+      body: message.body,
+      attachmentCount: message.attachments.length,
+      replyLink
+    });
+    if (!result.success) {
+      console.error(`Message email for application ${application._id} failed:`, result.error);
+    }
+  }
+};
+
+module.exports = messageService;
+module.exports.MESSAGE_CONFIG = MESSAGE_CONFIG;
+module.exports.VISIBILITY = VISIBILITY;
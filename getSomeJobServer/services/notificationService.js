@@ -0,0 +1,196 @@
+const { ObjectId } = require('mongodb');
+const realtimeService = require('./realtimeService');
+
+// Notification configuration
+const NOTIFICATION_CONFIG = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100,
+  // Preference categories users can switch per channel, with their defaults.
+  // A notification's type maps to one of these (see categoryOf).
+  TYPES: {
+    application_submitted: { label: 'New applications to your jobs', email: true, inApp: true },
+    application_status: { label: 'Updates to your applications', email: true, inApp: true },
+    application_withdrawn: { label: 'Withdrawn applications', email: true, inApp: true },
+    interview: { label: 'Interview invitations and changes', email: true, inApp: true },
+    message: { label: 'New messages', email: true, inApp: true },
+    job_expiring: { label: 'Job postings about to expire', email: true, inApp: true },
+    password_expiring: { label: 'Password expiry reminders', email: true, inApp: true },
+    new_device_login: { label: 'Sign-ins from a new device', email: true, inApp: true }
+  },
+  CHANNELS: ['email', 'inApp']
+};
+
+// MongoDB duplicate key error code
+const DUPLICATE_KEY = 11000;
+
+// "interview_scheduled" -> "interview"; other types are their own category
+const categoryOf = (type) => (type.startsWith('interview_') ? 'interview' : type);
+
+// In-app notification service
+const notificationService = {
+  async ensureIndexes(db) {
+    const notifications = db.collection('notifications');
+    await notifications.createIndex({ userId: 1, createdAt: -1 });
+    await notifications.createIndex(
+      { userId: 1, dedupeKey: 1 },
+      { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } }, name: 'one_notification_per_dedupe_key' }
+    );
+  },
+
+  categoryOf,
+
+  // A user's preferences with the defaults filled in
+  preferencesFor(user) {
+    const saved = (user && user.notificationPreferences) || {};
+    return Object.fromEntries(Object.entries(NOTIFICATION_CONFIG.TYPES).map(([key, defaults]) => [key, {
+      email: typeof saved[key]?.email === 'boolean' ? saved[key].email : defaults.email,
+      inApp: typeof saved[key]?.inApp === 'boolean' ? saved[key].inApp : defaults.inApp
+    }]));
+  },
+
+  // Check a { category: { email, inApp } } update; unknown keys are rejected
+  validatePreferences(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { error: 'Preferences must be an object' };
+    }
+    const clean = {};
+    for (const [key, channels] of Object.entries(input)) {
+      if (!NOTIFICATION_CONFIG.TYPES[key]) {
+        return { error: `Unknown notification type: ${key}` };
+      }
+      if (!channels || typeof channels !== 'object') {
+        return { error: `Preferences for ${key} must be an object` };
+      }
+      for (const [channel, enabled] of Object.entries(channels)) {
+        if (!NOTIFICATION_CONFIG.CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+          return { error: `Preferences for ${key} take email and inApp booleans` };
+        }
+        clean[`notificationPreferences.${key}.${channel}`] = enabled;
+      }
+    }
+    return { updates: clean };
+  },
+
+  // The account behind a user id or (e.g. for an applicant) an email address
+  async findRecipient(db, { userId, email }) {
+    const projection = { _id: 1, email: 1, name: 1, notificationPreferences: 1 };
+    if (userId && ObjectId.isValid(userId.toString())) {
+      return db.collection('users').findOne({ _id: new ObjectId(userId.toString()) }, { projection });
+    }
+    return email ? db.collection('users').findOne({ email }, { projection }) : null;
+  },
+
+  // Whether to email this recipient about a type. Addresses without an
+  // account (e.g. external interviewers) keep the defaults.
+  async wantsEmail(db, recipient, type) {
+    const user = await this.findRecipient(db, recipient);
+    const category = categoryOf(type);
+    if (!NOTIFICATION_CONFIG.TYPES[category]) {
+      return true;
+    }
+    return this.preferencesFor(user)[category].email;
+  },
+
+  // Store a notification for a user, unless they switched in-app
+  // notifications of this type off. Callers that only know the address
+  // (e.g. an applicant's email) are matched to the account here. With a
+  // dedupeKey, a notification is only ever created once per user and key.
+  async create(db, { userId, email, type, title, message, link = null, data = {}, dedupeKey = null }) {
+    const user = await this.findRecipient(db, { userId, email });
+    if (!user) {
+      return null;
+    }
+    const recipientId = user._id.toString();
+
+    const category = categoryOf(type);
+    if (NOTIFICATION_CONFIG.TYPES[category] && !this.preferencesFor(user)[category].inApp) {
+      return null;
+    }
+
+    const notification = {
+      userId: recipientId,
+      type,
+      title,
+      message,
+      link,
+      data,
+      ...(dedupeKey && { dedupeKey }),
+      readAt: null,
+      createdAt: new Date()
+    };
+    if (dedupeKey) {
+      let result;
+      try {
+        result = await db.collection('notifications').updateOne(
+          { userId: recipientId, dedupeKey },
+          { $setOnInsert: notification },
+          { upsert: true }
+        );
+      } catch (error) {
+        // A concurrent request created it first
+        if (error.code === DUPLICATE_KEY) return null;
+        throw error;
+      }
+      if (!result.upsertedId) {
+        return null;
+      }
+      notification._id = result.upsertedId;
+    } else {
+      const result = await db.collection('notifications').insertOne(notification);
+      notification._id = result.insertedId;
+    }
+    realtimeService.publish({ userId: recipientId }, 'notification', notification);
+    return notification;
+  },
+
+  // In-app notification plus, if the recipient wants it, an email sent by
+  // sendEmail(user). Used by sources that have no email of their own.
+  async notify(db, notification, sendEmail) {
+    const created = await this.create(db, notification);
+    if (sendEmail && await this.wantsEmail(db, notification, notification.type)) {
+      const user = await this.findRecipient(db, notification);
+      const result = await sendEmail(user || { email: notification.email, name: null });
+      if (!result.success) {
+        console.error(`${notification.type} email failed:`, result.error);
+      }
+    }
+    return created;
+  },
+
+  async listForUser(db, userId, { limit = NOTIFICATION_CONFIG.DEFAULT_LIMIT, unreadOnly = false } = {}) {
+    const filter = { userId, ...(unreadOnly && { readAt: null }) };
+    const [notifications, unreadCount] = await Promise.all([
+      db.collection('notifications').find(filter).sort({ createdAt: -1 }).limit(limit).toArray(),
+      this.unreadCount(db, userId)
+    ]);
+    return { notifications, unreadCount };
+  },
+
+  unreadCount(db, userId) {
+    return db.collection('notifications').countDocuments({ userId, readAt: null });
+  },
+
+  // Mark one of the user's notifications read; null if it is not theirs
+  async markRead(db, userId, notificationId) {
+    const notification = await db.collection('notifications').findOne({ _id: notificationId, userId });
+    if (!notification) {
+      return null;
+    }
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await db.collection('notifications').updateOne({ _id: notification._id }, { $set: { readAt: notification.readAt } });
+    }
+    return notification;
+  },
+
+  async markAllRead(db, userId) {
+    const result = await db.collection('notifications').updateMany(
+      { userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+};
+
+module.exports = notificationService;
+module.exports.NOTIFICATION_CONFIG = NOTIFICATION_CONFIG;
@@ -41,6 +41,23 @@ const paymentService = {
     }
   },
 
+  // Look up a payment intent, e.g. to check whose it is
+  async getPaymentIntent(paymentIntentId) {
+    try {
+      const paymentIntent = await stripeClient.paymentIntents.retrieve(paymentIntentId);
+      return {
+        success: true,
+        paymentIntent
+      };
+    } catch (error) {
+      console.error('Payment intent retrieval error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+
   // Confirm payment
   async confirmPayment(paymentIntentId) {
     try {
@@ -0,0 +1,258 @@
+const { ObjectId } = require('mongodb');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const realtimeService = require('./realtimeService');
+
+// Application pipeline configuration
+const PIPELINE_CONFIG = {
+  // Used for jobs whose job and company have no pipeline of their own. New
+  // applications start in the first stage; candidates are told about the
+  // stages marked candidateVisible. Interviews can be scheduled in stages
+  // marked interview.
+  DEFAULT_PIPELINE: {
+    stages: [
+      { key: 'applied', label: 'Applied', candidateVisible: true },
+      { key: 'screening', label: 'Screening', candidateVisible: false },
+      { key: 'interview', label: 'Interview', candidateVisible: true, interview: true },
+      { key: 'offer', label: 'Offer', candidateVisible: true },
+      { key: 'hired', label: 'Hired', candidateVisible: true },
+      { key: 'rejected', label: 'Rejected', candidateVisible: true }
+    ],
+    transitions: {
+      applied: ['screening', 'interview', 'rejected'],
+      screening: ['interview', 'rejected'],
+      interview: ['offer', 'rejected'],
+      offer: ['hired', 'rejected'],
+      hired: [],
+      rejected: []
+    }
+  },
+  // Set when the candidate withdraws; no pipeline may use it as a stage
+  WITHDRAWN_STATUS: 'withdrawn',
+  // Statuses written before pipelines existed
+  LEGACY_STATUSES: {
+    pending: 'applied',
+    reviewed: 'screening',
+    accepted: 'hired'
+  },
+  MIN_STAGES: 2,
+  MAX_STAGES: 12,
+  STAGE_KEY_PATTERN: /^[a-z][a-z0-9_-]{1,29}$/,
+  LABEL_MAX_LENGTH: 40,
+  NOTE_MAX_LENGTH: 1000
+};
+
+// Application pipeline service
+const pipelineService = {
+  // Pipeline for a job: its own, else its company's, else the default
+  async resolvePipeline(db, job) {
+    if (job.pipeline) {
+      return { pipeline: job.pipeline, source: 'job' };
+    }
+    if (job.companyId) {
+      const company = await db.collection('companies').findOne(
+        { _id: new ObjectId(job.companyId) },
+        { projection: { pipeline: 1 } }
+      );
+      if (company && company.pipeline) {
+        return { pipeline: company.pipeline, source: 'company' };
+      }
+    }
+    return { pipeline: PIPELINE_CONFIG.DEFAULT_PIPELINE, source: 'default' };
+  },
+
+  getStage(pipeline, key) {
+    return pipeline.stages.find(stage => stage.key === key) || null;
+  },
+
+  // Pipelines saved before stages could be marked count their "interview" stage
+  isInterviewStage(pipeline, key) {
+    const stage = this.getStage(pipeline, key);
+    return !!stage && (stage.interview === true || (stage.interview === undefined && stage.key === 'interview'));
+  },
+
+  initialStage(pipeline) {
+    return pipeline.stages[0];
+  },
+
+  // Applications in a status the pipeline does not know (written before it
+  // was changed) may move to any stage; withdrawn ones are final
+  allowedTransitions(pipeline, from) {
+    if (from === PIPELINE_CONFIG.WITHDRAWN_STATUS) {
+      return [];
+    }
+    if (!this.getStage(pipeline, from)) {
+      return pipeline.stages.map(stage => stage.key).filter(key => key !== from);
+    }
+    return pipeline.transitions[from] || [];
+  },
+
+  canTransition(pipeline, from, to) {
+    return !!this.getStage(pipeline, to) && this.allowedTransitions(pipeline, from).includes(to);
+  },
+
+  // Check a pipeline sent by an employer and return a clean copy
+  validatePipeline(input) {
+    if (!input || !Array.isArray(input.stages)) {
+      return { error: 'Pipeline must have a list of stages' };
+    }
+    const { MIN_STAGES, MAX_STAGES, STAGE_KEY_PATTERN, LABEL_MAX_LENGTH } = PIPELINE_CONFIG;
+    if (input.stages.length < MIN_STAGES || input.stages.length > MAX_STAGES) {
+      return { error: `Pipeline must have between ${MIN_STAGES} and ${MAX_STAGES} stages` };
+    }
+
+    const stages = [];
+    for (const stage of input.stages) {
+      if (!stage || typeof stage.key !== 'string' || !STAGE_KEY_PATTERN.test(stage.key)) {
+        return { error: 'Stage keys must be 2-30 lowercase letters, digits, "-" or "_", starting with a letter' };
+      }
+      if (stage.key === PIPELINE_CONFIG.WITHDRAWN_STATUS) {
+        return { error: `"${stage.key}" is reserved for withdrawn applications` };
+      }
+      if (stages.some(existing => existing.key === stage.key)) {
+        return { error: `Duplicate stage: ${stage.key}` };
+      }
+      const label = typeof stage.label === 'string' ? stage.label.trim() : '';
+      if (!label || label.length > LABEL_MAX_LENGTH) {
+        return { error: `Stage ${stage.key} needs a label of at most ${LABEL_MAX_LENGTH} characters` };
+      }
+      stages.push({
+        key: stage.key,
+        label,
+        candidateVisible: stage.candidateVisible === true,
+        interview: stage.interview === true
+      });
+    }
+
+    const transitions = {};
+    const keys = stages.map(stage => stage.key);
+    for (const key of keys) {
+      const targets = (input.transitions && input.transitions[key]) || [];
+      if (!Array.isArray(targets) || targets.some(target => !keys.includes(target) || target === key)) {
+        return { error: `Transitions from ${key} must list other stages of this pipeline` };
+      }
+      transitions[key] = [...new Set(targets)];
+    }
+
+    return { pipeline: { stages, transitions } };
+  },
+
+  // Stages a pipeline drops that applications are still in
+  async findStrandedStatuses(db, jobIds, pipeline) {
+    const statuses = await db.collection('applications').distinct('status', { jobId: { $in: jobIds } });
+    return statuses.filter(status => !this.getStage(pipeline, status)
+      && !PIPELINE_CONFIG.LEGACY_STATUSES[status]
+      && status !== PIPELINE_CONFIG.WITHDRAWN_STATUS);
+  },
+
+  // Rename statuses stored before pipelines existed to their stage
+  async backfillStatuses(db) {
+    const applications = db.collection('applications');
+    let updated = 0;
+    for (const [legacy, stage] of Object.entries(PIPELINE_CONFIG.LEGACY_STATUSES)) {
+      const result = await applications.updateMany({ status: legacy }, { $set: { status: stage } });
+      updated += result.modifiedCount;
+    }
+    const missing = await applications.updateMany({ status: { $exists: false } }, { $set: { status: 'applied' } });
+    return updated + missing.modifiedCount;
+  },
+
+  // Timeline entry for a status change
+  buildHistoryEntry(from, to, actor, note) {
+    return {
+      from,
+      to,
+      at: new Date(),
+      by: actor ? { userId: actor.userId, name: actor.name, email: actor.email } : null,
+      note: note || null
+    };
+  },
+
+  // Move an application to another stage. The update only applies if nobody
+  // changed the status in the meantime; returns null when they did.
+  async changeStatus(db, { application, job, pipeline, to, actor, note }) {
+    const entry = this.buildHistoryEntry(application.status, to, actor, note);
+
+    const updated = await db.collection('applications').findOneAndUpdate(
+      { _id: application._id, status: application.status },
+      {
+        $set: { status: to, updatedAt: entry.at },
+        $push: { statusHistory: entry }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      return null;
+    }
+
+    // The hiring team sees every move; the candidate only visible stages
+    realtimeService.publishAllowed('application:listForJob', job, 'application:status', {
+      applicationId: updated._id,
+      jobId: job._id,
+      status: updated.status,
+      statusHistory: updated.statusHistory
+    });
+
+    const stage = this.getStage(pipeline, to);
+    if (stage.candidateVisible) {
+      await this.notifyCandidate(db, updated, job, stage);
+    }
+    return updated;
+  },
+
+  // Email (unless switched off) and in-app notification for a candidate-visible stage
+  async notifyCandidate(db, application, job, stage) {
+    realtimeService.publish({ email: application.applicantEmail }, 'application:status', {
+      applicationId: application._id,
+      jobId: job._id,
+      status: stage.key
+    });
+
+    const recipient = { userId: application.applicantId || null, email: application.applicantEmail };
+    if (await notificationService.wantsEmail(db, recipient, 'application_status')) {
+      const emailResult = await emailService.sendApplicationStatus(
+        application.applicantEmail,
+        application.applicantName,
+        job.jobTitle,
+        job.companyName,
+        stage.label
+      );
+      if (!emailResult.success) {
+        console.error(`Status email for application ${application._id} failed:`, emailResult.error);
+      }
+    }
+
+    await notificationService.create(db, {
+      ...recipient,
+      type: 'application_status',
+      title: `${job.jobTitle}: ${stage.label}`,
+      message: `Your application for ${job.jobTitle} at ${job.companyName} moved to ${stage.label}.`,
+      link: `/job/${job._id}`,
+      data: { applicationId: application._id, jobId: job._id, status: stage.key }
+    });
+  },
+
+  // What the candidate sees of their application: the last stage they were
+  // told about and the visible part of the timeline, without internal notes
+  candidateView(application, pipeline) {
+    const isVisible = (key) => {
+      const stage = this.getStage(pipeline, key);
+      return !stage || stage.candidateVisible;
+    };
+    const history = (application.statusHistory || [])
+      .filter(entry => isVisible(entry.to))
+      .map(entry => ({ status: entry.to, at: entry.at }));
+
+    const { statusHistory, ...rest } = application;
+    return {
+      ...rest,
+      status: isVisible(application.status)
+        ? application.status
+        : (history.length > 0 ? history[history.length - 1].status : this.initialStage(pipeline).key),
+      statusHistory: history
+    };
+  }
+};
+
+module.exports = pipelineService;
+module.exports.PIPELINE_CONFIG = PIPELINE_CONFIG;
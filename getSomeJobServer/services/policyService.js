@@ -0,0 +1,72 @@
+const companyService = require('./companyService');
+
+const isAdmin = (user) => !!user && user.role === 'admin';
+const isEmployer = (user) => !!user && user.role === 'employer';
+const isJobseeker = (user) => !!user && user.role === 'jobseeker';
+
+// Employers of the owning company (or the poster, for jobs without one)
+const managesJob = (user, job) => isEmployer(user) && !!job && companyService.canManageJob(user, job);
+
+// Who may do what to which resource. Each policy gets the signed-in user
+// (req.user, or null for anonymous requests) and the resource it acts on.
+const POLICIES = {
+  // Jobs
+  'job:create': (user) => isEmployer(user),
+  // Published jobs are public; other states only for the owning team
+  'job:read': (user, job) => job.status === 'published' || managesJob(user, job) || isAdmin(user),
+  'job:update': (user, job) => managesJob(user, job),
+  'job:changeStatus': (user, job) => managesJob(user, job),
+  'job:delete': (user, job) => managesJob(user, job),
+  'job:managePipeline': (user, job) => managesJob(user, job),
+  // Every job a poster has, in any state: the poster themselves or an admin
+  'job:listByPoster': (user, { email }) => !!user && (user.email === email || isAdmin(user)),
+
+  // Applications
+  'application:create': (user, job) => isJobseeker(user) && job.status === 'published',
+  'application:listForJob': (user, job) => managesJob(user, job),
+  // Exports carry candidates' personal data out of the portal; same team as the list for now
+  'application:export': (user, job) => managesJob(user, job),
+  'application:listForApplicant': (user, { email }) => !!user && (user.email === email || isAdmin(user)),
+  'application:updateStatus': (user, { job }) => managesJob(user, job),
+  'application:withdraw': (user, application) => isJobseeker(user) && application.applicantEmail === user.email,
+
+  // Interviews. The resource is the application with its job.
+  'interview:schedule': (user, { job }) => managesJob(user, job),
+  'interview:read': (user, { application, job }) => (!!user && user.email === application.applicantEmail) || managesJob(user, job),
+  'interview:respond': (user, { application }) => isJobseeker(user) && user.email === application.applicantEmail,
+  'interview:cancel': (user, { application, job }) => (isJobseeker(user) && user.email === application.applicantEmail)
+    || managesJob(user, job),
+
+  // Application messages. The resource is the application with its job.
+  // The thread belongs to the candidate and the employer team; internal
+  // notes to the team alone.
+  'message:read': (user, { application, job }) => (isJobseeker(user) && user.email === application.applicantEmail)
+    || managesJob(user, job),
+  'message:send': (user, { application, job }) => (isJobseeker(user) && user.email === application.applicantEmail)
+    || managesJob(user, job),
+  'message:internal': (user, { job }) => managesJob(user, job),
+
+  // Payments. Stripe records who paid in the intent's metadata.
+  'payment:create': (user) => !!user,
+  'payment:read': (user, paymentIntent) => !!user && !!paymentIntent.metadata
+    && paymentIntent.metadata.userId === user.userId,
+  // The caller's own customer record, payment methods and history
+  'payment:history': (user) => !!user,
+  'payment:refund': (user) => isAdmin(user)
+};
+
+// Authorization policy service
+const policyService = {
+  // Whether the user may perform the action on the resource. Unknown
+  // actions are denied so a typo cannot open a route.
+  can(user, action, resource = {}) {
+    const policy = POLICIES[action];
+    if (!policy) {
+      return false;
+    }
+    return policy(user || null, resource) === true;
+  }
+};
+
+module.exports = policyService;
+module.exports.POLICIES = POLICIES;
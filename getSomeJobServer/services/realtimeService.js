@@ -0,0 +1,187 @@
+const { ObjectId } = require('mongodb');
+const { auditEvents } = require('../config/security');
+const policyService = require('./policyService');
+
+// Real-time channel configuration
+const REALTIME_CONFIG = {
+  // Comment lines keep proxies from closing idle streams
+  HEARTBEAT_INTERVAL_MS: 25 * 1000,
+  // Reconnection delay suggested to clients (the SSE "retry" field)
+  RETRY_MS: 3000,
+  // Open streams per user (browser tabs); the oldest is closed beyond this
+  MAX_CONNECTIONS_PER_USER: 5,
+  // How often open streams are checked against the users collection, so a
+  // user locked, deleted, demoted or moved out of a company stops receiving
+  // events even when nothing closed the stream explicitly
+  REVALIDATE_INTERVAL_MS: 60 * 1000,
+  // Audit actions pushed to the account they concern
+  ACCOUNT_ALERTS: [
+    'LOGIN_FAILED',
+    'MFA_LOGIN_VERIFICATION_FAILED',
+    'MFA_BACKUP_VERIFICATION_FAILED',
+    'PASSWORD_CHANGED',
+    'PASSWORD_RESET_COMPLETED',
+    'MFA_ENABLED',
+    'MFA_DISABLED',
+    'MFA_BACKUP_CODES_REGENERATED'
+  ],
+  // Audit actions pushed to every signed-in admin
+  ADMIN_ALERTS: [
+    'SUSPICIOUS_REQUEST',
+    'LOGIN_FAILED',
+    'MFA_LOGIN_VERIFICATION_FAILED',
+    'ACCESS_DENIED'
+  ]
+};
+
+// Open streams by user id: Set of { user, res, expiry }. Streams live in
+// this process only; running several instances would need a shared broker.
+const connections = new Map();
+let heartbeat = null;
+let revalidation = null;
+
+// One Server-Sent Events frame
+const frame = (type, data) => `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+const send = (connection, type, data) => {
+  connection.res.write(frame(type, data));
+};
+
+const allConnections = () => [...connections.values()].flatMap(set => [...set]);
+
+// End a stream; the client reconnects and authenticates again, so it gets a
+// fresh user or is turned away
+const close = (connection) => {
+  connection.res.end();
+};
+
+// Whether an open stream still belongs to the user as stored now. Anything
+// policies depend on has to be unchanged.
+const stillValid = (connection, user) => Boolean(user)
+  && user.isVerified
+  && !user.isLocked
+  && user.role === connection.user.role
+  && user.email === connection.user.email
+  && (user.companyId ? user.companyId.toString() : null) === connection.user.companyId;
+
+// Real-time event service (Server-Sent Events)
+const realtimeService = {
+  // Turn the response into an event stream for the signed-in user
+  connect(req, res) {
+    const user = req.user;
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx and similar proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${REALTIME_CONFIG.RETRY_MS}\n\n`);
+
+    const connection = { user, res, expiry: null };
+    // The stream must not outlive the token it was opened with
+    if (req.tokenExpiresAt) {
+      connection.expiry = setTimeout(() => close(connection), Math.max(req.tokenExpiresAt - Date.now(), 0));
+      connection.expiry.unref();
+    }
+    const own = connections.get(user.userId) || new Set();
+    if (own.size >= REALTIME_CONFIG.MAX_CONNECTIONS_PER_USER) {
+      const [oldest] = own;
+      own.delete(oldest);
+      close(oldest);
+    }
+    own.add(connection);
+    connections.set(user.userId, own);
+    send(connection, 'ready', { userId: user.userId });
+
+    req.on('close', () => {
+      clearTimeout(connection.expiry);
+      own.delete(connection);
+      if (own.size === 0 && connections.get(user.userId) === own) {
+        connections.delete(user.userId);
+      }
+    });
+  },
+
+  // Close a user's streams, e.g. on logout, lock, role change or when they
+  // leave a company. With a sessionId only that session's streams close.
+  disconnectUser(userId, { sessionId = null } = {}) {
+    const targets = [...(connections.get(String(userId)) || [])]
+      .filter(connection => !sessionId || connection.user.sessionId === sessionId);
+    targets.forEach(close);
+    return targets.length;
+  },
+
+  // Close streams whose user changed since they connected
+  async revalidate(db) {
+    const userIds = [...connections.keys()].filter(userId => ObjectId.isValid(userId));
+    if (userIds.length === 0) return 0;
+    const users = await db.collection('users').find(
+      { _id: { $in: userIds.map(userId => new ObjectId(userId)) } },
+      { projection: { email: 1, role: 1, companyId: 1, isVerified: 1, isLocked: 1 } }
+    ).toArray();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const stale = allConnections().filter(connection => !stillValid(connection, usersById.get(connection.user.userId)));
+    stale.forEach(close);
+    return stale.length;
+  },
+
+  // Push an event to one user, known by id or (e.g. an applicant) by email
+  publish({ userId, email }, type, data) {
+    const targets = userId
+      ? [...(connections.get(userId.toString()) || [])]
+      : allConnections().filter(connection => connection.user.email === email);
+    targets.forEach(connection => send(connection, type, data));
+    return targets.length;
+  },
+
+  // Push an event to every connected user the policy allows to see the
+  // resource. `data` may be a function of the recipient, for per-user views.
+  publishAllowed(action, resource, type, data) {
+    const targets = allConnections().filter(connection => policyService.can(connection.user, action, resource));
+    targets.forEach(connection => send(connection, type, typeof data === 'function' ? data(connection.user) : data));
+    return targets.length;
+  },
+
+  publishToRole(role, type, data) {
+    const targets = allConnections().filter(connection => connection.user.role === role);
+    targets.forEach(connection => send(connection, type, data));
+    return targets.length;
+  },
+
+  // Forward security-relevant audit events as "security:alert". Admins get
+  // the full entry for admin alerts, so they are not sent the account copy.
+  handleAuditEvent(entry) {
+    const { ACCOUNT_ALERTS, ADMIN_ALERTS } = REALTIME_CONFIG;
+    const forAdmins = ADMIN_ALERTS.includes(entry.action);
+    const alert = { eventType: entry.action, ipAddress: entry.ipAddress, timestamp: entry.timestamp };
+
+    if (ACCOUNT_ALERTS.includes(entry.action) && connections.has(String(entry.userId))) {
+      [...connections.get(String(entry.userId))]
+        .filter(connection => !(forAdmins && connection.user.role === 'admin'))
+        .forEach(connection => send(connection, 'security:alert', alert));
+    }
+    if (forAdmins) {
+      this.publishToRole('admin', 'security:alert', { ...alert, userId: entry.userId, details: entry.details });
+    }
+  },
+
+  // Listen for audit events, keep idle streams alive and drop stale ones
+  start(db) {
+    if (heartbeat) return;
+    auditEvents.on('audit', entry => this.handleAuditEvent(entry));
+    heartbeat = setInterval(() => {
+      allConnections().forEach(connection => connection.res.write(': heartbeat\n\n'));
+    }, REALTIME_CONFIG.HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+    revalidation = setInterval(() => {
+      this.revalidate(db).catch(error => console.error('Error revalidating event streams:', error));
+    }, REALTIME_CONFIG.REVALIDATE_INTERVAL_MS);
+    revalidation.unref();
+  }
+};
+
+module.exports = realtimeService;
+module.exports.REALTIME_CONFIG = REALTIME_CONFIG;
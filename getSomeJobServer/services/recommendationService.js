@@ -0,0 +1,197 @@
+const { ObjectId } = require('mongodb');
+
+// Recommendation configuration
+const RECOMMENDATION_CONFIG = {
+  DEFAULT_LIMIT: 6,
+  MAX_LIMIT: 30,
+  // Newest published jobs considered for ranking
+  CANDIDATE_POOL: 300,
+  VIEW_HISTORY: 50,
+  // How much each signal says about what the jobseeker wants
+  SIGNAL_WEIGHTS: {
+    profile: 3,
+    applied: 2,
+    saved: 2,
+    viewed: 1
+  },
+  SCORE_WEIGHTS: {
+    skills: 0.6,
+    location: 0.15,
+    employmentType: 0.1,
+    experienceLevel: 0.05,
+    recency: 0.1
+  },
+  RECENCY_HALF_LIFE_DAYS: 14,
+  // Jobs the user has already looked at rank a little lower than new ones
+  VIEWED_PENALTY: 0.85
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+// Add weight to a key of a Map
+const bump = (map, key, weight) => {
+  if (!key) return;
+  map.set(key, (map.get(key) || 0) + weight);
+};
+
+// The map's keys, largest weight first
+const topKeys = (map, count) => [...map.entries()]
+  .sort((a, b) => b[1] - a[1])
+  .slice(0, count)
+  .map(([key]) => key);
+
+// Recommendation service
+const recommendationService = {
+  async ensureIndexes(db) {
+    const views = db.collection('jobViews');
+    await views.createIndex({ userId: 1, jobId: 1 }, { unique: true });
+    await views.createIndex({ userId: 1, viewedAt: -1 });
+  },
+
+  // Remember that a jobseeker opened a job
+  async recordView(db, userId, jobId) {
+    const now = new Date();
+    await db.collection('jobViews').updateOne(
+      { userId, jobId },
+      {
+        $set: { viewedAt: now },
+        $inc: { count: 1 },
+        $setOnInsert: { firstViewedAt: now }
+      },
+      { upsert: true }
+    );
+  },
+
+  // What the jobseeker is interested in, from their profile and activity
+  async buildInterests(db, user) {
+    const { SIGNAL_WEIGHTS, VIEW_HISTORY } = RECOMMENDATION_CONFIG;
+    const userId = user._id.toString();
+
+    const [applications, saved, views] = await Promise.all([
+      db.collection('applications').find({ applicantEmail: user.email }, { projection: { jobId: 1 } }).toArray(),
+      db.collection('savedJobs').find({ userId }, { projection: { jobId: 1 } }).toArray(),
+      db.collection('jobViews').find({ userId }).sort({ viewedAt: -1 }).limit(VIEW_HISTORY).toArray()
+    ]);
+
+    const appliedIds = applications.map(application => application.jobId.toString());
+    const savedIds = saved.map(entry => entry.jobId.toString());
+    const viewedIds = views.map(view => view.jobId.toString());
+
+    const relatedJobs = await db.collection('demoJobs').find(
+      { _id: { $in: [...new Set([...appliedIds, ...savedIds, ...viewedIds])].map(id => new ObjectId(id)) } },
+      { projection: { skills: 1, jobLocation: 1, employmentType: 1, experienceLevel: 1 } }
+    ).toArray();
+    const jobsById = new Map(relatedJobs.map(job => [job._id.toString(), job]));
+
+    const interests = {
+      skills: new Map(),
+      locations: new Map(),
+      employmentTypes: new Map(),
+      experienceLevels: new Map(),
+      appliedIds: new Set(appliedIds),
+      savedIds: new Set(savedIds),
+      viewedIds: new Set(viewedIds)
+    };
+
+    const profile = user.profile || {};
+    (profile.skills || []).forEach(skill => bump(interests.skills, normalize(skill), SIGNAL_WEIGHTS.profile));
+    if (profile.location) bump(interests.locations, normalize(profile.location), SIGNAL_WEIGHTS.profile);
+
+    const learnFrom = (ids, weight) => ids.forEach(id => {
+      const job = jobsById.get(id);
+      if (!job) return;
+      (job.skills || []).forEach(skill => bump(interests.skills, normalize(skill), weight));
+      if (job.jobLocation) bump(interests.locations, normalize(job.jobLocation), weight);
+      bump(interests.employmentTypes, job.employmentType, weight);
+      bump(interests.experienceLevels, job.experienceLevel, weight);
+    });
+    learnFrom(appliedIds, SIGNAL_WEIGHTS.applied);
+    learnFrom(savedIds, SIGNAL_WEIGHTS.saved);
+    learnFrom(viewedIds, SIGNAL_WEIGHTS.viewed);
+
+    return interests;
+  },
+
+  // Score a job from 0 to 1 for the interests, with the reasons shown to the user
+  scoreJob(job, interests, now = Date.now()) {
+    const { SCORE_WEIGHTS, RECENCY_HALF_LIFE_DAYS, VIEWED_PENALTY } = RECOMMENDATION_CONFIG;
+    const reasons = [];
+
+    // Share of the user's strongest skill interests this job asks for
+    const topSkills = topKeys(interests.skills, 10);
+    const skillTotal = topSkills.reduce((sum, skill) => sum + interests.skills.get(skill), 0);
+    const jobSkills = (job.skills || []).map(skill => ({ key: normalize(skill), label: skill }));
+    const matchedSkills = jobSkills.filter(skill => topSkills.includes(skill.key));
+    const skillScore = skillTotal > 0
+      ? Math.min(1, 2 * matchedSkills.reduce((sum, skill) => sum + interests.skills.get(skill.key), 0) / skillTotal)
+      : 0;
+    if (matchedSkills.length > 0) {
+      reasons.push(`Matches your skills: ${matchedSkills.map(skill => skill.label).join(', ')}`);
+    }
+
+    // Same city, or at least the same state/country, as places the user looked at
+    const [jobCity, ...jobRegion] = String(job.jobLocation || '').toLowerCase().split(',').map(part => part.trim());
+    let locationScore = 0;
+    topKeys(interests.locations, 5).forEach(location => {
+      const [city, ...region] = location.split(',').map(part => part.trim());
+      if (jobCity && city === jobCity) locationScore = 1;
+      else if (jobRegion.some(part => region.includes(part))) locationScore = Math.max(locationScore, 0.5);
+    });
+    if (locationScore === 1) reasons.push(`In ${job.jobLocation}`);
+
+    const preferred = (map, value) => (value && topKeys(map, 1)[0] === value ? 1 : 0);
+    const typeScore = preferred(interests.employmentTypes, job.employmentType);
+    const levelScore = preferred(interests.experienceLevels, job.experienceLevel);
+
+    const publishedAt = new Date(job.publishedAt || job.createAt || now).getTime();
+    const ageDays = Math.max(0, (now - publishedAt) / DAY_MS);
+    const recencyScore = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+    if (ageDays < 3) reasons.push('Recently posted');
+
+    let score = skillScore * SCORE_WEIGHTS.skills
+      + locationScore * SCORE_WEIGHTS.location
+      + typeScore * SCORE_WEIGHTS.employmentType
+      + levelScore * SCORE_WEIGHTS.experienceLevel
+      + recencyScore * SCORE_WEIGHTS.recency;
+
+    const id = job._id.toString();
+    if (interests.savedIds.has(id)) {
+      reasons.push('On your saved list');
+    } else if (interests.viewedIds.has(id)) {
+      score *= VIEWED_PENALTY;
+    }
+
+    return { score: Math.round(score * 100) / 100, reasons };
+  },
+
+  // Open jobs ranked for a jobseeker, leaving out the ones they applied to.
+  // Without any profile or activity this is simply the newest jobs.
+  async recommend(db, userId, limit = RECOMMENDATION_CONFIG.DEFAULT_LIMIT) {
+    const user = await db.collection('users').findOne(
+      { _id: new ObjectId(userId) },
+      { projection: { email: 1, profile: 1 } }
+    );
+    if (!user) return [];
+
+    const interests = await this.buildInterests(db, user);
+    const jobs = await db.collection('demoJobs')
+      .find({
+        status: 'published',
+        _id: { $nin: [...interests.appliedIds].map(id => new ObjectId(id)) }
+      })
+      .sort({ createAt: -1 })
+      .limit(RECOMMENDATION_CONFIG.CANDIDATE_POOL)
+      .toArray();
+
+    const now = Date.now();
+    return jobs
+      .map(job => ({ ...job, recommendation: this.scoreJob(job, interests, now) }))
+      .sort((a, b) => b.recommendation.score - a.recommendation.score)
+      .slice(0, limit);
+  }
+};
+
+module.exports = recommendationService;
+module.exports.RECOMMENDATION_CONFIG = RECOMMENDATION_CONFIG;
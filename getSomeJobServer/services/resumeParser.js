@@ -0,0 +1,251 @@
+const mammoth = require('mammoth');
+// The package entry point runs a self-test when loaded without a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+// Resume parser configuration
+const PARSER_CONFIG = {
+  MAX_TEXT_LENGTH: 100000, // characters looked at when parsing
+  STORED_TEXT_LENGTH: 20000, // characters kept on the resume record
+  VOCABULARY_TTL_MS: 10 * 60 * 1000, // 10 minutes
+  MAX_EDUCATION_ENTRIES: 5,
+  // Other spellings of skills found on jobs
+  SKILL_ALIASES: {
+    'Node.js': ['NodeJS', 'Node JS'],
+    'React': ['ReactJS', 'React.js'],
+    'React Native': ['ReactNative'],
+    'Kubernetes': ['k8s'],
+    'Go': ['Golang'],
+    'PostgreSQL': ['Postgres'],
+    'Machine Learning': ['ML'],
+    'TypeScript': ['TS'],
+    'JavaScript': ['JS', 'ECMAScript']
+  },
+  // Section headings, matched against whole lines
+  SECTIONS: {
+    experience: /^(work |professional |employment )?(experience|history|employment)( history)?:?$/i,
+    education: /^(education|academic background|qualifications)( & training)?:?$/i,
+    skills: /^(technical |core )?(skills|competencies|technologies)( & tools)?:?$/i,
+    other: /^(projects|certifications?|summary|profile|objective|languages|interests|awards|publications|references|contact):?$/i
+  },
+  // Degree levels, most advanced first
+  DEGREES: [
+    { level: 'Doctorate', pattern: /\b(ph\.?\s?d|doctor(ate)? of)\b/i },
+    { level: 'Master', pattern: /\b(master'?s?|m\.?sc|m\.?s\.|m\.?eng|m\.?tech|mba|m\.?a\.)(?![a-z])/i },
+    { level: 'Bachelor', pattern: /\b(bachelor'?s?|b\.?sc|b\.?s\.|b\.?eng|b\.?tech|b\.?a\.|b\.?e\.)(?![a-z])/i },
+    { level: 'Associate', pattern: /\bassociate'?s? (degree|of)\b/i },
+    { level: 'Diploma', pattern: /\b(diploma|certificate)\b/i }
+  ],
+  INSTITUTION_PATTERN: /\b(university|college|institute|school|academy|polytechnic)\b/i
+};
+
+const MONTHS = 'jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec';
+// "2018 - 2021", "Jan 2019 – Present", "03/2020 to now"
+const DATE_RANGE_PATTERN = new RegExp(
+  `(?:(?:${MONTHS})[a-z]*\\.?\\s+|\\d{1,2}/)?((?:19|20)\\d{2})\\s*(?:-|–|—|to)\\s*(?:(?:(?:${MONTHS})[a-z]*\\.?\\s+|\\d{1,2}/)?((?:19|20)\\d{2})|(present|current|now|today))`,
+  'gi'
+);
+
+let vocabularyCache = { skills: null, loadedAt: 0 };
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Match a skill as a whole token. Symbols count as part of a token so "C" does
+// not match "C++" and "R" not "R&D"; very short names are case sensitive
+// ("Go" but not "go").
+const skillPattern = (spelling) => new RegExp(
+  `(?<![A-Za-z0-9+#&])${escapeRegExp(spelling)}(?![A-Za-z0-9+#&]|\\.[A-Za-z0-9])`,
+  spelling.length <= 2 ? 'g' : 'gi'
+);
+
+const cleanLine = (line) => line.replace(/\s+/g, ' ').trim();
+
+// Resume parser
+const resumeParser = {
+  // Plain text of a stored resume
+  async extractText(buffer, type) {
+    let text;
+    if (type === 'pdf') {
+      const result = await pdfParse(buffer);
+      text = result.text;
+    } else if (type === 'docx') {
+      const result = await mammoth.extractRawText({ buffer });
+      text = result.value;
+    } else {
+      throw new Error(`Unsupported resume type: ${type}`);
+    }
+    return (text || '').replace(/\r\n?/g, '\n').slice(0, PARSER_CONFIG.MAX_TEXT_LENGTH);
+  },
+
+  // Every skill used on jobs, cached for a few minutes
+  async getSkillVocabulary(jobsCollection) {
+    const now = Date.now();
+    if (vocabularyCache.skills && now - vocabularyCache.loadedAt < PARSER_CONFIG.VOCABULARY_TTL_MS) {
+      return vocabularyCache.skills;
+    }
+
+    const skills = (await jobsCollection.distinct('skills'))
+      .filter(skill => typeof skill === 'string' && skill.trim() !== '')
+      .map(skill => skill.trim());
+
+    // Case variants ("react", "React") collapse to the first spelling seen
+    const bySpelling = new Map();
+    skills.forEach(skill => {
+      const key = skill.toLowerCase();
+      if (!bySpelling.has(key)) bySpelling.set(key, skill);
+    });
+
+    vocabularyCache = { skills: [...bySpelling.values()], loadedAt: now };
+    return vocabularyCache.skills;
+  },
+
+  // Skills from the vocabulary mentioned in the text, most mentioned first.
+  // Longer names are matched first and blanked out, so "React Native" does
+  // not also count as "React".
+  detectSkills(text, vocabulary) {
+    let remaining = text;
+    const found = [];
+
+    [...vocabulary]
+      .sort((a, b) => b.length - a.length)
+      .forEach(skill => {
+        const spellings = [skill, ...(PARSER_CONFIG.SKILL_ALIASES[skill] || [])];
+        let mentions = 0;
+        spellings.forEach(spelling => {
+          remaining = remaining.replace(skillPattern(spelling), (match) => {
+            mentions++;
+            return ' '.repeat(match.length);
+          });
+        });
+        if (mentions > 0) {
+          found.push({ skill, mentions });
+        }
+      });
+
+    return found
+      .sort((a, b) => b.mentions - a.mentions)
+      .map(entry => entry.skill);
+  },
+
+  // Split the text into sections by their headings
+  splitSections(text) {
+    const sections = { header: [] };
+    let current = 'header';
+
+    text.split('\n').map(cleanLine).filter(Boolean).forEach(line => {
+      const heading = line.length <= 40 && Object.keys(PARSER_CONFIG.SECTIONS)
+        .find(name => PARSER_CONFIG.SECTIONS[name].test(line));
+      if (heading) {
+        current = heading;
+        sections[current] = sections[current] || [];
+        return;
+      }
+      sections[current] = sections[current] || [];
+      sections[current].push(line);
+    });
+
+    return sections;
+  },
+
+  extractContact(text, headerLines = []) {
+    const email = (text.match(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/) || [])[0] || null;
+
+    const phone = (text.match(/\+?\(?\d[\d \t().-]{7,}\d/g) || [])
+      .map(candidate => candidate.trim())
+      .find(candidate => {
+        const digits = candidate.replace(/\D/g, '');
+        return digits.length >= 9 && digits.length <= 15 && !/^(19|20)\d{2}\s*-\s*(19|20)\d{2}$/.test(candidate);
+      }) || null;
+
+    const links = [...new Set(
+      (text.match(/(?:https?:\/\/)?(?:www\.)?(?:linkedin\.com\/in|github\.com)\/[A-Za-z0-9_-]+/gi) || [])
+        .map(link => (link.startsWith('http') ? link : `https://${link}`))
+    )];
+
+    // Resumes usually open with the candidate's name
+    const name = headerLines.find(line =>
+      /^[A-Za-zÀ-ÿ'’-]+(?: [A-Za-zÀ-ÿ'’.-]+){1,3}$/.test(line) && !PARSER_CONFIG.INSTITUTION_PATTERN.test(line)
+    ) || null;
+
+    // "San Francisco, CA" on its own line or between separators in the header
+    const location = headerLines
+      .flatMap(line => line.split(/\s*[|•·]\s*/))
+      .find(part =>
+        /^[A-Z][A-Za-z .'-]+, [A-Z][A-Za-z .]+$/.test(part) && !PARSER_CONFIG.INSTITUTION_PATTERN.test(part)
+      ) || null;
+
+    return { name, email, phone, links, location };
+  },
+
+  // Stated years ("7+ years of experience"), or else the total length of the
+  // date ranges in the experience section, counting overlaps once
+  extractYearsOfExperience(text, experienceLines = []) {
+    const stated = [...text.matchAll(/(\d{1,2})\+?\s*(?:years?|yrs?)(?:\s+of)?(?:\s+\w+){0,3}?\s+experience/gi)]
+      .map(match => parseInt(match[1], 10))
+      .filter(years => years > 0 && years < 60);
+    if (stated.length > 0) {
+      return Math.max(...stated);
+    }
+
+    const currentYear = new Date().getFullYear();
+    const ranges = [...experienceLines.join('\n').matchAll(DATE_RANGE_PATTERN)]
+      .map(match => [parseInt(match[1], 10), match[3] ? currentYear : parseInt(match[2], 10)])
+      .filter(([start, end]) => start <= end && end <= currentYear)
+      .sort((a, b) => a[0] - b[0]);
+
+    if (ranges.length === 0) {
+      return null;
+    }
+
+    const merged = [];
+    ranges.forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+
+    return merged.reduce((total, [start, end]) => total + (end - start), 0);
+  },
+
+  extractEducation(educationLines = []) {
+    const entries = [];
+
+    educationLines.forEach((line, index) => {
+      const degree = PARSER_CONFIG.DEGREES.find(entry => entry.pattern.test(line));
+      if (!degree || entries.length >= PARSER_CONFIG.MAX_EDUCATION_ENTRIES) return;
+
+      // The institution and year are often on the neighbouring lines
+      const nearby = [educationLines[index - 1], line, educationLines[index + 1]].filter(Boolean);
+      const institution = nearby.find(candidate => PARSER_CONFIG.INSTITUTION_PATTERN.test(candidate)) || null;
+      const years = nearby.join(' ').match(/\b(19|20)\d{2}\b/g) || [];
+
+      entries.push({
+        level: degree.level,
+        degree: line.slice(0, 200),
+        institution: institution ? institution.slice(0, 200) : null,
+        year: years.length > 0 ? parseInt(years[years.length - 1], 10) : null
+      });
+    });
+
+    return entries;
+  },
+
+  // Structured profile from the resume text
+  parse(text, vocabulary) {
+    const sections = this.splitSections(text);
+    // Without headings, fall back to looking at the whole document
+    const allLines = Object.values(sections).flat();
+
+    return {
+      contact: this.extractContact(text, sections.header.slice(0, 5)),
+      skills: this.detectSkills(text, vocabulary),
+      yearsOfExperience: this.extractYearsOfExperience(text, sections.experience || allLines),
+      education: this.extractEducation(sections.education || allLines)
+    };
+  }
+};
+
+module.exports = resumeParser;
+module.exports.PARSER_CONFIG = PARSER_CONFIG;
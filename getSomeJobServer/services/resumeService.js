@@ -0,0 +1,213 @@
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { v4: uuidv4 } = require('uuid');
+const resumeStorage = require('./resumeStorage');
+const resumeParser = require('./resumeParser');
+const { PARSER_CONFIG } = resumeParser;
+
+// Resume configuration
+const RESUME_CONFIG = {
+  MAX_FILE_SIZE: 5 * 1024 * 1024, // 5 MB
+  MAX_RESUMES: 5,
+  NAME_MAX_LENGTH: 100,
+  TYPES: {
+    pdf: {
+      mimeType: 'application/pdf',
+      extensions: ['.pdf']
+    },
+    docx: {
+      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      extensions: ['.docx']
+    }
+  }
+};
+
+// Resume service
+const resumeService = {
+  async ensureIndexes(db) {
+    await db.collection('resumes').createIndex({ userId: 1, deletedAt: 1, uploadedAt: -1 });
+    await db.collection('applications').createIndex({ resumeId: 1 }, { sparse: true });
+  },
+
+  // Identify the file from its content. PDFs start with "%PDF-"; DOCX files are
+  // ZIP archives ("PK\x03\x04") that contain a word/document.xml part.
+  detectFileType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 8) return null;
+
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+      return 'pdf';
+    }
+
+    const isZip = buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04;
+    if (isZip && buffer.includes('word/document.xml') && buffer.includes('[Content_Types].xml')) {
+      return 'docx';
+    }
+
+    return null;
+  },
+
+  // Check an uploaded file: its content must be PDF or DOCX and match its extension
+  validateFile(file) {
+    if (!file) {
+      return { error: 'Please choose a resume file' };
+    }
+
+    const type = this.detectFileType(file.buffer);
+    if (!type) {
+      return { error: 'Resume must be a PDF or DOCX file' };
+    }
+
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!RESUME_CONFIG.TYPES[type].extensions.includes(extension)) {
+      return { error: `File content is ${type.toUpperCase()} but the file is named ${extension || 'without an extension'}` };
+    }
+
+    return { type };
+  },
+
+  // Store the file and its metadata
+  async createResume(db, userId, file, type, name) {
+    const resumes = db.collection('resumes');
+    const storageKey = `${userId}/${uuidv4()}${RESUME_CONFIG.TYPES[type].extensions[0]}`;
+
+    await resumeStorage.save(storageKey, file.buffer);
+
+    const hasDefault = await resumes.countDocuments({ userId, isDefault: true, deletedAt: null });
+    const resume = {
+      userId,
+      name: name || path.basename(file.originalname, path.extname(file.originalname)),
+      originalName: file.originalname,
+      type,
+      mimeType: RESUME_CONFIG.TYPES[type].mimeType,
+      size: file.size,
+      storageKey,
+      isDefault: hasDefault === 0,
+      deletedAt: null,
+      uploadedAt: new Date()
+    };
+
+    try {
+      const result = await resumes.insertOne(resume);
+      resume._id = result.insertedId;
+    } catch (error) {
+      await resumeStorage.remove(storageKey);
+      throw error;
+    }
+
+    return resume;
+  },
+
+  // Extract the text and a structured profile from a stored resume. A file
+  // that cannot be read is still kept, only without the parsed profile.
+  async parseResume(db, resume, buffer) {
+    const resumes = db.collection('resumes');
+
+    try {
+      const text = await resumeParser.extractText(buffer, resume.type);
+      const vocabulary = await resumeParser.getSkillVocabulary(db.collection('demoJobs'));
+      const parsed = { ...resumeParser.parse(text, vocabulary), parsedAt: new Date() };
+
+      await resumes.updateOne(
+        { _id: resume._id },
+        { $set: { parsed, parseStatus: 'parsed', text: text.slice(0, PARSER_CONFIG.STORED_TEXT_LENGTH) } }
+      );
+      resume.parsed = parsed;
+      resume.parseStatus = 'parsed';
+      return parsed;
+    } catch (error) {
+      console.error(`Resume ${resume._id} could not be parsed:`, error.message);
+      await resumes.updateOne({ _id: resume._id }, { $set: { parseStatus: 'failed' } });
+      resume.parseStatus = 'failed';
+      return null;
+    }
+  },
+
+  // Fill the empty fields of the jobseeker's profile from a parsed resume.
+  // Fields the user already has are never overwritten.
+  async prefillProfile(db, userId, parsed) {
+    const user = await db.collection('users').findOne(
+      { _id: new ObjectId(userId) },
+      { projection: { profile: 1 } }
+    );
+    if (!user) return [];
+
+    const isEmpty = (value) => value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+    const profile = user.profile || {};
+    const candidates = {
+      phone: parsed.contact.phone,
+      location: parsed.contact.location,
+      links: parsed.contact.links,
+      skills: parsed.skills,
+      yearsOfExperience: parsed.yearsOfExperience,
+      education: parsed.education
+    };
+
+    const updates = {};
+    Object.entries(candidates).forEach(([key, value]) => {
+      if (isEmpty(profile[key]) && !isEmpty(value)) {
+        updates[`profile.${key}`] = value;
+      }
+    });
+
+    const fields = Object.keys(updates).map(key => key.replace('profile.', ''));
+    if (fields.length > 0) {
+      await db.collection('users').updateOne(
+        { _id: user._id },
+        { $set: { ...updates, 'profile.updatedAt': new Date() } }
+      );
+    }
+    return fields;
+  },
+
+  // What an employer sees about the resume on an application
+  toApplicationProfile(resume) {
+    if (!resume.parsed) return null;
+    const { contact, skills, yearsOfExperience, education } = resume.parsed;
+    return { contact, skills, yearsOfExperience, education };
+  },
+
+  // Remove a resume. Files attached to applications stay until the employer no
+  // longer needs them; the resume is only hidden from the jobseeker's list.
+  async deleteResume(db, resume) {
+    const attached = await db.collection('applications').countDocuments({ resumeId: resume._id });
+
+    if (attached > 0) {
+      await db.collection('resumes').updateOne(
+        { _id: resume._id },
+        { $set: { deletedAt: new Date(), isDefault: false } }
+      );
+    } else {
+      await db.collection('resumes').deleteOne({ _id: resume._id });
+      await resumeStorage.remove(resume.storageKey);
+    }
+
+    // Promote another resume when the default one goes away
+    if (resume.isDefault) {
+      const next = await db.collection('resumes').findOne(
+        { userId: resume.userId, deletedAt: null },
+        { sort: { uploadedAt: -1 } }
+      );
+      if (next) {
+        await db.collection('resumes').updateOne({ _id: next._id }, { $set: { isDefault: true } });
+      }
+    }
+  },
+
+  // Public view of a resume, without the storage key or extracted text
+  toPublic(resume) {
+    return {
+      _id: resume._id,
+      name: resume.name,
+      originalName: resume.originalName,
+      type: resume.type,
+      size: resume.size,
+      isDefault: resume.isDefault,
+      parseStatus: resume.parseStatus || null,
+      parsed: resume.parsed || null,
+      uploadedAt: resume.uploadedAt
+    };
+  }
+};
+
+module.exports = resumeService;
+module.exports.RESUME_CONFIG = RESUME_CONFIG;
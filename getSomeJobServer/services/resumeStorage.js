@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage adapters for uploaded resumes. Each adapter stores opaque keys
+// ("<userId>/<uuid>.pdf") and exposes the same methods, so another
+// backend (S3, GridFS, ...) can be added here and picked with RESUME_STORAGE.
+
+// Local disk adapter rooted at baseDir
+const createLocalDiskStorage = (baseDir) => ({
+  baseDir: path.resolve(baseDir),
+
+  // Resolve a key inside baseDir, refusing anything that would escape it
+  resolve(key) {
+    const filePath = path.resolve(this.baseDir, key);
+    if (!filePath.startsWith(this.baseDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  },
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  },
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  },
+
+  async read(key) {
+    return fs.promises.readFile(this.resolve(key));
+  },
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+});
+
+const adapters = {
+  // RESUME_STORAGE_DIR (default: ./uploads/resumes)
+  local: () => createLocalDiskStorage(process.env.RESUME_STORAGE_DIR || path.join(__dirname, '..', 'uploads', 'resumes'))
+};
+
+const createAdapter = adapters[process.env.RESUME_STORAGE || 'local'];
+if (!createAdapter) {
+  throw new Error(`Unknown RESUME_STORAGE adapter: ${process.env.RESUME_STORAGE}`);
+}
+const resumeStorage = createAdapter();
+
+module.exports = resumeStorage;
+module.exports.createLocalDiskStorage = createLocalDiskStorage;
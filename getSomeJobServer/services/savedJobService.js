@@ -0,0 +1,80 @@
+const { JOB_FIELDS } = require('../config/jobSchema');
+
+// Saved jobs configuration
+const SAVED_JOBS_CONFIG = {
+  NOTE_MAX_LENGTH: 1000,
+  MAX_SAVED: 200,
+  // Job fields remembered at save time, to tell the user what changed since
+  SNAPSHOT_FIELDS: ['jobTitle', 'companyName', 'minPrice', 'maxPrice', 'salaryType', 'status'],
+  // Live job fields a jobseeker sees in their saved list
+  PUBLIC_FIELDS: ['_id', ...JOB_FIELDS, 'status', 'createAt']
+};
+
+const isOpen = (job) => (job.status || 'published') === 'published';
+
+const pick = (source, fields) => {
+  const result = {};
+  fields.forEach(key => {
+    if (source[key] !== undefined) {
+      result[key] = source[key];
+    }
+  });
+  return result;
+};
+
+// Saved jobs service
+const savedJobService = {
+  async ensureIndexes(db) {
+    await db.collection('savedJobs').createIndex({ userId: 1, jobId: 1 }, { unique: true });
+  },
+
+  takeSnapshot(job) {
+    const snapshot = {};
+    SAVED_JOBS_CONFIG.SNAPSHOT_FIELDS.forEach(key => {
+      snapshot[key] = job[key] !== undefined ? job[key] : null;
+    });
+    return snapshot;
+  },
+
+  // Compare a saved entry with the job as it is now. Jobs that are gone or
+  // no longer published only report that, not how they changed.
+  describeChanges(saved, job) {
+    if (!job || !isOpen(job)) {
+      return { closed: true, removed: !job, salaryChanged: false };
+    }
+
+    const snapshot = saved.snapshot || {};
+    const salaryChanged = ['minPrice', 'maxPrice', 'salaryType'].some(key =>
+      snapshot[key] !== undefined && String(snapshot[key]) !== String(job[key] !== undefined ? job[key] : null)
+    );
+
+    return {
+      closed: false,
+      removed: false,
+      salaryChanged,
+      previousSalary: salaryChanged
+        ? { minPrice: snapshot.minPrice, maxPrice: snapshot.maxPrice, salaryType: snapshot.salaryType }
+        : null
+    };
+  },
+
+  // The job to show for a saved entry: the public fields of a published job,
+  // otherwise what was saved, as the job is no longer readable by jobseekers
+  visibleJob(saved, job) {
+    return job && isOpen(job)
+      ? pick(job, SAVED_JOBS_CONFIG.PUBLIC_FIELDS)
+      : { _id: saved.jobId, ...saved.snapshot };
+  },
+
+  // Change the note of a saved job; leaves it alone when no note was sent
+  async updateNote(db, userId, jobId, note) {
+    if (note === undefined) return;
+    await db.collection('savedJobs').updateOne(
+      { userId, jobId },
+      { $set: { note: note || '', updatedAt: new Date() } }
+    );
+  }
+};
+
+module.exports = savedJobService;
+module.exports.SAVED_JOBS_CONFIG = SAVED_JOBS_CONFIG;
@@ -0,0 +1,185 @@
+const assert = require('assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ObjectId } = require('mongodb');
+const jobFeedService = require('./services/jobFeedService');
+const seedJobs = require('./config/seedJobs');
+
+// Validation uses xmllint (libxml2), which has to be on the PATH
+const XSD_PATH = path.join(__dirname, 'config', 'jobFeed.xsd');
+
+const companyId = new ObjectId();
+
+// Jobs as stored in demoJobs
+const plainJob = {
+  _id: new ObjectId(),
+  jobTitle: 'Software Engineer',
+  companyName: 'Linear company',
+  companyId,
+  minPrice: 40000,
+  maxPrice: 60000,
+  salaryType: 'Yearly',
+  jobLocation: 'Brussels, Belgium',
+  employmentType: 'Full-Time',
+  experienceLevel: 'Any experience',
+  description: 'Develop cutting-edge software solutions.',
+  status: 'published',
+  createAt: new Date('2024-05-05T08:00:00Z')
+};
+const htmlJob = {
+  _id: new ObjectId(),
+  jobTitle: 'R&D <Lead> "Platform"',
+  companyName: 'Tom & Jerry\'s',
+  minPrice: 25,
+  maxPrice: 25,
+  salaryType: 'Hourly',
+  jobLocation: 'San Francisco',
+  employmentType: 'part-time',
+  description: '<p>Build <b>fast</b> APIs &amp; tools.</p><script>alert("x")</script><ul><li>Node&nbsp;&gt;= 18</li><li>Caf&#233; ]]&gt;</li></ul>',
+  status: 'published',
+  createAt: new Date('2024-05-11T08:00:00Z'),
+  updatedAt: new Date('2024-06-01T12:30:00Z')
+};
+// No salary, employment type or location
+const sparseJob = {
+  _id: new ObjectId(),
+  jobTitle: 'Volunteer',
+  companyName: 'Notion',
+  description: 'Control \u0001characters are dropped',
+  status: 'published',
+  createAt: new Date('2024-05-12T08:00:00Z')
+};
+
+// Parse a feed with its schema; throws with xmllint's message when invalid
+const validateAgainstXsd = (xml) => {
+  try {
+    execFileSync('xmllint', ['--noout', '--nonet', '--schema', XSD_PATH, '-'], { input: xml, stdio: 'pipe' });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('xmllint not found; install libxml2 to validate feeds');
+    }
+    throw new Error(error.stderr.toString().trim());
+  }
+};
+
+// Text of the first <name> in a job element
+const field = (jobXml, name) => {
+  const match = jobXml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+  return match ? match[1] : null;
+};
+
+const jobElements = (xml) => xml.match(/<job>[\s\S]*?<\/job>/g) || [];
+
+function testJobFeed() {
+  console.log('📰 Testing aggregator job feed...\n');
+  let failures = 0;
+
+  const check = (name, fn) => {
+    try {
+      fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  };
+
+  const xml = jobFeedService.toAggregatorXml([plainJob, htmlJob, sparseJob]);
+  const [plain, html, sparse] = jobElements(xml);
+
+  check('global feed validates against the XSD', () => validateAgainstXsd(xml));
+
+  check('empty feed validates against the XSD', () => validateAgainstXsd(jobFeedService.toAggregatorXml([])));
+
+  check('schema rejects a job without a title', () => {
+    assert.throws(() => validateAgainstXsd(xml.replace(/<title>[^<]*<\/title>/, '')));
+  });
+
+  check('schema rejects an unknown job type', () => {
+    assert.throws(() => validateAgainstXsd(xml.replace('<jobtype>fulltime</jobtype>', '<jobtype>gig</jobtype>')));
+  });
+
+  check('every job is listed', () => {
+    assert.strictEqual(jobElements(xml).length, 3);
+  });
+
+  check('fields are mapped', () => {
+    assert.strictEqual(field(plain, 'referencenumber'), plainJob._id.toString());
+    assert.strictEqual(field(plain, 'url'), `http://localhost:5174/job/${plainJob._id}`);
+    assert.strictEqual(field(plain, 'date'), 'Sun, 05 May 2024 08:00:00 GMT');
+    assert.strictEqual(field(plain, 'city'), 'Brussels');
+    assert.strictEqual(field(plain, 'country'), 'Belgium');
+    assert.strictEqual(field(plain, 'salary'), 'USD 40,000 - USD 60,000 per year');
+    assert.strictEqual(field(plain, 'jobtype'), 'fulltime');
+  });
+
+  check('employment types match regardless of case', () => {
+    assert.strictEqual(field(html, 'jobtype'), 'parttime');
+    assert.strictEqual(field(html, 'salary'), 'USD 25 per hour');
+  });
+
+  check('"City, ST" locations are US states, not countries', () => {
+    const xml = jobFeedService.toAggregatorXml(['Mountain View, CA', 'Seattle, WA', 'Austin, TX, USA', 'Stockholm, Sweden']
+      .map(jobLocation => ({ ...plainJob, _id: new ObjectId(), jobLocation })));
+    validateAgainstXsd(xml);
+    const locations = jobElements(xml).map(job => [field(job, 'city'), field(job, 'state'), field(job, 'country')]);
+    assert.deepStrictEqual(locations, [
+      ['Mountain View', 'CA', 'US'],
+      ['Seattle', 'WA', 'US'],
+      ['Austin', 'TX', 'USA'],
+      ['Stockholm', null, 'Sweden']
+    ]);
+  });
+
+  check('seed jobs validate against the XSD', () => {
+    validateAgainstXsd(jobFeedService.toAggregatorXml(seedJobs.map(job => ({ ...job, _id: new ObjectId() }))));
+  });
+
+  check('locations without a country use the default one', () => {
+    assert.strictEqual(field(html, 'city'), 'San Francisco');
+    assert.strictEqual(field(html, 'country'), jobFeedService.FEED_CONFIG.AGGREGATOR.DEFAULT_COUNTRY);
+  });
+
+  check('text is XML-escaped', () => {
+    assert.strictEqual(field(html, 'title'), 'R&amp;D &lt;Lead&gt; &quot;Platform&quot;');
+    assert.strictEqual(field(html, 'company'), 'Tom &amp; Jerry&apos;s');
+  });
+
+  check('HTML is stripped from descriptions', () => {
+    assert.strictEqual(field(html, 'description'), 'Build fast APIs &amp; tools.\nNode &gt;= 18\nCafé ]]&gt;');
+  });
+
+  check('characters XML does not allow are dropped', () => {
+    assert.strictEqual(field(sparse, 'description'), 'Control characters are dropped');
+  });
+
+  check('missing salary and job type are left out', () => {
+    assert.strictEqual(field(sparse, 'salary'), null);
+    assert.strictEqual(field(sparse, 'jobtype'), null);
+    assert.strictEqual(field(sparse, 'city'), '');
+  });
+
+  check('global filter lists published jobs', () => {
+    assert.deepStrictEqual(jobFeedService.aggregatorFilter(), { status: 'published' });
+  });
+
+  check('company filter narrows to the company', () => {
+    assert.deepStrictEqual(jobFeedService.aggregatorFilter({ companyId }), { status: 'published', companyId });
+  });
+
+  check('updatedAt window falls back to createAt for jobs never edited', () => {
+    const updatedSince = new Date('2024-05-10T00:00:00Z');
+    const updatedUntil = new Date('2024-06-01T00:00:00Z');
+    const filter = jobFeedService.aggregatorFilter({ updatedSince, updatedUntil });
+    const range = { $gte: updatedSince, $lt: updatedUntil };
+    assert.deepStrictEqual(filter.$or, [
+      { updatedAt: range },
+      { updatedAt: { $exists: false }, createAt: range }
+    ]);
+  });
+
+  console.log(failures === 0 ? '\n🎉 All job feed tests passed!' : `\n${failures} job feed test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testJobFeed();
@@ -0,0 +1,88 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const jobImportService = require('./services/jobImportService');
+const seedJobs = require('./config/seedJobs');
+
+// The demo job file the import format is modelled on
+const PUBLIC_JOBS_PATH = path.join(__dirname, '..', 'getSomeJobClient', 'public', 'jobs.json');
+
+const validJob = {
+  jobTitle: 'Software Engineer',
+  companyName: 'Linear company',
+  maxPrice: 60000,
+  salaryType: 'Yearly',
+  jobLocation: 'Brussels',
+  experienceLevel: 'Any experience',
+  employmentType: 'Full-Time',
+  description: 'Develop cutting-edge software solutions with a small team.'
+};
+
+// Row errors of a preview, for readable assertion messages
+const invalidRows = (preview) => preview.rows
+  .filter(row => !row.valid)
+  .map(row => `row ${row.row}: ${row.errors.map(error => `${error.path}: ${error.msg}`).join('; ')}`);
+
+async function testJobImport() {
+  console.log('📥 Testing bulk job import...\n');
+  let failures = 0;
+
+  const check = async (name, fn) => {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  };
+
+  await check('public/jobs.json imports without errors', async () => {
+    const buffer = fs.readFileSync(PUBLIC_JOBS_PATH);
+    const format = jobImportService.detectFormat('jobs.json', buffer);
+    const { records, error } = jobImportService.parse(buffer, format);
+    assert.strictEqual(error, undefined);
+    const preview = await jobImportService.preview(records);
+    assert.deepStrictEqual(invalidRows(preview), []);
+    assert.strictEqual(preview.summary.valid, records.length);
+  });
+
+  await check('seed jobs import without errors', async () => {
+    const preview = await jobImportService.preview(seedJobs);
+    assert.deepStrictEqual(invalidRows(preview), []);
+  });
+
+  await check('misspelled experience levels are mapped', async () => {
+    const { job } = await jobImportService.validateRecord({ ...validJob, experienceLevel: 'Intership' });
+    assert.strictEqual(job.experienceLevel, 'Internship');
+  });
+
+  await check('site-relative and http(s) logos are accepted', async () => {
+    for (const companyLogo of ['/images/Linear.png', 'https://logo.clearbit.com/google.com']) {
+      const { errors } = await jobImportService.validateRecord({ ...validJob, companyLogo });
+      assert.strictEqual(errors, undefined, companyLogo);
+    }
+  });
+
+  await check('other logo values are rejected', async () => {
+    for (const companyLogo of ['javascript:alert(1)', '//evil.test/logo.png', 'images/logo.png', '/images/my logo.png']) {
+      const { errors } = await jobImportService.validateRecord({ ...validJob, companyLogo });
+      assert.ok(errors && errors.some(error => error.path === 'companyLogo'), companyLogo);
+    }
+  });
+
+  await check('CSV rows import like JSON rows', async () => {
+    const csv = 'jobTitle,companyName,maxPrice,salaryType,jobLocation,experienceLevel,employmentType,description,skills\n'
+      + 'Web Developer,Notion,50,Yearly,"San Francisco, CA",Internship,Temporary,"Craft dynamic, user-centric web experiences.",HTML; CSS\n';
+    const { records } = jobImportService.parse(Buffer.from(csv), 'csv');
+    const preview = await jobImportService.preview(records);
+    assert.deepStrictEqual(invalidRows(preview), []);
+    assert.deepStrictEqual(preview.rows[0].job.skills, ['HTML', 'CSS']);
+    assert.strictEqual(preview.rows[0].job.jobLocation, 'San Francisco, CA');
+  });
+
+  console.log(failures === 0 ? '\n🎉 All job import tests passed!' : `\n${failures} job import test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testJobImport();
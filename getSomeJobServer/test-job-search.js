@@ -0,0 +1,137 @@
+const assert = require('assert');
+const jobSearchService = require('./services/jobSearchService');
+const { normalizeSalary } = require('./config/jobSchema');
+const { SEARCH_CONFIG } = jobSearchService;
+
+// Whether a job text would be left out by the exclusion filter of a search
+const excludes = (search, text) => {
+  const { exclusions } = jobSearchService.buildFilterParts({ search });
+  return exclusions.$nor.some(clause => {
+    const { $regex, $options } = Object.values(clause)[0];
+    return new RegExp($regex, $options).test(text);
+  });
+};
+
+// Whether a stored job matches a salary filter, the way MongoDB would apply it
+const matchesSalary = (query, job) => {
+  const annualSalary = normalizeSalary(job);
+  return Object.entries(jobSearchService.buildSalaryFilter(query)).every(([path, condition]) => {
+    const value = annualSalary && annualSalary[path.split('.')[1]];
+    if (value === undefined || value === null) return false;
+    if (condition.$gte !== undefined && !(value >= condition.$gte)) return false;
+    if (condition.$lte !== undefined && !(value <= condition.$lte)) return false;
+    return true;
+  });
+};
+
+// 40,000 - 60,000 a year
+const yearlyJob = { minPrice: 40000, maxPrice: 60000, salaryType: 'Yearly' };
+
+function testJobSearch() {
+  console.log('🔎 Testing job search filters...\n');
+  let failures = 0;
+
+  const check = (name, fn) => {
+    try {
+      fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  };
+
+  check('searches are trimmed and bounded', () => {
+    assert.strictEqual(jobSearchService.normalizeSearch('  react  '), 'react');
+    assert.strictEqual(jobSearchService.normalizeSearch('a'.repeat(500)).length, SEARCH_CONFIG.MAX_QUERY_LENGTH);
+  });
+
+  check('empty and non-text searches are no search', () => {
+    assert.strictEqual(jobSearchService.normalizeSearch(''), null);
+    assert.strictEqual(jobSearchService.normalizeSearch('   '), null);
+    assert.strictEqual(jobSearchService.normalizeSearch(undefined), null);
+    assert.strictEqual(jobSearchService.normalizeSearch(['react']), null);
+  });
+
+  check('quoted phrases are kept for $text', () => {
+    assert.strictEqual(jobSearchService.normalizeSearch('"react native" developer'), '"react native" developer');
+    assert.strictEqual(jobSearchService.normalizeSearch('"react native"'), '"react native"');
+  });
+
+  check('an unbalanced quote is dropped', () => {
+    assert.strictEqual(jobSearchService.normalizeSearch('"react developer'), 'react developer');
+    assert.strictEqual(jobSearchService.normalizeSearch('"senior" "react'), '"senior" react');
+  });
+
+  check('exclusion-only searches do not use $text', () => {
+    ['-java', '-"project manager"', '-java -"project manager"'].forEach(search => {
+      assert.strictEqual(jobSearchService.normalizeSearch(search), null, search);
+      assert.strictEqual(jobSearchService.buildFilterParts({ search }).text, undefined, search);
+    });
+  });
+
+  check('exclusions next to a search term still use $text', () => {
+    assert.strictEqual(jobSearchService.normalizeSearch('react -java'), 'react -java');
+    assert.strictEqual(jobSearchService.normalizeSearch('-"project manager" designer'), '-"project manager" designer');
+    const parts = jobSearchService.buildFilterParts({ search: 'react -java' });
+    assert.deepStrictEqual(parts.text, { $text: { $search: 'react -java' } });
+    assert.strictEqual(parts.exclusions, undefined);
+  });
+
+  check('excluded words and phrases are read from the search', () => {
+    assert.deepStrictEqual(jobSearchService.excludedTerms('react -java -"project manager"'), ['java', 'project manager']);
+    assert.deepStrictEqual(jobSearchService.excludedTerms('full-time -c#'), ['c#']);
+    assert.deepStrictEqual(jobSearchService.excludedTerms('-"unclosed'), ['unclosed']);
+    assert.deepStrictEqual(jobSearchService.excludedTerms(null), []);
+  });
+
+  check('exclusion-only searches leave out jobs mentioning the term', () => {
+    const { exclusions } = jobSearchService.buildFilterParts({ search: '-java' });
+    const fields = exclusions.$nor.map(clause => Object.keys(clause)[0]);
+    assert.deepStrictEqual(fields, Object.keys(SEARCH_CONFIG.TEXT_INDEX.keys));
+    assert.ok(excludes('-java', 'Senior Java Developer'));
+    assert.ok(excludes('-java', 'java'));
+  });
+
+  check('exclusions match whole words only', () => {
+    assert.ok(!excludes('-java', 'JavaScript Developer'));
+    assert.ok(excludes('-c#', 'C# and .NET'));
+    assert.ok(!excludes('-c#', 'C developer'));
+    assert.ok(excludes('-"project manager"', 'Senior Project Manager, Berlin'));
+    assert.ok(!excludes('-"project manager"', 'Project lead and manager'));
+  });
+
+  check('salary filters in Yearly terms match overlapping ranges', () => {
+    assert.ok(matchesSalary({ salaryMin: '50000' }, yearlyJob));
+    assert.ok(!matchesSalary({ salaryMin: '70000' }, yearlyJob));
+    assert.ok(matchesSalary({ salaryMax: '45000' }, yearlyJob));
+    assert.ok(!matchesSalary({ salaryMax: '30000' }, yearlyJob));
+  });
+
+  check('salary filters in Hourly terms compare against a Yearly job', () => {
+    // 25/hr is 52,000 a year, 35/hr is 72,800
+    assert.deepStrictEqual(jobSearchService.buildSalaryFilter({ salaryMin: '25', salaryPeriod: 'Hourly' }), {
+      'annualSalary.max': { $gte: 52000 }
+    });
+    assert.ok(matchesSalary({ salaryMin: '25', salaryPeriod: 'Hourly' }, yearlyJob));
+    assert.ok(!matchesSalary({ salaryMin: '35', salaryPeriod: 'hourly' }, yearlyJob));
+  });
+
+  check('salary filters in Yearly terms compare against an Hourly job', () => {
+    const hourlyJob = { minPrice: 20, maxPrice: 30, salaryType: 'Hourly' };
+    assert.ok(matchesSalary({ salaryMin: '60000', salaryPeriod: 'Yearly' }, hourlyJob));
+    assert.ok(!matchesSalary({ salaryMin: '70000', salaryPeriod: 'Yearly' }, hourlyJob));
+  });
+
+  check('empty salary bounds and unknown periods are ignored', () => {
+    assert.deepStrictEqual(jobSearchService.buildSalaryFilter({ salaryMin: '', salaryMax: '' }), {});
+    assert.deepStrictEqual(jobSearchService.buildSalaryFilter({ salaryMin: '50000', salaryPeriod: 'Weekly' }), {
+      'annualSalary.max': { $gte: 50000 }
+    });
+  });
+
+  console.log(failures === 0 ? '\n🎉 All job search tests passed!' : `\n${failures} job search test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testJobSearch();
@@ -0,0 +1,208 @@
+const assert = require('assert');
+const { ObjectId } = require('mongodb');
+const policyService = require('./services/policyService');
+const { POLICIES } = policyService;
+
+// Users
+const companyId = new ObjectId();
+const otherCompanyId = new ObjectId();
+const employer = { userId: 'u1', email: 'boss@acme.test', role: 'employer', companyId: companyId.toString() };
+const teammate = { userId: 'u2', email: 'hr@acme.test', role: 'employer', companyId: companyId.toString() };
+const rival = { userId: 'u3', email: 'boss@rival.test', role: 'employer', companyId: otherCompanyId.toString() };
+const soloEmployer = { userId: 'u4', email: 'solo@freelance.test', role: 'employer', companyId: null };
+const jobseeker = { userId: 'u5', email: 'seeker@mail.test', role: 'jobseeker', companyId: null };
+const admin = { userId: 'u6', email: 'admin@portal.test', role: 'admin', companyId: null };
+const anonymous = null;
+
+// Resources
+const companyJob = { _id: new ObjectId(), companyId, postedBy: employer.email, status: 'published' };
+const draftJob = { ...companyJob, _id: new ObjectId(), status: 'draft' };
+const soloJob = { _id: new ObjectId(), postedBy: soloEmployer.email, status: 'published' };
+const application = { _id: new ObjectId(), jobId: companyJob._id, applicantEmail: jobseeker.email };
+const paymentIntent = { id: 'pi_1', metadata: { userId: jobseeker.userId } };
+
+// Each case: [user, resource, expected]
+const CASES = {
+  'job:create': [
+    [employer, {}, true],
+    [jobseeker, {}, false],
+    [admin, {}, false],
+    [anonymous, {}, false]
+  ],
+  'job:read': [
+    [anonymous, companyJob, true],
+    [anonymous, draftJob, false],
+    [jobseeker, draftJob, false],
+    [rival, draftJob, false],
+    [teammate, draftJob, true],
+    [admin, draftJob, true]
+  ],
+  'job:update': [
+    [employer, companyJob, true],
+    [teammate, companyJob, true],
+    [rival, companyJob, false],
+    [soloEmployer, soloJob, true],
+    [rival, soloJob, false],
+    [jobseeker, companyJob, false],
+    [anonymous, companyJob, false]
+  ],
+  'job:changeStatus': [
+    [teammate, draftJob, true],
+    [rival, draftJob, false],
+    [jobseeker, draftJob, false]
+  ],
+  'job:delete': [
+    [employer, companyJob, true],
+    [rival, companyJob, false],
+    [admin, companyJob, false]
+  ],
+  'job:managePipeline': [
+    [teammate, companyJob, true],
+    [rival, companyJob, false],
+    [jobseeker, companyJob, false]
+  ],
+  'job:listByPoster': [
+    [employer, { email: employer.email }, true],
+    [rival, { email: employer.email }, false],
+    [admin, { email: employer.email }, true],
+    [anonymous, { email: employer.email }, false]
+  ],
+  'application:create': [
+    [jobseeker, companyJob, true],
+    [jobseeker, draftJob, false],
+    [employer, companyJob, false],
+    [anonymous, companyJob, false]
+  ],
+  'application:listForJob': [
+    [employer, companyJob, true],
+    [teammate, companyJob, true],
+    [rival, companyJob, false],
+    [jobseeker, companyJob, false]
+  ],
+  'application:export': [
+    [employer, companyJob, true],
+    [teammate, companyJob, true],
+    [soloEmployer, soloJob, true],
+    [rival, companyJob, false],
+    [jobseeker, companyJob, false],
+    [admin, companyJob, false]
+  ],
+  'application:listForApplicant': [
+    [jobseeker, { email: jobseeker.email }, true],
+    [employer, { email: jobseeker.email }, false],
+    [admin, { email: jobseeker.email }, true],
+    [anonymous, { email: jobseeker.email }, false]
+  ],
+  'application:updateStatus': [
+    [teammate, { application, job: companyJob }, true],
+    [rival, { application, job: companyJob }, false],
+    [jobseeker, { application, job: companyJob }, false]
+  ],
+  'application:withdraw': [
+    [jobseeker, application, true],
+    [{ ...jobseeker, userId: 'u7', email: 'other@mail.test' }, application, false],
+    [employer, application, false],
+    [anonymous, application, false]
+  ],
+  'interview:schedule': [
+    [teammate, { application, job: companyJob }, true],
+    [rival, { application, job: companyJob }, false],
+    [jobseeker, { application, job: companyJob }, false]
+  ],
+  'interview:read': [
+    [jobseeker, { application, job: companyJob }, true],
+    [employer, { application, job: companyJob }, true],
+    [rival, { application, job: companyJob }, false],
+    [anonymous, { application, job: companyJob }, false]
+  ],
+  'interview:respond': [
+    [jobseeker, { application, job: companyJob }, true],
+    [employer, { application, job: companyJob }, false],
+    [{ ...jobseeker, userId: 'u7', email: 'other@mail.test' }, { application, job: companyJob }, false]
+  ],
+  'interview:cancel': [
+    [jobseeker, { application, job: companyJob }, true],
+    [teammate, { application, job: companyJob }, true],
+    [rival, { application, job: companyJob }, false],
+    [anonymous, { application, job: companyJob }, false]
+  ],
+  'message:read': [
+    [jobseeker, { application, job: companyJob }, true],
+    [teammate, { application, job: companyJob }, true],
+    [rival, { application, job: companyJob }, false],
+    [{ ...jobseeker, userId: 'u7', email: 'other@mail.test' }, { application, job: companyJob }, false],
+    [admin, { application, job: companyJob }, false],
+    [anonymous, { application, job: companyJob }, false]
+  ],
+  'message:send': [
+    [jobseeker, { application, job: companyJob }, true],
+    [employer, { application, job: companyJob }, true],
+    [rival, { application, job: companyJob }, false],
+    [anonymous, { application, job: companyJob }, false]
+  ],
+  'message:internal': [
+    [employer, { application, job: companyJob }, true],
+    [teammate, { application, job: companyJob }, true],
+    [jobseeker, { application, job: companyJob }, false],
+    [rival, { application, job: companyJob }, false]
+  ],
+  'payment:create': [
+    [jobseeker, {}, true],
+    [employer, {}, true],
+    [anonymous, {}, false]
+  ],
+  'payment:read': [
+    [jobseeker, paymentIntent, true],
+    [employer, paymentIntent, false],
+    [jobseeker, { id: 'pi_2' }, false],
+    [anonymous, paymentIntent, false]
+  ],
+  'payment:history': [
+    [jobseeker, {}, true],
+    [anonymous, {}, false]
+  ],
+  'payment:refund': [
+    [admin, {}, true],
+    [employer, {}, false],
+    [jobseeker, {}, false]
+  ]
+};
+
+const describeUser = (user) => (user ? `${user.role} ${user.email}` : 'anonymous');
+
+function testPolicies() {
+  console.log('🔐 Testing authorization policies...\n');
+  let failures = 0;
+
+  const check = (name, fn) => {
+    try {
+      fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  };
+
+  check('every policy has test cases', () => {
+    const untested = Object.keys(POLICIES).filter(action => !CASES[action]);
+    assert.deepStrictEqual(untested, []);
+  });
+
+  check('unknown actions are denied', () => {
+    assert.strictEqual(policyService.can(admin, 'job:explode', companyJob), false);
+  });
+
+  Object.entries(CASES).forEach(([action, cases]) => {
+    cases.forEach(([user, resource, expected]) => {
+      check(`${action}: ${describeUser(user)} ${expected ? 'allowed' : 'denied'}`, () => {
+        assert.strictEqual(policyService.can(user, action, resource), expected);
+      });
+    });
+  });
+
+  console.log(failures === 0 ? '\n🎉 All policy tests passed!' : `\n${failures} policy test(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testPolicies();